@@ -595,9 +595,9 @@ const getAvailableDrivers = asyncHandler(async (req, res) => {
 
         const activeTrips = tripResponse.data.trips || [];
 
-        // Filter trips that are scheduled or in-progress
+        // Filter trips that still hold the vehicle / driver (scheduled, dispatched, in-progress or paused)
         const relevantTrips = activeTrips.filter(trip =>
-            trip.status === 'scheduled' || trip.status === 'in-progress'
+            ['scheduled', 'dispatched', 'in-progress', 'paused'].includes(trip.status)
         );
 
         // If date range is provided, check for overlaps
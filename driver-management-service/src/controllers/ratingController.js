@@ -1,5 +1,6 @@
 const DriverRating = require('../models/DriverRating');
 const DriverProfile = require('../models/DriverProfile');
+const DriverSafetyScore = require('../models/DriverSafetyScore');
 const Employment = require('../models/Employment');
 const driverEventEmitter = require('../config/eventEmitter');
 const { asyncHandler, NotFoundError, ValidationError, ForbiddenError, ConflictError } = require('../middleware/errorHandler');
@@ -56,6 +57,9 @@ const createRating = asyncHandler(async (req, res) => {
         }
     }
 
+    // Objective safety score at the time of rating (never taken from the request)
+    const safetyScore = await DriverSafetyScore.findOne({ driverId }).select('score').lean();
+
     // Determine rater role based on user role
     const raterRole = req.user.role === 'fleetmanager' ? 'FLEET_MANAGER' : 
                       req.user.role === 'admin' ? 'COMPANY' : 'COMPANY';
@@ -74,9 +78,12 @@ const createRating = asyncHandler(async (req, res) => {
         review,
         tags,
         wouldRehire,
-        context: context || (employment ? {
-            employmentDuration: employment.durationInDays
-        } : {})
+        context: {
+            ...(context || (employment ? {
+                employmentDuration: employment.durationInDays
+            } : {})),
+            safetyScore: safetyScore?.score ?? undefined
+        }
     });
 
     await rating.save();
@@ -123,7 +130,7 @@ const getDriverRatings = asyncHandler(async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sortOptions = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
 
-    const [ratings, total, aggregateRatings] = await Promise.all([
+    const [ratings, total, aggregateRatings, safetyScore] = await Promise.all([
         DriverRating.find({ 
             driverId: driverProfile._id, 
             isApproved: true,
@@ -138,13 +145,18 @@ const getDriverRatings = asyncHandler(async (req, res) => {
             isApproved: true,
             isPublic: true 
         }),
-        DriverRating.calculateAggregateRatings(driverProfile._id)
+        DriverRating.calculateAggregateRatings(driverProfile._id),
+        // Public route: the headline figures only, as mirrored on the profile
+        DriverSafetyScore.findOne({ driverId: driverProfile.userId })
+            .select('score trend computedAt -_id')
+            .lean()
     ]);
 
     res.json({
         success: true,
         data: {
             aggregateRatings,
+            safetyScore,
             ratings,
             pagination: {
                 current: parseInt(page),
@@ -354,19 +366,21 @@ const getMyRatings = asyncHandler(async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const [ratings, total, aggregateRatings] = await Promise.all([
+    const [ratings, total, aggregateRatings, safetyScore] = await Promise.all([
         DriverRating.find({ driverId: driverProfile._id })
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit)),
         DriverRating.countDocuments({ driverId: driverProfile._id }),
-        DriverRating.calculateAggregateRatings(driverProfile._id)
+        DriverRating.calculateAggregateRatings(driverProfile._id),
+        DriverSafetyScore.findOne({ driverId: driverProfile.userId }).lean()
     ]);
 
     res.json({
         success: true,
         data: {
             aggregateRatings,
+            safetyScore,
             ratings,
             pagination: {
                 current: parseInt(page),
@@ -402,6 +416,64 @@ const voteHelpful = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * @desc    Set a driver's objective safety score (fatigue analytics)
+ * @route   PUT /api/drivers/ratings/driver/:driverId/safety-score
+ * @access  Internal (service-to-service, from trip-service)
+ */
+const updateSafetyScore = asyncHandler(async (req, res) => {
+    const { driverId } = req.params;
+    // Validation allows a few minutes of clock skew; never store a time ahead of ours
+    const computedAt = new Date(Math.min(new Date(req.body.computedAt), Date.now()));
+
+    const fields = ['score', 'drivingHours', 'drowsyMinutesPerDrivingHour', 'incidents',
+        'incidentsBySeverity', 'worstTimeOfDay', 'trend', 'periodWeeks'];
+    const update = { computedAt };
+    fields.forEach(field => {
+        if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    // A retried or late delivery must not replace a newer score: the filter
+    // only matches an older one, and with a newer one stored the upsert
+    // collides with it on the unique driverId
+    let safetyScore;
+    try {
+        safetyScore = await DriverSafetyScore.findOneAndUpdate(
+            { driverId, computedAt: { $lt: computedAt } },
+            { $set: update },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        return res.json({
+            success: true,
+            message: 'A newer safety score is already stored',
+            data: await DriverSafetyScore.findOne({ driverId }).lean()
+        });
+    }
+
+    // Shown on the driver's profile next to the rating breakdown
+    await DriverProfile.updateOne(
+        { userId: driverId },
+        {
+            $set: {
+                safetyScore: {
+                    score: safetyScore.score,
+                    trend: safetyScore.trend,
+                    computedAt: safetyScore.computedAt
+                }
+            }
+        }
+    );
+
+    res.json({
+        success: true,
+        message: 'Safety score updated successfully',
+        data: safetyScore
+    });
+});
+
 module.exports = {
     createRating,
     getDriverRatings,
@@ -411,5 +483,6 @@ module.exports = {
     respondToRating,
     getCompanyGivenRatings,
     getMyRatings,
-    voteHelpful
+    voteHelpful,
+    updateSafetyScore
 };
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
@@ -94,8 +95,35 @@ const requireCompany = requireRole('fleetmanager', 'admin');
  */
 const requireDriverOrCompany = requireRole('driver', 'fleetmanager', 'admin');
 
+/**
+ * Service-to-service access middleware
+ * Requires the shared INTERNAL_SERVICE_KEY in the x-service-key header.
+ * Refuses everything when the key is not configured.
+ */
+const requireServiceKey = (req, res, next) => {
+    const expected = process.env.INTERNAL_SERVICE_KEY;
+    if (!expected) {
+        return res.status(503).json({
+            success: false,
+            message: 'Internal service key not configured'
+        });
+    }
+
+    const provided = Buffer.from(req.header('x-service-key') || '');
+    const key = Buffer.from(expected);
+    if (provided.length !== key.length || !crypto.timingSafeEqual(provided, key)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid service key'
+        });
+    }
+
+    next();
+};
+
 module.exports = {
     authMiddleware,
+    requireServiceKey,
     requireRole,
     requireDriver,
     requireCompany,
@@ -283,6 +283,33 @@ const createRatingValidation = [
     handleValidationErrors
 ];
 
+// Safety score pushed by trip-service (allowing for clock differences between services)
+const SAFETY_SCORE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const updateSafetyScoreValidation = [
+    mongoIdValidator('driverId'),
+
+    body('score')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Score must be between 0 and 100'),
+
+    body('trend')
+        .optional({ nullable: true })
+        .isIn(['improving', 'worsening', 'stable'])
+        .withMessage('Invalid trend'),
+
+    body('computedAt')
+        .isISO8601()
+        .withMessage('computedAt must be a valid date')
+        .bail()
+        // A future date would lock the score: older updates are ignored
+        .custom(value => new Date(value) <= new Date(Date.now() + SAFETY_SCORE_CLOCK_SKEW_MS))
+        .withMessage('computedAt cannot be in the future'),
+
+    handleValidationErrors
+];
+
 // ========================
 // Query Validators
 // ========================
@@ -327,5 +354,6 @@ module.exports = {
     terminateEmploymentValidation,
     assignVehicleValidation,
     createRatingValidation,
+    updateSafetyScoreValidation,
     searchDriversValidation
 };
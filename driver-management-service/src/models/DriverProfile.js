@@ -10,6 +10,7 @@ const mongoose = require('mongoose');
  * - Skills and certifications
  * - Availability status
  * - Aggregate rating
+ * - Objective safety score (mirrored from DriverSafetyScore)
  */
 
 const driverProfileSchema = new mongoose.Schema({
@@ -204,6 +205,25 @@ const driverProfileSchema = new mongoose.Schema({
         }
     },
 
+    // Objective safety score from fatigue analytics (trip-service), next to ratings.breakdown.safety
+    safetyScore: {
+        score: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: null
+        },
+        trend: {
+            type: String,
+            enum: ['improving', 'worsening', 'stable', null],
+            default: null
+        },
+        computedAt: {
+            type: Date,
+            default: null
+        }
+    },
+
     // Profile Metadata
     isProfileComplete: {
         type: Boolean,
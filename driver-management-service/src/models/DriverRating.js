@@ -111,6 +111,10 @@ const driverRatingSchema = new mongoose.Schema({
         },
         routeType: {
             type: String
+        },
+        // Objective safety score (0-100) when the rating was given
+        safetyScore: {
+            type: Number
         }
     },
 
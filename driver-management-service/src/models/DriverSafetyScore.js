@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Driver Safety Score Schema
+ *
+ * Objective safety score computed by trip-service from drowsiness
+ * monitoring (fatigue analytics), shown next to the companies'
+ * categoryRatings.safety:
+ * - 0-100 score (null when the driver has driven too little to score)
+ * - Drowsy minutes per driving hour and drowsiness incidents behind it
+ * - Worst times of day and weekly trend
+ */
+
+const driverSafetyScoreSchema = new mongoose.Schema({
+    // Driver (userId from User Service)
+    driverId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    score: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+    },
+
+    // Figures behind the score
+    drivingHours: {
+        type: Number,
+        default: 0
+    },
+    drowsyMinutesPerDrivingHour: {
+        type: Number,
+        default: null
+    },
+    incidents: {
+        type: Number,
+        default: 0
+    },
+    incidentsBySeverity: {
+        LOW: { type: Number, default: 0 },
+        MEDIUM: { type: Number, default: 0 },
+        HIGH: { type: Number, default: 0 },
+        CRITICAL: { type: Number, default: 0 }
+    },
+
+    // e.g. ['00:00-03:00', '03:00-06:00']
+    worstTimeOfDay: [{
+        type: String
+    }],
+
+    trend: {
+        type: String,
+        enum: ['improving', 'worsening', 'stable', null],
+        default: null
+    },
+
+    // Weeks of history the score covers
+    periodWeeks: {
+        type: Number
+    },
+
+    // When trip-service computed it (older updates are ignored)
+    computedAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    collection: 'driver_safety_scores'
+});
+
+module.exports = mongoose.model('DriverSafetyScore', driverSafetyScoreSchema);
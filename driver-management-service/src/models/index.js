@@ -8,10 +8,12 @@ const DriverProfile = require('./DriverProfile');
 const Employment = require('./Employment');
 const JobRequest = require('./JobRequest');
 const DriverRating = require('./DriverRating');
+const DriverSafetyScore = require('./DriverSafetyScore');
 
 module.exports = {
     DriverProfile,
     Employment,
     JobRequest,
-    DriverRating
+    DriverRating,
+    DriverSafetyScore
 };
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 
-const { authMiddleware, requireDriver, requireCompany } = require('../middleware/authMiddleware');
-const { createRatingValidation } = require('../middleware/validationMiddleware');
+const { authMiddleware, requireDriver, requireCompany, requireServiceKey } = require('../middleware/authMiddleware');
+const { createRatingValidation, updateSafetyScoreValidation } = require('../middleware/validationMiddleware');
 const {
     createRating,
     getDriverRatings,
@@ -12,7 +12,8 @@ const {
     respondToRating,
     getCompanyGivenRatings,
     getMyRatings,
-    voteHelpful
+    voteHelpful,
+    updateSafetyScore
 } = require('../controllers/ratingController');
 
 /**
@@ -57,4 +58,10 @@ router.get('/:ratingId', authMiddleware, getRatingById);
 router.post('/:ratingId/helpful', authMiddleware, voteHelpful);
 
 
+// ===== Internal routes (service-to-service) =====
+
+// Objective safety score from trip-service fatigue analytics
+router.put('/driver/:driverId/safety-score', requireServiceKey, updateSafetyScoreValidation, updateSafetyScore);
+
+
 module.exports = router;
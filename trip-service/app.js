@@ -5,9 +5,9 @@
  *   - server.js (local Docker dev, adds Socket.IO + HTTP server)
  *   - handler.js (AWS Lambda, wrapped with serverless-http)
  *
- * NOTE: Socket.IO is initialized in server.js for local dev.
- *       On Lambda, Socket.IO polling transport works via HTTP fallback.
- *       app.set('io', io) is called from server.js for local, and from handler.js for Lambda.
+ * NOTE: Socket.IO is initialized in server.js for local dev and attached to
+ *       src/services/realtimeService, which handlers emit through. On Lambda
+ *       nothing is attached, emits are no-ops and clients poll the REST API.
  *
  * CORS ARCHITECTURE:
  *   API Gateway HTTP API with method:any routes forwards ALL methods — including
@@ -29,6 +29,19 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const tripRoutes = require('./src/routes/tripRoutes');
+const geofenceRoutes = require('./src/routes/geofenceRoutes');
+const tariffRoutes = require('./src/routes/tariffRoutes');
+const invoiceRoutes = require('./src/routes/invoiceRoutes');
+const tripTemplateRoutes = require('./src/routes/tripTemplateRoutes');
+const incidentRoutes = require('./src/routes/incidentRoutes');
+const presenceRoutes = require('./src/routes/presenceRoutes');
+const fatigueRoutes = require('./src/routes/fatigueRoutes');
+const employmentService = require('./src/services/employmentService');
+const incidentService = require('./src/services/incidentService');
+const presenceService = require('./src/services/presenceService');
+const monitoringService = require('./src/services/monitoringService');
+const { authMiddleware, fleetManagerOnly } = require('./src/middleware/authMiddleware');
+const fatigueAnalyticsService = require('./src/services/fatigueAnalyticsService');
 
 const app = express();
 
@@ -65,6 +78,13 @@ app.options('*', cors(corsOptions));
 
 // ===== Routes =====
 app.use('/api/trips', tripRoutes);
+app.use('/api/geofences', geofenceRoutes);
+app.use('/api/tariffs', tariffRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/trip-templates', tripTemplateRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/fatigue', fatigueRoutes);
 
 // ===== MongoDB-backed Real-time Routes (Pusher replacement) =====
 let Alert = null;
@@ -84,35 +104,77 @@ function getDriverBehaviorLog() {
 }
 
 // ── REST endpoint for driver monitoring telemetry (MongoDB write) ──────────────
-// Driver POSTs alert data here. The companyId links the alert to the hiring
-// fleet manager (from the employments collection).
-app.post('/api/realtime/driver-monitoring', async (req, res) => {
+// Driver POSTs alert data here with their JWT. The driver is taken from the
+// token and the alert is linked to the company that employs them (from the
+// employments collection); a driverId / companyId in the body must match.
+app.post('/api/realtime/driver-monitoring', authMiddleware, async (req, res) => {
     try {
-        const { driverId, companyId, status, perclos, ear, timestamp, monitoringActive, source } = req.body;
+        const { status, perclos, ear, timestamp, monitoringActive, source } = req.body;
+
+        if (req.user.role !== 'driver') {
+            return res.status(403).json({ error: 'Only drivers can send monitoring data' });
+        }
+
+        const driverId = String(req.user.id);
+        if (req.body.driverId && String(req.body.driverId) !== driverId) {
+            return res.status(403).json({ error: 'driverId does not match the authenticated driver' });
+        }
 
         // Validate required fields
-        if (!driverId || !companyId || !status) {
-            return res.status(400).json({
-                error: 'driverId, companyId, and status are required'
-            });
+        if (!status) {
+            return res.status(400).json({ error: 'status is required' });
+        }
+
+        const { at, error: timestampError } = monitoringService.timestampOf(timestamp);
+        if (timestampError) {
+            return res.status(400).json({ error: timestampError });
+        }
+
+        const companyId = await employmentService.companyOf(driverId);
+        if (!companyId) {
+            return res.status(403).json({ error: 'Driver is not employed by a company' });
+        }
+        if (req.body.companyId && String(req.body.companyId) !== companyId) {
+            return res.status(403).json({ error: 'companyId is not the driver\'s employer' });
         }
 
+        const tripId = await monitoringService.tripOf(driverId, req.body.tripId);
         const AlertModel = getAlert();
 
         // Create alert document
         const alertDoc = await AlertModel.create({
             driverId,
             companyId,
+            tripId,
             status,
             monitoringActive: monitoringActive !== undefined ? monitoringActive : true,
             source: source || 'frame-analysis',
             perclos: perclos || 0,
             ear: ear || 0,
-            timestamp: timestamp ? new Date(timestamp) : new Date()
+            timestamp: at
         });
 
         console.log('✅ Alert stored:', { id: alertDoc._id, driverId, companyId, status });
 
+        // Only an authenticated driver's own sample keeps them ONLINE
+        try {
+            await presenceService.touch(driverId, { source: 'monitoring', companyId });
+        } catch (presenceErr) {
+            console.error('[monitoring] Failed to record presence:', presenceErr.message);
+        }
+
+        // Fatigue history (as for socket samples) and drowsiness incidents, each kept if the other fails
+        try {
+            await fatigueAnalyticsService.log({ driverId, tripId, status, perclos, ear, monitoringActive, source, timestamp: at });
+        } catch (logErr) {
+            console.error('[monitoring] DB log error:', logErr.message);
+        }
+        try {
+            await incidentService.record({ driverId, companyId, tripId, status, perclos, timestamp: at });
+        } catch (incidentErr) {
+            console.error('[monitoring] Failed to record incident:', incidentErr.message);
+        }
+
         res.json({ success: true, id: alertDoc._id });
     } catch (err) {
         console.error('❌ Telemetry error:', err.message);
@@ -121,13 +183,15 @@ app.post('/api/realtime/driver-monitoring', async (req, res) => {
 });
 
 // ── REST endpoint for fetching alerts (polling) ─────────────────────────────────
-// Fleet manager GETs alerts for all drivers hired under their companyId.
-app.get('/api/alerts', async (req, res) => {
+// Fleet manager GETs alerts for all drivers hired under their own company.
+// ?companyId= is optional and must be the caller's (admins may pass any).
+app.get('/api/alerts', authMiddleware, fleetManagerOnly, async (req, res) => {
     try {
-        const { companyId, since, limit = 20 } = req.query;
+        const { since, limit = 20 } = req.query;
+        const companyId = req.query.companyId || req.user.id;
 
-        if (!companyId) {
-            return res.status(400).json({ error: 'companyId is required' });
+        if (String(companyId) !== String(req.user.id) && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized for this company' });
         }
 
         const AlertModel = getAlert();
@@ -2,17 +2,11 @@
  * trip-service/handler.js
  * AWS Lambda entry point for trip-service.
  *
- * Uses Pusher for real-time events instead of Socket.IO.
- * Socket.IO cannot work reliably on AWS Lambda due to its stateless/ephemeral nature.
- * Pusher is a managed WebSocket service that handles connections externally.
- *
- * Pusher channels used:
- *   - "fleet-{fleetManagerId}"  → admin_monitoring events for specific fleet manager
- *   - "monitoring-driver-{driverId}" → webrtc-start events for a specific driver
- *   - "global-monitoring"        → broadcast admin_monitoring to all fleet managers
- *
- * WebRTC Signaling channels (private, keyed by target socket concept replaced with Pusher channels):
- *   - "webrtc-{driverId}"       → webrtc-offer / webrtc-answer / webrtc-ice-candidate between driver and admin
+ * There is no Socket.IO server here (Lambda is stateless/ephemeral), so
+ * src/services/realtimeService is left detached: handlers' real-time emits
+ * are no-ops and clients poll the REST endpoints (e.g. GET /api/trips,
+ * GET /api/trips/tracking/:token) instead. Live sockets are served by
+ * server.js instances, which share rooms through REALTIME_ADAPTER=mongo.
  */
 
 'use strict';
@@ -34,3 +28,64 @@ module.exports.handler = async (event, context) => {
     }
     return serverlessHandler(event, context);
 };
+
+// Scheduled (EventBridge) entry point: materialise trips from recurring templates
+module.exports.generateScheduledTrips = async (event, context) => {
+    context.callbackWaitsForEmptyEventLoop = false;
+    if (!isConnected) {
+        await connectDB();
+        isConnected = true;
+    }
+    return require('./src/services/tripTemplateService').generateAll();
+};
+
+// Scheduled (EventBridge) entry point: deliver queued vehicle / driver status updates
+module.exports.dispatchOutbox = async (event, context) => {
+    context.callbackWaitsForEmptyEventLoop = false;
+    if (!isConnected) {
+        await connectDB();
+        isConnected = true;
+    }
+    return require('./src/services/outboxService').dispatch();
+};
+
+// Scheduled (EventBridge) entry point: end stale drowsiness incidents and escalate unacknowledged ones
+module.exports.escalateIncidents = async (event, context) => {
+    context.callbackWaitsForEmptyEventLoop = false;
+    if (!isConnected) {
+        await connectDB();
+        isConnected = true;
+    }
+    return require('./src/services/incidentService').escalate();
+};
+
+// Scheduled (EventBridge) entry point: mark silent drivers OFFLINE
+module.exports.detectOfflineDrivers = async (event, context) => {
+    context.callbackWaitsForEmptyEventLoop = false;
+    if (!isConnected) {
+        await connectDB();
+        isConnected = true;
+    }
+    return require('./src/services/presenceService').sweep();
+};
+
+// Scheduled (EventBridge) entry point: nightly vehicle / driver assignment consistency check
+module.exports.checkAssignmentConsistency = async (event, context) => {
+    context.callbackWaitsForEmptyEventLoop = false;
+    if (!isConnected) {
+        await connectDB();
+        isConnected = true;
+    }
+    const report = await require('./src/services/consistencyService').run();
+    return report.summary;
+};
+
+// Scheduled (EventBridge) entry point: nightly driver safety scores to driver-management
+module.exports.publishSafetyScores = async (event, context) => {
+    context.callbackWaitsForEmptyEventLoop = false;
+    if (!isConnected) {
+        await connectDB();
+        isConnected = true;
+    }
+    return require('./src/services/fatigueAnalyticsService').publishAll();
+};
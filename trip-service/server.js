@@ -10,6 +10,7 @@ require('dotenv').config();
 
 const app = require('./app');
 const connectDB = require('./src/config/db');
+const realtimeService = require('./src/services/realtimeService');
 
 const PORT = process.env.PORT || 5004;
 
@@ -24,140 +25,101 @@ const io = socketIO(server, {
     }
 });
 
-// Make io accessible to routes
-app.set('io', io);
+// REST handlers emit through the real-time transport (a no-op where there is no socket server)
+realtimeService.attach(io);
 
-// Lazy-load models to avoid circular requires at startup
-let Trip = null;
-let DriverBehaviorLog = null;
+// Public tracking links (customers, token-authenticated)
+require('./src/sockets/trackingNamespace')(io);
 
-// Global socket mapping
-const userSockets = new Map();
+// Fleet managers and drivers: JWT handshake, rooms derived from the token
+require('./src/sockets/mainNamespace')(io);
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log('New client connected:', socket.id);
-
-    // ── Existing: fleet tracking room ────────────────────────────────────────
-    socket.on('join-fleet-room', (fleetManagerId) => {
-        socket.join(`fleet-${fleetManagerId}`);
-        userSockets.set(fleetManagerId, socket.id);
-        console.log(`Client ${socket.id} joined fleet room: fleet-${fleetManagerId}`);
-    });
-
-    // ── NEW: Driver joins a monitoring room keyed by their driverId ──────────
-    socket.on('join-monitoring-room', (driverId) => {
-        socket.join(`monitoring-driver-${driverId}`);
-        userSockets.set(driverId, socket.id);
-        console.log(`Client ${socket.id} joined monitoring room for driver: ${driverId}`);
-    });
-
-    // ── Receive drowsiness telemetry from a driver ──────────────────────
-    socket.on('driver_monitoring', async (data) => {
-        const { driverId, tripId, status, perclos, ear, timestamp } = data;
-
-        // Lazy-load Trip model
-        if (!Trip) Trip = require('./src/models/Trip');
-
-        try {
-            // Forward event to fleet managers
-            // Always broadcast globally for now so any fleet manager can see it
-            // (since we want all hired drivers to show up regardless of active trips)
-            io.emit('admin_monitoring', data);
-
-            // If there's an active trip, also send to the specific fleet manager's room
-            if (tripId) {
-                const trip = await Trip.findById(tripId).select('fleetManagerId').lean();
-                if (trip?.fleetManagerId) {
-                    io.to(`fleet-${trip.fleetManagerId}`).emit('admin_monitoring', data);
-                }
-            }
-        } catch (err) {
-            console.error('[monitoring] Error relaying driver_monitoring:', err.message);
-        }
-
-        // Persist to MongoDB (non-blocking)
-        if (!DriverBehaviorLog) {
-            try { DriverBehaviorLog = require('./src/models/DriverBehaviorLog'); } catch (_) { }
-        }
-        if (DriverBehaviorLog) {
-            DriverBehaviorLog.create({
-                driverId,
-                tripId: tripId || null,
-                status,
-                perclos: perclos || 0,
-                ear: ear || 0,
-                timestamp: timestamp ? new Date(timestamp) : new Date()
-            }).catch(err => console.error('[monitoring] DB log error:', err.message));
-        }
-    });
-
-    // ── WebRTC signaling relay (driver ↔ admin) ─────────────────────────
-    // Admin requests video from a specific driver
-    socket.on('webrtc-request', (data) => {
-        console.log('[WebRTC] Requesting video from driver:', data.driverId);
-        // Forward to the driver's specific room
-        io.to(`monitoring-driver-${data.driverId}`).emit('webrtc-start', {
-            ...data,
-            adminSocketId: socket.id
+// Connect to MongoDB, share Socket.IO rooms between instances, then start server
+connectDB().then(async () => {
+    const adapter = await require('./src/sockets/adapter')(io)
+        .catch(err => {
+            console.error('[realtime] Shared adapter unavailable, using the in-memory adapter:', err.message);
+            return 'memory';
         });
 
-        // Fallback: if driver socket is known in the map
-        const driverSocketId = userSockets.get(data.driverId);
-        if (driverSocketId) {
-            io.to(driverSocketId).emit('webrtc-start', {
-                ...data,
-                adminSocketId: socket.id
-            });
-        }
-    });
-
-    // Driver sends SDP offer → forward to requesting admin
-    socket.on('webrtc-offer', (data) => {
-        if (data.targetSocketId) {
-            io.to(data.targetSocketId).emit('webrtc-offer', data);
-        } else {
-            socket.broadcast.emit('webrtc-offer', data);
-        }
-    });
-
-    // Admin sends SDP answer → forward to driver
-    socket.on('webrtc-answer', (data) => {
-        if (data.targetSocketId) {
-            io.to(data.targetSocketId).emit('webrtc-answer', data);
-        } else {
-            socket.broadcast.emit('webrtc-answer', data);
-        }
-    });
-
-    // ICE candidate relay (bidirectional)
-    socket.on('webrtc-ice-candidate', (data) => {
-        if (data.targetSocketId) {
-            io.to(data.targetSocketId).emit('webrtc-ice-candidate', data);
-        } else {
-            socket.broadcast.emit('webrtc-ice-candidate', data);
-        }
-    });
-
-    // ── Disconnect ─────────────────────────────────────────────────
-    socket.on('disconnect', () => {
-        console.log('Client disconnected:', socket.id);
-        // Remove from map
-        for (const [userId, sockId] of userSockets.entries()) {
-            if (sockId === socket.id) {
-                userSockets.delete(userId);
-                break;
-            }
-        }
-    });
-});
-
-// Connect to MongoDB then start server
-connectDB().then(() => {
     server.listen(PORT, () => {
         console.log(`Trip Service running on port ${PORT}`);
-        console.log('Socket.IO enabled for real-time updates');
+        console.log(`Socket.IO enabled for real-time updates (${adapter} adapter)`);
     });
+
+    // Materialise trips from recurring templates (Lambda uses a scheduled function instead)
+    const tripTemplateService = require('./src/services/tripTemplateService');
+    const intervalMinutes = parseFloat(process.env.TRIP_TEMPLATE_SCHEDULER_INTERVAL_MINUTES) || 60;
+    const runTemplates = () => tripTemplateService.generateAll()
+        .catch(err => console.error('[trip-templates] Scheduler run failed:', err.message));
+    runTemplates();
+    setInterval(runTemplates, intervalMinutes * 60 * 1000);
+
+    // Deliver queued vehicle / driver status updates (Lambda uses a scheduled function instead)
+    const outboxService = require('./src/services/outboxService');
+    const outboxSeconds = parseFloat(process.env.OUTBOX_DISPATCH_INTERVAL_SECONDS) || 15;
+    let dispatching = false;
+    setInterval(() => {
+        if (dispatching) return;
+        dispatching = true;
+        outboxService.dispatch()
+            .catch(err => console.error('[outbox] Dispatcher run failed:', err.message))
+            .finally(() => { dispatching = false; });
+    }, outboxSeconds * 1000);
+
+    // End stale drowsiness incidents and escalate unacknowledged ones (Lambda uses a scheduled function instead)
+    const incidentService = require('./src/services/incidentService');
+    const escalationSeconds = parseFloat(process.env.INCIDENT_ESCALATION_INTERVAL_SECONDS) || 30;
+    let escalating = false;
+    setInterval(() => {
+        if (escalating) return;
+        escalating = true;
+        incidentService.escalate()
+            .catch(err => console.error('[incidents] Escalation run failed:', err.message))
+            .finally(() => { escalating = false; });
+    }, escalationSeconds * 1000);
+
+    // Mark silent drivers OFFLINE (Lambda uses a scheduled function instead)
+    const presenceService = require('./src/services/presenceService');
+    const presenceSeconds = parseFloat(process.env.PRESENCE_SWEEP_INTERVAL_SECONDS) || 30;
+    let sweeping = false;
+    setInterval(() => {
+        if (sweeping) return;
+        sweeping = true;
+        presenceService.sweep()
+            .catch(err => console.error('[presence] Sweep failed:', err.message))
+            .finally(() => { sweeping = false; });
+    }, presenceSeconds * 1000);
+
+    // Nightly vehicle / driver assignment consistency check at CONSISTENCY_CHECK_HOUR (server local time)
+    const consistencyService = require('./src/services/consistencyService');
+    const checkHour = parseInt(process.env.CONSISTENCY_CHECK_HOUR, 10);
+    const scheduleConsistencyCheck = () => {
+        const next = new Date();
+        next.setHours(isNaN(checkHour) ? 2 : checkHour, 0, 0, 0);
+        if (next <= new Date()) next.setDate(next.getDate() + 1);
+        setTimeout(() => {
+            consistencyService.run()
+                .catch(err => console.error('[consistency] Nightly run failed:', err.message))
+                .finally(scheduleConsistencyCheck);
+        }, next - new Date());
+    };
+    scheduleConsistencyCheck();
+
+    // Nightly driver safety scores to driver-management at SAFETY_SCORE_PUBLISH_HOUR (server local time)
+    const fatigueAnalyticsService = require('./src/services/fatigueAnalyticsService');
+    const publishHour = parseInt(process.env.SAFETY_SCORE_PUBLISH_HOUR, 10);
+    const scheduleSafetyScores = () => {
+        const next = new Date();
+        next.setHours(isNaN(publishHour) ? 3 : publishHour, 0, 0, 0);
+        if (next <= new Date()) next.setDate(next.getDate() + 1);
+        setTimeout(() => {
+            fatigueAnalyticsService.publishAll()
+                .catch(err => console.error('[fatigue] Nightly safety score run failed:', err.message))
+                .finally(scheduleSafetyScores);
+        }, next - new Date());
+    };
+    scheduleSafetyScores();
 }).catch(err => {
     console.error('Failed to connect to MongoDB:', err);
     process.exit(1);
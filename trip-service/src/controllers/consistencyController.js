@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const ConsistencyReport = require('../models/ConsistencyReport');
+const consistencyService = require('../services/consistencyService');
+
+// Show what the nightly consistency check would change, without changing anything
+exports.getConsistencyDryRun = async (req, res) => {
+    try {
+        const { fleetManagerId } = req.query;
+
+        if (fleetManagerId && !mongoose.Types.ObjectId.isValid(fleetManagerId)) {
+            return res.status(400).json({ message: 'Invalid fleetManagerId' });
+        }
+
+        const report = await consistencyService.run({
+            fleetManagerId: fleetManagerId || null,
+            dryRun: true,
+            trigger: 'manual',
+            userId: req.user.id
+        });
+
+        res.json({ report });
+    } catch (error) {
+        console.error('Consistency dry run error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Reports from previous (non dry-run) consistency checks, newest first
+exports.getConsistencyReports = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+        const reports = await ConsistencyReport.find()
+            .sort({ createdAt: -1 })
+            .limit(limit);
+
+        res.json({ reports });
+    } catch (error) {
+        console.error('Get consistency reports error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const EmploymentMinimal = require('../models/EmploymentMinimal');
+const employmentService = require('../services/employmentService');
+const fatigueAnalyticsService = require('../services/fatigueAnalyticsService');
+
+// ?weeks= and ?timezone=, or an error message
+const periodOptions = (req) => {
+    const options = {};
+
+    if (req.query.weeks !== undefined) {
+        const weeks = parseInt(req.query.weeks, 10);
+        if (!(weeks >= 1 && weeks <= fatigueAnalyticsService.maxWeeks)) {
+            return { error: `weeks must be between 1 and ${fatigueAnalyticsService.maxWeeks}` };
+        }
+        options.weeks = weeks;
+    }
+
+    if (req.query.timezone) {
+        const error = fatigueAnalyticsService.validateTimezone(req.query.timezone);
+        if (error) return { error };
+        options.timezone = req.query.timezone;
+    }
+
+    return { options };
+};
+
+// Drivers see their own figures, fleet managers those of the drivers they employ
+const canViewDriver = async (req, driverId) => {
+    if (req.user.role === 'admin' || String(driverId) === String(req.user.id)) return true;
+    if (req.user.role === 'driver') return false;
+    return employmentService.employs(req.user.id, driverId);
+};
+
+// Fatigue metrics and safety score for a driver
+exports.getDriverFatigue = async (req, res) => {
+    try {
+        const { driverId } = req.params;
+        if (!mongoose.isValidObjectId(driverId)) {
+            return res.status(400).json({ message: 'Invalid driverId' });
+        }
+
+        const { options, error } = periodOptions(req);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        if (!(await canViewDriver(req, driverId))) {
+            return res.status(403).json({ message: 'Not authorized to view this driver' });
+        }
+
+        res.json(await fatigueAnalyticsService.forDriver(driverId, options));
+    } catch (error) {
+        console.error('Get driver fatigue error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Fatigue metrics for one trip
+exports.getTripFatigue = async (req, res) => {
+    try {
+        const { tripId } = req.params;
+        if (!mongoose.isValidObjectId(tripId)) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        const { options, error } = periodOptions(req);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const trip = await Trip.findById(tripId)
+            .select('fleetManagerId driverId status statusHistory actualStartDateTime actualEndDateTime')
+            .lean();
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        const isOwner = trip.fleetManagerId.toString() === req.user.id;
+        const isDriver = trip.driverId && trip.driverId.toString() === req.user.id;
+        if (!isOwner && !isDriver && req.user.role !== 'admin') {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json(await fatigueAnalyticsService.forTrip(trip, { timezone: options.timezone }));
+    } catch (error) {
+        console.error('Get trip fatigue error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Safety scores of every driver the fleet manager employs, lowest first
+exports.getFleetFatigue = async (req, res) => {
+    try {
+        const { options, error } = periodOptions(req);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const employments = await EmploymentMinimal.find({ companyId: req.user.id, status: 'ACTIVE' })
+            .select('driverId')
+            .lean();
+
+        // One pass over the logs, trips and incidents of all drivers
+        const metrics = await fatigueAnalyticsService.forDrivers(employments.map(e => e.driverId), options);
+        const drivers = metrics.map(m => ({
+            driverId: m.driverId,
+            safetyScore: m.safetyScore.score,
+            drivingHours: m.drivingHours,
+            drowsyMinutesPerDrivingHour: m.drowsyMinutesPerDrivingHour,
+            incidents: m.incidents.total,
+            worstTimeOfDay: m.worstTimeOfDay,
+            trend: m.trend.direction
+        }));
+
+        // Drivers without a score (too little driving) last
+        drivers.sort((a, b) => (a.safetyScore ?? Infinity) - (b.safetyScore ?? Infinity));
+
+        res.json({
+            drivers,
+            weeks: options.weeks || fatigueAnalyticsService.weeks,
+            timezone: options.timezone || fatigueAnalyticsService.timezone,
+            minDrivingHours: fatigueAnalyticsService.minDrivingHours
+        });
+    } catch (error) {
+        console.error('Get fleet fatigue error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,199 @@
+const Geofence = require('../models/Geofence');
+const GeofenceVisit = require('../models/GeofenceVisit');
+const geofenceService = require('../services/geofenceService');
+
+// Create a geofence (circle or polygon)
+exports.createGeofence = async (req, res) => {
+    try {
+        const { name, description, address, category } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ message: 'name is required' });
+        }
+
+        const shape = geofenceService.buildShape(req.body);
+        if (shape.error) {
+            return res.status(400).json({ message: shape.error });
+        }
+
+        const geofence = await Geofence.create({
+            fleetManagerId: req.user.id,
+            name,
+            description,
+            address,
+            category,
+            shape: shape.shape,
+            geometry: shape.geometry,
+            radiusMeters: shape.radiusMeters
+        });
+
+        res.status(201).json({
+            message: 'Geofence created successfully',
+            geofence
+        });
+    } catch (error) {
+        console.error('Create geofence error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get all geofences for fleet manager
+exports.getGeofences = async (req, res) => {
+    try {
+        const { category, isActive } = req.query;
+
+        const query = { fleetManagerId: req.user.id };
+
+        if (category) {
+            query.category = category;
+        }
+
+        if (isActive !== undefined) {
+            query.isActive = isActive === 'true';
+        }
+
+        const geofences = await Geofence.find(query).sort({ createdAt: -1 });
+
+        res.json({ geofences });
+    } catch (error) {
+        console.error('Get geofences error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get single geofence
+exports.getGeofenceById = async (req, res) => {
+    try {
+        const geofence = await Geofence.findById(req.params.id);
+
+        if (!geofence) {
+            return res.status(404).json({ message: 'Geofence not found' });
+        }
+
+        // Check authorization
+        if (geofence.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json({ geofence });
+    } catch (error) {
+        console.error('Get geofence error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Update geofence
+exports.updateGeofence = async (req, res) => {
+    try {
+        const geofence = await Geofence.findById(req.params.id);
+
+        if (!geofence) {
+            return res.status(404).json({ message: 'Geofence not found' });
+        }
+
+        // Check authorization
+        if (geofence.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const allowedUpdates = ['name', 'description', 'address', 'category', 'isActive'];
+
+        allowedUpdates.forEach(field => {
+            if (req.body[field] !== undefined) {
+                geofence[field] = req.body[field];
+            }
+        });
+
+        // Reshape if any geometry field was sent
+        if (req.body.shape || req.body.center || req.body.radiusMeters !== undefined || req.body.coordinates) {
+            const shape = geofenceService.buildShape({
+                shape: req.body.shape || geofence.shape,
+                center: req.body.center || (geofence.shape === 'circle' ? geofence.geometry.coordinates : undefined),
+                radiusMeters: req.body.radiusMeters !== undefined ? req.body.radiusMeters : geofence.radiusMeters,
+                coordinates: req.body.coordinates || (geofence.shape === 'polygon' ? geofence.geometry.coordinates : undefined)
+            });
+
+            if (shape.error) {
+                return res.status(400).json({ message: shape.error });
+            }
+
+            geofence.shape = shape.shape;
+            geofence.geometry = shape.geometry;
+            geofence.radiusMeters = shape.radiusMeters;
+        }
+
+        await geofence.save();
+
+        res.json({
+            message: 'Geofence updated successfully',
+            geofence
+        });
+    } catch (error) {
+        console.error('Update geofence error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Delete geofence (visit history is kept)
+exports.deleteGeofence = async (req, res) => {
+    try {
+        const geofence = await Geofence.findById(req.params.id);
+
+        if (!geofence) {
+            return res.status(404).json({ message: 'Geofence not found' });
+        }
+
+        // Check authorization
+        if (geofence.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        await geofence.deleteOne();
+
+        res.json({ message: 'Geofence deleted successfully' });
+    } catch (error) {
+        console.error('Delete geofence error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Get dwell-time records (optionally for one geofence, trip or date range)
+exports.getGeofenceVisits = async (req, res) => {
+    try {
+        const { tripId, vehicleId, from, to, open } = req.query;
+
+        const query = { fleetManagerId: req.user.id };
+
+        if (req.params.id) {
+            query.geofenceId = req.params.id;
+        }
+
+        if (tripId) {
+            query.tripId = tripId;
+        }
+
+        if (vehicleId) {
+            query.vehicleId = vehicleId;
+        }
+
+        if (open === 'true') {
+            query.exitedAt = null;
+        }
+
+        if (from || to) {
+            query.enteredAt = {};
+            if (from) query.enteredAt.$gte = new Date(from);
+            if (to) query.enteredAt.$lte = new Date(to);
+        }
+
+        const visits = await GeofenceVisit.find(query)
+            .populate('geofenceId', 'name category shape')
+            .sort({ enteredAt: -1 })
+            .limit(500);
+
+        res.json({ visits });
+    } catch (error) {
+        console.error('Get geofence visits error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
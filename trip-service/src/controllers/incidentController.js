@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const DrowsinessIncident = require('../models/DrowsinessIncident');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const incidentService = require('../services/incidentService');
+const realtimeService = require('../services/realtimeService');
+
+const STATES = ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'];
+
+// Load an incident the fleet manager owns, or send 404 / 403
+const findOwnIncident = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404).json({ message: 'Incident not found' });
+        return null;
+    }
+
+    const incident = await DrowsinessIncident.findById(req.params.id);
+    if (!incident) {
+        res.status(404).json({ message: 'Incident not found' });
+        return null;
+    }
+
+    if (incident.companyId.toString() !== req.user.id) {
+        res.status(403).json({ message: 'Not authorized' });
+        return null;
+    }
+
+    return incident;
+};
+
+// List drowsiness incidents for the fleet manager's drivers
+exports.getIncidents = async (req, res) => {
+    try {
+        const { state, severity, driverId, tripId, startDate, endDate } = req.query;
+        const query = { companyId: req.user.id };
+
+        if (state) {
+            const states = String(state).split(',').map(s => s.trim().toUpperCase());
+            if (states.some(s => !STATES.includes(s))) {
+                return res.status(400).json({ message: `state must be one of: ${STATES.join(', ')}` });
+            }
+            query.state = { $in: states };
+        }
+
+        // Minimum severity
+        if (severity) {
+            const index = incidentService.severities.indexOf(String(severity).toUpperCase());
+            if (index === -1) {
+                return res.status(400).json({ message: `severity must be one of: ${incidentService.severities.join(', ')}` });
+            }
+            query.severity = { $in: incidentService.severities.slice(index) };
+        }
+
+        for (const [key, value] of [['driverId', driverId], ['tripId', tripId]]) {
+            if (value) {
+                if (!mongoose.isValidObjectId(value)) {
+                    return res.status(400).json({ message: `Invalid ${key}` });
+                }
+                query[key] = value;
+            }
+        }
+
+        if (startDate || endDate) {
+            query.startedAt = {};
+            if (startDate) query.startedAt.$gte = new Date(startDate);
+            if (endDate) query.startedAt.$lte = new Date(endDate);
+            if (Object.values(query.startedAt).some(d => isNaN(d))) {
+                return res.status(400).json({ message: 'startDate and endDate must be valid dates' });
+            }
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const incidents = await DrowsinessIncident.find(query)
+            .sort({ startedAt: -1 })
+            .limit(limit);
+
+        res.json({ incidents });
+    } catch (error) {
+        console.error('Get incidents error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get single incident
+exports.getIncidentById = async (req, res) => {
+    try {
+        const incident = await findOwnIncident(req, res);
+        if (!incident) return;
+
+        res.json({ incident });
+    } catch (error) {
+        console.error('Get incident error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Acknowledge an incident (stops escalation)
+exports.acknowledgeIncident = async (req, res) => {
+    try {
+        const incident = await findOwnIncident(req, res);
+        if (!incident) return;
+
+        const error = incidentService.acknowledge(incident, { userId: req.user.id, notes: req.body.notes });
+        if (error) {
+            return res.status(409).json({ message: error, state: incident.state });
+        }
+
+        await incident.save();
+        realtimeService.toFleet(incident.companyId, 'drowsiness-incident-updated', incident.toObject());
+
+        res.json({ message: 'Incident acknowledged', incident });
+    } catch (error) {
+        console.error('Acknowledge incident error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Resolve an incident
+exports.resolveIncident = async (req, res) => {
+    try {
+        const incident = await findOwnIncident(req, res);
+        if (!incident) return;
+
+        const error = incidentService.resolve(incident, { userId: req.user.id, notes: req.body.notes });
+        if (error) {
+            return res.status(409).json({ message: error, state: incident.state });
+        }
+
+        await incident.save();
+        realtimeService.toFleet(incident.companyId, 'drowsiness-incident-updated', incident.toObject());
+
+        res.json({ message: 'Incident resolved', incident });
+    } catch (error) {
+        console.error('Resolve incident error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get the fleet manager's escalation policy (defaults when none is saved)
+exports.getPolicy = async (req, res) => {
+    try {
+        const policy = await incidentService.policyFor(req.user.id);
+        res.json({ policy, isDefault: !policy.createdAt });
+    } catch (error) {
+        console.error('Get escalation policy error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Create or update the fleet manager's escalation policy
+exports.updatePolicy = async (req, res) => {
+    try {
+        const { enabled, minSeverity, notifyFleetManager, supervisor } = req.body;
+        const update = { updatedBy: req.user.id };
+
+        if (enabled !== undefined) update.enabled = enabled === true || enabled === 'true';
+        if (notifyFleetManager !== undefined) {
+            update.notifyFleetManager = notifyFleetManager === true || notifyFleetManager === 'true';
+        }
+
+        if (minSeverity !== undefined) {
+            if (!incidentService.severities.includes(minSeverity)) {
+                return res.status(400).json({ message: `minSeverity must be one of: ${incidentService.severities.join(', ')}` });
+            }
+            update.minSeverity = minSeverity;
+        }
+
+        // null turns a step off
+        for (const key of ['callSupervisorAfterMinutes', 'restStopAfterMinutes']) {
+            if (req.body[key] === undefined) continue;
+            if (req.body[key] === null) {
+                update[key] = null;
+                continue;
+            }
+            const minutes = Number(req.body[key]);
+            if (!Number.isFinite(minutes) || minutes < 0) {
+                return res.status(400).json({ message: `${key} must be a non-negative number of minutes, or null` });
+            }
+            update[key] = minutes;
+        }
+
+        if (supervisor !== undefined) {
+            if (supervisor !== null && typeof supervisor !== 'object') {
+                return res.status(400).json({ message: 'supervisor must be an object with name and phone' });
+            }
+            update.supervisor = { name: supervisor?.name, phone: supervisor?.phone };
+        }
+
+        const policy = await EscalationPolicy.findOneAndUpdate(
+            { companyId: req.user.id },
+            { $set: update },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        res.json({ message: 'Escalation policy saved', policy });
+    } catch (error) {
+        console.error('Update escalation policy error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
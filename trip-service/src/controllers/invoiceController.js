@@ -0,0 +1,246 @@
+const Invoice = require('../models/Invoice');
+const Trip = require('../models/Trip');
+const invoiceService = require('../services/invoiceService');
+const { renderInvoicePdf } = require('../services/invoicePdfService');
+
+// Load an invoice and check it belongs to the fleet manager
+const findOwnInvoice = async (req, res) => {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+        res.status(404).json({ message: 'Invoice not found' });
+        return null;
+    }
+
+    // Check authorization
+    if (invoice.fleetManagerId.toString() !== req.user.id) {
+        res.status(403).json({ message: 'Not authorized' });
+        return null;
+    }
+
+    return invoice;
+};
+
+// Generate an invoice for a completed trip (with optional extra charges)
+exports.createTripInvoice = async (req, res) => {
+    try {
+        const { extraCharges, notes } = req.body;
+
+        const trip = await Trip.findById(req.params.tripId);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (trip.status !== 'completed') {
+            return res.status(400).json({ message: 'Only completed trips can be invoiced' });
+        }
+
+        if (extraCharges !== undefined && (!Array.isArray(extraCharges) ||
+            extraCharges.some(c => !c?.description || isNaN(parseFloat(c.amount))))) {
+            return res.status(400).json({ message: 'extraCharges must be a list of { description, amount }' });
+        }
+
+        const existing = await Invoice.findOne({ tripId: trip._id, type: 'invoice', status: 'issued' });
+        if (existing) {
+            return res.status(409).json({
+                message: `Trip already has invoice ${existing.invoiceNumber}; void it before issuing a new one`,
+                invoice: existing
+            });
+        }
+
+        const invoice = await invoiceService.createForTrip(trip, { extraCharges, notes });
+
+        res.status(201).json({
+            message: 'Invoice created successfully',
+            invoice
+        });
+    } catch (error) {
+        // Another request issued one between the check above and the insert
+        if (invoiceService.isDuplicateTripInvoice(error)) {
+            const existing = await Invoice.findOne({ tripId: req.params.tripId, type: 'invoice', status: 'issued' })
+                .catch(() => null);
+            return res.status(409).json({
+                message: `Trip already has invoice ${existing?.invoiceNumber}; void it before issuing a new one`,
+                invoice: existing
+            });
+        }
+        console.error('Create invoice error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get invoices and credit notes for fleet manager
+exports.getInvoices = async (req, res) => {
+    try {
+        const { status, type, tripId, from, to } = req.query;
+
+        const query = { fleetManagerId: req.user.id };
+
+        if (status) {
+            query.status = status;
+        }
+
+        if (type) {
+            query.type = type;
+        }
+
+        if (tripId) {
+            query.tripId = tripId;
+        }
+
+        if (from || to) {
+            query.issuedAt = {};
+            if (from) query.issuedAt.$gte = new Date(from);
+            if (to) query.issuedAt.$lte = new Date(to);
+        }
+
+        const invoices = await Invoice.find(query)
+            .select('-fareBreakdown')
+            .sort({ issuedAt: -1 })
+            .limit(500);
+
+        res.json({ invoices });
+    } catch (error) {
+        console.error('Get invoices error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get single invoice with its credit notes
+exports.getInvoiceById = async (req, res) => {
+    try {
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) return;
+
+        const creditNotes = invoice.type === 'invoice'
+            ? await Invoice.find({ originalInvoiceId: invoice._id }).sort({ issuedAt: 1 })
+            : [];
+
+        res.json({ invoice, creditNotes });
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Download invoice PDF
+exports.getInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) return;
+
+        const pdf = await renderInvoicePdf(invoice);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Invoice PDF error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Email invoice PDF to the customer (or an override address)
+exports.emailInvoice = async (req, res) => {
+    try {
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) return;
+
+        if (!req.body.email && !invoice.customer?.email) {
+            return res.status(400).json({ message: 'Invoice has no customer email; pass email in the body' });
+        }
+
+        try {
+            await invoiceService.email(invoice, req.body.email);
+        } catch (error) {
+            console.error('Send invoice email error:', error.message);
+            return res.status(502).json({ message: 'Failed to send invoice email', error: error.message });
+        }
+
+        res.json({
+            message: `Invoice emailed to ${invoice.emailedTo}`,
+            invoice
+        });
+    } catch (error) {
+        console.error('Email invoice error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Void an invoice or credit note
+exports.voidInvoice = async (req, res) => {
+    try {
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) return;
+
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Invoice is already void' });
+        }
+
+        // Credit notes against an invoice have to be voided first
+        if (invoice.type === 'invoice') {
+            const credits = await Invoice.countDocuments({ originalInvoiceId: invoice._id, status: 'issued' });
+            if (credits > 0) {
+                return res.status(400).json({ message: 'Void the credit notes issued against this invoice first' });
+            }
+        }
+
+        invoice.status = 'void';
+        invoice.voidedAt = new Date();
+        invoice.voidReason = req.body.reason;
+        await invoice.save();
+
+        res.json({
+            message: 'Invoice voided successfully',
+            invoice
+        });
+    } catch (error) {
+        console.error('Void invoice error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Issue a credit note against an invoice (full remaining amount by default)
+exports.createCreditNote = async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+
+        const invoice = await findOwnInvoice(req, res);
+        if (!invoice) return;
+
+        if (invoice.type !== 'invoice' || invoice.status !== 'issued') {
+            return res.status(400).json({ message: 'Credit notes can only be issued against an issued invoice' });
+        }
+
+        if (!reason) {
+            return res.status(400).json({ message: 'reason is required' });
+        }
+
+        const creditable = await invoiceService.creditableAmount(invoice);
+        const creditAmount = amount !== undefined ? parseFloat(amount) : creditable;
+
+        if (isNaN(creditAmount) || creditAmount <= 0) {
+            return res.status(400).json({ message: 'amount must be a positive number' });
+        }
+
+        if (creditAmount > creditable) {
+            return res.status(400).json({ message: `amount exceeds the creditable balance of ${creditable}` });
+        }
+
+        const creditNote = await invoiceService.createCreditNote(invoice, { amount: creditAmount, reason });
+
+        res.status(201).json({
+            message: 'Credit note created successfully',
+            creditNote
+        });
+    } catch (error) {
+        console.error('Create credit note error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const OutboxMessage = require('../models/OutboxMessage');
+const outboxService = require('../services/outboxService');
+
+// List stuck outbox messages (dead, or undelivered after ?olderThanMinutes)
+exports.getStuckMessages = async (req, res) => {
+    try {
+        const { status, type, fleetManagerId, olderThanMinutes, limit } = req.query;
+
+        if (status && !['pending', 'processing', 'dead'].includes(status)) {
+            return res.status(400).json({ message: 'status must be pending, processing or dead' });
+        }
+
+        if (fleetManagerId && !mongoose.Types.ObjectId.isValid(fleetManagerId)) {
+            return res.status(400).json({ message: 'Invalid fleetManagerId' });
+        }
+
+        const minutes = olderThanMinutes !== undefined ? parseFloat(olderThanMinutes) : undefined;
+        if (minutes !== undefined && (isNaN(minutes) || minutes < 0)) {
+            return res.status(400).json({ message: 'olderThanMinutes must be a non-negative number' });
+        }
+
+        const result = await outboxService.stuck({
+            status,
+            type,
+            fleetManagerId,
+            olderThanMinutes: minutes,
+            limit: Math.min(parseInt(limit, 10) || 100, 500)
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Get stuck outbox messages error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Requeue a pending or dead message and attempt it now
+exports.retryMessage = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+            return res.status(404).json({ message: 'Outbox message not found' });
+        }
+
+        const message = await OutboxMessage.findById(req.params.messageId);
+
+        if (!message) {
+            return res.status(404).json({ message: 'Outbox message not found' });
+        }
+
+        if (!['pending', 'dead'].includes(message.status)) {
+            return res.status(409).json({ message: `Cannot retry a ${message.status} message` });
+        }
+
+        const result = await outboxService.retry([message]);
+
+        res.json({
+            message: result.delivered ? 'Message delivered' : 'Message requeued; delivery failed again',
+            outboxMessage: await OutboxMessage.findById(message._id)
+        });
+    } catch (error) {
+        console.error('Retry outbox message error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,59 @@
+const DriverPresence = require('../models/DriverPresence');
+const EmploymentMinimal = require('../models/EmploymentMinimal');
+const Trip = require('../models/Trip');
+const presenceService = require('../services/presenceService');
+
+const STATUSES = ['ONLINE', 'OFFLINE', 'UNKNOWN'];
+
+// Current presence of every driver the fleet manager employs
+exports.getPresence = async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const employments = await EmploymentMinimal.find({ companyId: req.user.id, status: 'ACTIVE' })
+            .select('driverId')
+            .lean();
+        const driverIds = employments.map(e => e.driverId);
+
+        const [presences, trips] = await Promise.all([
+            DriverPresence.find({ driverId: { $in: driverIds } }).lean(),
+            Trip.find({ driverId: { $in: driverIds }, status: 'in-progress' })
+                .select('driverId vehicleId')
+                .lean()
+        ]);
+
+        const now = new Date();
+        const presenceOf = new Map(presences.map(p => [p.driverId.toString(), p]));
+        const tripOf = new Map(trips.map(t => [t.driverId.toString(), t]));
+
+        const drivers = driverIds.map(driverId => {
+            const presence = presenceOf.get(driverId.toString());
+            const trip = tripOf.get(driverId.toString());
+            const current = presence ? presenceService.statusOf(presence, now) : 'UNKNOWN';
+
+            return {
+                driverId,
+                status: current,
+                connected: current === 'ONLINE' && Boolean(presence?.connected),
+                lastSeenAt: presence?.lastSeenAt || null,
+                lastSource: presence?.lastSource || null,
+                offlineSince: current === 'OFFLINE' ? (presence.offlineSince || presence.lastSeenAt) : null,
+                offlineAlertId: current === 'OFFLINE' ? presence.offlineAlertId : null,
+                tripId: trip?._id || null,
+                vehicleId: trip?.vehicleId || null
+            };
+        });
+
+        res.json({
+            drivers: status ? drivers.filter(d => d.status === status) : drivers,
+            summary: Object.fromEntries(STATUSES.map(s => [s, drivers.filter(d => d.status === s).length])),
+            offlineAfterSeconds: presenceService.offlineAfterSeconds
+        });
+    } catch (error) {
+        console.error('Get presence error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,80 @@
+const Trip = require('../models/Trip');
+const reconciliationService = require('../services/reconciliationService');
+
+const REPORT_FORMATS = ['json', 'csv'];
+
+const sendCsv = (res, filename, csv) => {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+};
+
+// Planned-vs-actual reconciliation for one trip (?format=json|csv)
+exports.getTripReconciliation = async (req, res) => {
+    try {
+        const format = (req.query.format || 'json').toLowerCase();
+
+        if (!REPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `Unsupported format '${format}'. Use one of: ${REPORT_FORMATS.join(', ')}` });
+        }
+
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const reconciliation = await reconciliationService.reconcileTrip(trip);
+
+        if (format === 'csv') {
+            return sendCsv(res, `trip-${trip._id}-reconciliation.csv`, reconciliationService.toCsv([reconciliation]));
+        }
+
+        res.json({ reconciliation });
+    } catch (error) {
+        console.error('Trip reconciliation error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Reconciliation across trips planned to start in a date range
+// (?from=&to=&status=completed|all|...&vehicleId=&driverId=&format=json|csv)
+exports.getReconciliationReport = async (req, res) => {
+    try {
+        const format = (req.query.format || 'json').toLowerCase();
+        const { from, to, status, vehicleId, driverId } = req.query;
+
+        if (!REPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ message: `Unsupported format '${format}'. Use one of: ${REPORT_FORMATS.join(', ')}` });
+        }
+
+        if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+            return res.status(400).json({ message: 'from and to must be valid dates' });
+        }
+
+        const report = await reconciliationService.reconcileRange(req.user.id, {
+            from,
+            to,
+            status: status || 'completed',
+            vehicleId,
+            driverId
+        });
+
+        if (format === 'csv') {
+            if (report.truncated) {
+                res.setHeader('X-Report-Truncated', 'true');
+            }
+            return sendCsv(res, 'trip-reconciliation.csv', reconciliationService.toCsv(report.trips));
+        }
+
+        res.json(report);
+    } catch (error) {
+        console.error('Reconciliation report error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,194 @@
+const TariffPlan = require('../models/TariffPlan');
+const tariffService = require('../services/tariffService');
+
+const EDITABLE_FIELDS = [
+    'name', 'description', 'tripType', 'isDefault', 'isActive', 'currency',
+    'baseFare', 'perKmRate', 'perHourRate', 'minimumCharge', 'nightSurcharge',
+    'waitingCharge', 'longDistanceSurcharge', 'twoWayDiscountPercent',
+    'tollPassThrough', 'gstPercent', 'cancellationFee'
+];
+
+// Only one default plan per trip type: clear the flag on the others
+const clearOtherDefaults = async (plan) => {
+    if (!plan.isDefault) return;
+    await TariffPlan.updateMany(
+        { fleetManagerId: plan.fleetManagerId, tripType: plan.tripType, isDefault: true, _id: { $ne: plan._id } },
+        { $set: { isDefault: false } }
+    );
+};
+
+// Create a tariff plan
+exports.createTariffPlan = async (req, res) => {
+    try {
+        if (!req.body.name) {
+            return res.status(400).json({ message: 'name is required' });
+        }
+
+        const plan = new TariffPlan({ fleetManagerId: req.user.id });
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                plan[field] = req.body[field];
+            }
+        });
+
+        await plan.validate();
+        await clearOtherDefaults(plan);
+        await plan.save();
+
+        res.status(201).json({
+            message: 'Tariff plan created successfully',
+            tariffPlan: plan
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Create tariff plan error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get all tariff plans for fleet manager
+exports.getTariffPlans = async (req, res) => {
+    try {
+        const { tripType, isActive } = req.query;
+
+        const query = { fleetManagerId: req.user.id };
+
+        if (tripType) {
+            query.tripType = tripType;
+        }
+
+        if (isActive !== undefined) {
+            query.isActive = isActive === 'true';
+        }
+
+        const tariffPlans = await TariffPlan.find(query).sort({ isDefault: -1, createdAt: -1 });
+
+        res.json({ tariffPlans });
+    } catch (error) {
+        console.error('Get tariff plans error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get single tariff plan
+exports.getTariffPlanById = async (req, res) => {
+    try {
+        const plan = await TariffPlan.findById(req.params.id);
+
+        if (!plan) {
+            return res.status(404).json({ message: 'Tariff plan not found' });
+        }
+
+        // Check authorization
+        if (plan.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json({ tariffPlan: plan });
+    } catch (error) {
+        console.error('Get tariff plan error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Update tariff plan (existing trip quotes are not re-priced)
+exports.updateTariffPlan = async (req, res) => {
+    try {
+        const plan = await TariffPlan.findById(req.params.id);
+
+        if (!plan) {
+            return res.status(404).json({ message: 'Tariff plan not found' });
+        }
+
+        // Check authorization
+        if (plan.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                plan[field] = req.body[field];
+            }
+        });
+
+        // An archived plan cannot be the default
+        if (!plan.isActive) {
+            plan.isDefault = false;
+        }
+
+        await plan.validate();
+        await clearOtherDefaults(plan);
+        await plan.save();
+
+        res.json({
+            message: 'Tariff plan updated successfully',
+            tariffPlan: plan
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Update tariff plan error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Archive tariff plan (trips priced on it keep billing against it)
+exports.deleteTariffPlan = async (req, res) => {
+    try {
+        const plan = await TariffPlan.findById(req.params.id);
+
+        if (!plan) {
+            return res.status(404).json({ message: 'Tariff plan not found' });
+        }
+
+        // Check authorization
+        if (plan.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        plan.isActive = false;
+        plan.isDefault = false;
+        await plan.save();
+
+        res.json({ message: 'Tariff plan archived successfully' });
+    } catch (error) {
+        console.error('Delete tariff plan error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Price a distance / duration against a plan without creating a trip
+exports.quoteTariffPlan = async (req, res) => {
+    try {
+        const { distance, duration, startDateTime, isTwoWay, stopDwellMinutes, tollCharges } = req.body;
+
+        if (distance === undefined || isNaN(parseFloat(distance))) {
+            return res.status(400).json({ message: 'distance (km) is required' });
+        }
+
+        let plan;
+        try {
+            plan = await tariffService.resolvePlan(req.user.id, { tariffPlanId: req.params.id });
+        } catch (error) {
+            return res.status(404).json({ message: error.message });
+        }
+
+        const multiplier = isTwoWay ? 2 : 1;
+        const fareBreakdown = tariffService.quote(plan, {
+            distance: parseFloat(distance) * multiplier,
+            duration: (parseFloat(duration) || 0) * multiplier,
+            startDateTime,
+            isTwoWay,
+            stopDwellMinutes: Array.isArray(stopDwellMinutes) ? stopDwellMinutes.map(Number) : [],
+            tolls: tollCharges
+        });
+
+        res.json({ amount: fareBreakdown.total, fareBreakdown });
+    } catch (error) {
+        console.error('Quote tariff plan error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,87 @@
+const Trip = require('../models/Trip');
+const TripLocation = require('../models/TripLocation');
+const trackExportService = require('../services/trackExportService');
+const replayService = require('../services/replayService');
+
+const TRACK_FORMATS = {
+    geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+// Get recorded GPS breadcrumb for a trip (GeoJSON, GPX or KML)
+exports.getTripTrack = async (req, res) => {
+    try {
+        const format = (req.query.format || 'geojson').toLowerCase();
+        const { from, to } = req.query;
+
+        if (!TRACK_FORMATS[format]) {
+            return res.status(400).json({
+                message: `Unsupported format '${format}'. Use one of: ${Object.keys(TRACK_FORMATS).join(', ')}`
+            });
+        }
+
+        if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+            return res.status(400).json({ message: 'from and to must be valid dates' });
+        }
+
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const pings = await TripLocation.getTrack(trip._id, { from, to });
+
+        if (format === 'geojson') {
+            return res
+                .type(TRACK_FORMATS.geojson.contentType)
+                .json(trackExportService.toGeoJSON(trip, pings));
+        }
+
+        const body = format === 'gpx'
+            ? trackExportService.toGPX(trip, pings)
+            : trackExportService.toKML(trip, pings);
+
+        res.set('Content-Type', TRACK_FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="trip-${trip._id}.${TRACK_FORMATS[format].extension}"`);
+        res.send(body);
+    } catch (error) {
+        console.error('Get trip track error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Replay a trip: thinned breadcrumb plus stop and drowsiness events on one timeline
+exports.getTripReplay = async (req, res) => {
+    try {
+        const { from, to, maxPoints } = req.query;
+
+        if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+            return res.status(400).json({ message: 'from and to must be valid dates' });
+        }
+
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const replay = await replayService.buildReplay(trip, { from, to, maxPoints });
+
+        res.json({ replay });
+    } catch (error) {
+        console.error('Get trip replay error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
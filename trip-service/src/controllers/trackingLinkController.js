@@ -0,0 +1,121 @@
+const Trip = require('../models/Trip');
+const trackingLinkService = require('../services/trackingLinkService');
+const { ACTIVE_STATUSES } = require('../services/tripStatusService');
+
+// Link details for the fleet manager (the token itself is only returned when created)
+const linkState = (trip) => ({
+    active: trackingLinkService.isActive(trip),
+    createdAt: trip.trackingLink?.createdAt || null,
+    expiresAt: trip.trackingLink?.expiresAt || null,
+    revokedAt: trip.trackingLink?.revokedAt || null,
+    lastViewedAt: trip.trackingLink?.lastViewedAt || null,
+    views: trip.trackingLink?.views || 0
+});
+
+// Create a shareable tracking link for the customer (replaces any existing link)
+exports.createTrackingLink = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (!ACTIVE_STATUSES.includes(trip.status)) {
+            return res.status(400).json({ message: `Cannot share tracking for a ${trip.status} trip` });
+        }
+
+        const { expiresInHours } = req.body;
+        if (expiresInHours !== undefined && !(parseFloat(expiresInHours) > 0)) {
+            return res.status(400).json({ message: 'expiresInHours must be a positive number' });
+        }
+
+        const hadLink = trackingLinkService.isActive(trip);
+        const link = trackingLinkService.create(trip, { userId: req.user.id, expiresInHours });
+        await trip.save();
+
+        // Followers of the replaced link lose access
+        if (hadLink) {
+            trackingLinkService.disconnect(trip._id);
+        }
+
+        res.status(201).json({
+            message: 'Tracking link created',
+            ...link,
+            socket: { namespace: trackingLinkService.namespace, auth: { token: link.token } }
+        });
+    } catch (error) {
+        console.error('Create tracking link error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Current tracking link state for a trip
+exports.getTrackingLink = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id).select('fleetManagerId trackingLink');
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json({ trackingLink: linkState(trip) });
+    } catch (error) {
+        console.error('Get tracking link error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Revoke the trip's tracking link
+exports.revokeTrackingLink = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (!trackingLinkService.revoke(trip)) {
+            return res.status(404).json({ message: 'Trip has no active tracking link' });
+        }
+
+        await trip.save();
+        trackingLinkService.disconnect(trip._id);
+
+        res.json({ message: 'Tracking link revoked', trackingLink: linkState(trip) });
+    } catch (error) {
+        console.error('Revoke tracking link error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Public, token-authenticated trip tracking (no login)
+exports.getPublicTracking = async (req, res) => {
+    try {
+        const trip = await trackingLinkService.resolve(req.params.token, { recordView: true });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ tracking: trackingLinkService.publicView(trip) });
+    } catch (error) {
+        if (error.name === 'TrackingLinkError') {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        console.error('Public tracking error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
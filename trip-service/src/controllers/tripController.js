@@ -1,217 +1,139 @@
 const Trip = require('../models/Trip');
-const mapboxService = require('../services/mapboxService');
-const axios = require('axios');
+const TripLocation = require('../models/TripLocation');
+const routingService = require('../services/routing');
+const routeDeviationService = require('../services/routeDeviationService');
+const geofenceService = require('../services/geofenceService');
+const stopDetectionService = require('../services/stopDetectionService');
+const etaService = require('../services/etaService');
+const routeOptimizationService = require('../services/routeOptimizationService');
+const tariffService = require('../services/tariffService');
+const invoiceService = require('../services/invoiceService');
+const tripBuilderService = require('../services/tripBuilderService');
+const outboxService = require('../services/outboxService');
+const cancellationService = require('../services/cancellationService');
+const tripStatusService = require('../services/tripStatusService');
+const podService = require('../services/podService');
+const trackingLinkService = require('../services/trackingLinkService');
+const realtimeService = require('../services/realtimeService');
+const tripSearchService = require('../services/tripSearchService');
+const fatigueAnalyticsService = require('../services/fatigueAnalyticsService');
 const NotificationClient = require('../services/notificationClient');
 
+// Accept optimize as a body flag or ?optimize=true
+const wantsOptimization = (req) => [req.body.optimize, req.query.optimize].some(v => v === true || v === 'true');
+
+// Route deviation alerts only apply while the trip is being driven, geofence visits until it ends
+const leftStatus = async (trip, previousStatus) => {
+    const changedAt = trip.statusHistory[trip.statusHistory.length - 1].changedAt;
+
+    if (previousStatus === 'in-progress' && trip.status !== 'in-progress') {
+        await routeDeviationService.close(trip, changedAt);
+    }
+    if (tripStatusService.FINAL_STATUSES.includes(trip.status)) {
+        try {
+            await geofenceService.closeVisits(trip, changedAt);
+        } catch (error) {
+            console.error('Geofence visit close error:', error.message);
+        }
+    }
+};
+
+// Apply a status change requested by the current user (throws TripTransitionError)
+const changeStatus = async (req, trip, status) => {
+    const result = tripStatusService.transition(trip, status, {
+        actorId: req.user.id,
+        actorRole: req.user.role,
+        reason: req.body.reason,
+        // Multipart requests (proof of delivery) send the location as text fields
+        location: podService.parseLocation(req.body) || req.body.location
+    });
+    await leftStatus(trip, result.previousStatus);
+    return result;
+};
+
+// Tell the fleet room (and anyone following the customer tracking link) about a status change
+const emitStatusChange = (trip, previousStatus) => {
+    realtimeService.toFleet(trip.fleetManagerId, 'trip-status-changed', {
+        tripId: trip._id,
+        previousStatus,
+        status: trip.status,
+        changedAt: trip.statusHistory[trip.statusHistory.length - 1]?.changedAt
+    });
+    trackingLinkService.publish(trip);
+};
+
+// Trip fields drivers must not see
+const forDriver = (trip) => ({
+    ...trip.toObject(),
+    amountPerKm: undefined,
+    vehicleRent: undefined,
+    amount: undefined,
+    fareBreakdown: undefined,
+    billing: undefined
+});
+
+// Optional sensor reading from a ping; devices send -1 (iOS) or nothing when they have no fix
+const sensorValue = (value) => {
+    const number = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// Reject a proof-of-delivery request, deleting anything it uploaded
+const rejectPod = (req, res, status, body) => {
+    podService.discardUploads(req.files);
+    return res.status(status).json(body);
+};
+
 // Create a new trip
 exports.createTrip = async (req, res) => {
     try {
         const {
-            tripType,
             vehicleId,
             driverId,
-            customerName,
-            customerEmail,
-            customerContact,
-            startDestination,
-            endDestination,
-            stops,
             startDateTime,
-            endDateTime,
-            amountPerKm,
-            vehicleRent,
-            isTwoWay
+            endDateTime
         } = req.body;
 
         // Validate dates
-        const now = new Date();
         const start = new Date(startDateTime);
         const end = new Date(endDateTime);
-        const twoMonthsFromNow = new Date();
-        twoMonthsFromNow.setMonth(now.getMonth() + 2);
-
-        if (start < now) {
-            return res.status(400).json({ message: 'Start date cannot be in the past' });
-        }
-
-        if (start > twoMonthsFromNow) {
-            return res.status(400).json({ message: 'Start date cannot be more than 2 months in the future' });
-        }
 
-        if (end <= start) {
-            return res.status(400).json({ message: 'End date must be after start date' });
+        const invalidSchedule = tripBuilderService.validateSchedule(start, end);
+        if (invalidSchedule) {
+            return res.status(400).json({ message: invalidSchedule });
         }
 
-        // Check for overlapping trips with the same vehicle
-        const vehicleOverlap = await Trip.findOne({
-            vehicleId,
-            status: { $in: ['scheduled', 'in-progress'] },
-            $or: [
-                // New trip starts during existing trip
-                { startDateTime: { $lte: start }, endDateTime: { $gte: start } },
-                // New trip ends during existing trip
-                { startDateTime: { $lte: end }, endDateTime: { $gte: end } },
-                // New trip completely contains existing trip
-                { startDateTime: { $gte: start }, endDateTime: { $lte: end } }
-            ]
-        });
+        // Check for overlapping trips with the same vehicle / driver
+        const conflicts = await tripBuilderService.findConflicts({ vehicleId, driverId, start, end });
 
-        if (vehicleOverlap) {
+        if (conflicts.vehicle) {
             return res.status(400).json({ 
                 message: 'Vehicle is already assigned to another trip during these dates',
-                conflictingTrip: vehicleOverlap._id
+                conflictingTrip: conflicts.vehicle._id
             });
         }
 
-        // Check for overlapping trips with the same driver (if driver is provided)
-        if (driverId) {
-            const driverOverlap = await Trip.findOne({
-                driverId,
-                status: { $in: ['scheduled', 'in-progress'] },
-                $or: [
-                    // New trip starts during existing trip
-                    { startDateTime: { $lte: start }, endDateTime: { $gte: start } },
-                    // New trip ends during existing trip
-                    { startDateTime: { $lte: end }, endDateTime: { $gte: end } },
-                    // New trip completely contains existing trip
-                    { startDateTime: { $gte: start }, endDateTime: { $lte: end } }
-                ]
+        if (conflicts.driver) {
+            return res.status(400).json({ 
+                message: 'Driver is already assigned to another trip during these dates',
+                conflictingTrip: conflicts.driver._id
             });
-
-            if (driverOverlap) {
-                return res.status(400).json({ 
-                    message: 'Driver is already assigned to another trip during these dates',
-                    conflictingTrip: driverOverlap._id
-                });
-            }
-        }
-
-        // Build coordinates array for route calculation
-        const coordinates = [
-            startDestination.location.coordinates,
-            ...(stops || []).map(stop => stop.location.coordinates),
-            endDestination.location.coordinates
-        ];
-
-        // Get route from Mapbox
-        let route = null;
-        let distance = 0;
-        let duration = 0;
-        let suggestedStops = [];
-
-        try {
-            const routeData = await mapboxService.getRoute(coordinates);
-            route = routeData.geometry;
-            distance = routeData.distance;
-            duration = routeData.duration;
-
-            // Apply two-way multiplier if needed
-            if (isTwoWay) {
-                distance = distance * 2;
-                duration = duration * 2;
-            }
-
-            // Generate suggested rest stops
-            suggestedStops = mapboxService.suggestRestStops(route, distance);
-        } catch (error) {
-            console.error('Route calculation error:', error);
-            // Continue without route data
         }
 
-        // Calculate total amount from provided pricing (distance already multiplied if two-way)
-        const calculatedAmount = (distance * (parseFloat(amountPerKm) || 0)) + (parseFloat(vehicleRent) || 0);
-
-        // Create trip
-        const trip = new Trip({
-            tripType,
-            vehicleId,
-            driverId,
-            fleetManagerId: req.user.id,
-            customerName,
-            customerEmail,
-            customerContact,
-            startDestination,
-            endDestination,
-            stops: stops || [],
-            startDateTime,
-            endDateTime,
-            route,
-            distance,
-            duration,
-            amountPerKm: parseFloat(amountPerKm) || 0,
-            vehicleRent: parseFloat(vehicleRent) || 0,
-            amount: calculatedAmount,
-            isTwoWay: isTwoWay || false,
-            suggestedStops
-        });
-
-        await trip.save();
-
-        // Update vehicle status to ASSIGNED
-        try {
-            await axios.patch(
-                `http://vehicle-service:5002/api/vehicles/${vehicleId}/status`,
-                { status: 'ASSIGNED' },
-                { headers: { 'x-user-id': req.user.id } }
-            );
-        } catch (error) {
-            console.error('Error updating vehicle status:', error.message);
-            // Continue even if status update fails
+        // Route, optionally optimise, and price the trip
+        const built = await tripBuilderService.build(req.user.id, req.body, { optimize: wantsOptimization(req) });
+        if (built.error) {
+            return res.status(400).json({ message: built.error });
         }
+        const { trip, optimization } = built;
 
-        // Update driver assignmentStatus to ASSIGNED (if driver is assigned)
-        if (driverId) {
-            try {
-                // Update employment record
-                await axios.patch(
-                    `http://driver-management-service:5003/api/drivers/employments/driver/${driverId}/assignment-status`,
-                    { assignmentStatus: 'ASSIGNED' },
-                    { headers: { 'x-user-id': req.user.id } }
-                );
-
-                // Update user record
-                const userServiceUrl = process.env.USER_SERVICE_URL || 'http://localhost:5001';
-                await axios.put(
-                    `${userServiceUrl}/api/admin/users/${driverId}/internal-update`,
-                    { assignmentStatus: 'ASSIGNED' },
-                    { headers: { 'Content-Type': 'application/json' } }
-                );
-
-                console.log(`Updated driver ${driverId} assignment status to ASSIGNED`);
-            } catch (error) {
-                console.error('Error updating driver assignment status:', error.message);
-                // Continue even if status update fails
-            }
-        }
-
-        // Create notification for trip created
-        try {
-            const formatDate = (date) => {
-                return new Date(date).toLocaleDateString('en-IN', {
-                    day: 'numeric',
-                    month: 'short',
-                    year: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                });
-            };
-
-            await NotificationClient.notifyTripCreated(req.user.id, {
-                tripId: trip._id,
-                startDestination: trip.startDestination.name,
-                endDestination: trip.endDestination.name,
-                scheduledDate: formatDate(trip.startDateTime),
-                tripType: trip.tripType,
-                vehicleId: trip.vehicleId,
-                driverId: trip.driverId
-            });
-        } catch (notifError) {
-            console.error('Failed to send notification:', notifError);
-        }
+        // Save the trip, queue the vehicle / driver ASSIGNED updates together and notify
+        await tripBuilderService.create(trip, req.user.id);
 
         res.status(201).json({
             message: 'Trip created successfully',
-            trip
+            trip,
+            ...(optimization && { optimization })
         });
     } catch (error) {
         console.error('Create trip error:', error);
@@ -219,36 +141,19 @@ exports.createTrip = async (req, res) => {
     }
 };
 
-// Get all trips for fleet manager
+// Get trips for fleet manager, with filters, sorting and cursor pagination (see tripSearchService)
 exports.getTrips = async (req, res) => {
     try {
-        const { status, vehicleId, startDate, endDate } = req.query;
-        
-        const query = { fleetManagerId: req.user.id };
-
-        if (status) {
-            query.status = status;
-        }
-
-        if (vehicleId) {
-            query.vehicleId = vehicleId;
-        }
-
-        if (startDate || endDate) {
-            query.startDateTime = {};
-            if (startDate) {
-                query.startDateTime.$gte = new Date(startDate);
-            }
-            if (endDate) {
-                query.startDateTime.$lte = new Date(endDate);
-            }
+        const search = tripSearchService.parse(req.user.id, req.query);
+        if (search.error) {
+            return res.status(400).json({ message: search.error });
         }
 
         // Don't use populate since vehicle and driver data are in different services
         // Just return the trips with IDs - frontend can fetch details if needed
-        const trips = await Trip.find(query).sort({ createdAt: -1 });
+        const { trips, pageInfo, totals } = await tripSearchService.search(search);
 
-        res.json({ trips });
+        res.json({ trips, pageInfo, totals });
     } catch (error) {
         console.error('Get trips error:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -270,7 +175,7 @@ exports.getTripById = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        res.json({ trip });
+        res.json({ trip, stopPunctuality: trip.getStopPunctuality() });
     } catch (error) {
         console.error('Get trip error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -279,6 +184,11 @@ exports.getTripById = async (req, res) => {
 
 // Update trip
 exports.updateTrip = async (req, res) => {
+    // Cancelling goes through the cancellation policy (reason, fee, release, customer email)
+    if (req.body.status === 'cancelled') {
+        return exports.cancelTrip(req, res);
+    }
+
     try {
         const trip = await Trip.findById(req.params.id);
 
@@ -294,18 +204,28 @@ exports.updateTrip = async (req, res) => {
         // Track previous status for status change logic
         const previousStatus = trip.status;
 
-        // Don't allow updating completed trips unless changing to completed/cancelled
-        if (previousStatus === 'completed' && req.body.status !== 'completed') {
-            return res.status(400).json({ 
-                message: 'Cannot update completed trip' 
+        // Completed, cancelled and aborted trips are read-only
+        if (tripStatusService.FINAL_STATUSES.includes(previousStatus)) {
+            throw new tripStatusService.TripTransitionError(`Cannot update a ${previousStatus} trip`, {
+                from: previousStatus,
+                to: req.body.status || previousStatus
             });
         }
 
-        // Update allowed fields
+        // Resources the trip holds now, released below if they change
+        const previous = {
+            _id: trip._id,
+            fleetManagerId: trip.fleetManagerId,
+            vehicleId: trip.vehicleId,
+            driverId: trip.driverId
+        };
+
+        // Update allowed fields (status goes through the state machine below)
         const allowedUpdates = [
-            'driverId', 'startDateTime', 'endDateTime', 'stops', 'status', 'isTwoWay',
+            'driverId', 'startDateTime', 'endDateTime', 'stops', 'isTwoWay',
             'customerName', 'customerEmail', 'customerContact', 'vehicleId',
-            'startDestination', 'endDestination', 'amountPerKm', 'vehicleRent'
+            'startDestination', 'endDestination', 'amountPerKm', 'vehicleRent',
+            'tariffPlanId', 'tollCharges'
         ];
 
         allowedUpdates.forEach(field => {
@@ -314,10 +234,57 @@ exports.updateTrip = async (req, res) => {
             }
         });
 
+        if (req.body.stops !== undefined) {
+            const tooManyStops = routingService.validateStopCount((trip.stops || []).length);
+            if (tooManyStops) {
+                return res.status(400).json({ message: tooManyStops });
+            }
+        }
+
+        const reassigned = String(previous.vehicleId) !== String(trip.vehicleId) ||
+            String(previous.driverId || '') !== String(trip.driverId || '');
+        const rescheduled = req.body.startDateTime !== undefined || req.body.endDateTime !== undefined;
+
+        // The new vehicle / driver / dates must not overlap another active trip
+        if (reassigned || rescheduled) {
+            const conflicts = await tripBuilderService.findConflicts({
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId,
+                start: trip.startDateTime,
+                end: trip.endDateTime,
+                excludeTripId: trip._id
+            });
+
+            if (conflicts.vehicle) {
+                return res.status(409).json({
+                    message: 'Vehicle is already assigned to another trip during these dates',
+                    conflictingTrip: conflicts.vehicle._id
+                });
+            }
+
+            if (conflicts.driver) {
+                return res.status(409).json({
+                    message: 'Driver is already assigned to another trip during these dates',
+                    conflictingTrip: conflicts.driver._id
+                });
+            }
+        }
+
+        if (req.body.status !== undefined && req.body.status !== previousStatus) {
+            tripStatusService.transition(trip, req.body.status, {
+                actorId: req.user.id,
+                actorRole: req.user.role,
+                reason: req.body.statusReason,
+                location: req.body.location
+            });
+            await leftStatus(trip, previousStatus);
+        }
+
         // Recalculate route if stops, destinations, or pricing changed
         if (req.body.stops || req.body.startDestination || req.body.endDestination || 
             req.body.amountPerKm !== undefined || req.body.vehicleRent !== undefined || 
-            req.body.isTwoWay !== undefined) {
+            req.body.isTwoWay !== undefined || req.body.tariffPlanId !== undefined ||
+            req.body.tollCharges !== undefined) {
             
             const coordinates = [
                 trip.startDestination.location.coordinates,
@@ -326,7 +293,7 @@ exports.updateTrip = async (req, res) => {
             ];
 
             try {
-                const routeData = await mapboxService.getRoute(coordinates);
+                const routeData = await routingService.getRoute(coordinates);
                 trip.route = routeData.geometry;
                 let distance = routeData.distance;
                 let duration = routeData.duration;
@@ -340,55 +307,50 @@ exports.updateTrip = async (req, res) => {
                 trip.distance = distance;
                 trip.duration = duration;
                 
-                // Recalculate amount with updated pricing
-                trip.amount = (distance * trip.amountPerKm) + trip.vehicleRent;
-                
-                trip.suggestedStops = mapboxService.suggestRestStops(trip.route, trip.distance);
+                trip.suggestedStops = routingService.suggestRestStops(trip.route, trip.distance);
             } catch (error) {
                 console.error('Route recalculation error:', error);
             }
-        }
-
-        await trip.save();
 
-        // If status changed to completed or cancelled, reset vehicle and driver statuses
-        if (req.body.status && ['completed', 'cancelled'].includes(req.body.status) && 
-            previousStatus !== req.body.status) {
-            
-            // Reset vehicle status to IDLE
+            // Re-quote with updated pricing
+            let plan;
             try {
-                await axios.patch(
-                    `http://vehicle-service:5002/api/vehicles/${trip.vehicleId}/status`,
-                    { status: 'IDLE' },
-                    { headers: { 'x-user-id': req.user.id } }
-                );
+                plan = await tariffService.resolvePlan(trip.fleetManagerId, {
+                    tariffPlanId: trip.tariffPlanId,
+                    includeInactive: req.body.tariffPlanId === undefined,
+                    tripType: trip.tripType,
+                    amountPerKm: req.body.amountPerKm ?? (trip.amountPerKm || undefined),
+                    vehicleRent: req.body.vehicleRent ?? (trip.vehicleRent || undefined)
+                });
             } catch (error) {
-                console.error('Error resetting vehicle status:', error.message);
+                return res.status(400).json({ message: error.message });
             }
+            trip.fareBreakdown = tariffService.quote(plan, {
+                distance: trip.distance,
+                duration: trip.duration,
+                startDateTime: trip.startDateTime,
+                isTwoWay: trip.isTwoWay,
+                tolls: trip.tollCharges
+            });
+            trip.amount = trip.fareBreakdown.total;
+        }
 
-            // Reset driver assignmentStatus to UNASSIGNED (if driver was assigned)
-            if (trip.driverId) {
-                try {
-                    // Update employment record
-                    await axios.patch(
-                        `http://driver-management-service:5003/api/drivers/employments/driver/${trip.driverId}/assignment-status`,
-                        { assignmentStatus: 'UNASSIGNED' },
-                        { headers: { 'x-user-id': req.user.id } }
-                    );
-
-                    // Update user record
-                    const userServiceUrl = process.env.USER_SERVICE_URL || 'http://localhost:5001';
-                    await axios.put(
-                        `${userServiceUrl}/api/admin/users/${trip.driverId}/internal-update`,
-                        { assignmentStatus: 'UNASSIGNED' },
-                        { headers: { 'Content-Type': 'application/json' } }
-                    );
-
-                    console.log(`Updated driver ${trip.driverId} assignment status to UNASSIGNED`);
-                } catch (error) {
-                    console.error('Error resetting driver assignment status:', error.message);
-                }
-            }
+        // If the trip reached a final status, reset vehicle to IDLE and driver to UNASSIGNED;
+        // a vehicle or driver taken off the trip is released and its replacement assigned
+        const releasing = previousStatus !== trip.status && tripStatusService.FINAL_STATUSES.includes(trip.status);
+
+        const messages = new Map();
+        [
+            ...(reassigned ? outboxService.messagesFor(previous, 'release', req.user.id) : []),
+            ...(releasing || reassigned ? outboxService.messagesFor(trip, releasing ? 'release' : 'assign', req.user.id) : [])
+        ].forEach(message => messages.set(message.resourceKey, message)); // a kept resource gets only its new state
+
+        await outboxService.commit(trip, [...messages.values()]);
+
+        if (previousStatus !== trip.status) {
+            emitStatusChange(trip, previousStatus);
+        } else {
+            trackingLinkService.publish(trip);
         }
 
         // Create notification for trip updated
@@ -419,6 +381,9 @@ exports.updateTrip = async (req, res) => {
             trip
         });
     } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
         console.error('Update trip error:', error);
         res.status(500).json({ message: 'Server error' });
     }
@@ -438,47 +403,8 @@ exports.deleteTrip = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        // Only allow deleting scheduled trips
-        if (trip.status !== 'scheduled') {
-            return res.status(400).json({ 
-                message: 'Cannot delete trip that is in progress or completed' 
-            });
-        }
-
-        // Reset vehicle status to IDLE before deleting
-        try {
-            await axios.patch(
-                `http://vehicle-service:5002/api/vehicles/${trip.vehicleId}/status`,
-                { status: 'IDLE' },
-                { headers: { 'x-user-id': req.user.id } }
-            );
-        } catch (error) {
-            console.error('Error resetting vehicle status:', error.message);
-        }
-
-        // Reset driver assignmentStatus to UNASSIGNED before deleting
-        if (trip.driverId) {
-            try {
-                // Update employment record
-                await axios.patch(
-                    `http://driver-management-service:5003/api/drivers/employments/driver/${trip.driverId}/assignment-status`,
-                    { assignmentStatus: 'UNASSIGNED' },
-                    { headers: { 'x-user-id': req.user.id } }
-                );
-
-                // Update user record
-                const userServiceUrl = process.env.USER_SERVICE_URL || 'http://localhost:5001';
-                await axios.put(
-                    `${userServiceUrl}/api/admin/users/${trip.driverId}/internal-update`,
-                    { assignmentStatus: 'UNASSIGNED' },
-                    { headers: { 'Content-Type': 'application/json' } }
-                );
-
-                console.log(`Updated driver ${trip.driverId} assignment status to UNASSIGNED`);
-            } catch (error) {
-                console.error('Error resetting driver assignment status:', error.message);
-            }
-        }
+        // Only trips that have not started can be deleted (otherwise cancel or abort them)
+        tripStatusService.checkStatus(trip, tripStatusService.DELETABLE_STATUSES, 'delete');
 
         // Store trip data for notification before deleting
         const tripData = {
@@ -489,7 +415,8 @@ exports.deleteTrip = async (req, res) => {
             driverId: trip.driverId
         };
 
-        await trip.deleteOne();
+        // Delete and queue the vehicle IDLE / driver UNASSIGNED updates together
+        await outboxService.commit(trip, outboxService.messagesFor(trip, 'release', req.user.id), { remove: true });
 
         // Create notification for trip deleted
         try {
@@ -500,15 +427,205 @@ exports.deleteTrip = async (req, res) => {
 
         res.json({ message: 'Trip deleted successfully' });
     } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
         console.error('Delete trip error:', error);
         res.status(500).json({ message: 'Server error' });
     }
 };
 
+// Cancel trip with a reason (keeps the trip and its history)
+exports.cancelTrip = async (req, res) => {
+    try {
+        const { reasonCode, note, requestedBy, waiveFee, notifyCustomer } = req.body;
+
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const invalid = cancellationService.validate(trip, { reasonCode, note, requestedBy });
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        const previousStatus = trip.status;
+        const result = await cancellationService.cancel(trip, {
+            reasonCode,
+            note,
+            requestedBy,
+            waiveFee: waiveFee === true,
+            notifyCustomer: notifyCustomer !== false,
+            userId: req.user.id,
+            userRole: req.user.role,
+            location: req.body.location
+        });
+        emitStatusChange(trip, previousStatus);
+
+        realtimeService.toFleet(trip.fleetManagerId, 'trip-cancelled', {
+            tripId: trip._id,
+            reasonCode,
+            cancelledAt: trip.cancellation.cancelledAt
+        });
+
+        try {
+            await NotificationClient.notifyTripCancelled(req.user.id, {
+                tripId: trip._id,
+                startDestination: trip.startDestination.name,
+                endDestination: trip.endDestination.name,
+                reasonCode,
+                fee: result.fee.amount,
+                resourcesReleased: result.released
+            });
+        } catch (notifError) {
+            console.error('Failed to send notification:', notifError);
+        }
+
+        res.json({
+            message: result.released
+                ? 'Trip cancelled successfully'
+                : 'Trip cancelled; releasing the vehicle or driver is queued for retry',
+            trip,
+            cancellationFee: result.fee,
+            resourcesReleased: result.released
+        });
+    } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
+        console.error('Cancel trip error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Retry returning a cancelled trip's vehicle and driver to the pool
+exports.releaseTripResources = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (trip.status !== 'cancelled' || !trip.cancellation?.cancelledAt) {
+            return res.status(400).json({ message: 'Only cancelled trips can have their resources released' });
+        }
+
+        const released = await cancellationService.retryRelease(trip, req.user.id);
+
+        res.status(released ? 200 : 202).json({
+            message: released
+                ? 'Vehicle and driver released'
+                : 'Release not delivered yet; it stays queued and will be retried',
+            resourceRelease: trip.cancellation.resourceRelease
+        });
+    } catch (error) {
+        console.error('Release trip resources error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Dispatch a scheduled trip to its driver
+exports.dispatchTrip = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const { previousStatus } = await changeStatus(req, trip, 'dispatched');
+
+        await trip.save();
+        emitStatusChange(trip, previousStatus);
+
+        res.json({ message: 'Trip dispatched', trip });
+    } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
+        console.error('Dispatch trip error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Abort an in-progress or paused trip (requires a reason)
+exports.abortTrip = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const { previousStatus } = await changeStatus(req, trip, 'aborted');
+
+        // Save and queue the vehicle IDLE / driver UNASSIGNED updates together
+        await outboxService.commit(trip, outboxService.messagesFor(trip, 'release', req.user.id));
+        emitStatusChange(trip, previousStatus);
+
+        res.json({ message: 'Trip aborted', trip });
+    } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
+        console.error('Abort trip error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Status history and the statuses the trip can move to next
+exports.getTripStatusHistory = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id).select('fleetManagerId status statusHistory');
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Check authorization
+        if (trip.fleetManagerId.toString() !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json({
+            status: trip.status,
+            allowedTransitions: tripStatusService.allowedTransitions(trip.status),
+            statusHistory: trip.statusHistory
+        });
+    } catch (error) {
+        console.error('Get trip status history error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 // Calculate route (for preview before creating trip)
 exports.calculateRoute = async (req, res) => {
     try {
-        const { coordinates, tripType } = req.body;
+        const { tripType, timeWindows, startDateTime, optimizeFor, tariffPlanId, amountPerKm, vehicleRent, isTwoWay, tollCharges } = req.body;
+        let { coordinates } = req.body;
 
         if (!coordinates || coordinates.length < 2) {
             return res.status(400).json({ 
@@ -516,19 +633,61 @@ exports.calculateRoute = async (req, res) => {
             });
         }
 
-        const routeData = await mapboxService.getRoute(coordinates);
-        const suggestedStops = mapboxService.suggestRestStops(
+        const tooManyStops = routingService.validateStopCount(coordinates.length - 2);
+        if (tooManyStops) {
+            return res.status(400).json({ message: tooManyStops });
+        }
+
+        // Optionally reorder the intermediate coordinates
+        let optimization = null;
+        if (wantsOptimization(req) && coordinates.length > 3) {
+            optimization = await routeOptimizationService.optimize(coordinates, {
+                objective: optimizeFor,
+                timeWindows: timeWindows || [],
+                departAt: startDateTime
+            });
+            coordinates = [
+                coordinates[0],
+                ...optimization.order.map(i => coordinates[i + 1]),
+                coordinates[coordinates.length - 1]
+            ];
+        }
+
+        const routeData = await routingService.getRoute(coordinates);
+        const suggestedStops = routingService.suggestRestStops(
             routeData.geometry, 
             routeData.distance
         );
-        const amount = mapboxService.calculateAmount(routeData.distance, tripType);
+
+        let plan;
+        try {
+            plan = await tariffService.resolvePlan(req.user.id, {
+                tariffPlanId,
+                tripType,
+                amountPerKm,
+                vehicleRent,
+                fallback: 'system'
+            });
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        const multiplier = isTwoWay ? 2 : 1;
+        const fareBreakdown = tariffService.quote(plan, {
+            distance: routeData.distance * multiplier,
+            duration: routeData.duration * multiplier,
+            startDateTime,
+            isTwoWay,
+            tolls: tollCharges
+        });
 
         res.json({
             route: routeData.geometry,
             distance: routeData.distance,
             duration: routeData.duration,
-            amount,
-            suggestedStops
+            amount: fareBreakdown.total,
+            fareBreakdown,
+            suggestedStops,
+            ...(optimization && { coordinates, optimization })
         });
     } catch (error) {
         console.error('Calculate route error:', error);
@@ -540,29 +699,110 @@ exports.calculateRoute = async (req, res) => {
 exports.updateLocation = async (req, res) => {
     try {
         const { tripId } = req.params;
-        const { longitude, latitude } = req.body;
+        const { longitude, latitude, speed, heading, accuracy, timestamp } = req.body;
 
         if (!longitude || !latitude) {
             return res.status(400).json({ message: 'Longitude and latitude are required' });
         }
 
+        const pingTime = timestamp ? new Date(timestamp) : new Date();
+        if (isNaN(pingTime)) {
+            return res.status(400).json({ message: 'timestamp must be a valid date' });
+        }
+
         const trip = await Trip.findById(tripId);
 
         if (!trip) {
             return res.status(404).json({ message: 'Trip not found' });
         }
 
+        // Only the trip's fleet manager or its driver reports positions
+        const isOwner = trip.fleetManagerId.toString() === req.user.id;
+        const isDriver = trip.driverId && trip.driverId.toString() === req.user.id;
+        if (!isOwner && !isDriver) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        // Pings outside the drive would feed the breadcrumb (and the bill), geofences and alerts
+        tripStatusService.checkStatus(trip, tripStatusService.ON_ROAD_STATUSES, 'record locations for');
+
         // Update current location
         trip.currentLocation = {
             type: 'Point',
             coordinates: [longitude, latitude]
         };
-        trip.lastLocationUpdate = new Date();
+        trip.lastLocationUpdate = pingTime;
+
+        // Check the ping against the planned route corridor
+        let deviation = null;
+        try {
+            deviation = await routeDeviationService.evaluate(
+                trip,
+                [longitude, latitude],
+                trip.lastLocationUpdate
+            );
+        } catch (error) {
+            console.error('Route deviation check error:', error.message);
+        }
+
+        // Evaluate company geofences (enter/exit + dwell records)
+        let geofenceEvents = { inside: [], entered: [], exited: [] };
+        try {
+            geofenceEvents = await geofenceService.evaluate(
+                trip,
+                [longitude, latitude],
+                trip.lastLocationUpdate
+            );
+        } catch (error) {
+            console.error('Geofence evaluation error:', error.message);
+        }
+
+        // Detect stop arrivals/departures (by radius or by a geofence around the stop)
+        let stopEvents = { arrived: [], departed: [] };
+        try {
+            stopEvents = stopDetectionService.evaluate(
+                trip,
+                [longitude, latitude],
+                trip.lastLocationUpdate,
+                (stopCoordinates) => geofenceEvents.inside.some(g => geofenceService.contains(g, stopCoordinates))
+            );
+        } catch (error) {
+            console.error('Stop detection error:', error.message);
+        }
+
+        // Recalculate ETA (throttled; forced when the next stop just changed)
+        let eta = null;
+        try {
+            eta = await etaService.recalculate(trip, [longitude, latitude], trip.lastLocationUpdate, {
+                force: stopEvents.arrived.length > 0 || stopEvents.departed.length > 0
+            });
+        } catch (error) {
+            console.error('ETA recalculation error:', error.message);
+        }
 
         await trip.save();
 
-        // Get Socket.IO instance
-        const io = req.app.get('io');
+        // Append ping to the trip's breadcrumb history
+        try {
+            await TripLocation.create({
+                timestamp: trip.lastLocationUpdate,
+                meta: {
+                    tripId: trip._id,
+                    vehicleId: trip.vehicleId,
+                    driverId: trip.driverId || null
+                },
+                location: {
+                    type: 'Point',
+                    coordinates: [longitude, latitude]
+                },
+                speed: sensorValue(speed),
+                heading: sensorValue(heading),
+                accuracy: sensorValue(accuracy)
+            });
+        } catch (error) {
+            console.error('Error storing location history:', error.message);
+            // Continue - live tracking should not fail because of history
+        }
 
         // Broadcast location update to all clients in the fleet manager's room
         const locationUpdate = {
@@ -573,16 +813,101 @@ exports.updateLocation = async (req, res) => {
                 longitude,
                 latitude
             },
+            speed: sensorValue(speed),
+            heading: sensorValue(heading),
             timestamp: trip.lastLocationUpdate
         };
 
-        io.to(`fleet-${trip.fleetManagerId}`).emit('location-update', locationUpdate);
+        realtimeService.toFleet(trip.fleetManagerId, 'location-update', locationUpdate);
+
+        if (eta) {
+            realtimeService.toFleet(trip.fleetManagerId, 'eta-update', {
+                tripId: trip._id,
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId,
+                eta
+            });
+        }
+
+        // Notify the fleet manager when the vehicle leaves or rejoins the route
+        if (deviation?.raised) {
+            realtimeService.toFleet(trip.fleetManagerId, 'route-deviation', {
+                tripId: trip._id,
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId,
+                alert: deviation.raised
+            });
+        }
+        if (deviation?.cleared) {
+            realtimeService.toFleet(trip.fleetManagerId, 'route-deviation-cleared', {
+                tripId: trip._id,
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId,
+                alert: deviation.cleared
+            });
+        }
+
+        geofenceEvents.entered.forEach(({ geofence, visit }) => {
+            realtimeService.toFleet(trip.fleetManagerId, 'geofence-enter', {
+                tripId: trip._id,
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId,
+                geofence: { _id: geofence._id, name: geofence.name, category: geofence.category },
+                visitId: visit._id,
+                timestamp: visit.enteredAt
+            });
+        });
+
+        geofenceEvents.exited.forEach(({ geofence, visit }) => {
+            realtimeService.toFleet(trip.fleetManagerId, 'geofence-exit', {
+                tripId: trip._id,
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId,
+                geofence: geofence ? { _id: geofence._id, name: geofence.name, category: geofence.category } : { _id: visit.geofenceId },
+                visitId: visit._id,
+                dwellMinutes: visit.dwellMinutes,
+                timestamp: visit.exitedAt
+            });
+        });
+
+        stopEvents.arrived.forEach(stopIndex => {
+            const stop = trip.stops[stopIndex];
+            realtimeService.toFleet(trip.fleetManagerId, 'stop-reached', {
+                tripId: trip._id,
+                stopIndex,
+                name: stop.name,
+                arrivedAt: stop.arrivedAt,
+                arrivalSource: stop.arrivalSource,
+                arrivalVarianceMinutes: stop.arrivalVarianceMinutes ?? null
+            });
+        });
+
+        stopEvents.departed.forEach(stopIndex => {
+            const stop = trip.stops[stopIndex];
+            realtimeService.toFleet(trip.fleetManagerId, 'stop-departed', {
+                tripId: trip._id,
+                stopIndex,
+                name: stop.name,
+                departedAt: stop.departureTime,
+                dwellMinutes: stop.dwellMinutes ?? null
+            });
+        });
+
+        // Customer tracking link: position, ETA and stop progress
+        trackingLinkService.publish(trip);
 
         res.json({
             message: 'Location updated successfully',
-            location: locationUpdate
+            location: locationUpdate,
+            routeDeviation: deviation ? {
+                state: deviation.state,
+                distanceFromRoute: deviation.distance != null ? Math.round(deviation.distance) : null
+            } : null
         });
     } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
         console.error('Update location error:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -593,7 +918,7 @@ exports.getActiveTripsWithLocations = async (req, res) => {
     try {
         const trips = await Trip.find({
             fleetManagerId: req.user.id,
-            status: 'in-progress'
+            status: { $in: tripStatusService.ON_ROAD_STATUSES }
         })
         .select('vehicleId driverId currentLocation lastLocationUpdate startDestination endDestination')
         .populate('vehicleId', 'regnNo vehicleType')
@@ -627,9 +952,9 @@ exports.getDriverAssignedTrips = async (req, res) => {
         // Get trips assigned to this driver
         const trips = await Trip.find({
             driverId: req.user.id,
-            status: { $in: ['scheduled', 'in-progress'] }
+            status: { $in: tripStatusService.ACTIVE_STATUSES }
         })
-        .select('-amountPerKm -vehicleRent -amount') // Exclude pricing details
+        .select('-amountPerKm -vehicleRent -amount -fareBreakdown -billing -tollCharges') // Exclude pricing details
         .sort({ startDateTime: 1 }); // Sort by start date (upcoming first)
 
         console.log('Found trips count:', trips.length);
@@ -660,143 +985,268 @@ exports.startTrip = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized to start this trip' });
         }
 
-        // Check if trip is in scheduled status
-        if (trip.status !== 'scheduled') {
-            return res.status(400).json({ message: 'Trip cannot be started. Current status: ' + trip.status });
-        }
-
-        // Check if current time is within 3 hours of scheduled start time
-        const now = new Date();
-        const scheduledStart = new Date(trip.startDateTime);
-        const diffMinutes = (scheduledStart - now) / (1000 * 60);
-        const threeHoursInMinutes = 3 * 60; // 180 minutes
-
-        if (Math.abs(diffMinutes) > threeHoursInMinutes) {
-            const hours = Math.floor(Math.abs(diffMinutes) / 60);
-            const minutes = Math.floor(Math.abs(diffMinutes) % 60);
-            if (diffMinutes > 0) {
-                return res.status(400).json({ 
-                    message: `Trip cannot be started yet. It is scheduled to start in ${hours}h ${minutes}m. You can only start the trip within 3 hours of the scheduled start time.` 
-                });
-            } else {
-                return res.status(400).json({ 
-                    message: `Trip cannot be started. It was scheduled to start ${hours}h ${minutes}m ago. You can only start the trip within 3 hours of the scheduled start time.` 
-                });
-            }
-        }
+        // Scheduled or dispatched, within 3 hours of the scheduled start time
+        const { previousStatus } = await changeStatus(req, trip, 'in-progress');
 
-        // Update trip status
-        trip.status = 'in-progress';
-        trip.actualStartDateTime = new Date();
-        
         await trip.save();
+        emitStatusChange(trip, previousStatus);
 
         res.json({ 
             message: 'Trip started successfully', 
-            trip: {
-                ...trip.toObject(),
-                amountPerKm: undefined,
-                vehicleRent: undefined,
-                amount: undefined
-            }
+            trip: forDriver(trip)
         });
     } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
         console.error('Start trip error:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
 
-// Update stop status (driver marks location as reached)
+// Pause trip (driver), e.g. for a break or a breakdown
+exports.pauseTrip = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Verify this is the assigned driver
+        if (trip.driverId?.toString() !== req.user.id.toString()) {
+            return res.status(403).json({ message: 'Not authorized to pause this trip' });
+        }
+
+        const { previousStatus } = await changeStatus(req, trip, 'paused');
+
+        await trip.save();
+        emitStatusChange(trip, previousStatus);
+
+        res.json({ message: 'Trip paused', trip: forDriver(trip) });
+    } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
+        console.error('Pause trip error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Resume a paused trip (driver)
+exports.resumeTrip = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id);
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Verify this is the assigned driver
+        if (trip.driverId?.toString() !== req.user.id.toString()) {
+            return res.status(403).json({ message: 'Not authorized to resume this trip' });
+        }
+
+        if (trip.status !== 'paused') {
+            throw new tripStatusService.TripTransitionError('Only a paused trip can be resumed', {
+                from: trip.status,
+                to: 'in-progress'
+            });
+        }
+
+        const { previousStatus } = await changeStatus(req, trip, 'in-progress');
+
+        await trip.save();
+        emitStatusChange(trip, previousStatus);
+
+        res.json({ message: 'Trip resumed', trip: forDriver(trip) });
+    } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
+        console.error('Resume trip error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Update stop status (driver marks location as reached), with optional proof of delivery
+// (multipart: recipientName, otp, signature, photos, location / latitude + longitude)
 exports.updateStopStatus = async (req, res) => {
     try {
         const { id, stopIndex } = req.params;
-        const { location } = req.body;
         
-        const trip = await Trip.findById(id);
+        const trip = await Trip.findById(id).select(req.body.otp ? '+podOtps' : '');
         
         if (!trip) {
-            return res.status(404).json({ message: 'Trip not found' });
+            return rejectPod(req, res, 404, { message: 'Trip not found' });
         }
 
         // Verify this is the assigned driver
         if (trip.driverId.toString() !== req.user.id.toString()) {
-            return res.status(403).json({ message: 'Not authorized to update this trip' });
+            return rejectPod(req, res, 403, { message: 'Not authorized to update this trip' });
         }
 
         // Check if trip is in-progress
-        if (trip.status !== 'in-progress') {
-            return res.status(400).json({ message: 'Trip is not in progress' });
-        }
+        tripStatusService.checkStatus(trip, ['in-progress'], 'update stops of');
 
         // Validate stop index
-        const stopIndexNum = parseInt(stopIndex);
-        if (stopIndexNum < 0 || stopIndexNum >= trip.stops.length) {
-            return res.status(400).json({ message: 'Invalid stop index' });
+        const target = podService.targetOf(trip, stopIndex);
+        if (!target || target.target !== 'stop') {
+            return rejectPod(req, res, 400, { message: 'Invalid stop index' });
         }
 
-        // Update stop status
-        trip.stops[stopIndexNum].status = 'reached';
-        trip.stops[stopIndexNum].arrivedAt = new Date();
+        const now = new Date();
+        const podError = await podService.capture(trip, target, {
+            body: req.body,
+            files: req.files,
+            userId: req.user.id,
+            now
+        });
+        if (podError) {
+            return rejectPod(req, res, 400, { message: podError });
+        }
+
+        // Update stop status (records ETA variance alongside the arrival); a stop
+        // already reached (e.g. by geofence) keeps its arrival and just gets the POD
+        if (trip.stops[target.stopIndex].status === 'pending') {
+            stopDetectionService.markArrived(trip, target.stopIndex, now, 'manual');
+        }
         
         // Update vehicle location if provided
-        if (location && location.coordinates) {
+        const location = podService.parseLocation(req.body);
+        if (location) {
             trip.currentLocation = location;
         }
 
         await trip.save();
+        trackingLinkService.publish(trip);
 
         res.json({ 
             message: 'Stop status updated successfully', 
-            trip: {
-                ...trip.toObject(),
-                amountPerKm: undefined,
-                vehicleRent: undefined,
-                amount: undefined
-            }
+            trip: forDriver(trip)
         });
     } catch (error) {
+        podService.discardUploads(req.files);
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
         console.error('Update stop status error:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
 
-// End trip (driver)
+// Send the customer an OTP to confirm delivery at a stop ({ stopIndex }) or the destination ({ stopIndex: 'end' })
+exports.requestPodOtp = async (req, res) => {
+    try {
+        const trip = await Trip.findById(req.params.id).select('+podOtps');
+
+        if (!trip) {
+            return res.status(404).json({ message: 'Trip not found' });
+        }
+
+        // Verify this is the assigned driver
+        if (trip.driverId?.toString() !== req.user.id.toString()) {
+            return res.status(403).json({ message: 'Not authorized to update this trip' });
+        }
+
+        tripStatusService.checkStatus(trip, ['in-progress'], 'request a delivery OTP for');
+
+        const target = podService.targetOf(trip, req.body.stopIndex);
+        if (!target) {
+            return res.status(400).json({ message: 'Invalid stop index' });
+        }
+
+        if (!trip.customerEmail && !trip.customerContact) {
+            return res.status(400).json({ message: 'Trip has no customer email or contact number' });
+        }
+
+        const { sentTo, expiresAt } = await podService.requestOtp(trip, target);
+        if (!sentTo.length) {
+            return res.status(502).json({ message: 'Failed to send the OTP to the customer' });
+        }
+
+        await trip.save();
+
+        res.json({ message: 'OTP sent to the customer', sentTo, expiresAt });
+    } catch (error) {
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
+        console.error('Request POD OTP error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// End trip (driver), with optional proof of delivery at the destination (multipart, as for stops)
 exports.endTrip = async (req, res) => {
     try {
         const { id } = req.params;
         
-        const trip = await Trip.findById(id);
+        const trip = await Trip.findById(id).select(req.body.otp ? '+podOtps' : '');
         
         if (!trip) {
-            return res.status(404).json({ message: 'Trip not found' });
+            return rejectPod(req, res, 404, { message: 'Trip not found' });
         }
 
         // Verify this is the assigned driver
         if (trip.driverId.toString() !== req.user.id.toString()) {
-            return res.status(403).json({ message: 'Not authorized to end this trip' });
+            return rejectPod(req, res, 403, { message: 'Not authorized to end this trip' });
         }
 
-        // Check if trip is in-progress
-        if (trip.status !== 'in-progress') {
-            return res.status(400).json({ message: 'Trip is not in progress' });
+        // Only an in-progress trip can be completed (a paused one is resumed first)
+        tripStatusService.check(trip, 'completed');
+
+        const podError = await podService.capture(trip, podService.targetOf(trip, 'end'), {
+            body: req.body,
+            files: req.files,
+            userId: req.user.id
+        });
+        if (podError) {
+            return rejectPod(req, res, 400, { message: podError });
         }
 
-        // Update trip status
-        trip.status = 'completed';
-        trip.actualEndDateTime = new Date();
+        const { previousStatus } = await changeStatus(req, trip, 'completed');
 
-        await trip.save();
+        // Final bill from the distance actually driven and the time taken
+        try {
+            trip.billing = await tariffService.computeFinalBill(trip);
+            trip.amount = trip.billing.amount;
+        } catch (error) {
+            console.error('Final billing error:', error.message);
+        }
+
+        // Save and queue the vehicle IDLE / driver UNASSIGNED updates together
+        await outboxService.commit(trip, outboxService.messagesFor(trip, 'release', req.user.id));
+        emitStatusChange(trip, previousStatus);
+
+        // Refresh the driver's safety score in driver-management (the nightly run catches up on failures)
+        if (trip.driverId) {
+            fatigueAnalyticsService.publish(trip.driverId, { tripId: trip._id, fleetManagerId: trip.fleetManagerId })
+                .catch(err => console.error('Safety score publish error:', err.message));
+        }
+
+        // Bill the customer; the fleet manager can re-issue from /api/invoices if this fails
+        try {
+            const invoice = await invoiceService.createForTrip(trip);
+            if (process.env.INVOICE_AUTO_EMAIL === 'true' && invoice.customer?.email) {
+                await invoiceService.email(invoice);
+            }
+        } catch (error) {
+            // Already invoiced (e.g. a retried request) is fine
+            if (!invoiceService.isDuplicateTripInvoice(error)) {
+                console.error('Invoice generation error:', error.message);
+            }
+        }
 
         res.json({ 
             message: 'Trip completed successfully', 
-            trip: {
-                ...trip.toObject(),
-                amountPerKm: undefined,
-                vehicleRent: undefined,
-                amount: undefined
-            }
+            trip: forDriver(trip)
         });
     } catch (error) {
+        podService.discardUploads(req.files);
+        if (error.name === 'TripTransitionError') {
+            return res.status(409).json(error.toJSON());
+        }
         console.error('End trip error:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
@@ -0,0 +1,64 @@
+const tripImportService = require('../services/tripImportService');
+const realtimeService = require('../services/realtimeService');
+
+const isTrue = (value) => value === true || value === 'true';
+
+// Import trips from a CSV / XLSX file (dry run unless dryRun=false)
+exports.importTrips = async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Upload a .csv or .xlsx file in the "file" field' });
+        }
+
+        // Dry run by default, so committing is always a deliberate second step
+        const dryRun = ![req.body.dryRun, req.query.dryRun].some(v => v === false || v === 'false');
+        const timeZone = req.body.timezone || req.query.timezone || process.env.IMPORT_TIMEZONE || 'Asia/Kolkata';
+
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (error) {
+            return res.status(400).json({ message: `Unknown timezone '${timeZone}'` });
+        }
+
+        let rows;
+        try {
+            rows = await tripImportService.readRows(req.file.buffer, req.file.originalname);
+        } catch (error) {
+            return res.status(400).json({ message: `Could not read the file: ${error.message}` });
+        }
+
+        if (!rows.length) {
+            return res.status(400).json({ message: 'The file has no trip rows' });
+        }
+        if (rows.length > tripImportService.maxRows) {
+            return res.status(400).json({ message: `At most ${tripImportService.maxRows} rows can be imported at once` });
+        }
+
+        const report = await tripImportService.import(rows, {
+            fleetManagerId: req.user.id,
+            userId: req.user.id,
+            dryRun,
+            skipInvalid: isTrue(req.body.skipInvalid) || isTrue(req.query.skipInvalid),
+            timeZone
+        });
+
+        if (report.summary.created) {
+            realtimeService.toFleet(req.user.id, 'trips-imported', {
+                created: report.summary.created,
+                tripIds: report.rows.filter(r => r.tripId).map(r => r.tripId)
+            });
+        }
+
+        let message = 'Dry run complete; nothing was created';
+        if (!dryRun) {
+            message = report.committed
+                ? `Imported ${report.summary.created} of ${report.summary.total} trips`
+                : 'Nothing was imported: fix the invalid rows, or pass skipInvalid=true to import the valid ones';
+        }
+
+        res.status(report.summary.created ? 201 : 200).json({ message, ...report });
+    } catch (error) {
+        console.error('Import trips error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -0,0 +1,196 @@
+const TripTemplate = require('../models/TripTemplate');
+const Trip = require('../models/Trip');
+const tripTemplateService = require('../services/tripTemplateService');
+const recurrenceService = require('../services/recurrenceService');
+
+// How many upcoming occurrences to preview on a template
+const PREVIEW_LIMIT = 20;
+
+// Validate the parts of a template that Mongoose cannot
+const validateTemplate = (template) => {
+    return recurrenceService.validate(template.recurrence) ||
+        tripTemplateService.validatePayload(template.payload);
+};
+
+// Load a template and check it belongs to the fleet manager
+const findOwnTemplate = async (req, res) => {
+    const template = await TripTemplate.findById(req.params.id);
+
+    if (!template) {
+        res.status(404).json({ message: 'Trip template not found' });
+        return null;
+    }
+
+    // Check authorization
+    if (template.fleetManagerId.toString() !== req.user.id) {
+        res.status(403).json({ message: 'Not authorized' });
+        return null;
+    }
+
+    return template;
+};
+
+// Create a recurring trip template
+exports.createTemplate = async (req, res) => {
+    try {
+        const { name, description, payload, recurrence, exceptions, horizonDays, isActive } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ message: 'name is required' });
+        }
+
+        const template = new TripTemplate({
+            fleetManagerId: req.user.id,
+            name,
+            description,
+            payload: tripTemplateService.toPayload(payload || {}),
+            recurrence,
+            exceptions,
+            horizonDays,
+            isActive
+        });
+
+        const invalid = validateTemplate(template);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        await template.save();
+
+        // Generate the first trips straight away so conflicts surface immediately; the scheduler does the rest
+        const generation = template.isActive
+            ? await tripTemplateService.generate(template, { limit: tripTemplateService.requestLimit })
+            : null;
+
+        res.status(201).json({
+            message: 'Trip template created successfully',
+            template,
+            ...(generation && {
+                generated: generation.created.map(trip => trip._id),
+                pending: generation.pending,
+                conflicts: generation.conflicts
+            })
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Create trip template error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get all trip templates for fleet manager
+exports.getTemplates = async (req, res) => {
+    try {
+        const query = { fleetManagerId: req.user.id };
+
+        if (req.query.isActive !== undefined) {
+            query.isActive = req.query.isActive === 'true';
+        }
+
+        const templates = await TripTemplate.find(query).sort({ createdAt: -1 });
+
+        res.json({ templates });
+    } catch (error) {
+        console.error('Get trip templates error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Get single template with upcoming occurrences and generated trips
+exports.getTemplateById = async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        const upcoming = tripTemplateService.upcoming(template).slice(0, PREVIEW_LIMIT);
+        const trips = await Trip.find({ templateId: template._id, startDateTime: { $gte: new Date() } })
+            .select('startDateTime endDateTime status templateOccurrence')
+            .sort({ startDateTime: 1 })
+            .limit(PREVIEW_LIMIT);
+
+        res.json({ template, upcoming, trips });
+    } catch (error) {
+        console.error('Get trip template error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Update template (already generated trips are not changed)
+exports.updateTemplate = async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        ['name', 'description', 'recurrence', 'exceptions', 'horizonDays', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                template[field] = req.body[field];
+            }
+        });
+
+        if (req.body.payload !== undefined) {
+            template.payload = tripTemplateService.toPayload(req.body.payload);
+        }
+
+        const invalid = validateTemplate(template);
+        if (invalid) {
+            return res.status(400).json({ message: invalid });
+        }
+
+        // Conflicts were computed for the old settings
+        template.conflicts = [];
+        await template.save();
+
+        res.json({
+            message: 'Trip template updated successfully',
+            template
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Update trip template error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Delete template (generated trips are kept)
+exports.deleteTemplate = async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        await template.deleteOne();
+
+        res.json({ message: 'Trip template deleted successfully' });
+    } catch (error) {
+        console.error('Delete trip template error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// Generate the template's trips now instead of waiting for the scheduler
+exports.generateTemplateTrips = async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        if (!template.isActive) {
+            return res.status(400).json({ message: 'Trip template is paused' });
+        }
+
+        const result = await tripTemplateService.generate(template, { limit: tripTemplateService.requestLimit });
+
+        res.json({
+            message: `${result.created.length} trip(s) created`,
+            created: result.created,
+            skipped: result.skipped,
+            pending: result.pending,
+            conflicts: result.conflicts
+        });
+    } catch (error) {
+        console.error('Generate template trips error:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
@@ -1,5 +1,18 @@
 const jwt = require('jsonwebtoken');
 
+/**
+ * Verify a user JWT (also used for the Socket.IO handshake)
+ * @param {String} token
+ * @returns {Object} User { id, role, ... }
+ * @throws {Error} When the token is missing, invalid or expired
+ */
+const verifyToken = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Handle both formats: { id, role } and { user: { id, role } }
+    return decoded.user ? decoded.user : decoded;
+};
+
 const authMiddleware = (req, res, next) => {
     try {
         let token = req.header('x-auth-token');
@@ -15,17 +28,7 @@ const authMiddleware = (req, res, next) => {
             return res.status(401).json({ message: 'No token, authorization denied' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Debug log to see what's in the token
-        console.log('Decoded user:', decoded);
-
-        // Handle both formats: { id, role } and { user: { id, role } }
-        if (decoded.user) {
-            req.user = decoded.user;
-        } else {
-            req.user = decoded;
-        }
+        req.user = verifyToken(token);
 
         console.log('Setting req.user:', req.user);
 
@@ -55,4 +58,11 @@ const fleetManagerOnly = (req, res, next) => {
     next();
 };
 
-module.exports = { authMiddleware, fleetManagerOnly };
+const adminOnly = (req, res, next) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    }
+    next();
+};
+
+module.exports = { authMiddleware, fleetManagerOnly, adminOnly, verifyToken };
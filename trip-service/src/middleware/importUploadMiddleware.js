@@ -0,0 +1,17 @@
+const multer = require('multer');
+
+// Spreadsheets are parsed in memory, not stored
+const uploadImport = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 * 2 } // 2MB limit
+});
+
+// Single "file" field; upload errors (e.g. too large) are reported as 400 instead of reaching the global handler
+module.exports = (req, res, next) => {
+    uploadImport.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        next();
+    });
+};
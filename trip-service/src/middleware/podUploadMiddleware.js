@@ -0,0 +1,22 @@
+const multer = require('multer');
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const cloudinary = require('../config/cloudinary');
+
+const storage = new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: async (req, file) => {
+        const tripId = req.params.id || 'unknown';
+        const target = req.params.stopIndex !== undefined ? `stop-${req.params.stopIndex}` : 'end';
+        return {
+            folder: `mobitrak/pod/${tripId}/${target}`,
+            allowed_formats: ['jpg', 'jpeg', 'png']
+        };
+    },
+});
+
+const uploadPod = multer({
+    storage: storage,
+    limits: { fileSize: 1024 * 1024 * 5 } // 5MB limit
+});
+
+module.exports = uploadPod;
@@ -35,12 +35,13 @@ const alertSchema = new mongoose.Schema(
      *   INACTIVE  – monitoring turned off
      *   LOW_LIGHT – camera feed too dark for analysis
      *   NO_FACE   – face not detected in frame
-     *   OFFLINE   – driver went offline (no heartbeat)
+     *   OFFLINE   – driver went silent during an in-progress trip (presence sweep)
+     *   OFF_ROUTE – vehicle left the planned route corridor
      */
     status: {
       type: String,
       required: true,
-      enum: ['ALERT', 'DROWSY', 'INACTIVE', 'LOW_LIGHT', 'NO_FACE', 'OFFLINE'],
+      enum: ['ALERT', 'DROWSY', 'INACTIVE', 'LOW_LIGHT', 'NO_FACE', 'OFFLINE', 'OFF_ROUTE'],
       index: true
     },
 
@@ -50,7 +51,14 @@ const alertSchema = new mongoose.Schema(
       default: true
     },
 
-    /** Source of the alert (frame-analysis, session-start, session-stop) */
+    /** Trip the alert relates to (trip-driven alerts such as OFF_ROUTE) */
+    tripId: {
+      type: String,
+      default: null,
+      index: true
+    },
+
+    /** Source of the alert (frame-analysis, session-start, session-stop, route-deviation, presence) */
     source: {
       type: String,
       default: 'frame-analysis'
@@ -76,6 +84,30 @@ const alertSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
       index: true
+    },
+
+    /** Where the vehicle was when the alert was raised (GeoJSON point) */
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
+    },
+
+    /** Alert-specific details (e.g. distanceFromRoute in metres for OFF_ROUTE) */
+    details: {
+      type: Object,
+      default: null
+    },
+
+    /** Set when a condition-based alert clears (e.g. vehicle rejoined the route) */
+    resolvedAt: {
+      type: Date,
+      default: null
     }
   },
   { timestamps: true }
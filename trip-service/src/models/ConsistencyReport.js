@@ -0,0 +1,104 @@
+/**
+ * ConsistencyReport.js
+ * MongoDB model for runs of the vehicle / driver assignment consistency check.
+ * Collection: consistency_reports
+ *
+ * "Is this resource on a trip" is stored three times: Vehicle.status
+ * (vehicle-service), Employment.assignmentStatus (driver-management) and
+ * User.assignmentStatus (user-service). The check derives the expected value
+ * from scheduled / in-progress trips and open maintenance records and lists
+ * every copy that disagrees, with what was done about it.
+ */
+
+const mongoose = require('mongoose');
+
+const mismatchSchema = new mongoose.Schema(
+    {
+        resource: {
+            type: String,
+            enum: ['vehicle', 'employment', 'user'],
+            required: true
+        },
+
+        /** Vehicle ID, or the driver's user ID for employment / user */
+        resourceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+
+        fleetManagerId: mongoose.Schema.Types.ObjectId,
+
+        current: String,
+        expected: String,
+
+        /** Why the expected value, e.g. "in-progress trip 6650..." */
+        reason: String,
+
+        /**
+         * would-fix - dry run
+         * fixed     - update delivered
+         * queued    - update in the outbox, will be retried
+         * failed    - update rejected (see the outbox stuck list)
+         * skipped   - an outbox update for this resource was already pending
+         */
+        action: {
+            type: String,
+            enum: ['would-fix', 'fixed', 'queued', 'failed', 'skipped'],
+            required: true
+        },
+
+        outboxMessageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'OutboxMessage'
+        }
+    },
+    { _id: false }
+);
+
+const consistencyReportSchema = new mongoose.Schema(
+    {
+        trigger: {
+            type: String,
+            enum: ['scheduled', 'manual'],
+            default: 'scheduled'
+        },
+
+        dryRun: {
+            type: Boolean,
+            default: false
+        },
+
+        /** Limits the run to one fleet manager's vehicles and drivers (null = all) */
+        fleetManagerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+
+        startedAt: Date,
+        finishedAt: Date,
+
+        checked: {
+            vehicles: { type: Number, default: 0 },
+            employments: { type: Number, default: 0 },
+            users: { type: Number, default: 0 }
+        },
+
+        mismatches: [mismatchSchema],
+
+        summary: {
+            mismatches: { type: Number, default: 0 },
+            fixed: { type: Number, default: 0 },
+            queued: { type: Number, default: 0 },
+            failed: { type: Number, default: 0 },
+            skipped: { type: Number, default: 0 }
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'consistency_reports'
+    }
+);
+
+consistencyReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ConsistencyReport', consistencyReportSchema);
@@ -0,0 +1,48 @@
+/**
+ * Counter.js
+ * MongoDB model for sequence numbers (e.g. invoice numbers).
+ * Collection: counters
+ *
+ * Each document is one named sequence; `next` increments it atomically so
+ * concurrent requests (or Lambda invocations) never receive the same number.
+ * A number is only gap-free when it is taken in the same transaction as the
+ * document that uses it (see invoiceService.issue).
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema(
+    {
+        /** Sequence name, e.g. "invoice:<fleetManagerId>:2026" */
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        seq: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        collection: 'counters'
+    }
+);
+
+/**
+ * Atomically increment a sequence and return the new value (starts at 1)
+ * @param {String} key
+ * @param {Object} [session] - Transaction to take the number in
+ * @returns {Promise<Number>}
+ */
+counterSchema.statics.next = async function (key, session = null) {
+    const counter = await this.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
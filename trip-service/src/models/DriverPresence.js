@@ -0,0 +1,84 @@
+/**
+ * DriverPresence.js
+ * MongoDB model for when each driver was last heard from.
+ * Collection: driver_presence
+ *
+ * Refreshed by the driver's socket (connect, Socket.IO heartbeats,
+ * disconnect) and by monitoring samples. The presence sweep marks a driver
+ * OFFLINE after PRESENCE_OFFLINE_AFTER_SECONDS of silence; the next signal
+ * brings them back ONLINE.
+ */
+
+const mongoose = require('mongoose');
+
+const driverPresenceSchema = new mongoose.Schema(
+    {
+        /** The driver's user ID */
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true
+        },
+
+        /** Employing fleet manager's company ID at the last signal */
+        companyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+            index: true
+        },
+
+        status: {
+            type: String,
+            enum: ['ONLINE', 'OFFLINE'],
+            default: 'ONLINE'
+        },
+
+        /** Whether a driver socket was open at the last socket event */
+        connected: {
+            type: Boolean,
+            default: false
+        },
+
+        lastSeenAt: {
+            type: Date,
+            required: true
+        },
+
+        /** What the last signal was */
+        lastSource: {
+            type: String,
+            enum: ['socket', 'monitoring']
+        },
+
+        /** Last signal before going OFFLINE */
+        offlineSince: {
+            type: Date,
+            default: null
+        },
+
+        /** In-progress trip when the driver went OFFLINE */
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            default: null
+        },
+
+        /** OFFLINE alert raised for that trip, resolved when the driver is back */
+        offlineAlertId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Alert',
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'driver_presence'
+    }
+);
+
+// Presence sweep
+driverPresenceSchema.index({ status: 1, lastSeenAt: 1 });
+
+module.exports = mongoose.model('DriverPresence', driverPresenceSchema);
@@ -0,0 +1,193 @@
+/**
+ * DrowsinessIncident.js
+ * MongoDB model for drowsiness incidents built from driver monitoring samples.
+ * Collection: drowsiness_incidents
+ *
+ * Consecutive DROWSY / NO_FACE samples from one driver form one incident.
+ * It stays "ongoing" while samples keep arriving, and ends on an ALERT
+ * sample or when samples stop for longer than INCIDENT_SAMPLE_GAP_SECONDS.
+ * Escalation (fleet manager → on-call supervisor → rest stop) follows the
+ * company's EscalationPolicy until a fleet manager acknowledges or resolves
+ * the incident.
+ */
+
+const mongoose = require('mongoose');
+
+const escalationStepSchema = new mongoose.Schema(
+    {
+        action: {
+            type: String,
+            enum: ['NOTIFY_FLEET_MANAGER', 'CALL_SUPERVISOR', 'RECOMMEND_REST_STOP'],
+            required: true
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        },
+        /** How it went out (socket, notification, voice, sms); empty when nothing was sent */
+        channels: [String],
+        /** False when the step was skipped or every channel failed */
+        delivered: {
+            type: Boolean,
+            default: false
+        },
+        detail: String
+    },
+    { _id: false }
+);
+
+const drowsinessIncidentSchema = new mongoose.Schema(
+    {
+        /** The monitored driver's user ID */
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+
+        /** Employing fleet manager's company ID (from employments collection) */
+        companyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+
+        /** The driver's on-road trip when the incident started, if any */
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            default: null
+        },
+
+        vehicleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vehicle',
+            default: null
+        },
+
+        /** True while samples are still being added (at most one per driver) */
+        ongoing: {
+            type: Boolean,
+            default: true
+        },
+
+        startedAt: {
+            type: Date,
+            required: true
+        },
+
+        /** Set when the incident stops growing */
+        endedAt: {
+            type: Date,
+            default: null
+        },
+
+        lastSampleAt: {
+            type: Date,
+            required: true
+        },
+
+        /** Highest PERCLOS seen (0–1) */
+        peakPerclos: {
+            type: Number,
+            min: 0,
+            max: 1,
+            default: 0
+        },
+
+        sampleCount: {
+            type: Number,
+            default: 0
+        },
+
+        /** Samples per monitoring status */
+        samples: {
+            drowsy: { type: Number, default: 0 },
+            noFace: { type: Number, default: 0 }
+        },
+
+        /** From peak PERCLOS and duration; only ever raised */
+        severity: {
+            type: String,
+            enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'],
+            default: 'LOW'
+        },
+
+        /** Where the vehicle was when the incident started (GeoJSON point) */
+        location: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                default: undefined
+            }
+        },
+
+        /** OPEN until a fleet manager acknowledges or resolves it */
+        state: {
+            type: String,
+            enum: ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'],
+            default: 'OPEN'
+        },
+
+        escalation: {
+            /** Steps taken so far (0 = fleet manager not notified yet) */
+            level: {
+                type: Number,
+                default: 0
+            },
+            /** When the fleet manager was notified; later steps are timed from here */
+            notifiedAt: {
+                type: Date,
+                default: null
+            },
+            steps: [escalationStepSchema]
+        },
+
+        /** Rest stop the driver was told to take */
+        restStop: {
+            name: String,
+            address: String,
+            location: {
+                type: {
+                    type: String,
+                    enum: ['Point']
+                },
+                coordinates: {
+                    type: [Number],
+                    default: undefined
+                }
+            },
+            distanceKm: Number,
+            recommendedAt: Date
+        },
+
+        acknowledgedAt: Date,
+        acknowledgedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        /** Fleet manager's note on acknowledge / resolve */
+        notes: String
+    },
+    {
+        timestamps: true,
+        collection: 'drowsiness_incidents'
+    }
+);
+
+// One ongoing incident per driver (concurrent samples cannot open two)
+drowsinessIncidentSchema.index({ driverId: 1 }, { unique: true, partialFilterExpression: { ongoing: true } });
+// Fleet manager incident list
+drowsinessIncidentSchema.index({ companyId: 1, startedAt: -1 });
+// Escalation scheduler
+drowsinessIncidentSchema.index({ state: 1, 'escalation.level': 1, 'escalation.notifiedAt': 1 });
+
+module.exports = mongoose.model('DrowsinessIncident', drowsinessIncidentSchema);
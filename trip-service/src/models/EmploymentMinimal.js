@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Minimal read-only schema for Employment, used by the assignment consistency check, bulk trip import, socket event routing and driver presence
+// This maps to the same 'employments' collection used by driver-management-service
+const employmentMinimalSchema = new mongoose.Schema({
+    driverId: mongoose.Schema.Types.ObjectId,
+    companyId: mongoose.Schema.Types.ObjectId,
+    status: {
+        type: String,
+        enum: ['ACTIVE', 'TERMINATED', 'RESIGNED']
+    },
+    assignmentStatus: {
+        type: String,
+        enum: ['UNASSIGNED', 'ASSIGNED']
+    }
+}, {
+    collection: 'employments'
+});
+
+module.exports = mongoose.model('EmploymentMinimal', employmentMinimalSchema);
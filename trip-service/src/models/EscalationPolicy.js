@@ -0,0 +1,71 @@
+/**
+ * EscalationPolicy.js
+ * MongoDB model for a company's drowsiness incident escalation policy.
+ * Collection: escalation_policies
+ *
+ * Companies without a stored policy get the defaults below.
+ */
+
+const mongoose = require('mongoose');
+
+const escalationPolicySchema = new mongoose.Schema(
+    {
+        /** Fleet manager's company ID */
+        companyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true
+        },
+
+        /** When false incidents are still recorded, but nobody is notified */
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+
+        /** Incidents below this severity are recorded only */
+        minSeverity: {
+            type: String,
+            enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'],
+            default: 'MEDIUM'
+        },
+
+        /** Step 1: push + in-app notification to the fleet manager */
+        notifyFleetManager: {
+            type: Boolean,
+            default: true
+        },
+
+        /** Step 2: minutes after step 1, still unacknowledged (null = never) */
+        callSupervisorAfterMinutes: {
+            type: Number,
+            min: 0,
+            default: 5
+        },
+
+        /** Step 3: minutes after step 1, still unacknowledged (null = never) */
+        restStopAfterMinutes: {
+            type: Number,
+            min: 0,
+            default: 10
+        },
+
+        /** On-call supervisor for step 2 */
+        supervisor: {
+            name: String,
+            phone: String
+        },
+
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'escalation_policies'
+    }
+);
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
@@ -0,0 +1,89 @@
+/**
+ * Geofence.js
+ * MongoDB model for fleet manager defined areas (depots, customer sites, ...).
+ * Collection: geofences
+ *
+ * Shape Design:
+ *   - circle:  geometry is the centre Point, radiusMeters holds the radius
+ *   - polygon: geometry is a GeoJSON Polygon (single outer ring)
+ *
+ * Both shapes share the same 2dsphere-indexed `geometry` field so a ping can be
+ * matched with one $geoIntersects (polygons) and one $geoNear (circles) query.
+ */
+
+const mongoose = require('mongoose');
+
+const geofenceSchema = new mongoose.Schema(
+    {
+        /** Owning fleet manager's user ID */
+        fleetManagerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+
+        description: {
+            type: String,
+            trim: true
+        },
+
+        address: String,
+
+        /** What the area represents (used for display and reporting) */
+        category: {
+            type: String,
+            enum: ['depot', 'customer-site', 'fuel-station', 'rest-area', 'restricted', 'other'],
+            default: 'other'
+        },
+
+        shape: {
+            type: String,
+            enum: ['circle', 'polygon'],
+            required: true
+        },
+
+        /** Point (circle centre) or Polygon, [longitude, latitude] order */
+        geometry: {
+            type: {
+                type: String,
+                enum: ['Point', 'Polygon'],
+                required: true
+            },
+            coordinates: {
+                type: mongoose.Schema.Types.Mixed,
+                required: true
+            }
+        },
+
+        /** Radius for circle geofences, in metres */
+        radiusMeters: {
+            type: Number,
+            min: 1,
+            required: function () {
+                return this.shape === 'circle';
+            }
+        },
+
+        /** Inactive geofences are kept for history but not evaluated */
+        isActive: {
+            type: Boolean,
+            default: true
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'geofences'
+    }
+);
+
+geofenceSchema.index({ geometry: '2dsphere' });
+geofenceSchema.index({ fleetManagerId: 1, isActive: 1 });
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
@@ -0,0 +1,89 @@
+/**
+ * GeofenceVisit.js
+ * MongoDB model for a vehicle's stay inside a geofence during a trip.
+ * Collection: geofence_visits
+ *
+ * A visit is opened on geofence-enter and closed on geofence-exit. Open visits
+ * (exitedAt = null) are the source of truth for "which fences is this trip in".
+ */
+
+const mongoose = require('mongoose');
+
+const geofenceVisitSchema = new mongoose.Schema(
+    {
+        geofenceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Geofence',
+            required: true,
+            index: true
+        },
+
+        /** Geofence owner, duplicated for company-wide queries */
+        fleetManagerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: true,
+            index: true
+        },
+
+        vehicleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vehicle'
+        },
+
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+
+        enteredAt: {
+            type: Date,
+            required: true
+        },
+
+        exitedAt: {
+            type: Date,
+            default: null
+        },
+
+        /** Time spent inside, filled in on exit */
+        dwellMinutes: {
+            type: Number,
+            default: null
+        },
+
+        entryLocation: {
+            type: [Number], // [longitude, latitude]
+            default: undefined
+        },
+
+        exitLocation: {
+            type: [Number], // [longitude, latitude]
+            default: undefined
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'geofence_visits'
+    }
+);
+
+// Open visits for a trip are looked up on every ping
+geofenceVisitSchema.index({ tripId: 1, exitedAt: 1 });
+geofenceVisitSchema.index({ geofenceId: 1, enteredAt: -1 });
+
+// At most one open visit per trip and fence, even when pings are processed concurrently
+geofenceVisitSchema.index(
+    { tripId: 1, geofenceId: 1 },
+    { unique: true, partialFilterExpression: { exitedAt: { $type: 'null' } } }
+);
+
+module.exports = mongoose.model('GeofenceVisit', geofenceVisitSchema);
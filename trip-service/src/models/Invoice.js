@@ -0,0 +1,167 @@
+/**
+ * Invoice.js
+ * MongoDB model for customer invoices and credit notes.
+ * Collection: invoices
+ *
+ * An invoice is issued for a completed trip from its final bill (actual
+ * distance and time priced by the tariff plan) plus any extra charges.
+ * Invoices are never edited once issued: mistakes are corrected by voiding
+ * the invoice or by issuing a credit note against it (type 'credit-note',
+ * originalInvoiceId set, positive amounts that reduce what is owed).
+ */
+
+const mongoose = require('mongoose');
+
+const lineItemSchema = new mongoose.Schema(
+    {
+        description: { type: String, required: true },
+        quantity: { type: Number, default: 1 },
+        unit: String, // 'km', 'hours', 'minutes', ...
+        unitPrice: Number,
+        amount: { type: Number, required: true },
+        /** Whether GST applies to this line (tolls are passed through untaxed) */
+        taxable: { type: Boolean, default: true }
+    },
+    { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+    {
+        /** Per fleet manager, per year: INV-2026-000001 / CN-2026-000001 */
+        invoiceNumber: {
+            type: String,
+            required: true
+        },
+
+        type: {
+            type: String,
+            enum: ['invoice', 'credit-note'],
+            default: 'invoice'
+        },
+
+        status: {
+            type: String,
+            enum: ['issued', 'void'],
+            default: 'issued'
+        },
+
+        fleetManagerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: true,
+            index: true
+        },
+
+        /** Credit notes: the invoice being credited */
+        originalInvoiceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice',
+            default: null
+        },
+
+        customer: {
+            name: String,
+            email: String,
+            contact: String
+        },
+
+        /** Snapshot of the trip at invoicing time */
+        tripSummary: {
+            tripType: String,
+            from: String,
+            to: String,
+            startedAt: Date,
+            endedAt: Date,
+            distance: Number, // km, actual
+            duration: Number, // minutes, actual
+            isTwoWay: Boolean
+        },
+
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+
+        lineItems: [lineItemSchema],
+
+        /** Sum of taxable lines */
+        subtotal: {
+            type: Number,
+            default: 0
+        },
+
+        gstPercent: {
+            type: Number,
+            default: 0
+        },
+
+        gst: {
+            type: Number,
+            default: 0
+        },
+
+        /** Sum of untaxed pass-through lines (tolls) */
+        passThrough: {
+            type: Number,
+            default: 0
+        },
+
+        total: {
+            type: Number,
+            required: true
+        },
+
+        /** Tariff breakdown the invoice was built from */
+        fareBreakdown: {
+            type: Object,
+            default: null
+        },
+
+        notes: String,
+
+        /** Credit notes: why the credit was issued */
+        reason: String,
+
+        issuedAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        emailedAt: {
+            type: Date,
+            default: null
+        },
+
+        emailedTo: String,
+
+        voidedAt: {
+            type: Date,
+            default: null
+        },
+
+        voidReason: String
+    },
+    {
+        timestamps: true,
+        collection: 'invoices'
+    }
+);
+
+invoiceSchema.index({ fleetManagerId: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ fleetManagerId: 1, issuedAt: -1 });
+
+// At most one issued invoice per trip (voided ones and credit notes don't count);
+// keyed apart from the plain tripId index so both can exist
+invoiceSchema.index(
+    { tripId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { type: 'invoice', status: 'issued' } }
+);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
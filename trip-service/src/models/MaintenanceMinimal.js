@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Minimal read-only schema for MaintenanceRecord, used by the assignment consistency check
+// This maps to the same 'maintenancerecords' collection used by vehicle-service
+const maintenanceMinimalSchema = new mongoose.Schema({
+    vehicleId: mongoose.Schema.Types.ObjectId,
+    businessId: mongoose.Schema.Types.ObjectId,
+    status: {
+        type: String,
+        enum: ['SCHEDULED', 'IN_PROGRESS', 'COMPLETED']
+    },
+    schedule: {
+        plannedStartDate: Date,
+        plannedEndDate: Date
+    }
+}, {
+    collection: 'maintenancerecords'
+});
+
+module.exports = mongoose.model('MaintenanceMinimal', maintenanceMinimalSchema);
@@ -0,0 +1,113 @@
+/**
+ * OutboxMessage.js
+ * MongoDB model for status updates owed to other services (transactional outbox).
+ * Collection: outbox_messages
+ *
+ * A message is written in the same transaction as the trip change that
+ * causes it (e.g. trip created → vehicle ASSIGNED), then delivered by the
+ * outbox dispatcher with retries and backoff. Every call sets an absolute
+ * value (a status or a score), so delivering a message twice is harmless;
+ * the receiving services do not deduplicate on the idempotency key.
+ *
+ * Messages for the same resource are last-write-wins: queuing a new one
+ * supersedes any older message for that resource still waiting to be sent.
+ */
+
+const mongoose = require('mongoose');
+
+const outboxMessageSchema = new mongoose.Schema(
+    {
+        /** Unique per message, sent as the Idempotency-Key header for tracing */
+        idempotencyKey: {
+            type: String,
+            required: true,
+            unique: true
+        },
+
+        /** Which downstream call delivers it */
+        type: {
+            type: String,
+            enum: ['vehicle-status', 'employment-assignment', 'user-assignment', 'driver-safety-score'],
+            required: true
+        },
+
+        /** Resource whose state is being set, e.g. "vehicle:<id>" (supersede key) */
+        resourceKey: {
+            type: String,
+            required: true
+        },
+
+        /** What produced it: a trip change, the consistency check, or a safety score update */
+        event: {
+            type: String,
+            enum: ['assign', 'release', 'reconcile', 'safety-score'],
+            required: true
+        },
+
+        /** Request body, e.g. { status: 'IDLE' }, { assignmentStatus: 'UNASSIGNED' } or { score, ... } */
+        payload: {
+            type: Object,
+            required: true
+        },
+
+        tripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            index: true
+        },
+
+        fleetManagerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+
+        /** User that made the trip change (sent as x-user-id) */
+        actorId: String,
+
+        /**
+         * pending     - waiting for (another) attempt at nextAttemptAt
+         * processing  - claimed by a dispatcher until lockedUntil
+         * delivered   - downstream accepted it
+         * dead        - gave up (max attempts or a non-retryable response)
+         * superseded  - a newer message for the same resource replaced it
+         */
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'delivered', 'dead', 'superseded'],
+            default: 'pending'
+        },
+
+        attempts: {
+            type: Number,
+            default: 0
+        },
+
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now
+        },
+
+        lockedUntil: {
+            type: Date,
+            default: null
+        },
+
+        lastError: String,
+        lastStatusCode: Number,
+
+        deliveredAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'outbox_messages'
+    }
+);
+
+// Dispatcher claim query and stuck-message listing
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ resourceKey: 1, status: 1 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,142 @@
+/**
+ * TariffPlan.js
+ * MongoDB model for per-company pricing plans.
+ * Collection: tariff_plans
+ *
+ * A plan is owned by a fleet manager and applies to one trip type (or 'any').
+ * The plan flagged isDefault is used when a trip or quote does not name one.
+ * All money values are in the plan currency; rates are per km / per hour.
+ */
+
+const mongoose = require('mongoose');
+
+const tariffPlanSchema = new mongoose.Schema(
+    {
+        /** Owning fleet manager's user ID */
+        fleetManagerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+
+        description: {
+            type: String,
+            trim: true
+        },
+
+        /** Trip type the plan applies to */
+        tripType: {
+            type: String,
+            enum: ['commercial', 'passenger', 'any'],
+            default: 'any'
+        },
+
+        /** Used when no tariffPlanId is given for the trip type */
+        isDefault: {
+            type: Boolean,
+            default: false
+        },
+
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+
+        currency: {
+            type: String,
+            default: 'INR'
+        },
+
+        /** Flat charge per trip */
+        baseFare: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+
+        perKmRate: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+
+        perHourRate: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+
+        /** Fare (before GST and tolls) is never lower than this */
+        minimumCharge: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+
+        /** Percentage on the fare for trips starting inside the night window */
+        nightSurcharge: {
+            percent: { type: Number, min: 0, default: 0 },
+            startHour: { type: Number, min: 0, max: 23, default: 22 },
+            endHour: { type: Number, min: 0, max: 23, default: 6 }
+        },
+
+        /** Charge for time spent at stops beyond the free allowance (per stop) */
+        waitingCharge: {
+            freeMinutes: { type: Number, min: 0, default: 15 },
+            perMinuteRate: { type: Number, min: 0, default: 0 }
+        },
+
+        /** Percentage on the distance charge above a distance threshold */
+        longDistanceSurcharge: {
+            thresholdKm: { type: Number, min: 0, default: 0 },
+            percent: { type: Number, min: 0, default: 0 }
+        },
+
+        /** Discount on the distance charge for two-way trips */
+        twoWayDiscountPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0
+        },
+
+        /** Whether toll charges recorded on the trip are added to the bill */
+        tollPassThrough: {
+            type: Boolean,
+            default: true
+        },
+
+        /**
+         * Charged when a customer cancels later than freeBeforeMinutes before the
+         * planned start: flat amount plus a percentage of the quoted fare
+         */
+        cancellationFee: {
+            flat: { type: Number, min: 0, default: 0 },
+            percentOfFare: { type: Number, min: 0, max: 100, default: 0 },
+            freeBeforeMinutes: { type: Number, min: 0, default: 60 }
+        },
+
+        /** GST percentage applied to the fare (tolls are not taxed) */
+        gstPercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'tariff_plans'
+    }
+);
+
+tariffPlanSchema.index({ fleetManagerId: 1, tripType: 1, isDefault: 1 });
+
+module.exports = mongoose.model('TariffPlan', tariffPlanSchema);
@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 
+// Proof of delivery, captured by the driver at a stop or at the trip end
+const podSchema = new mongoose.Schema({
+    recipientName: {
+        type: String,
+        trim: true
+    },
+    // Cloudinary uploads
+    signature: {
+        url: String,
+        publicId: String
+    },
+    photos: [{
+        url: String,
+        publicId: String,
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    otpVerified: {
+        type: Boolean,
+        default: false
+    },
+    otpVerifiedAt: Date,
+    // Where the driver was when capturing it
+    location: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            default: undefined
+        }
+    },
+    notes: String,
+    capturedAt: Date,
+    capturedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
 const stopSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -17,13 +60,32 @@ const stopSchema = new mongoose.Schema({
         }
     },
     address: String,
-    arrivalTime: Date,
-    departureTime: Date,
+    // Optional delivery window, honoured by route optimisation
+    timeWindow: {
+        start: Date,
+        end: Date
+    },
+    serviceMinutes: Number, // Expected time spent at the stop (route optimisation)
+    arrivalTime: Date, // Planned arrival time (optional, used as the ETA when set)
+    departureTime: Date, // Actual departure time
     arrivedAt: Date, // Actual arrival time
     status: {
         type: String,
         enum: ['pending', 'reached', 'departed'],
         default: 'pending'
+    },
+    // How the arrival was recorded
+    arrivalSource: {
+        type: String,
+        enum: ['manual', 'geofence', 'auto'],
+        default: undefined
+    },
+    expectedArrival: Date, // ETA the arrival was measured against
+    arrivalVarianceMinutes: Number, // arrivedAt - expectedArrival (positive = late)
+    dwellMinutes: Number, // departureTime - arrivedAt
+    pod: {
+        type: podSchema,
+        default: undefined
     }
 });
 
@@ -137,15 +199,173 @@ const tripSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Pricing plan used for the quote and final bill (null = company default / trip pricing)
+    tariffPlanId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TariffPlan',
+        default: null
+    },
+    tollCharges: {
+        type: Number,
+        default: 0
+    },
+    // Quote breakdown from tariffService.quote at creation / last update
+    fareBreakdown: {
+        type: Object,
+        default: null
+    },
+    // Final bill from actual distance and time, computed when the trip ends
+    billing: {
+        amount: Number,
+        breakdown: Object,
+        actualDistance: Number, // km
+        distanceSource: {
+            type: String,
+            enum: ['tracked', 'capped', 'planned']
+        },
+        actualDuration: Number, // minutes
+        computedAt: {
+            type: Date,
+            default: null
+        }
+    },
     isTwoWay: {
         type: Boolean,
         default: false
     },
+    // Set on trips generated from a recurring TripTemplate
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TripTemplate',
+        default: null
+    },
+    // Planned start of the template occurrence (unchanged if the trip is rescheduled)
+    templateOccurrence: {
+        type: Date,
+        default: null
+    },
+    // Changed only through tripStatusService.transition (see there for the allowed moves)
     status: {
         type: String,
-        enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
+        enum: ['scheduled', 'dispatched', 'in-progress', 'paused', 'completed', 'cancelled', 'aborted'],
         default: 'scheduled'
     },
+    // Status History (one entry per transition, the first for creation)
+    statusHistory: [{
+        status: {
+            type: String,
+            enum: ['scheduled', 'dispatched', 'in-progress', 'paused', 'completed', 'cancelled', 'aborted']
+        },
+        previousStatus: String,
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        actorRole: String, // 'fleetmanager', 'driver', 'system', ...
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        reason: {
+            type: String
+        },
+        // Where the vehicle was (request location, else the last ping)
+        location: {
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                default: undefined
+            }
+        }
+    }],
+    // Proof of delivery at the final destination (PUT /api/trips/driver/:id/end)
+    deliveryPod: {
+        type: podSchema,
+        default: undefined
+    },
+    // Customer OTPs for proof of delivery, one per stop / the trip end (hashed)
+    podOtps: {
+        type: [{
+            target: {
+                type: String,
+                enum: ['stop', 'end'],
+                required: true
+            },
+            stopIndex: Number,
+            codeHash: String,
+            expiresAt: Date,
+            attempts: {
+                type: Number,
+                default: 0
+            },
+            sentTo: [String],
+            sentAt: Date,
+            verifiedAt: Date
+        }],
+        select: false
+    },
+    // Public tracking link for the customer (POST /api/trips/:id/tracking-link);
+    // creating a new link replaces the previous one
+    trackingLink: {
+        tokenId: String, // jti of the signed token
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: Date,
+        expiresAt: Date,
+        revokedAt: Date,
+        lastViewedAt: Date,
+        views: Number
+    },
+    // Set by POST /api/trips/:id/cancel
+    cancellation: {
+        reasonCode: {
+            type: String,
+            enum: [
+                'customer-request', 'customer-no-show', 'vehicle-breakdown',
+                'driver-unavailable', 'weather', 'duplicate', 'operational', 'other'
+            ]
+        },
+        note: String,
+        // Party that asked for the cancellation
+        requestedBy: {
+            type: String,
+            enum: ['customer', 'fleet-manager', 'driver']
+        },
+        // User who performed it
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        cancelledAt: Date,
+        previousStatus: String,
+        fee: {
+            type: Number,
+            default: 0
+        },
+        feeWaived: Boolean,
+        customerNotifiedAt: Date,
+        // Progress of returning the vehicle / driver to the pool, kept in step with the outbox
+        // ('superseded' = a later trip change set the resource's status first)
+        resourceRelease: {
+            vehicle: {
+                status: { type: String, enum: ['pending', 'released', 'failed', 'superseded'] },
+                attempts: Number,
+                lastError: String,
+                releasedAt: Date
+            },
+            driver: {
+                status: { type: String, enum: ['pending', 'released', 'failed', 'superseded', 'not-required'] },
+                attempts: Number,
+                lastError: String,
+                releasedAt: Date
+            }
+        }
+    },
     suggestedStops: [{
         name: String,
         location: {
@@ -172,9 +392,81 @@ const tripSchema = new mongoose.Schema({
     lastLocationUpdate: {
         type: Date,
         default: null
+    },
+    // Live ETA for in-progress trips, maintained by etaService
+    eta: {
+        nextStopIndex: {
+            type: Number, // null when all stops are done
+            default: null
+        },
+        nextStopDistance: Number, // km
+        nextStopDuration: Number, // minutes
+        nextStopEta: Date,
+        destinationDistance: Number, // km
+        destinationDuration: Number, // minutes
+        destinationEta: Date,
+        source: {
+            type: String, // routing provider name, or 'fallback' for the straight-line estimate
+            enum: ['mapbox', 'osrm', 'graphhopper', 'stub', 'fallback']
+        },
+        calculatedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Route corridor state, maintained by routeDeviationService on each ping
+    routeDeviation: {
+        isOffRoute: {
+            type: Boolean,
+            default: false
+        },
+        offRouteSince: {
+            type: Date, // First ping outside the corridor
+            default: null
+        },
+        lastDistance: {
+            type: Number, // metres from the planned route at the last ping
+            default: null
+        },
+        alertId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Alert',
+            default: null
+        }
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    // OTP hashes never leave the service, even when selected with +podOtps
+    toJSON: { transform: (doc, ret) => { delete ret.podOtps; return ret; } },
+    toObject: { transform: (doc, ret) => { delete ret.podOtps; return ret; } }
+});
+
+// Per-stop ETA vs actual arrival summary
+tripSchema.methods.getStopPunctuality = function () {
+    return (this.stops || []).map((stop, index) => ({
+        stopIndex: index,
+        name: stop.name,
+        status: stop.status,
+        expectedArrival: stop.expectedArrival || stop.arrivalTime || null,
+        arrivedAt: stop.arrivedAt || null,
+        departedAt: stop.status === 'departed' ? stop.departureTime : null,
+        arrivalVarianceMinutes: stop.arrivalVarianceMinutes ?? null,
+        dwellMinutes: stop.dwellMinutes ?? null,
+        arrivalSource: stop.arrivalSource || null
+    }));
+};
+
+// Record the initial status so the history covers the whole lifecycle
+tripSchema.pre('save', function (next) {
+    if (this.isNew && !this.statusHistory.length) {
+        this.statusHistory.push({
+            status: this.status,
+            changedBy: this.fleetManagerId,
+            changedAt: new Date(),
+            reason: this.templateId ? 'Generated from trip template' : 'Created'
+        });
+    }
+    next();
 });
 
 // Index for geospatial queries
@@ -182,4 +474,14 @@ tripSchema.index({ 'startDestination.location': '2dsphere' });
 tripSchema.index({ 'endDestination.location': '2dsphere' });
 tripSchema.index({ 'stops.location': '2dsphere' });
 
+// Fleet manager trip list (GET /api/trips) and its default sorts
+tripSchema.index({ fleetManagerId: 1, createdAt: -1 });
+tripSchema.index({ fleetManagerId: 1, startDateTime: -1 });
+
+// One trip per template occurrence (guards against concurrent scheduler runs)
+tripSchema.index(
+    { templateId: 1, templateOccurrence: 1 },
+    { unique: true, partialFilterExpression: { templateId: { $type: 'objectId' } } }
+);
+
 module.exports = mongoose.model('Trip', tripSchema);
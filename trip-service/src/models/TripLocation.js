@@ -0,0 +1,133 @@
+/**
+ * TripLocation.js
+ * MongoDB time-series model for GPS breadcrumbs recorded during a trip.
+ * Collection: trip_locations
+ *
+ * Trip.currentLocation only holds the latest ping. Every ping received by
+ * updateLocation is also appended here so the path a vehicle actually took
+ * can be replayed and exported after the trip is over.
+ */
+
+const mongoose = require('mongoose');
+
+// iOS reports -1 for speed and course when it has no valid reading
+const unknownIfNegative = (value) => (typeof value === 'number' && value < 0 ? null : value);
+
+const tripLocationSchema = new mongoose.Schema(
+    {
+        /** Time the ping was taken on the device (or received by the server) */
+        timestamp: {
+            type: Date,
+            required: true,
+            default: Date.now
+        },
+
+        /**
+         * Time-series meta field. Buckets are grouped by these values, so they
+         * should never change for the lifetime of a trip.
+         */
+        meta: {
+            tripId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Trip',
+                required: true
+            },
+            vehicleId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Vehicle'
+            },
+            driverId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            }
+        },
+
+        /** GeoJSON point of the ping */
+        location: {
+            type: {
+                type: String,
+                enum: ['Point'],
+                default: 'Point'
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                required: true
+            }
+        },
+
+        /** Ground speed in km/h (null when the device does not report it; negative readings mean unknown) */
+        speed: {
+            type: Number,
+            min: 0,
+            default: null,
+            set: unknownIfNegative
+        },
+
+        /** Course over ground in degrees clockwise from true north (0–360; negative means unknown) */
+        heading: {
+            type: Number,
+            min: 0,
+            max: 360,
+            default: null,
+            set: unknownIfNegative
+        },
+
+        /** Horizontal accuracy radius in metres */
+        accuracy: {
+            type: Number,
+            min: 0,
+            default: null
+        }
+    },
+    {
+        collection: 'trip_locations',
+        timeseries: {
+            timeField: 'timestamp',
+            metaField: 'meta',
+            granularity: 'seconds'
+        },
+        versionKey: false
+    }
+);
+
+// Breadcrumb lookups are always "one trip, in time order"
+tripLocationSchema.index({ 'meta.tripId': 1, timestamp: 1 });
+// Per-vehicle and per-driver history across trips
+tripLocationSchema.index({ 'meta.vehicleId': 1, timestamp: -1 });
+tripLocationSchema.index({ 'meta.driverId': 1, timestamp: -1 });
+
+/**
+ * Return the breadcrumb for a trip in chronological order.
+ * @param {String} tripId
+ * @param {Object} [window] - Optional { from, to } Date bounds (inclusive)
+ * @returns {Promise<Array>} Lean ping documents
+ */
+tripLocationSchema.statics.getTrack = function (tripId, { from, to } = {}) {
+    const query = { 'meta.tripId': new mongoose.Types.ObjectId(tripId) };
+
+    if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = new Date(from);
+        if (to) query.timestamp.$lte = new Date(to);
+    }
+
+    return this.find(query).sort({ timestamp: 1 }).lean();
+};
+
+/**
+ * Breadcrumbs of several trips in one query.
+ * @param {Array} tripIds
+ * @returns {Promise<Map>} tripId string -> lean pings in chronological order
+ */
+tripLocationSchema.statics.getTracks = async function (tripIds) {
+    const tracks = new Map(tripIds.map(id => [String(id), []]));
+    const pings = await this.find({
+        'meta.tripId': { $in: tripIds.map(id => new mongoose.Types.ObjectId(id)) }
+    }).sort({ 'meta.tripId': 1, timestamp: 1 }).lean();
+
+    pings.forEach(ping => tracks.get(String(ping.meta.tripId)).push(ping));
+    return tracks;
+};
+
+module.exports = mongoose.model('TripLocation', tripLocationSchema);
@@ -0,0 +1,117 @@
+/**
+ * TripTemplate.js
+ * MongoDB model for recurring trips.
+ * Collection: trip_templates
+ *
+ * A template stores the createTrip payload (without dates) and a recurrence.
+ * The scheduler materialises a Trip for every occurrence up to horizonDays
+ * ahead; generated trips carry templateId + templateOccurrence so an
+ * occurrence is never created twice. Occurrences that cannot be created are
+ * kept in `conflicts` until they are resolved or fall in the past.
+ */
+
+const mongoose = require('mongoose');
+
+const conflictSchema = new mongoose.Schema(
+    {
+        /** Planned start of the occurrence */
+        occurrenceStart: Date,
+        occurrenceEnd: Date,
+        reason: {
+            type: String,
+            enum: ['vehicle-overlap', 'driver-overlap', 'invalid-tariff', 'error']
+        },
+        message: String,
+        conflictingTripId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            default: null
+        },
+        /** First time the scheduler hit this conflict */
+        detectedAt: Date
+    },
+    { _id: false }
+);
+
+const tripTemplateSchema = new mongoose.Schema(
+    {
+        fleetManagerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+
+        description: {
+            type: String,
+            trim: true
+        },
+
+        /** Paused templates are skipped by the scheduler */
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+
+        /**
+         * createTrip body without startDateTime / endDateTime: tripType, vehicleId,
+         * driverId, customer fields, startDestination, endDestination, stops,
+         * pricing fields, isTwoWay, optimize, optimizeFor
+         */
+        payload: {
+            type: Object,
+            required: true
+        },
+
+        recurrence: {
+            /** e.g. "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR" (see recurrenceService) */
+            rrule: { type: String, required: true },
+            /** First possible occurrence, YYYY-MM-DD in the template timezone */
+            startDate: { type: String, required: true },
+            /** Local start time, HH:mm */
+            startTime: { type: String, required: true },
+            durationMinutes: { type: Number, required: true, min: 1 },
+            timezone: { type: String, default: 'Asia/Kolkata' }
+        },
+
+        /** Dates (YYYY-MM-DD) to skip, like RRULE EXDATE */
+        exceptions: [String],
+
+        /** How far ahead trips are generated (createTrip's limit is 2 months) */
+        horizonDays: {
+            type: Number,
+            min: 1,
+            max: 365,
+            default: 60
+        },
+
+        /** Open generation conflicts inside the horizon */
+        conflicts: [conflictSchema],
+
+        lastRunAt: {
+            type: Date,
+            default: null
+        },
+
+        lastRunResult: {
+            created: Number,
+            skipped: Number,
+            pending: Number,
+            conflicts: Number
+        }
+    },
+    {
+        timestamps: true,
+        collection: 'trip_templates'
+    }
+);
+
+tripTemplateSchema.index({ isActive: 1, lastRunAt: 1 });
+
+module.exports = mongoose.model('TripTemplate', tripTemplateSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Minimal read-only schema for User, used by the assignment consistency check, bulk trip import and drowsiness incident escalation
+// This maps to the same 'users' collection used by user-service
+const userMinimalSchema = new mongoose.Schema({
+    email: String,
+    firstName: String,
+    lastName: String,
+    role: String,
+    assignmentStatus: {
+        type: String,
+        enum: ['UNASSIGNED', 'ASSIGNED']
+    }
+}, {
+    collection: 'users'
+});
+
+module.exports = mongoose.model('UserMinimal', userMinimalSchema);
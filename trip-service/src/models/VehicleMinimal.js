@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Minimal read-only schema for Vehicle, used by the assignment consistency check and bulk trip import
+// This maps to the same 'vehicles' collection used by vehicle-service (which owns writes)
+const vehicleMinimalSchema = new mongoose.Schema({
+    businessId: mongoose.Schema.Types.ObjectId,
+    regnNo: String,
+    registrationNumber: String,
+    status: {
+        type: String,
+        enum: ['IDLE', 'ASSIGNED', 'MAINTENANCE', 'SERVICE_SCHEDULED', 'AVAILABLE']
+    }
+}, {
+    collection: 'vehicles'
+});
+
+module.exports = mongoose.model('VehicleMinimal', vehicleMinimalSchema);
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const fatigueController = require('../controllers/fatigueController');
+const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+
+// Fleet managers (their employed drivers) and drivers (themselves)
+router.use(authMiddleware);
+
+// Safety scores across the fleet manager's drivers
+router.get('/drivers', fleetManagerOnly, fatigueController.getFleetFatigue);
+
+// Fatigue metrics per driver and per trip
+router.get('/drivers/:driverId', fatigueController.getDriverFatigue);
+router.get('/trips/:tripId', fatigueController.getTripFatigue);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const geofenceController = require('../controllers/geofenceController');
+const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+
+// All geofence routes are fleet manager only
+router.use(authMiddleware);
+router.use(fleetManagerOnly);
+
+// Dwell-time records across all geofences
+router.get('/visits', geofenceController.getGeofenceVisits);
+
+// CRUD operations
+router.post('/', geofenceController.createGeofence);
+router.get('/', geofenceController.getGeofences);
+router.get('/:id', geofenceController.getGeofenceById);
+router.put('/:id', geofenceController.updateGeofence);
+router.delete('/:id', geofenceController.deleteGeofence);
+
+// Dwell-time records for one geofence
+router.get('/:id/visits', geofenceController.getGeofenceVisits);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const incidentController = require('../controllers/incidentController');
+const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+
+// All incident routes are fleet manager only
+router.use(authMiddleware);
+router.use(fleetManagerOnly);
+
+// Escalation policy for the fleet manager's drivers
+router.get('/policy', incidentController.getPolicy);
+router.put('/policy', incidentController.updatePolicy);
+
+// Drowsiness incidents
+router.get('/', incidentController.getIncidents);
+router.get('/:id', incidentController.getIncidentById);
+router.post('/:id/acknowledge', incidentController.acknowledgeIncident);
+router.post('/:id/resolve', incidentController.resolveIncident);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+
+// All invoice routes are fleet manager only
+router.use(authMiddleware);
+router.use(fleetManagerOnly);
+
+// Generate an invoice for a completed trip
+router.post('/trips/:tripId', invoiceController.createTripInvoice);
+
+router.get('/', invoiceController.getInvoices);
+router.get('/:id', invoiceController.getInvoiceById);
+router.get('/:id/pdf', invoiceController.getInvoicePdf);
+router.post('/:id/email', invoiceController.emailInvoice);
+router.post('/:id/void', invoiceController.voidInvoice);
+router.post('/:id/credit-note', invoiceController.createCreditNote);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const presenceController = require('../controllers/presenceController');
+const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+
+// All presence routes are fleet manager only
+router.use(authMiddleware);
+router.use(fleetManagerOnly);
+
+// Online / offline state of the fleet manager's drivers
+router.get('/', presenceController.getPresence);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const tariffController = require('../controllers/tariffController');
+const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+
+// All tariff routes are fleet manager only
+router.use(authMiddleware);
+router.use(fleetManagerOnly);
+
+// CRUD operations
+router.post('/', tariffController.createTariffPlan);
+router.get('/', tariffController.getTariffPlans);
+router.get('/:id', tariffController.getTariffPlanById);
+router.put('/:id', tariffController.updateTariffPlan);
+router.delete('/:id', tariffController.deleteTariffPlan);
+
+// Price a distance / duration against a plan
+router.post('/:id/quote', tariffController.quoteTariffPlan);
+
+module.exports = router;
@@ -1,13 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const tripController = require('../controllers/tripController');
-const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+const trackController = require('../controllers/trackController');
+const reportController = require('../controllers/reportController');
+const outboxController = require('../controllers/outboxController');
+const consistencyController = require('../controllers/consistencyController');
+const trackingLinkController = require('../controllers/trackingLinkController');
+const tripImportController = require('../controllers/tripImportController');
+const { authMiddleware, fleetManagerOnly, adminOnly } = require('../middleware/authMiddleware');
+const uploadPod = require('../middleware/podUploadMiddleware');
+const uploadImport = require('../middleware/importUploadMiddleware');
 
 // Public health check (no auth required)
 router.get('/health', (req, res) => {
     res.json({ status: 'Trip routes OK' });
 });
 
+// Public trip tracking for customers (authenticated by the link token)
+router.get('/tracking/:token', trackingLinkController.getPublicTracking);
+
 // All routes below require authentication
 router.use(authMiddleware);
 
@@ -23,12 +34,35 @@ router.get('/busy-dates', tripController.getBusyDates);
 // Driver-specific routes (must be before fleetManagerOnly middleware)
 router.get('/driver/assigned', tripController.getDriverAssignedTrips);
 router.put('/driver/:id/start', tripController.startTrip);
-router.put('/driver/:id/stops/:stopIndex', tripController.updateStopStatus);
-router.put('/driver/:id/end', tripController.endTrip);
+router.put('/driver/:id/pause', tripController.pauseTrip);
+router.put('/driver/:id/resume', tripController.resumeTrip);
+// Stop arrival and trip end take an optional proof of delivery (multipart, or JSON without files);
+// images go to Cloudinary folder mobitrak/pod/{tripId}/{stop-N|end}
+const podFiles = uploadPod.fields([
+    { name: 'signature', maxCount: 1 },
+    { name: 'photos', maxCount: 5 }
+]);
+router.post('/driver/:id/pod-otp', tripController.requestPodOtp);
+router.put('/driver/:id/stops/:stopIndex', podFiles, tripController.updateStopStatus);
+router.put('/driver/:id/end', podFiles, tripController.endTrip);
+
+// Admin: cross-service status updates that have not been delivered
+router.get('/admin/outbox', adminOnly, outboxController.getStuckMessages);
+router.post('/admin/outbox/:messageId/retry', adminOnly, outboxController.retryMessage);
+
+// Admin: vehicle / driver assignment consistency check (?fleetManagerId=)
+router.get('/admin/consistency/dry-run', adminOnly, consistencyController.getConsistencyDryRun);
+router.get('/admin/consistency/reports', adminOnly, consistencyController.getConsistencyReports);
 
 // Fleet manager only routes
 router.use(fleetManagerOnly);
 
+// Planned-vs-actual report across trips (?from=&to=&status=&format=json|csv)
+router.get('/reports/reconciliation', reportController.getReconciliationReport);
+
+// Bulk import from CSV / XLSX ("file" field; dry run unless dryRun=false)
+router.post('/import', uploadImport, tripImportController.importTrips);
+
 // CRUD operations
 router.post('/', tripController.createTrip);
 router.get('/', tripController.getTrips);
@@ -36,8 +70,31 @@ router.get('/:id', tripController.getTripById);
 router.put('/:id', tripController.updateTrip);
 router.delete('/:id', tripController.deleteTrip);
 
+// Cancellation (keeps history) and retrying the vehicle / driver release
+router.post('/:id/cancel', tripController.cancelTrip);
+router.post('/:id/release-resources', tripController.releaseTripResources);
+
+// Status transitions (see tripStatusService) and their audit trail
+router.post('/:id/dispatch', tripController.dispatchTrip);
+router.post('/:id/abort', tripController.abortTrip);
+router.get('/:id/status-history', tripController.getTripStatusHistory);
+
+// Customer tracking link: create (replaces the old one), state, revoke
+router.post('/:id/tracking-link', trackingLinkController.createTrackingLink);
+router.get('/:id/tracking-link', trackingLinkController.getTrackingLink);
+router.delete('/:id/tracking-link', trackingLinkController.revokeTrackingLink);
+
 // Real-time location tracking
 router.put('/:tripId/location', tripController.updateLocation);
 router.get('/active/locations', tripController.getActiveTripsWithLocations);
 
+// GPS breadcrumb history (?format=geojson|gpx|kml&from=&to=)
+router.get('/:id/track', trackController.getTripTrack);
+
+// Trip replay (?from=&to=&maxPoints=)
+router.get('/:id/replay', trackController.getTripReplay);
+
+// Planned-vs-actual report for one trip (?format=json|csv)
+router.get('/:id/reconciliation', reportController.getTripReconciliation);
+
 module.exports = router;
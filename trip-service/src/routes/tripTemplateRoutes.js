@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const tripTemplateController = require('../controllers/tripTemplateController');
+const { authMiddleware, fleetManagerOnly } = require('../middleware/authMiddleware');
+
+// All trip template routes are fleet manager only
+router.use(authMiddleware);
+router.use(fleetManagerOnly);
+
+// CRUD operations
+router.post('/', tripTemplateController.createTemplate);
+router.get('/', tripTemplateController.getTemplates);
+router.get('/:id', tripTemplateController.getTemplateById);
+router.put('/:id', tripTemplateController.updateTemplate);
+router.delete('/:id', tripTemplateController.deleteTemplate);
+
+// Materialise upcoming trips now
+router.post('/:id/generate', tripTemplateController.generateTemplateTrips);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const tariffService = require('./tariffService');
+const OutboxMessage = require('../models/OutboxMessage');
+const outboxService = require('./outboxService');
+const tripStatusService = require('./tripStatusService');
+const routeDeviationService = require('./routeDeviationService');
+const geofenceService = require('./geofenceService');
+const { sendTripCancelledEmail } = require('./emailService');
+
+const REASON_CODES = [
+    'customer-request', 'customer-no-show', 'vehicle-breakdown',
+    'driver-unavailable', 'weather', 'duplicate', 'operational', 'other'
+];
+
+// Only cancellations the customer caused are charged
+const CUSTOMER_REASONS = ['customer-request', 'customer-no-show'];
+
+/**
+ * Cancels trips without losing their history: records why, who and the
+ * fee, returns the vehicle and driver to the pool and tells the customer.
+ */
+class CancellationService {
+    get reasonCodes() {
+        return REASON_CODES;
+    }
+
+    /**
+     * Validate a cancellation request
+     * @param {Object} trip - Trip document
+     * @param {Object} body - { reasonCode, note, requestedBy }
+     * @returns {String|null} Error message, or null when valid
+     * @throws {TripTransitionError} When the trip's status cannot be cancelled
+     */
+    validate(trip, { reasonCode, note, requestedBy }) {
+        tripStatusService.check(trip, 'cancelled');
+
+        if (!REASON_CODES.includes(reasonCode)) {
+            return `reasonCode must be one of: ${REASON_CODES.join(', ')}`;
+        }
+        if (reasonCode === 'other' && !note) {
+            return "note is required when reasonCode is 'other'";
+        }
+        if (requestedBy && !['customer', 'fleet-manager', 'driver'].includes(requestedBy)) {
+            return 'requestedBy must be customer, fleet-manager or driver';
+        }
+        return null;
+    }
+
+    /**
+     * Cancel a trip (caller has validated the request)
+     * @param {Object} trip - Trip document
+     * @param {Object} options - { reasonCode, note, requestedBy, waiveFee, notifyCustomer, userId, userRole, location }
+     * @returns {Promise<Object>} { trip, fee, released }
+     */
+    async cancel(trip, { reasonCode, note, requestedBy, waiveFee = false, notifyCustomer = true, userId, userRole, location }) {
+        const cancelledAt = new Date();
+        const requester = requestedBy || (CUSTOMER_REASONS.includes(reasonCode) ? 'customer' : 'fleet-manager');
+
+        let fee = { amount: 0, currency: trip.fareBreakdown?.currency || 'INR' };
+        if (requester === 'customer' && !waiveFee) {
+            try {
+                fee = await tariffService.cancellationFee(trip, cancelledAt);
+            } catch (error) {
+                console.error('Cancellation fee error:', error.message);
+            }
+        }
+
+        trip.cancellation = {
+            reasonCode,
+            note,
+            requestedBy: requester,
+            cancelledBy: userId,
+            cancelledAt,
+            previousStatus: trip.status,
+            fee: fee.amount,
+            feeWaived: requester === 'customer' && waiveFee
+        };
+        tripStatusService.transition(trip, 'cancelled', {
+            actorId: userId,
+            actorRole: userRole,
+            reason: note ? `${reasonCode}: ${note}` : reasonCode,
+            location,
+            now: cancelledAt
+        });
+        if (trip.cancellation.previousStatus === 'in-progress') {
+            await routeDeviationService.close(trip, cancelledAt);
+        }
+        try {
+            await geofenceService.closeVisits(trip, cancelledAt);
+        } catch (error) {
+            console.error('Geofence visit close error:', error.message);
+        }
+
+        // Status change and the vehicle / driver release are committed together
+        await outboxService.commit(trip, outboxService.messagesFor(trip, 'release', userId));
+        trip.cancellation.resourceRelease = await outboxService.releaseState(trip._id);
+
+        if (notifyCustomer && trip.customerEmail) {
+            const sent = await sendTripCancelledEmail(trip, { fee: fee.amount, currency: fee.currency });
+            if (sent) trip.cancellation.customerNotifiedAt = new Date();
+        }
+
+        await trip.save();
+
+        return { trip, fee, released: this.isReleased(trip) };
+    }
+
+    /**
+     * Retry a release that has not gone through yet (without waiting for the dispatcher)
+     * @param {Object} trip - Cancelled trip document
+     * @param {String} userId
+     * @returns {Promise<Boolean>} Whether everything is now released
+     */
+    async retryRelease(trip, userId) {
+        const messages = await OutboxMessage.find({ tripId: trip._id, event: 'release' });
+
+        if (messages.length) {
+            await outboxService.retry(messages);
+        } else {
+            // Cancelled before releases went through the outbox
+            await outboxService.commit(null, outboxService.messagesFor(trip, 'release', userId));
+        }
+
+        trip.cancellation.resourceRelease = await outboxService.releaseState(trip._id);
+        await trip.save();
+        return this.isReleased(trip);
+    }
+
+    /**
+     * Whether vehicle and driver have both been released (or since reassigned)
+     */
+    isReleased(trip) {
+        const release = trip.cancellation?.resourceRelease;
+        return ['released', 'superseded'].includes(release?.vehicle?.status) &&
+            ['released', 'not-required', 'superseded'].includes(release?.driver?.status);
+    }
+}
+
+module.exports = new CancellationService();
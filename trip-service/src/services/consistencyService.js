@@ -0,0 +1,230 @@
+const Trip = require('../models/Trip');
+const OutboxMessage = require('../models/OutboxMessage');
+const ConsistencyReport = require('../models/ConsistencyReport');
+const VehicleMinimal = require('../models/VehicleMinimal');
+const MaintenanceMinimal = require('../models/MaintenanceMinimal');
+const EmploymentMinimal = require('../models/EmploymentMinimal');
+const UserMinimal = require('../models/UserMinimal');
+const outboxService = require('./outboxService');
+const { ACTIVE_STATUSES, ON_ROAD_STATUSES } = require('./tripStatusService');
+
+// A vehicle with nothing on it may be IDLE or AVAILABLE (after maintenance)
+const FREE_VEHICLE_STATUSES = ['IDLE', 'AVAILABLE'];
+
+// Outbox message type per resource
+const MESSAGE_TYPES = {
+    vehicle: 'vehicle-status',
+    employment: 'employment-assignment',
+    user: 'user-assignment'
+};
+
+/**
+ * Keeps Vehicle.status, Employment.assignmentStatus and User.assignmentStatus
+ * in line with what trips and maintenance records say they should be.
+ *
+ * The other services' collections are read directly (like vehicle-service's
+ * TripMinimal); fixes go through their APIs via the outbox. Resources with an
+ * outbox update already pending are left alone, since that update will set
+ * them. Runs nightly, and on demand as a dry run for admins.
+ */
+class ConsistencyService {
+    /**
+     * Expected vehicle status: a trip on the road (in progress or paused) wins
+     * over maintenance, maintenance under way over a scheduled / dispatched
+     * trip, and that over a scheduled service
+     */
+    expectedVehicleStatus(trips, maintenance) {
+        const onRoad = trips.find(t => ON_ROAD_STATUSES.includes(t.status));
+        if (onRoad) {
+            return { status: 'ASSIGNED', reason: `${onRoad.status} trip ${onRoad._id}` };
+        }
+
+        const underway = maintenance.find(m => m.status === 'IN_PROGRESS');
+        if (underway) {
+            return { status: 'MAINTENANCE', reason: `maintenance ${underway._id} in progress` };
+        }
+
+        if (trips.length) {
+            return { status: 'ASSIGNED', reason: `${trips[0].status} trip ${trips[0]._id}` };
+        }
+
+        if (maintenance.length) {
+            return { status: 'SERVICE_SCHEDULED', reason: `maintenance ${maintenance[0]._id} scheduled` };
+        }
+
+        return { status: null, reason: 'no active trip or maintenance' };
+    }
+
+    /**
+     * Compare the three copies against trips and maintenance
+     * @param {Object} options - { fleetManagerId }
+     * @returns {Promise<Object>} { checked, mismatches: [{ resource, resourceId, fleetManagerId, current, expected, reason }] }
+     */
+    async findMismatches({ fleetManagerId } = {}) {
+        const [trips, maintenance, vehicles, employments] = await Promise.all([
+            Trip.find({ status: { $in: ACTIVE_STATUSES } })
+                .select('vehicleId driverId status fleetManagerId startDateTime')
+                .sort({ startDateTime: 1 })
+                .lean(),
+            MaintenanceMinimal.find({ status: { $in: ['SCHEDULED', 'IN_PROGRESS'] } }).lean(),
+            VehicleMinimal.find(fleetManagerId ? { businessId: fleetManagerId } : {}).select('businessId status').lean(),
+            EmploymentMinimal.find({ status: 'ACTIVE', ...(fleetManagerId && { companyId: fleetManagerId }) })
+                .select('driverId companyId assignmentStatus')
+                .lean()
+        ]);
+
+        // Drivers: everyone with a driver account, or only this company's employees
+        const users = await UserMinimal.find(fleetManagerId
+            ? { _id: { $in: employments.map(e => e.driverId) } }
+            : { role: 'driver' }
+        ).select('assignmentStatus').lean();
+
+        const group = (list, key) => list.reduce((map, item) => {
+            const id = item[key]?.toString();
+            if (id) map.set(id, [...(map.get(id) || []), item]);
+            return map;
+        }, new Map());
+
+        const tripsByVehicle = group(trips, 'vehicleId');
+        const tripsByDriver = group(trips, 'driverId');
+        const maintenanceByVehicle = group(maintenance, 'vehicleId');
+        const companyByDriver = new Map(employments.map(e => [e.driverId.toString(), e.companyId]));
+
+        const mismatches = [];
+
+        vehicles.forEach(vehicle => {
+            const id = vehicle._id.toString();
+            const expected = this.expectedVehicleStatus(tripsByVehicle.get(id) || [], maintenanceByVehicle.get(id) || []);
+            const matches = expected.status
+                ? vehicle.status === expected.status
+                : FREE_VEHICLE_STATUSES.includes(vehicle.status);
+
+            if (!matches) {
+                mismatches.push({
+                    resource: 'vehicle',
+                    resourceId: vehicle._id,
+                    fleetManagerId: vehicle.businessId,
+                    current: vehicle.status || null,
+                    expected: expected.status || 'IDLE',
+                    reason: expected.reason
+                });
+            }
+        });
+
+        const expectedAssignment = (driverId) => {
+            const active = tripsByDriver.get(driverId.toString());
+            return active
+                ? { status: 'ASSIGNED', reason: `${active[0].status} trip ${active[0]._id}` }
+                : { status: 'UNASSIGNED', reason: 'no active trip' };
+        };
+
+        employments.forEach(employment => {
+            const expected = expectedAssignment(employment.driverId);
+            const current = employment.assignmentStatus || 'UNASSIGNED';
+            if (current !== expected.status) {
+                mismatches.push({
+                    resource: 'employment',
+                    resourceId: employment.driverId,
+                    fleetManagerId: employment.companyId,
+                    current,
+                    expected: expected.status,
+                    reason: expected.reason
+                });
+            }
+        });
+
+        users.forEach(user => {
+            const expected = expectedAssignment(user._id);
+            const current = user.assignmentStatus || 'UNASSIGNED';
+            if (current !== expected.status) {
+                mismatches.push({
+                    resource: 'user',
+                    resourceId: user._id,
+                    fleetManagerId: companyByDriver.get(user._id.toString()) || null,
+                    current,
+                    expected: expected.status,
+                    reason: expected.reason
+                });
+            }
+        });
+
+        return {
+            checked: { vehicles: vehicles.length, employments: employments.length, users: users.length },
+            mismatches
+        };
+    }
+
+    /**
+     * Check, fix mismatches through the outbox (unless dry run) and report
+     * @param {Object} options - { fleetManagerId, dryRun, trigger, userId }
+     * @returns {Promise<Object>} ConsistencyReport (saved unless dry run)
+     */
+    async run({ fleetManagerId = null, dryRun = false, trigger = 'scheduled', userId } = {}) {
+        const startedAt = new Date();
+        const { checked, mismatches } = await this.findMismatches({ fleetManagerId });
+
+        // Same as the outbox resourceKey
+        const keyOf = (m) => `${m.resource}:${m.resourceId}`;
+
+        if (dryRun) {
+            mismatches.forEach(m => { m.action = 'would-fix'; });
+        } else if (mismatches.length) {
+            const pending = await outboxService.pendingResourceKeys(mismatches.map(keyOf));
+            const toFix = mismatches.filter(m => !pending.has(keyOf(m)));
+
+            mismatches.forEach(m => {
+                if (pending.has(keyOf(m))) m.action = 'skipped';
+            });
+
+            const messages = toFix.map(m => outboxService.message(
+                MESSAGE_TYPES[m.resource],
+                m.resourceId,
+                m.resource === 'vehicle' ? { status: m.expected } : { assignmentStatus: m.expected },
+                { event: 'reconcile', userId, fleetManagerId: m.fleetManagerId }
+            ));
+
+            await outboxService.commit(null, messages);
+
+            // Outcome of the first delivery attempt
+            const delivered = await OutboxMessage.find({ _id: { $in: messages.map(m => m._id) } })
+                .select('status')
+                .lean();
+            const statusById = new Map(delivered.map(m => [m._id.toString(), m.status]));
+            const ACTIONS = { delivered: 'fixed', dead: 'failed' };
+
+            toFix.forEach((m, i) => {
+                m.outboxMessageId = messages[i]._id;
+                m.action = ACTIONS[statusById.get(messages[i]._id.toString())] || 'queued';
+            });
+        }
+
+        const count = (action) => mismatches.filter(m => m.action === action).length;
+        const report = new ConsistencyReport({
+            trigger,
+            dryRun,
+            fleetManagerId,
+            startedAt,
+            finishedAt: new Date(),
+            checked,
+            mismatches,
+            summary: {
+                mismatches: mismatches.length,
+                fixed: count('fixed'),
+                queued: count('queued'),
+                failed: count('failed'),
+                skipped: count('skipped')
+            }
+        });
+
+        if (!dryRun) {
+            await report.save();
+            console.log(`[consistency] ${trigger} run: ${mismatches.length} mismatch(es), ` +
+                `${report.summary.fixed} fixed, ${report.summary.queued} queued, ` +
+                `${report.summary.failed} failed, ${report.summary.skipped} skipped`);
+        }
+
+        return report;
+    }
+}
+
+module.exports = new ConsistencyService();
@@ -0,0 +1,225 @@
+const nodemailer = require('nodemailer');
+
+// Nodemailer Transporter
+const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT,
+    secure: false,
+    auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }
+});
+
+// Customer and place names are user input; keep them from injecting markup
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Send an invoice or credit note PDF to the customer.
+ * Unlike notification emails this throws, so the caller can report the failure.
+ */
+const sendInvoiceEmail = async (invoice, pdfBuffer) => {
+    const isCredit = invoice.type === 'credit-note';
+    const label = isCredit ? 'Credit Note' : 'Invoice';
+    const amount = `${invoice.currency} ${Number(invoice.total).toFixed(2)}`;
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: invoice.customer.email,
+        subject: `Mobitrak - ${label} ${invoice.invoiceNumber}`,
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                    .header { background: linear-gradient(135deg, #3b82f6, #2563eb); padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                    .header h1 { color: white; margin: 0; font-size: 24px; }
+                    .content { background: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+                    .highlight { background: #dbeafe; padding: 15px; border-radius: 8px; border-left: 4px solid #3b82f6; margin: 20px 0; }
+                    .footer { background: #1f2937; color: #9ca3af; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 12px; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h1>${label} ${invoice.invoiceNumber}</h1>
+                    </div>
+                    <div class="content">
+                        <p>Hello <strong>${escapeHtml(invoice.customer.name || 'Customer')}</strong>,</p>
+
+                        <p>Please find attached the ${label.toLowerCase()} for your trip from
+                        ${escapeHtml(invoice.tripSummary?.from || '-')} to ${escapeHtml(invoice.tripSummary?.to || '-')}.</p>
+
+                        <div class="highlight">
+                            <strong>${isCredit ? 'Amount credited' : 'Amount due'}: ${amount}</strong>
+                        </div>
+
+                        <p>Best regards,<br><strong>The Mobitrak Team</strong></p>
+                    </div>
+                    <div class="footer">
+                        <p>© ${new Date().getFullYear()} Mobitrak. All rights reserved.</p>
+                        <p>This is an automated message, please do not reply directly to this email.</p>
+                    </div>
+                </div>
+            </body>
+            </html>
+        `,
+        attachments: [{
+            filename: `${invoice.invoiceNumber}.pdf`,
+            content: pdfBuffer,
+            contentType: 'application/pdf'
+        }]
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`${label} ${invoice.invoiceNumber} emailed to:`, invoice.customer.email);
+};
+
+/**
+ * Tell the customer their trip was cancelled
+ * @returns {Promise<Boolean>} Whether the email was sent
+ */
+const sendTripCancelledEmail = async (trip, { fee = 0, currency = 'INR' } = {}) => {
+    try {
+        const scheduled = new Date(trip.startDateTime).toLocaleString('en-IN', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const mailOptions = {
+            from: process.env.EMAIL_FROM,
+            to: trip.customerEmail,
+            subject: 'Mobitrak - Trip Cancelled',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <style>
+                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                        .header { background: linear-gradient(135deg, #ef4444, #dc2626); padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                        .header h1 { color: white; margin: 0; font-size: 24px; }
+                        .content { background: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+                        .highlight { background: #fee2e2; padding: 15px; border-radius: 8px; border-left: 4px solid #ef4444; margin: 20px 0; }
+                        .footer { background: #1f2937; color: #9ca3af; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 12px; }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Trip Cancelled</h1>
+                        </div>
+                        <div class="content">
+                            <p>Hello <strong>${escapeHtml(trip.customerName || 'Customer')}</strong>,</p>
+
+                            <p>Your trip from ${escapeHtml(trip.startDestination?.name)} to ${escapeHtml(trip.endDestination?.name)},
+                            scheduled for ${scheduled}, has been cancelled.</p>
+
+                            ${fee > 0 ? `
+                            <div class="highlight">
+                                <strong>Cancellation fee: ${currency} ${Number(fee).toFixed(2)}</strong>
+                            </div>` : ''}
+
+                            <p>If you have any questions, feel free to contact us.</p>
+
+                            <p>Best regards,<br><strong>The Mobitrak Team</strong></p>
+                        </div>
+                        <div class="footer">
+                            <p>© ${new Date().getFullYear()} Mobitrak. All rights reserved.</p>
+                            <p>This is an automated message, please do not reply directly to this email.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `
+        };
+        await transporter.sendMail(mailOptions);
+        console.log('Trip cancellation email sent to:', trip.customerEmail);
+        return true;
+    } catch (error) {
+        console.error('Error sending trip cancellation email:', error);
+        // Don't throw - email failure shouldn't block the cancellation
+        return false;
+    }
+};
+
+/**
+ * Send the customer the code that confirms a delivery
+ * @param {Object} trip - Trip document
+ * @param {String} otp
+ * @param {Object} options - { place: stop or destination name, expiresInMinutes }
+ * @returns {Promise<Boolean>} Whether the email was sent
+ */
+const sendDeliveryOtpEmail = async (trip, otp, { place, expiresInMinutes }) => {
+    try {
+        const mailOptions = {
+            from: process.env.EMAIL_FROM,
+            to: trip.customerEmail,
+            subject: 'Mobitrak - Delivery Confirmation Code',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <style>
+                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                        .header { background: linear-gradient(135deg, #10b981, #059669); padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                        .header h1 { color: white; margin: 0; font-size: 24px; }
+                        .content { background: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; }
+                        .highlight { background: #d1fae5; padding: 15px; border-radius: 8px; border-left: 4px solid #10b981; margin: 20px 0; text-align: center; font-size: 28px; letter-spacing: 6px; }
+                        .footer { background: #1f2937; color: #9ca3af; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 12px; }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Delivery Confirmation</h1>
+                        </div>
+                        <div class="content">
+                            <p>Hello <strong>${escapeHtml(trip.customerName || 'Customer')}</strong>,</p>
+
+                            <p>Your delivery at <strong>${escapeHtml(place)}</strong> has arrived. Please give this code
+                            to the driver to confirm you received it:</p>
+
+                            <div class="highlight">
+                                <strong>${otp}</strong>
+                            </div>
+
+                            <p>This code expires in ${expiresInMinutes} minutes. If you did not expect a delivery,
+                            do not share it.</p>
+
+                            <p>Best regards,<br><strong>The Mobitrak Team</strong></p>
+                        </div>
+                        <div class="footer">
+                            <p>© ${new Date().getFullYear()} Mobitrak. All rights reserved.</p>
+                            <p>This is an automated message, please do not reply directly to this email.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `
+        };
+        await transporter.sendMail(mailOptions);
+        console.log('Delivery OTP email sent to:', trip.customerEmail);
+        return true;
+    } catch (error) {
+        console.error('Error sending delivery OTP email:', error);
+        return false;
+    }
+};
+
+module.exports = {
+    sendInvoiceEmail,
+    sendTripCancelledEmail,
+    sendDeliveryOtpEmail
+};
@@ -0,0 +1,60 @@
+const EmploymentMinimal = require('../models/EmploymentMinimal');
+
+/**
+ * Which company (fleet manager) employs a driver, from the employments
+ * collection owned by driver-management-service.
+ *
+ * Used to route a driver's real-time events to that company only. Answers
+ * are cached for EMPLOYMENT_CACHE_SECONDS (default 60), as monitoring
+ * telemetry arrives several times a second.
+ */
+class EmploymentService {
+    constructor() {
+        this.ttlMs = (parseFloat(process.env.EMPLOYMENT_CACHE_SECONDS) || 60) * 1000;
+        this.cache = new Map();
+    }
+
+    /**
+     * Company currently employing a driver
+     * @param {String} driverId
+     * @returns {Promise<String|null>} companyId, or null when not employed
+     */
+    async companyOf(driverId) {
+        if (!driverId) return null;
+
+        const key = driverId.toString();
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.companyId;
+        }
+
+        const employment = await EmploymentMinimal.findOne({ driverId: key, status: 'ACTIVE' })
+            .select('companyId')
+            .lean();
+        const companyId = employment?.companyId?.toString() || null;
+
+        // Drop expired entries now and then so the map tracks active drivers only
+        if (this.cache.size > 1000) {
+            const now = Date.now();
+            for (const [id, entry] of this.cache) {
+                if (entry.expiresAt <= now) this.cache.delete(id);
+            }
+        }
+        this.cache.set(key, { companyId, expiresAt: Date.now() + this.ttlMs });
+
+        return companyId;
+    }
+
+    /**
+     * Whether a company currently employs a driver
+     * @param {String} companyId
+     * @param {String} driverId
+     * @returns {Promise<Boolean>}
+     */
+    async employs(companyId, driverId) {
+        const employer = await this.companyOf(driverId);
+        return Boolean(employer) && employer === companyId?.toString();
+    }
+}
+
+module.exports = new EmploymentService();
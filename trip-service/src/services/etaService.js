@@ -0,0 +1,72 @@
+const routingService = require('./routing');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Live ETA for in-progress trips.
+ *
+ * Remaining distance/duration is computed from the current position through
+ * every pending stop to endDestination. Calls are throttled per trip using
+ * trip.eta.calculatedAt so a vehicle pinging every few seconds does not burn
+ * through the Directions API quota.
+ */
+class EtaService {
+    constructor() {
+        this.intervalSeconds = parseFloat(process.env.ETA_RECALC_INTERVAL_SECONDS) || 60;
+    }
+
+    /**
+     * Whether the trip's ETA is due for recalculation
+     * @param {Object} trip - Trip document
+     * @param {Date} timestamp - Time of the current ping
+     * @returns {Boolean}
+     */
+    isDue(trip, timestamp = new Date()) {
+        const last = trip.eta?.calculatedAt;
+        if (!last) return true;
+        return (new Date(timestamp) - new Date(last)) / 1000 >= this.intervalSeconds;
+    }
+
+    /**
+     * Recalculate trip.eta in place (caller saves the trip)
+     * @param {Object} trip - Trip document
+     * @param {Array} coordinates - Current [lng, lat]
+     * @param {Date} timestamp - Time of the current ping
+     * @param {Object} [options] - { force: recalculate even when throttled }
+     * @returns {Promise<Object|null>} The new ETA, or null when skipped
+     */
+    async recalculate(trip, coordinates, timestamp = new Date(), { force = false } = {}) {
+        if (trip.status !== 'in-progress') return null;
+        if (!force && !this.isDue(trip, timestamp)) return null;
+
+        const pendingStops = (trip.stops || [])
+            .map((stop, index) => ({ stop, index }))
+            .filter(({ stop }) => stop.status === 'pending' && stop.location?.coordinates);
+
+        const waypoints = [
+            coordinates,
+            ...pendingStops.map(({ stop }) => stop.location.coordinates),
+            trip.endDestination.location.coordinates
+        ];
+
+        const estimate = await routingService.estimateRemaining(waypoints);
+        const now = new Date(timestamp).getTime();
+        const nextLeg = pendingStops.length ? estimate.legs[0] : null;
+
+        trip.eta = {
+            nextStopIndex: pendingStops.length ? pendingStops[0].index : null,
+            nextStopDistance: nextLeg ? round(nextLeg.distance) : null,
+            nextStopDuration: nextLeg ? round(nextLeg.duration) : null,
+            nextStopEta: nextLeg ? new Date(now + nextLeg.duration * 60000) : null,
+            destinationDistance: round(estimate.distance),
+            destinationDuration: round(estimate.duration),
+            destinationEta: new Date(now + estimate.duration * 60000),
+            source: estimate.source,
+            calculatedAt: new Date(timestamp)
+        };
+
+        return trip.eta;
+    }
+}
+
+module.exports = new EtaService();
@@ -0,0 +1,546 @@
+const mongoose = require('mongoose');
+const DriverBehaviorLog = require('../models/DriverBehaviorLog');
+const DrowsinessIncident = require('../models/DrowsinessIncident');
+const Trip = require('../models/Trip');
+const outboxService = require('./outboxService');
+const { zonedTimeToDate } = require('./recurrenceService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BUCKET_HOURS = 3;
+const WORST_BUCKETS = 3;
+const MAX_WEEKS = 52;
+const PUBLISH_BATCH_SIZE = 50;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HEALTH_STATUSES = ['DROWSY', 'ALERT', 'LOW_LIGHT', 'NO_FACE', 'INACTIVE', 'OFFLINE'];
+
+// Incident weight in the score, by severity
+const SEVERITY_WEIGHTS = { LOW: 0.5, MEDIUM: 1, HIGH: 2, CRITICAL: 4 };
+
+// Score penalties (each capped at 50): per drowsy minute per driving hour,
+// and per weighted incident per 10 driving hours
+const DROWSINESS_PENALTY = 10;
+const INCIDENT_PENALTY = 5;
+const MAX_PENALTY = 50;
+
+// Weekly change in drowsy minutes per driving hour that counts as a trend
+const TREND_THRESHOLD = 0.1;
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Driver fatigue metrics and the safety score built from them.
+ *
+ * Monitoring samples (driver_behavior_logs) each cover the time until the
+ * driver's next sample, at most FATIGUE_SAMPLE_GAP_SECONDS, so a dropped
+ * connection is not counted as monitored time. Driving hours are the trips'
+ * in-progress spans (paused time excluded). Time-of-day buckets and weeks
+ * (Monday to Sunday) are in FATIGUE_TIMEZONE.
+ *
+ * The score starts at 100 and loses up to 50 points for drowsy minutes per
+ * driving hour and up to 50 for drowsiness incidents (weighted by severity)
+ * per 10 driving hours. Below FATIGUE_MIN_DRIVING_HOURS there is no score.
+ *
+ * Scores are pushed to driver-management through the outbox when a trip is
+ * completed and nightly for every recently active driver.
+ */
+class FatigueAnalyticsService {
+    constructor() {
+        this.weeks = Math.min(parseInt(process.env.FATIGUE_WEEKS, 10) || 8, MAX_WEEKS);
+        this.timezone = process.env.FATIGUE_TIMEZONE || process.env.TARIFF_TIMEZONE || 'Asia/Kolkata';
+        this.sampleGapSeconds = parseFloat(process.env.FATIGUE_SAMPLE_GAP_SECONDS) || 15;
+        this.minDrivingHours = parseFloat(process.env.FATIGUE_MIN_DRIVING_HOURS) || 1;
+        this.minBucketMinutes = 30;
+        this.maxWeeks = MAX_WEEKS;
+    }
+
+    /**
+     * Store a monitoring sample in driver_behavior_logs
+     * @param {Object} sample - { driverId, tripId, status, perclos, ear, monitoringActive, source, timestamp }
+     */
+    async log(sample) {
+        const healthStatus = HEALTH_STATUSES.includes(sample.status) ? sample.status : 'ALERT';
+
+        return DriverBehaviorLog.create({
+            driverId: sample.driverId,
+            tripId: mongoose.isValidObjectId(sample.tripId) ? sample.tripId : null,
+            status: healthStatus === 'DROWSY' ? 'DROWSY' : 'ALERT',
+            healthStatus,
+            perclos: sample.perclos || 0,
+            ear: sample.ear || 0,
+            monitoringActive: sample.monitoringActive !== undefined ? Boolean(sample.monitoringActive) : true,
+            ...(['session-start', 'session-stop'].includes(sample.source) && { source: sample.source }),
+            timestamp: sample.timestamp ? new Date(sample.timestamp) : new Date()
+        });
+    }
+
+    /**
+     * Validate a timezone name
+     * @returns {String|null} Error message, or null when valid
+     */
+    validateTimezone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return null;
+        } catch (error) {
+            return `Unknown timezone: ${timeZone}`;
+        }
+    }
+
+    /**
+     * Local calendar date, hour and weekday (0 = Monday) of an instant
+     */
+    localParts(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            weekday: 'short'
+        }).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = type === 'weekday' ? value : parseInt(value, 10);
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour,
+            weekday: WEEKDAYS.indexOf(parts.weekday)
+        };
+    }
+
+    /**
+     * The last `weeks` local weeks up to `now` (the current one included)
+     * @returns {Array<Object>} { week: 'YYYY-MM-DD', start, end }
+     */
+    weeksUntil(now, weeks, timeZone) {
+        const { year, month, day, weekday } = this.localParts(now, timeZone);
+        const firstDay = day - weekday - 7 * (weeks - 1);
+
+        return Array.from({ length: weeks }, (_, i) => ({
+            week: new Date(Date.UTC(year, month, firstDay + 7 * i)).toISOString().slice(0, 10),
+            start: zonedTimeToDate(year, month, firstDay + 7 * i, 0, 0, timeZone),
+            end: i === weeks - 1 ? now : zonedTimeToDate(year, month, firstDay + 7 * (i + 1), 0, 0, timeZone)
+        }));
+    }
+
+    /**
+     * Monitored and drowsy milliseconds per driver, by local hour of day and by local week
+     * @param {Object} match - driver_behavior_logs filter (includes the timestamp range)
+     * @returns {Promise<Object>} { byHour: [{ driverId, hour, monitoredMs, drowsyMs }], byWeek: [{ driverId, week, ... }] }
+     */
+    async sampleTotals(match, timeZone) {
+        const gapMs = this.sampleGapSeconds * 1000;
+        const sums = {
+            monitoredMs: { $sum: '$ms' },
+            drowsyMs: { $sum: { $cond: ['$drowsy', '$ms', 0] } }
+        };
+
+        const [result] = await DriverBehaviorLog.aggregate([
+            { $match: match },
+            {
+                $setWindowFields: {
+                    partitionBy: '$driverId',
+                    sortBy: { timestamp: 1 },
+                    output: { nextAt: { $shift: { output: '$timestamp', by: 1 } } }
+                }
+            },
+            {
+                $project: {
+                    driverId: 1,
+                    timestamp: 1,
+                    drowsy: { $or: [{ $eq: ['$status', 'DROWSY'] }, { $eq: ['$healthStatus', 'DROWSY'] }] },
+                    // Monitoring was off until the next sample
+                    ms: {
+                        $cond: [
+                            {
+                                $or: [
+                                    { $eq: ['$monitoringActive', false] },
+                                    { $in: ['$healthStatus', ['INACTIVE', 'OFFLINE']] },
+                                    { $eq: ['$source', 'session-stop'] }
+                                ]
+                            },
+                            0,
+                            { $min: [{ $subtract: [{ $ifNull: ['$nextAt', '$timestamp'] }, '$timestamp'] }, gapMs] }
+                        ]
+                    }
+                }
+            },
+            {
+                $facet: {
+                    byHour: [{
+                        $group: {
+                            _id: { driverId: '$driverId', hour: { $hour: { date: '$timestamp', timezone: timeZone } } },
+                            ...sums
+                        }
+                    }],
+                    byWeek: [{
+                        $group: {
+                            _id: {
+                                driverId: '$driverId',
+                                week: { $dateTrunc: { date: '$timestamp', unit: 'week', startOfWeek: 'monday', timezone: timeZone } }
+                            },
+                            ...sums
+                        }
+                    }]
+                }
+            }
+        ]);
+
+        const flatten = (groups = []) => groups.map(({ _id, ...totals }) => ({ ..._id, driverId: String(_id.driverId), ...totals }));
+        return { byHour: flatten(result?.byHour), byWeek: flatten(result?.byWeek) };
+    }
+
+    /**
+     * In-progress spans of the matching trips, clipped to [from, to]
+     * @param {Object} query - Trip filter (driverId or _id)
+     * @returns {Promise<Array<Object>>} { driverId, start, end }
+     */
+    async drivingSpans(query, from, to) {
+        const trips = await Trip.find({
+            ...query,
+            actualStartDateTime: { $ne: null, $lt: to },
+            $or: [{ actualEndDateTime: null }, { actualEndDateTime: { $gte: from } }]
+        })
+            .select('driverId status statusHistory actualStartDateTime actualEndDateTime')
+            .lean();
+
+        const spans = [];
+        for (const trip of trips) {
+            const history = trip.statusHistory || [];
+            const tripSpans = [];
+
+            history.forEach((entry, i) => {
+                if (entry.status !== 'in-progress') return;
+                const end = history[i + 1]?.changedAt || (trip.status === 'in-progress' ? to : trip.actualEndDateTime);
+                if (end) tripSpans.push({ start: entry.changedAt, end });
+            });
+
+            // Trips from before status history was kept
+            if (!tripSpans.length) {
+                tripSpans.push({ start: trip.actualStartDateTime, end: trip.actualEndDateTime || to });
+            }
+
+            tripSpans.forEach(({ start, end }) => {
+                const clipped = {
+                    driverId: String(trip.driverId),
+                    start: new Date(Math.max(new Date(start), from)),
+                    end: new Date(Math.min(new Date(end), to))
+                };
+                if (clipped.end > clipped.start) spans.push(clipped);
+            });
+        }
+
+        return spans;
+    }
+
+    /**
+     * Driving hours of spans within [from, to)
+     */
+    hoursWithin(spans, from, to) {
+        return spans.reduce((sum, span) => {
+            const ms = Math.min(span.end, to) - Math.max(span.start, from);
+            return sum + Math.max(ms, 0) / HOUR_MS;
+        }, 0);
+    }
+
+    /**
+     * Severity-weighted incident count
+     */
+    weightedIncidents(incidents) {
+        return incidents.reduce((sum, incident) => sum + (SEVERITY_WEIGHTS[incident.severity] || 1), 0);
+    }
+
+    /**
+     * Safety score from driving hours, drowsy minutes and incidents
+     * @returns {Object} { score, drowsinessPenalty, incidentPenalty } (score null below minDrivingHours)
+     */
+    score(drivingHours, drowsyMinutes, incidents) {
+        if (drivingHours < this.minDrivingHours) {
+            return { score: null, drowsinessPenalty: null, incidentPenalty: null };
+        }
+
+        const drowsinessPenalty = Math.min((drowsyMinutes / drivingHours) * DROWSINESS_PENALTY, MAX_PENALTY);
+        const incidentsPerTenHours = (this.weightedIncidents(incidents) / drivingHours) * 10;
+        const incidentPenalty = Math.min(incidentsPerTenHours * INCIDENT_PENALTY, MAX_PENALTY);
+
+        return {
+            score: Math.round(100 - drowsinessPenalty - incidentPenalty),
+            drowsinessPenalty: round(drowsinessPenalty, 1),
+            incidentPenalty: round(incidentPenalty, 1)
+        };
+    }
+
+    /**
+     * Direction of the weekly drowsy minutes per driving hour (least squares slope)
+     * @param {Array<Object>} weekly - From forDriver
+     * @returns {Object} { direction: 'improving'|'worsening'|'stable'|null, slope, weeks }
+     */
+    trend(weekly) {
+        const points = weekly
+            .map((w, x) => ({ x, y: w.drowsyMinutesPerDrivingHour }))
+            .filter((p, i) => p.y !== null && weekly[i].drivingHours >= this.minDrivingHours);
+
+        if (points.length < 3) {
+            return { direction: null, slope: null, weeks: points.length };
+        }
+
+        const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+        const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0)
+            / points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+        let direction = 'stable';
+        if (slope <= -TREND_THRESHOLD) direction = 'improving';
+        if (slope >= TREND_THRESHOLD) direction = 'worsening';
+
+        return { direction, slope: round(slope, 3), weeks: points.length };
+    }
+
+    /**
+     * Totals shared by driver and trip metrics
+     */
+    summarise(drivingHours, monitoredMs, drowsyMs, incidents) {
+        const drowsyMinutes = drowsyMs / 60000;
+        const bySeverity = Object.fromEntries(Object.keys(SEVERITY_WEIGHTS).map(s => [s, 0]));
+        incidents.forEach(incident => { bySeverity[incident.severity] = (bySeverity[incident.severity] || 0) + 1; });
+
+        return {
+            drivingHours: round(drivingHours),
+            monitoredHours: round(monitoredMs / HOUR_MS),
+            drowsyMinutes: round(drowsyMinutes),
+            drowsyMinutesPerDrivingHour: drivingHours > 0 ? round(drowsyMinutes / drivingHours) : null,
+            incidents: {
+                total: incidents.length,
+                bySeverity,
+                perTenDrivingHours: drivingHours > 0 ? round((incidents.length / drivingHours) * 10) : null
+            },
+            safetyScore: this.score(drivingHours, drowsyMinutes, incidents)
+        };
+    }
+
+    /**
+     * Drowsiness by time of day, in BUCKET_HOURS buckets
+     */
+    timeOfDay(byHour, incidents, timeZone) {
+        const buckets = Array.from({ length: 24 / BUCKET_HOURS }, (_, i) => {
+            const from = i * BUCKET_HOURS;
+            return {
+                bucket: `${String(from).padStart(2, '0')}:00-${String(from + BUCKET_HOURS).padStart(2, '0')}:00`,
+                monitoredMinutes: 0,
+                drowsyMinutes: 0,
+                drowsyShare: null,
+                incidents: 0
+            };
+        });
+
+        byHour.forEach(h => {
+            const bucket = buckets[Math.floor(h.hour / BUCKET_HOURS)];
+            bucket.monitoredMinutes += h.monitoredMs / 60000;
+            bucket.drowsyMinutes += h.drowsyMs / 60000;
+        });
+        incidents.forEach(incident => {
+            buckets[Math.floor(this.localParts(incident.startedAt, timeZone).hour / BUCKET_HOURS)].incidents++;
+        });
+
+        buckets.forEach(bucket => {
+            bucket.drowsyShare = bucket.monitoredMinutes > 0 ? round(bucket.drowsyMinutes / bucket.monitoredMinutes, 3) : null;
+            bucket.monitoredMinutes = round(bucket.monitoredMinutes);
+            bucket.drowsyMinutes = round(bucket.drowsyMinutes);
+        });
+
+        // Only buckets with enough monitoring to compare
+        const worst = buckets
+            .filter(b => b.monitoredMinutes >= this.minBucketMinutes && (b.drowsyMinutes > 0 || b.incidents > 0))
+            .sort((a, b) => b.drowsyShare - a.drowsyShare || b.incidents - a.incidents)
+            .slice(0, WORST_BUCKETS)
+            .map(b => b.bucket);
+
+        return { buckets, worst };
+    }
+
+    /**
+     * Fatigue metrics and safety score for a driver over the last weeks
+     * @param {String} driverId
+     * @param {Object} options - { weeks, timezone, now }
+     * @returns {Promise<Object>}
+     */
+    async forDriver(driverId, options = {}) {
+        const [metrics] = await this.forDrivers([driverId], options);
+        return metrics;
+    }
+
+    /**
+     * forDriver for several drivers at once (three queries whatever the number of drivers)
+     * @param {Array<String>} driverIds
+     * @param {Object} options - { weeks, timezone, now }
+     * @returns {Promise<Array<Object>>} In the order of driverIds
+     */
+    async forDrivers(driverIds, { weeks = this.weeks, timezone = this.timezone, now = new Date() } = {}) {
+        const ids = driverIds.map(id => new mongoose.Types.ObjectId(String(id)));
+        if (!ids.length) return [];
+
+        const periods = this.weeksUntil(now, weeks, timezone);
+        const from = periods[0].start;
+
+        const [samples, spans, incidents] = await Promise.all([
+            this.sampleTotals({ driverId: { $in: ids }, timestamp: { $gte: from, $lt: now } }, timezone),
+            this.drivingSpans({ driverId: { $in: ids } }, from, now),
+            DrowsinessIncident.find({ driverId: { $in: ids }, startedAt: { $gte: from, $lt: now } })
+                .select('driverId severity startedAt')
+                .lean()
+        ]);
+
+        return ids.map(id => {
+            const key = String(id);
+            const byHour = samples.byHour.filter(h => h.driverId === key);
+            const byWeek = samples.byWeek.filter(w => w.driverId === key);
+            const driverSpans = spans.filter(s => s.driverId === key);
+            const driverIncidents = incidents.filter(i => String(i.driverId) === key);
+
+            const weekly = periods.map(period => {
+                const totals = byWeek.find(w => w.week >= period.start && w.week < period.end)
+                    || { monitoredMs: 0, drowsyMs: 0 };
+                const weekIncidents = driverIncidents.filter(i => i.startedAt >= period.start && i.startedAt < period.end);
+                const summary = this.summarise(
+                    this.hoursWithin(driverSpans, period.start, period.end),
+                    totals.monitoredMs,
+                    totals.drowsyMs,
+                    weekIncidents
+                );
+
+                return {
+                    week: period.week,
+                    weekStart: period.start,
+                    drivingHours: summary.drivingHours,
+                    drowsyMinutes: summary.drowsyMinutes,
+                    drowsyMinutesPerDrivingHour: summary.drowsyMinutesPerDrivingHour,
+                    incidents: summary.incidents.total,
+                    safetyScore: summary.safetyScore.score
+                };
+            });
+
+            const total = (field) => byHour.reduce((sum, h) => sum + h[field], 0);
+            const summary = this.summarise(this.hoursWithin(driverSpans, from, now), total('monitoredMs'), total('drowsyMs'), driverIncidents);
+            const { buckets, worst } = this.timeOfDay(byHour, driverIncidents, timezone);
+
+            return {
+                driverId: id,
+                period: { from, to: now, weeks, timezone },
+                ...summary,
+                timeOfDay: buckets,
+                worstTimeOfDay: worst,
+                weekly,
+                trend: this.trend(weekly),
+                computedAt: now
+            };
+        });
+    }
+
+    /**
+     * Fatigue metrics for one trip
+     * @param {Object} trip - Trip document (or lean)
+     * @param {Object} options - { timezone, now }
+     * @returns {Promise<Object>}
+     */
+    async forTrip(trip, { timezone = this.timezone, now = new Date() } = {}) {
+        const from = trip.actualStartDateTime ? new Date(trip.actualStartDateTime) : null;
+        const to = trip.actualEndDateTime ? new Date(trip.actualEndDateTime) : now;
+
+        const [samples, spans, incidents] = await Promise.all([
+            this.sampleTotals({ tripId: trip._id }, timezone),
+            from ? this.drivingSpans({ _id: trip._id }, from, to) : [],
+            DrowsinessIncident.find({ tripId: trip._id }).select('severity startedAt').lean()
+        ]);
+
+        const total = (key) => samples.byHour.reduce((sum, h) => sum + h[key], 0);
+        const { buckets, worst } = this.timeOfDay(samples.byHour, incidents, timezone);
+
+        return {
+            tripId: trip._id,
+            driverId: trip.driverId,
+            status: trip.status,
+            period: { from, to: from ? to : null, timezone },
+            ...this.summarise(this.hoursWithin(spans, from || to, to), total('monitoredMs'), total('drowsyMs'), incidents),
+            timeOfDay: buckets,
+            worstTimeOfDay: worst,
+            computedAt: now
+        };
+    }
+
+    /**
+     * Queue a driver's current score for driver-management
+     * @param {String} driverId
+     * @param {Object} context - { tripId, fleetManagerId } when a trip triggered it
+     * @returns {Promise<Object>} Dispatch summary
+     */
+    async publish(driverId, { tripId, fleetManagerId } = {}) {
+        const metrics = await this.forDriver(driverId);
+        return outboxService.commit(null, [this.scoreMessage(metrics, { tripId, fleetManagerId })]);
+    }
+
+    /**
+     * Build the (unsaved) outbox message carrying a driver's score
+     * @param {Object} metrics - From forDriver / forDrivers
+     * @param {Object} context - { tripId, fleetManagerId }
+     */
+    scoreMessage(metrics, { tripId, fleetManagerId } = {}) {
+        const payload = {
+            score: metrics.safetyScore.score,
+            drivingHours: metrics.drivingHours,
+            drowsyMinutesPerDrivingHour: metrics.drowsyMinutesPerDrivingHour,
+            incidents: metrics.incidents.total,
+            incidentsBySeverity: metrics.incidents.bySeverity,
+            worstTimeOfDay: metrics.worstTimeOfDay,
+            trend: metrics.trend.direction,
+            periodWeeks: metrics.period.weeks,
+            computedAt: metrics.computedAt
+        };
+
+        return outboxService.message('driver-safety-score', String(metrics.driverId), payload, {
+            event: 'safety-score',
+            tripId,
+            fleetManagerId
+        });
+    }
+
+    /**
+     * Publish scores for every driver who drove or was monitored in the period,
+     * PUBLISH_BATCH_SIZE drivers per query
+     * @returns {Promise<Object>} { drivers, published, failed }
+     */
+    async publishAll(now = new Date()) {
+        const from = this.weeksUntil(now, this.weeks, this.timezone)[0].start;
+
+        const [monitored, driven] = await Promise.all([
+            DriverBehaviorLog.distinct('driverId', { timestamp: { $gte: from } }),
+            Trip.distinct('driverId', {
+                actualStartDateTime: { $ne: null },
+                $or: [{ actualEndDateTime: null }, { actualEndDateTime: { $gte: from } }]
+            })
+        ]);
+        const driverIds = [...new Set([...monitored, ...driven].filter(Boolean).map(String))];
+
+        let published = 0;
+        let failed = 0;
+        for (let i = 0; i < driverIds.length; i += PUBLISH_BATCH_SIZE) {
+            const batch = driverIds.slice(i, i + PUBLISH_BATCH_SIZE);
+            try {
+                const metrics = await this.forDrivers(batch, { now });
+                // Queued in one write; whatever is not delivered now is left to the outbox dispatcher
+                await outboxService.commit(null, metrics.map(m => this.scoreMessage(m)));
+                published += batch.length;
+            } catch (error) {
+                failed += batch.length;
+                console.error(`[fatigue] Failed to publish safety scores for ${batch.length} driver(s):`, error.message);
+            }
+        }
+
+        return { drivers: driverIds.length, published, failed };
+    }
+}
+
+module.exports = new FatigueAnalyticsService();
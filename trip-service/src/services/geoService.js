@@ -0,0 +1,191 @@
+/**
+ * Geometry helpers shared by the tracking features.
+ * All coordinates are GeoJSON order: [longitude, latitude].
+ * All distances are in metres unless stated otherwise.
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * Great-circle distance between two points
+ * @param {Array} a - [lng, lat]
+ * @param {Array} b - [lng, lat]
+ * @returns {Number} Distance in metres
+ */
+const haversineDistance = (a, b) => {
+    const dLat = toRad(b[1] - a[1]);
+    const dLng = toRad(b[0] - a[0]);
+    const lat1 = toRad(a[1]);
+    const lat2 = toRad(b[1]);
+
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Total length of a polyline
+ * @param {Array} coordinates - Array of [lng, lat]
+ * @returns {Number} Length in metres
+ */
+const pathLength = (coordinates) => {
+    let total = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        total += haversineDistance(coordinates[i - 1], coordinates[i]);
+    }
+    return total;
+};
+
+/**
+ * Project a point onto a local flat plane (equirectangular) centred on origin.
+ * Accurate enough for the short distances used in corridor and simplification checks.
+ * @returns {Array} [x, y] in metres
+ */
+const toLocalXY = (point, origin) => {
+    const x = toRad(point[0] - origin[0]) * Math.cos(toRad(origin[1])) * EARTH_RADIUS_M;
+    const y = toRad(point[1] - origin[1]) * EARTH_RADIUS_M;
+    return [x, y];
+};
+
+/**
+ * Shortest distance from a point to the segment a–b
+ * @returns {Object} { distance (m), t (0–1 position of the closest point along a–b) }
+ */
+const pointToSegmentDistance = (point, a, b) => {
+    const [px, py] = toLocalXY(point, a);
+    const [bx, by] = toLocalXY(b, a);
+    const lengthSq = bx * bx + by * by;
+
+    let t = lengthSq === 0 ? 0 : (px * bx + py * by) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+
+    const dx = px - t * bx;
+    const dy = py - t * by;
+    return { distance: Math.sqrt(dx * dx + dy * dy), t };
+};
+
+/**
+ * Shortest distance from a point to a polyline, plus how far along the line
+ * the closest point lies.
+ * @param {Array} point - [lng, lat]
+ * @param {Array} line - Array of [lng, lat]
+ * @returns {Object} { distance (m), segmentIndex, alongDistance (m from line start) }
+ */
+const pointToLineDistance = (point, line) => {
+    if (!line || line.length === 0) {
+        return { distance: Infinity, segmentIndex: -1, alongDistance: 0 };
+    }
+    if (line.length === 1) {
+        return { distance: haversineDistance(point, line[0]), segmentIndex: 0, alongDistance: 0 };
+    }
+
+    let best = { distance: Infinity, segmentIndex: -1, alongDistance: 0 };
+    let travelled = 0;
+
+    for (let i = 1; i < line.length; i++) {
+        const segmentLength = haversineDistance(line[i - 1], line[i]);
+        const { distance, t } = pointToSegmentDistance(point, line[i - 1], line[i]);
+        if (distance < best.distance) {
+            best = { distance, segmentIndex: i - 1, alongDistance: travelled + t * segmentLength };
+        }
+        travelled += segmentLength;
+    }
+
+    return best;
+};
+
+/**
+ * Initial bearing from a to b
+ * @returns {Number} Degrees clockwise from north (0–360)
+ */
+const bearing = (a, b) => {
+    const lat1 = toRad(a[1]);
+    const lat2 = toRad(b[1]);
+    const dLng = toRad(b[0] - a[0]);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+};
+
+/**
+ * Ray-casting point-in-polygon test on raw lng/lat (fine for site-sized polygons)
+ * @param {Array} point - [lng, lat]
+ * @param {Array} ring - Outer ring, array of [lng, lat]
+ * @returns {Boolean}
+ */
+const pointInPolygon = (point, ring) => {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const intersects = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+        if (intersects) inside = !inside;
+    }
+    return inside;
+};
+
+/**
+ * Douglas-Peucker simplification driven by a target point count instead of a
+ * tolerance: the segment with the largest deviation is split first, until
+ * maxPoints are kept or the remaining points lie exactly on the line.
+ * @param {Array} items - Ordered items
+ * @param {Number} maxPoints - Target number of points to keep (>= 2)
+ * @param {Function} [getCoordinates] - Maps an item to [lng, lat]
+ * @returns {Array} Subset of items, original order preserved
+ */
+const simplifyToCount = (items, maxPoints, getCoordinates = (item) => item) => {
+    if (!items || items.length <= maxPoints || items.length <= 2) {
+        return items ? items.slice() : [];
+    }
+
+    const target = Math.max(2, Math.floor(maxPoints));
+    const coords = items.map(getCoordinates);
+    const keep = new Set([0, items.length - 1]);
+
+    // Find the point of maximum deviation between two kept indices
+    const farthest = (start, end) => {
+        let maxDistance = -1;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+            const { distance } = pointToSegmentDistance(coords[i], coords[start], coords[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        return { start, end, index, distance: maxDistance };
+    };
+
+    const segments = [farthest(0, items.length - 1)];
+
+    while (keep.size < target && segments.length > 0) {
+        let bestIdx = 0;
+        for (let i = 1; i < segments.length; i++) {
+            if (segments[i].distance > segments[bestIdx].distance) bestIdx = i;
+        }
+
+        const segment = segments.splice(bestIdx, 1)[0];
+        if (segment.index === -1 || segment.distance <= 0) continue;
+
+        keep.add(segment.index);
+        if (segment.index - segment.start > 1) segments.push(farthest(segment.start, segment.index));
+        if (segment.end - segment.index > 1) segments.push(farthest(segment.index, segment.end));
+    }
+
+    return [...keep].sort((a, b) => a - b).map(i => items[i]);
+};
+
+module.exports = {
+    EARTH_RADIUS_M,
+    haversineDistance,
+    pathLength,
+    toLocalXY,
+    pointToSegmentDistance,
+    pointToLineDistance,
+    bearing,
+    pointInPolygon,
+    simplifyToCount
+};
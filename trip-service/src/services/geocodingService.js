@@ -0,0 +1,92 @@
+const axios = require('axios');
+
+// Results kept per address (addresses repeat a lot within one import)
+const CACHE_SIZE = 500;
+
+/**
+ * Address → coordinates, used by the bulk trip import.
+ *
+ * The provider is chosen with GEOCODING_PROVIDER (mapbox | nominatim | none).
+ * When it is not set, Mapbox is used if MAPBOX_ACCESS_TOKEN is present and
+ * geocoding is disabled otherwise (rows then need coordinates).
+ */
+class GeocodingService {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    get provider() {
+        return (process.env.GEOCODING_PROVIDER || (process.env.MAPBOX_ACCESS_TOKEN ? 'mapbox' : 'none')).toLowerCase();
+    }
+
+    get enabled() {
+        return ['mapbox', 'nominatim'].includes(this.provider);
+    }
+
+    /**
+     * Geocode an address
+     * @param {String} address
+     * @returns {Promise<Object|null>} { coordinates: [lng, lat], address } or null when not found
+     * @throws {Error} When no provider is configured or the provider fails
+     */
+    async geocode(address) {
+        const key = String(address).trim().toLowerCase();
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        let result;
+        if (this.provider === 'mapbox') {
+            result = await this.mapbox(address);
+        } else if (this.provider === 'nominatim') {
+            result = await this.nominatim(address);
+        } else {
+            throw new Error('No geocoding provider configured; give latitude and longitude instead');
+        }
+
+        if (this.cache.size >= CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, result);
+        return result;
+    }
+
+    async mapbox(address) {
+        if (!process.env.MAPBOX_ACCESS_TOKEN) {
+            throw new Error('MAPBOX_ACCESS_TOKEN environment variable is not set');
+        }
+
+        const baseUrl = process.env.MAPBOX_BASE_URL || 'https://api.mapbox.com';
+        const response = await axios.get(`${baseUrl}/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json`, {
+            params: {
+                access_token: process.env.MAPBOX_ACCESS_TOKEN,
+                limit: 1,
+                country: process.env.GEOCODING_COUNTRY || undefined
+            },
+            timeout: 10000
+        });
+
+        const feature = response.data.features?.[0];
+        return feature ? { coordinates: feature.center, address: feature.place_name } : null;
+    }
+
+    async nominatim(address) {
+        const baseUrl = (process.env.NOMINATIM_BASE_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, '');
+        const response = await axios.get(`${baseUrl}/search`, {
+            params: {
+                q: address,
+                format: 'jsonv2',
+                limit: 1,
+                countrycodes: process.env.GEOCODING_COUNTRY || undefined
+            },
+            // Nominatim's usage policy requires an identifying User-Agent
+            headers: { 'User-Agent': process.env.NOMINATIM_USER_AGENT || 'mobitrak-trip-service' },
+            timeout: 10000
+        });
+
+        const place = response.data?.[0];
+        return place
+            ? { coordinates: [parseFloat(place.lon), parseFloat(place.lat)], address: place.display_name }
+            : null;
+    }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Geofence = require('../models/Geofence');
+const GeofenceVisit = require('../models/GeofenceVisit');
+const { haversineDistance, pointInPolygon } = require('./geoService');
+const { ON_ROAD_STATUSES } = require('./tripStatusService');
+
+// Upper bound for the circle lookup; no single circle geofence is expected to be larger
+const MAX_CIRCLE_RADIUS_METERS = 50000;
+
+const isPosition = (value) => Array.isArray(value) &&
+    value.length === 2 &&
+    value.every(n => typeof n === 'number' && Number.isFinite(n)) &&
+    Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+
+/**
+ * Geofence evaluation for the live location pipeline.
+ *
+ * On every ping the fences owned by the trip's fleet manager that contain the
+ * point are compared against the trip's open GeofenceVisit records to work out
+ * enter and exit transitions. Only trips on the road (in progress or paused)
+ * are evaluated.
+ */
+class GeofenceService {
+    /**
+     * Validate and normalise a geofence shape from a request body.
+     * Accepts { shape: 'circle', center: [lng, lat], radiusMeters } or
+     * { shape: 'polygon', coordinates: [[lng, lat], ...] } (ring is closed automatically).
+     * @param {Object} body - Request body
+     * @returns {Object} { error } or { shape, geometry, radiusMeters }
+     */
+    buildShape(body) {
+        const { shape, center, radiusMeters, coordinates } = body;
+
+        if (shape === 'circle') {
+            if (!isPosition(center)) {
+                return { error: 'center must be a [longitude, latitude] pair' };
+            }
+            const radius = parseFloat(radiusMeters);
+            if (!radius || radius <= 0 || radius > MAX_CIRCLE_RADIUS_METERS) {
+                return { error: `radiusMeters must be between 1 and ${MAX_CIRCLE_RADIUS_METERS}` };
+            }
+            return {
+                shape,
+                geometry: { type: 'Point', coordinates: center },
+                radiusMeters: radius
+            };
+        }
+
+        if (shape === 'polygon') {
+            // Allow either a bare ring or a GeoJSON-style array of rings
+            const ring = Array.isArray(coordinates) && Array.isArray(coordinates[0]?.[0])
+                ? coordinates[0]
+                : coordinates;
+
+            if (!Array.isArray(ring) || ring.length < 3 || !ring.every(isPosition)) {
+                return { error: 'coordinates must contain at least 3 [longitude, latitude] pairs' };
+            }
+
+            const closed = [...ring];
+            const first = closed[0];
+            const last = closed[closed.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                closed.push(first);
+            }
+
+            return {
+                shape,
+                geometry: { type: 'Polygon', coordinates: [closed] },
+                radiusMeters: undefined
+            };
+        }
+
+        return { error: "shape must be 'circle' or 'polygon'" };
+    }
+
+    /**
+     * Active geofences of a fleet manager that contain the point
+     * @param {String} fleetManagerId
+     * @param {Array} coordinates - [lng, lat]
+     * @returns {Promise<Array>} Lean geofence documents
+     */
+    async findContaining(fleetManagerId, coordinates) {
+        const point = { type: 'Point', coordinates };
+
+        const [polygons, circles] = await Promise.all([
+            Geofence.find({
+                fleetManagerId,
+                isActive: true,
+                shape: 'polygon',
+                geometry: { $geoIntersects: { $geometry: point } }
+            }).lean(),
+            Geofence.aggregate([
+                {
+                    $geoNear: {
+                        near: point,
+                        distanceField: 'distanceMeters',
+                        maxDistance: MAX_CIRCLE_RADIUS_METERS,
+                        spherical: true,
+                        query: {
+                            fleetManagerId: new mongoose.Types.ObjectId(fleetManagerId.toString()),
+                            isActive: true,
+                            shape: 'circle'
+                        }
+                    }
+                },
+                { $match: { $expr: { $lte: ['$distanceMeters', '$radiusMeters'] } } }
+            ])
+        ]);
+
+        return [...polygons, ...circles];
+    }
+
+    /**
+     * In-memory containment check for an already loaded geofence
+     * @param {Object} geofence - Geofence document
+     * @param {Array} coordinates - [lng, lat]
+     * @returns {Boolean}
+     */
+    contains(geofence, coordinates) {
+        if (geofence.shape === 'circle') {
+            return haversineDistance(geofence.geometry.coordinates, coordinates) <= geofence.radiusMeters;
+        }
+        return pointInPolygon(coordinates, geofence.geometry.coordinates[0]);
+    }
+
+    /**
+     * Evaluate a ping for a trip: open visits for fences entered and close
+     * visits for fences left.
+     * @param {Object} trip - Trip document
+     * @param {Array} coordinates - [lng, lat]
+     * @param {Date} timestamp
+     * @returns {Promise<Object>} { inside: [geofence], entered: [{ geofence, visit }], exited: [{ geofence, visit }] }
+     */
+    async evaluate(trip, coordinates, timestamp = new Date()) {
+        if (!ON_ROAD_STATUSES.includes(trip.status)) {
+            return { inside: [], entered: [], exited: [] };
+        }
+
+        const [inside, openVisits] = await Promise.all([
+            this.findContaining(trip.fleetManagerId, coordinates),
+            GeofenceVisit.find({ tripId: trip._id, exitedAt: null })
+        ]);
+
+        const insideIds = new Set(inside.map(g => g._id.toString()));
+        const openIds = new Set(openVisits.map(v => v.geofenceId.toString()));
+
+        const entered = [];
+        for (const geofence of inside) {
+            if (openIds.has(geofence._id.toString())) continue;
+
+            const visit = await this.openVisit(trip, geofence, coordinates, timestamp);
+            if (visit) entered.push({ geofence, visit });
+        }
+
+        const exited = [];
+        for (const visit of openVisits) {
+            if (insideIds.has(visit.geofenceId.toString())) continue;
+
+            visit.exitedAt = timestamp;
+            visit.exitLocation = coordinates;
+            visit.dwellMinutes = Math.round(((new Date(timestamp) - visit.enteredAt) / 60000) * 10) / 10;
+            await visit.save();
+
+            const geofence = await Geofence.findById(visit.geofenceId).lean();
+            exited.push({ geofence, visit });
+        }
+
+        return { inside, entered, exited };
+    }
+
+    /**
+     * Close a trip's open visits when it ends (completed, aborted, cancelled),
+     * so their dwell time stops and later trips are unaffected
+     * @param {Object} trip - Trip document
+     * @param {Date} timestamp - End or cancellation time
+     * @returns {Promise<Number>} Visits closed
+     */
+    async closeVisits(trip, timestamp = new Date()) {
+        const at = new Date(timestamp);
+        const coordinates = trip.currentLocation?.coordinates?.length === 2 ? trip.currentLocation.coordinates : null;
+
+        const result = await GeofenceVisit.updateMany(
+            { tripId: trip._id, exitedAt: null },
+            [{
+                $set: {
+                    exitedAt: at,
+                    ...(coordinates && { exitLocation: coordinates }),
+                    dwellMinutes: { $round: [{ $divide: [{ $subtract: [at, '$enteredAt'] }, 60000] }, 1] }
+                }
+            }]
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Open a visit unless a concurrent ping already did (upsert on the open visit)
+     * @returns {Promise<Object|null>} The new visit, or null when one was already open
+     */
+    async openVisit(trip, geofence, coordinates, timestamp) {
+        try {
+            const result = await GeofenceVisit.findOneAndUpdate(
+                { tripId: trip._id, geofenceId: geofence._id, exitedAt: null },
+                {
+                    $setOnInsert: {
+                        fleetManagerId: trip.fleetManagerId,
+                        vehicleId: trip.vehicleId,
+                        driverId: trip.driverId || null,
+                        enteredAt: timestamp,
+                        entryLocation: coordinates
+                    }
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+            );
+            return result.lastErrorObject?.updatedExisting ? null : result.value;
+        } catch (error) {
+            // Both upserts tried to insert; the unique index kept one
+            if (error.code === 11000) return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = new GeofenceService();
@@ -0,0 +1,445 @@
+const mongoose = require('mongoose');
+const DrowsinessIncident = require('../models/DrowsinessIncident');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Trip = require('../models/Trip');
+const UserMinimal = require('../models/UserMinimal');
+const realtimeService = require('./realtimeService');
+const smsService = require('./smsService');
+const NotificationClient = require('./notificationClient');
+const { haversineDistance } = require('./geoService');
+const { ON_ROAD_STATUSES } = require('./tripStatusService');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Monitoring statuses that start or extend an incident → counter in incident.samples
+const INCIDENT_SAMPLES = {
+    DROWSY: 'drowsy',
+    NO_FACE: 'noFace'
+};
+
+// Statuses that end the ongoing incident (LOW_LIGHT etc. neither extend nor end it)
+const ENDING_SAMPLES = ['ALERT', 'INACTIVE'];
+
+// First match wins: peak PERCLOS or duration (seconds) at or above the threshold
+const SEVERITY_THRESHOLDS = [
+    { severity: 'CRITICAL', perclos: 0.8, seconds: 60 },
+    { severity: 'HIGH', perclos: 0.6, seconds: 30 },
+    { severity: 'MEDIUM', perclos: 0.4, seconds: 10 }
+];
+
+// Steps after the fleet manager notification, in order, timed by a policy field
+const LATER_STEPS = [
+    { action: 'CALL_SUPERVISOR', after: 'callSupervisorAfterMinutes', run: 'callSupervisor' },
+    { action: 'RECOMMEND_REST_STOP', after: 'restStopAfterMinutes', run: 'recommendRestStop' }
+];
+
+const BATCH_SIZE = 100;
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+/**
+ * Drowsiness incident engine.
+ *
+ * Monitoring samples (socket driver_monitoring and
+ * POST /api/realtime/driver-monitoring) are grouped per driver into
+ * incidents with a peak PERCLOS and a severity. Once an incident reaches the
+ * company policy's minSeverity the fleet manager is notified; while it stays
+ * unacknowledged, escalate() (server.js every
+ * INCIDENT_ESCALATION_INTERVAL_SECONDS, Lambda on a schedule) calls the
+ * on-call supervisor and then tells the driver to take a rest stop, each
+ * after the policy's delay counted from the notification.
+ *
+ * Each step is claimed with a conditional update on escalation.level, so
+ * several instances never repeat one.
+ */
+class IncidentService {
+    constructor() {
+        this.gapSeconds = parseFloat(process.env.INCIDENT_SAMPLE_GAP_SECONDS) || 15;
+        this.restStopMaxKm = parseFloat(process.env.REST_STOP_MAX_DISTANCE_KM) || 50;
+    }
+
+    get severities() {
+        return SEVERITIES;
+    }
+
+    /**
+     * Severity from peak PERCLOS and duration so far
+     * @param {Object} incident
+     * @returns {String}
+     */
+    severityOf(incident) {
+        const seconds = (new Date(incident.lastSampleAt) - new Date(incident.startedAt)) / 1000;
+        const match = SEVERITY_THRESHOLDS.find(t => incident.peakPerclos >= t.perclos || seconds >= t.seconds);
+        return match ? match.severity : 'LOW';
+    }
+
+    /**
+     * A company's policy, or the schema defaults when it has none
+     * @param {String} companyId
+     * @returns {Promise<Object>}
+     */
+    async policyFor(companyId) {
+        const policy = await EscalationPolicy.findOne({ companyId }).lean();
+        return policy || new EscalationPolicy({ companyId }).toObject();
+    }
+
+    /**
+     * Add a monitoring sample to the driver's incidents
+     * @param {Object} sample - { driverId, companyId, tripId, status, perclos, timestamp }
+     * @returns {Promise<Object>} { incident, opened, ended }
+     */
+    async record({ driverId, companyId, tripId, status, perclos, timestamp }) {
+        if (!mongoose.isValidObjectId(driverId) || !mongoose.isValidObjectId(companyId)) {
+            return { incident: null, opened: false, ended: null };
+        }
+
+        let at = timestamp ? new Date(timestamp) : new Date();
+        if (isNaN(at)) at = new Date();
+
+        const counter = INCIDENT_SAMPLES[status];
+        if (!counter) {
+            const ended = ENDING_SAMPLES.includes(status) ? await this.end(driverId) : null;
+            return { incident: null, opened: false, ended };
+        }
+
+        const value = Math.min(Math.max(Number(perclos) || 0, 0), 1);
+        const extend = {
+            $max: { peakPerclos: value, lastSampleAt: at },
+            $inc: { sampleCount: 1, [`samples.${counter}`]: 1 }
+        };
+
+        let incident = await DrowsinessIncident.findOneAndUpdate(
+            { driverId, ongoing: true, lastSampleAt: { $gte: new Date(at - this.gapSeconds * 1000) } },
+            extend,
+            { new: true }
+        );
+        let opened = false;
+
+        if (!incident) {
+            // Samples stopped for longer than the gap: that incident is over
+            await this.end(driverId);
+
+            try {
+                incident = await DrowsinessIncident.create({
+                    ...(await this.context(driverId, tripId)),
+                    driverId,
+                    companyId,
+                    startedAt: at,
+                    lastSampleAt: at,
+                    peakPerclos: value,
+                    sampleCount: 1,
+                    samples: { [counter]: 1 }
+                });
+                opened = true;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                // A concurrent sample opened it first
+                incident = await DrowsinessIncident.findOneAndUpdate({ driverId, ongoing: true }, extend, { new: true });
+                if (!incident) return { incident: null, opened: false, ended: null };
+            }
+        }
+
+        const severity = this.severityOf(incident);
+        if (rank(severity) > rank(incident.severity)) {
+            await DrowsinessIncident.updateOne(
+                { _id: incident._id, severity: { $in: SEVERITIES.slice(0, rank(severity)) } },
+                { $set: { severity } }
+            );
+            incident.severity = severity;
+
+            if (incident.escalation.level > 0) {
+                realtimeService.toFleet(incident.companyId, 'drowsiness-incident-updated', incident.toObject());
+            }
+        }
+
+        return { incident: (await this.notifyFleetManager(incident)) || incident, opened, ended: null };
+    }
+
+    /**
+     * End a driver's ongoing incident at its last sample
+     * @param {String} driverId
+     * @returns {Promise<Object|null>} The ended incident
+     */
+    async end(driverId) {
+        const ended = await DrowsinessIncident.findOneAndUpdate(
+            { driverId, ongoing: true },
+            [{ $set: { ongoing: false, endedAt: '$lastSampleAt' } }],
+            { new: true }
+        );
+
+        if (ended?.escalation.level > 0) {
+            realtimeService.toFleet(ended.companyId, 'drowsiness-incident-updated', ended.toObject());
+        }
+        return ended;
+    }
+
+    /**
+     * Trip, vehicle and position for a new incident
+     */
+    async context(driverId, tripId) {
+        const trip = await Trip.findOne(mongoose.isValidObjectId(tripId)
+            ? { _id: tripId, driverId }
+            : { driverId, status: { $in: ON_ROAD_STATUSES } })
+            .select('vehicleId currentLocation')
+            .lean();
+        if (!trip) return {};
+
+        const coordinates = trip.currentLocation?.coordinates;
+        return {
+            tripId: trip._id,
+            vehicleId: trip.vehicleId,
+            ...(coordinates?.length === 2 && { location: { type: 'Point', coordinates } })
+        };
+    }
+
+    async driverName(driverId) {
+        const driver = await UserMinimal.findById(driverId).select('firstName lastName email').lean();
+        if (!driver) return 'A driver';
+        return [driver.firstName, driver.lastName].filter(Boolean).join(' ') || driver.email || 'A driver';
+    }
+
+    async addStep(incident, step) {
+        await DrowsinessIncident.updateOne({ _id: incident._id }, { $push: { 'escalation.steps': step } });
+        incident.escalation.steps.push(step);
+    }
+
+    /**
+     * Step 1: notify the fleet manager once the incident reaches the policy's minSeverity
+     * @param {Object} incident - DrowsinessIncident document
+     * @returns {Promise<Object|null>} The escalated incident, or null when not (yet) due
+     */
+    async notifyFleetManager(incident, now = new Date()) {
+        if (incident.state !== 'OPEN' || incident.escalation.level > 0) return null;
+
+        const policy = await this.policyFor(incident.companyId);
+        if (!policy.enabled || rank(incident.severity) < rank(policy.minSeverity)) return null;
+
+        const claimed = await DrowsinessIncident.findOneAndUpdate(
+            { _id: incident._id, state: 'OPEN', 'escalation.level': 0 },
+            { $set: { 'escalation.level': 1, 'escalation.notifiedAt': now } },
+            { new: true }
+        );
+        if (!claimed) return null;
+
+        const channels = [];
+        if (policy.notifyFleetManager) {
+            if (realtimeService.toFleet(claimed.companyId, 'drowsiness-incident', claimed.toObject())) {
+                channels.push('socket');
+            }
+
+            const sent = await NotificationClient.notifyDrowsinessIncident(claimed.companyId.toString(), {
+                incidentId: claimed._id,
+                driverId: claimed.driverId,
+                driverName: await this.driverName(claimed.driverId),
+                tripId: claimed.tripId,
+                severity: claimed.severity,
+                peakPerclos: claimed.peakPerclos,
+                startedAt: claimed.startedAt
+            });
+            if (sent) channels.push('notification');
+        }
+
+        await this.addStep(claimed, {
+            action: 'NOTIFY_FLEET_MANAGER',
+            at: now,
+            channels,
+            delivered: channels.length > 0,
+            detail: policy.notifyFleetManager ? undefined : 'Disabled by policy'
+        });
+        return claimed;
+    }
+
+    /**
+     * Step 2: call the on-call supervisor (SMS when no voice gateway answers)
+     */
+    async callSupervisor(incident, policy, now) {
+        const phone = policy.supervisor?.phone;
+        if (!phone) {
+            return { channels: [], delivered: false, detail: 'Policy has no on-call supervisor phone' };
+        }
+
+        const minutes = Math.round((now - incident.escalation.notifiedAt) / 60000);
+        const message = `MobiTrak safety alert: ${await this.driverName(incident.driverId)} showed signs of drowsiness `
+            + `(${incident.severity} severity) and the incident has not been acknowledged for ${minutes} minutes. `
+            + 'Please contact the driver now.';
+
+        if (await smsService.call(phone, message)) {
+            return { channels: ['voice'], delivered: true, detail: `Called ${policy.supervisor.name || phone}` };
+        }
+        if (await smsService.send(phone, message)) {
+            return { channels: ['sms'], delivered: true, detail: `Texted ${policy.supervisor.name || phone} (voice call unavailable)` };
+        }
+        return { channels: [], delivered: false, detail: 'Voice and SMS gateways unavailable' };
+    }
+
+    /**
+     * Step 3: tell the driver to stop at the nearest suggested rest stop
+     * (within REST_STOP_MAX_DISTANCE_KM), or at the nearest safe place
+     */
+    async recommendRestStop(incident, policy, now) {
+        const trip = incident.tripId
+            ? await Trip.findById(incident.tripId).select('currentLocation suggestedStops').lean()
+            : null;
+        const here = trip?.currentLocation?.coordinates?.length === 2
+            ? trip.currentLocation.coordinates
+            : incident.location?.coordinates;
+
+        let restStop = {
+            name: 'the nearest safe place to stop',
+            location: here ? { type: 'Point', coordinates: here } : undefined,
+            distanceKm: null
+        };
+
+        if (here) {
+            const nearest = (trip?.suggestedStops || [])
+                .filter(stop => stop.location?.coordinates?.length === 2)
+                .map(stop => ({ stop, meters: haversineDistance(here, stop.location.coordinates) }))
+                .sort((a, b) => a.meters - b.meters)[0];
+
+            if (nearest && nearest.meters <= this.restStopMaxKm * 1000) {
+                restStop = {
+                    name: nearest.stop.name,
+                    address: nearest.stop.address,
+                    location: { type: 'Point', coordinates: nearest.stop.location.coordinates },
+                    distanceKm: Math.round(nearest.meters / 100) / 10
+                };
+            }
+        }
+        restStop.recommendedAt = now;
+
+        await DrowsinessIncident.updateOne({ _id: incident._id }, { $set: { restStop } });
+        incident.restStop = restStop;
+
+        const channels = [];
+        const delivered = realtimeService.emit(`monitoring-driver-${incident.driverId}`, 'rest-stop-required', {
+            incidentId: incident._id,
+            tripId: incident.tripId,
+            restStop,
+            message: `Signs of drowsiness were detected. Take a break at ${restStop.name}.`
+        });
+        if (delivered) channels.push('socket');
+
+        if (await NotificationClient.notifyRestStopRequired(incident.driverId.toString(), { incidentId: incident._id, restStop })) {
+            channels.push('notification');
+        }
+
+        return { channels, delivered: channels.length > 0, detail: restStop.name };
+    }
+
+    /**
+     * Take every later step that is due for one incident
+     * @returns {Promise<Number>} Steps taken
+     */
+    async advance(incident, policy, now) {
+        let taken = 0;
+
+        while (incident.escalation.level <= LATER_STEPS.length) {
+            const step = LATER_STEPS[incident.escalation.level - 1];
+            const minutes = policy.enabled ? policy[step.after] : null;
+            const skip = minutes === null || minutes === undefined;
+
+            if (!skip && now - incident.escalation.notifiedAt < minutes * 60 * 1000) break;
+
+            const claimed = await DrowsinessIncident.findOneAndUpdate(
+                { _id: incident._id, state: 'OPEN', 'escalation.level': incident.escalation.level },
+                { $inc: { 'escalation.level': 1 } },
+                { new: true }
+            );
+            if (!claimed) break;
+
+            const result = skip
+                ? { channels: [], delivered: false, detail: 'Disabled by policy' }
+                : await this[step.run](claimed, policy, now);
+            await this.addStep(claimed, { action: step.action, at: now, ...result });
+
+            if (!skip) {
+                realtimeService.toFleet(claimed.companyId, 'drowsiness-incident-updated', claimed.toObject());
+                taken++;
+            }
+            incident = claimed;
+        }
+
+        return taken;
+    }
+
+    /**
+     * End incidents whose samples stopped and take due escalation steps
+     * @param {Date} now
+     * @returns {Promise<Object>} { ended, escalated }
+     */
+    async escalate(now = new Date()) {
+        // Samples stopped without an ALERT (app closed, connection lost)
+        const stale = await DrowsinessIncident.updateMany(
+            { ongoing: true, lastSampleAt: { $lt: new Date(now - this.gapSeconds * 1000) } },
+            [{ $set: { ongoing: false, endedAt: '$lastSampleAt' } }]
+        );
+
+        const due = await DrowsinessIncident.find({
+            state: 'OPEN',
+            'escalation.level': { $gte: 1, $lte: LATER_STEPS.length }
+        })
+            .sort({ 'escalation.notifiedAt': 1 })
+            .limit(BATCH_SIZE);
+
+        const policies = new Map();
+        let escalated = 0;
+
+        for (const incident of due) {
+            const companyId = incident.companyId.toString();
+            try {
+                if (!policies.has(companyId)) {
+                    policies.set(companyId, await this.policyFor(companyId));
+                }
+                escalated += await this.advance(incident, policies.get(companyId), now);
+            } catch (error) {
+                console.error(`[incidents] Escalation failed for incident ${incident._id}:`, error.message);
+            }
+        }
+
+        return { ended: stale.modifiedCount, escalated };
+    }
+
+    /**
+     * Acknowledge an open incident (stops escalation)
+     * @returns {String|null} Error message, or null when done (caller saves)
+     */
+    acknowledge(incident, { userId, notes, now = new Date() }) {
+        if (incident.state !== 'OPEN') {
+            return `Incident is already ${incident.state.toLowerCase()}`;
+        }
+
+        incident.state = 'ACKNOWLEDGED';
+        incident.acknowledgedAt = now;
+        incident.acknowledgedBy = userId;
+        if (notes) incident.notes = notes;
+        return null;
+    }
+
+    /**
+     * Resolve an incident, acknowledging it if needed
+     * @returns {String|null} Error message, or null when done (caller saves)
+     */
+    resolve(incident, { userId, notes, now = new Date() }) {
+        if (incident.state === 'RESOLVED') {
+            return 'Incident is already resolved';
+        }
+
+        if (incident.state === 'OPEN') {
+            incident.acknowledgedAt = now;
+            incident.acknowledgedBy = userId;
+        }
+        incident.state = 'RESOLVED';
+        incident.resolvedAt = now;
+        incident.resolvedBy = userId;
+        if (notes) incident.notes = notes;
+
+        // Later samples start a new incident
+        if (incident.ongoing) {
+            incident.ongoing = false;
+            incident.endedAt = incident.lastSampleAt;
+        }
+        return null;
+    }
+}
+
+module.exports = new IncidentService();
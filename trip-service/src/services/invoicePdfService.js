@@ -0,0 +1,102 @@
+const PDFDocument = require('pdfkit');
+
+const COMPANY_NAME = process.env.INVOICE_COMPANY_NAME || 'MobiTrak';
+
+// The built-in PDF fonts have no ₹ glyph, so amounts are prefixed with the currency code
+const formatAmount = (value, currency) => `${currency} ${Number(value || 0).toFixed(2)}`;
+
+const formatDate = (date) => (date
+    ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+    : '-');
+
+/**
+ * Render an invoice or credit note to PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const isCredit = invoice.type === 'credit-note';
+    const currency = invoice.currency || 'INR';
+
+    // Header
+    doc.fontSize(20).text(COMPANY_NAME, { continued: false });
+    doc.moveDown(0.5);
+    doc.fontSize(14).text(isCredit ? 'CREDIT NOTE' : 'TAX INVOICE');
+    doc.fontSize(10)
+        .text(`Number: ${invoice.invoiceNumber}`)
+        .text(`Date: ${formatDate(invoice.issuedAt)}`);
+
+    if (invoice.status === 'void') {
+        doc.fillColor('red').text(`VOID (${formatDate(invoice.voidedAt)})`).fillColor('black');
+    }
+
+    // Customer
+    doc.moveDown();
+    doc.fontSize(11).text('Bill to', { underline: true });
+    doc.fontSize(10)
+        .text(invoice.customer?.name || '-')
+        .text(invoice.customer?.email || '')
+        .text(invoice.customer?.contact || '');
+
+    // Trip
+    const trip = invoice.tripSummary || {};
+    doc.moveDown();
+    doc.fontSize(11).text('Trip', { underline: true });
+    doc.fontSize(10)
+        .text(`${trip.from || '-'} to ${trip.to || '-'}${trip.isTwoWay ? ' (two-way)' : ''}`)
+        .text(`Started: ${formatDate(trip.startedAt)}   Ended: ${formatDate(trip.endedAt)}`)
+        .text(`Distance: ${Number(trip.distance || 0).toFixed(1)} km   Duration: ${Math.round(trip.duration || 0)} min`);
+
+    // Line items
+    doc.moveDown();
+    const columns = { description: 50, quantity: 300, rate: 380, amount: 460 };
+    let y = doc.y;
+
+    doc.fontSize(10).font('Helvetica-Bold');
+    doc.text('Description', columns.description, y);
+    doc.text('Qty', columns.quantity, y);
+    doc.text('Rate', columns.rate, y);
+    doc.text('Amount', columns.amount, y);
+    doc.font('Helvetica');
+    y += 18;
+
+    (invoice.lineItems || []).forEach(line => {
+        doc.text(line.description + (line.taxable ? '' : ' *'), columns.description, y, { width: 240 });
+        doc.text(line.unit ? `${line.quantity} ${line.unit}` : '', columns.quantity, y);
+        doc.text(line.unitPrice ? Number(line.unitPrice).toFixed(2) : '', columns.rate, y);
+        doc.text(formatAmount(line.amount, currency), columns.amount, y);
+        y += 16;
+    });
+
+    // Totals
+    y += 10;
+    const totals = [
+        ['Subtotal', invoice.subtotal],
+        [`GST (${invoice.gstPercent || 0}%)`, invoice.gst],
+        ['Not taxed *', invoice.passThrough],
+        [isCredit ? 'Total credit' : 'Total', invoice.total]
+    ];
+    totals.forEach(([label, value], index) => {
+        if (index === totals.length - 1) doc.font('Helvetica-Bold');
+        doc.text(label, columns.rate - 80, y);
+        doc.text(formatAmount(value, currency), columns.amount, y);
+        y += 16;
+    });
+    doc.font('Helvetica');
+
+    if (invoice.reason || invoice.notes) {
+        doc.moveDown(2);
+        doc.text(invoice.reason || invoice.notes, columns.description, doc.y, { width: 495 });
+    }
+
+    doc.end();
+});
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const tariffService = require('./tariffService');
+const outboxService = require('./outboxService');
+const { renderInvoicePdf } = require('./invoicePdfService');
+const { sendInvoiceEmail } = require('./emailService');
+
+const money = (value) => Math.round(value * 100) / 100;
+
+const PREFIXES = {
+    'invoice': 'INV',
+    'credit-note': 'CN'
+};
+
+// Invoice years follow the tariff timezone, so New Year's Eve trips are numbered in the right year
+const TARIFF_TIMEZONE = process.env.TARIFF_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Invoices and credit notes for completed trips.
+ *
+ * Numbers are sequential per fleet manager and calendar year (in
+ * TARIFF_TIMEZONE), separately for invoices (INV-2026-000001) and credit
+ * notes (CN-2026-000001). On a replica set the number is taken in the same
+ * transaction as the insert, so numbers are gap-free; on a standalone
+ * MongoDB a failed insert leaves a gap.
+ */
+class InvoiceService {
+    /**
+     * Allocate the next document number
+     * @param {String} fleetManagerId
+     * @param {String} type - 'invoice' | 'credit-note'
+     * @param {Date} [date]
+     * @param {Object} [session] - Transaction to take the number in
+     * @returns {Promise<String>}
+     */
+    async nextNumber(fleetManagerId, type, date = new Date(), session = null) {
+        const year = new Intl.DateTimeFormat('en-US', { timeZone: TARIFF_TIMEZONE, year: 'numeric' }).format(new Date(date));
+        const prefix = PREFIXES[type];
+        const seq = await Counter.next(`${type}:${fleetManagerId}:${year}`, session);
+        return `${prefix}-${year}-${String(seq).padStart(6, '0')}`;
+    }
+
+    /**
+     * Number and insert an invoice or credit note, in one transaction when
+     * MongoDB supports it
+     * @param {Object} fields - Invoice fields (type, fleetManagerId and issuedAt required)
+     * @returns {Promise<Object>} Invoice document
+     * @throws {Error} E11000 (keyPattern.tripId) when the trip already has an issued invoice
+     */
+    async issue(fields) {
+        const insert = async (session) => {
+            const invoiceNumber = await this.nextNumber(fields.fleetManagerId, fields.type, fields.issuedAt, session);
+            const [invoice] = await Invoice.create([{ ...fields, invoiceNumber }], { session });
+            return invoice;
+        };
+
+        if (!(await outboxService.supportsTransactions())) {
+            return insert(null);
+        }
+
+        let invoice;
+        await mongoose.connection.transaction(async (session) => {
+            invoice = await insert(session);
+        });
+        return invoice;
+    }
+
+    /**
+     * Whether an error is the unique index refusing a second issued invoice for a trip
+     * @param {Error} error
+     * @returns {Boolean}
+     */
+    isDuplicateTripInvoice(error) {
+        return error?.code === 11000 && Boolean(error.keyPattern?.tripId);
+    }
+
+    /**
+     * Turn a tariff breakdown and extra charges into invoice lines
+     * @param {Object} breakdown - From tariffService.quote
+     * @param {Array} [extraCharges] - [{ description, amount, taxable }]
+     * @returns {Array} Line items
+     */
+    buildLineItems(breakdown, extraCharges = []) {
+        const lines = [];
+        const add = (line) => {
+            if (line.amount) lines.push({ taxable: true, ...line, amount: money(line.amount) });
+        };
+
+        add({ description: 'Base fare', amount: breakdown.baseFare });
+        add({
+            description: 'Distance',
+            quantity: breakdown.distance,
+            unit: 'km',
+            unitPrice: breakdown.distance ? money(breakdown.distanceCharge / breakdown.distance) : 0,
+            amount: breakdown.distanceCharge
+        });
+        add({
+            description: 'Time',
+            quantity: money(breakdown.duration / 60),
+            unit: 'hours',
+            unitPrice: breakdown.duration ? money(breakdown.timeCharge / (breakdown.duration / 60)) : 0,
+            amount: breakdown.timeCharge
+        });
+        add({ description: 'Long distance surcharge', amount: breakdown.longDistanceSurcharge });
+        add({ description: 'Night surcharge', amount: breakdown.nightSurcharge });
+        add({
+            description: 'Waiting time',
+            quantity: breakdown.waitingMinutes,
+            unit: 'minutes',
+            unitPrice: breakdown.waitingMinutes ? money(breakdown.waitingCharge / breakdown.waitingMinutes) : 0,
+            amount: breakdown.waitingCharge
+        });
+        add({ description: 'Two-way discount', amount: -breakdown.twoWayDiscount });
+
+        if (breakdown.minimumChargeApplied) {
+            const charged = lines.reduce((sum, line) => sum + line.amount, 0);
+            add({ description: 'Minimum charge adjustment', amount: breakdown.subtotal - charged });
+        }
+
+        extraCharges.forEach(charge => {
+            add({
+                description: String(charge.description),
+                amount: parseFloat(charge.amount) || 0,
+                taxable: charge.taxable !== false
+            });
+        });
+
+        add({ description: 'Tolls', amount: breakdown.tolls, taxable: false });
+
+        return lines;
+    }
+
+    /**
+     * Issue an invoice for a completed trip. The caller checks the trip is
+     * completed and has no issued invoice yet.
+     * @param {Object} trip - Trip document
+     * @param {Object} [options] - { extraCharges, notes }
+     * @returns {Promise<Object>} Invoice document
+     */
+    async createForTrip(trip, { extraCharges = [], notes } = {}) {
+        if (!trip.billing?.breakdown) {
+            trip.billing = await tariffService.computeFinalBill(trip);
+            await trip.save();
+        }
+
+        const breakdown = trip.billing.breakdown;
+        const lineItems = this.buildLineItems(breakdown, extraCharges);
+
+        const subtotal = money(lineItems.filter(l => l.taxable).reduce((sum, l) => sum + l.amount, 0));
+        const passThrough = money(lineItems.filter(l => !l.taxable).reduce((sum, l) => sum + l.amount, 0));
+        const gst = money(subtotal * ((breakdown.gstPercent || 0) / 100));
+
+        const issuedAt = new Date();
+
+        return this.issue({
+            type: 'invoice',
+            fleetManagerId: trip.fleetManagerId,
+            tripId: trip._id,
+            customer: {
+                name: trip.customerName,
+                email: trip.customerEmail,
+                contact: trip.customerContact
+            },
+            tripSummary: {
+                tripType: trip.tripType,
+                from: trip.startDestination?.name,
+                to: trip.endDestination?.name,
+                startedAt: trip.actualStartDateTime,
+                endedAt: trip.actualEndDateTime,
+                distance: trip.billing.actualDistance,
+                duration: trip.billing.actualDuration,
+                isTwoWay: trip.isTwoWay
+            },
+            currency: breakdown.currency,
+            lineItems,
+            subtotal,
+            gstPercent: breakdown.gstPercent || 0,
+            gst,
+            passThrough,
+            total: Math.round(subtotal + gst + passThrough),
+            fareBreakdown: breakdown,
+            notes,
+            issuedAt
+        });
+    }
+
+    /**
+     * Amount of an invoice not yet covered by issued credit notes
+     * @param {Object} invoice - Invoice document
+     * @returns {Promise<Number>}
+     */
+    async creditableAmount(invoice) {
+        const credits = await Invoice.find({
+            originalInvoiceId: invoice._id,
+            type: 'credit-note',
+            status: 'issued'
+        }).select('total');
+
+        return money(invoice.total - credits.reduce((sum, credit) => sum + credit.total, 0));
+    }
+
+    /**
+     * Issue a credit note against an invoice (full remaining amount by default).
+     * The caller checks the invoice is an issued invoice and the amount fits.
+     * @param {Object} invoice - Invoice document
+     * @param {Object} options - { amount, reason }
+     * @returns {Promise<Object>} Credit note document
+     */
+    async createCreditNote(invoice, { amount, reason }) {
+        const issuedAt = new Date();
+
+        return this.issue({
+            type: 'credit-note',
+            fleetManagerId: invoice.fleetManagerId,
+            tripId: invoice.tripId,
+            originalInvoiceId: invoice._id,
+            customer: invoice.customer,
+            tripSummary: invoice.tripSummary,
+            currency: invoice.currency,
+            // Credited amounts are tax-inclusive, so the single line is not taxed again
+            lineItems: [{
+                description: `Credit against ${invoice.invoiceNumber}`,
+                amount: money(amount),
+                taxable: false
+            }],
+            subtotal: 0,
+            gstPercent: 0,
+            gst: 0,
+            passThrough: money(amount),
+            total: money(amount),
+            reason,
+            issuedAt
+        });
+    }
+
+    /**
+     * Render an invoice to PDF and email it to the customer
+     * @param {Object} invoice - Invoice document
+     * @param {String} [to] - Overrides the customer email
+     * @returns {Promise<Object>} Updated invoice
+     */
+    async email(invoice, to) {
+        const recipient = to || invoice.customer?.email;
+        if (!recipient) {
+            throw new Error('No customer email on the invoice');
+        }
+
+        const pdf = await renderInvoicePdf(invoice);
+        const data = invoice.toObject();
+        await sendInvoiceEmail({ ...data, customer: { ...data.customer, email: recipient } }, pdf);
+
+        invoice.emailedAt = new Date();
+        invoice.emailedTo = recipient;
+        return invoice.save();
+    }
+}
+
+module.exports = new InvoiceService();
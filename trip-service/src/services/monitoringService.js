@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+
+/**
+ * Checks on driver monitoring samples (socket driver_monitoring and
+ * POST /api/realtime/driver-monitoring) before they are stored.
+ *
+ * Samples arrive several times a second, so trip ownership answers are
+ * cached for EMPLOYMENT_CACHE_SECONDS (default 60), like employments.
+ * Client timestamps more than MONITORING_MAX_CLOCK_SKEW_SECONDS (default
+ * 300) from the server clock are refused: they feed incidents and the
+ * fatigue figures behind the safety score.
+ */
+class MonitoringService {
+    constructor() {
+        this.ttlMs = (parseFloat(process.env.EMPLOYMENT_CACHE_SECONDS) || 60) * 1000;
+        this.maxSkewSeconds = parseFloat(process.env.MONITORING_MAX_CLOCK_SKEW_SECONDS) || 300;
+        this.cache = new Map();
+    }
+
+    /**
+     * A sample's time: the client timestamp, or now when it sent none
+     * @param {String|Number} timestamp - Client supplied
+     * @returns {Object} { at: Date } or { error: String }
+     */
+    timestampOf(timestamp, now = new Date()) {
+        if (timestamp === undefined || timestamp === null || timestamp === '') {
+            return { at: now };
+        }
+
+        const at = new Date(timestamp);
+        if (isNaN(at)) {
+            return { error: 'timestamp is not a valid date' };
+        }
+        if (Math.abs(at - now) > this.maxSkewSeconds * 1000) {
+            return { error: `timestamp must be within ${this.maxSkewSeconds} seconds of the server time` };
+        }
+        return { at };
+    }
+
+    /**
+     * The sample's trip, if it is one of the driver's
+     * @param {String} driverId - From the token
+     * @param {String} tripId - Client supplied
+     * @returns {Promise<String|null>} tripId, or null when missing or not the driver's
+     */
+    async tripOf(driverId, tripId) {
+        if (!tripId || !mongoose.isValidObjectId(tripId)) return null;
+
+        const key = `${driverId}:${tripId}`;
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.tripId;
+        }
+
+        const owned = await Trip.exists({ _id: tripId, driverId });
+        const result = owned ? String(tripId) : null;
+
+        // Drop expired entries now and then so the map tracks active trips only
+        if (this.cache.size > 1000) {
+            const now = Date.now();
+            for (const [id, entry] of this.cache) {
+                if (entry.expiresAt <= now) this.cache.delete(id);
+            }
+        }
+        this.cache.set(key, { tripId: result, expiresAt: Date.now() + this.ttlMs });
+
+        return result;
+    }
+}
+
+module.exports = new MonitoringService();
@@ -102,6 +102,90 @@ class NotificationClient {
             priority: 'medium'
         });
     }
+
+    /**
+     * Notify trip cancelled
+     */
+    static async notifyTripCancelled(userId, tripData) {
+        return this.createNotification({
+            userId,
+            type: 'TRIP_CANCELLED',
+            title: 'Trip Cancelled',
+            message: `Trip from ${tripData.startDestination} to ${tripData.endDestination} has been cancelled (${tripData.reasonCode})`,
+            relatedEntity: {
+                entityType: 'trip',
+                entityId: tripData.tripId
+            },
+            metadata: {
+                startDestination: tripData.startDestination,
+                endDestination: tripData.endDestination,
+                reasonCode: tripData.reasonCode,
+                fee: tripData.fee,
+                resourcesReleased: tripData.resourcesReleased
+            },
+            priority: tripData.resourcesReleased ? 'medium' : 'high'
+        });
+    }
+
+    /**
+     * Notify recurring trip occurrences that could not be generated
+     */
+    static async notifyTripGenerationConflicts(userId, templateData) {
+        return this.createNotification({
+            userId,
+            type: 'SYSTEM',
+            title: 'Recurring Trips Not Created',
+            message: `${templateData.conflicts.length} trip(s) from template "${templateData.name}" could not be scheduled: ${templateData.conflicts.map(c => c.message).slice(0, 3).join('; ')}`,
+            metadata: {
+                templateId: templateData.templateId,
+                conflicts: templateData.conflicts
+            },
+            priority: 'high'
+        });
+    }
+
+    /**
+     * Notify a fleet manager of a driver drowsiness incident
+     */
+    static async notifyDrowsinessIncident(userId, incidentData) {
+        return this.createNotification({
+            userId,
+            type: 'SYSTEM',
+            title: 'Driver Drowsiness Detected',
+            message: `${incidentData.driverName || 'A driver'} shows signs of drowsiness (${incidentData.severity} severity). Acknowledge the incident to stop escalation.`,
+            ...(incidentData.tripId && {
+                relatedEntity: {
+                    entityType: 'trip',
+                    entityId: incidentData.tripId
+                }
+            }),
+            metadata: {
+                incidentId: incidentData.incidentId,
+                driverId: incidentData.driverId,
+                severity: incidentData.severity,
+                peakPerclos: incidentData.peakPerclos,
+                startedAt: incidentData.startedAt
+            },
+            priority: 'high'
+        });
+    }
+
+    /**
+     * Tell a driver to take a rest stop after an unacknowledged drowsiness incident
+     */
+    static async notifyRestStopRequired(userId, incidentData) {
+        return this.createNotification({
+            userId,
+            type: 'SYSTEM',
+            title: 'Rest Stop Required',
+            message: `Signs of drowsiness were detected. Take a break at ${incidentData.restStop.name}${incidentData.restStop.distanceKm != null ? ` (${incidentData.restStop.distanceKm} km away)` : ''}.`,
+            metadata: {
+                incidentId: incidentData.incidentId,
+                restStop: incidentData.restStop
+            },
+            priority: 'high'
+        });
+    }
 }
 
 module.exports = NotificationClient;
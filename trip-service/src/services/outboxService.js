@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OutboxMessage = require('../models/OutboxMessage');
+const Trip = require('../models/Trip');
+const resourceService = require('./resourceService');
+
+const ASSIGNMENT_TYPES = ['employment-assignment', 'user-assignment'];
+
+// resourceKey prefix per message type
+const RESOURCE_PREFIX = {
+    'vehicle-status': 'vehicle',
+    'employment-assignment': 'employment',
+    'user-assignment': 'user',
+    'driver-safety-score': 'safety-score'
+};
+
+/**
+ * Transactional outbox for vehicle / driver status in the other services
+ * (and driver safety scores for driver-management).
+ *
+ * Trip changes and the messages they cause are written in one MongoDB
+ * transaction (when the deployment supports it), then delivered right away
+ * and, if that fails, by the dispatcher: server.js runs it every
+ * OUTBOX_DISPATCH_INTERVAL_SECONDS, Lambda on a schedule. Failed attempts are
+ * retried with exponential backoff (OUTBOX_RETRY_BASE_SECONDS doubling up to
+ * OUTBOX_RETRY_MAX_SECONDS) until OUTBOX_MAX_ATTEMPTS, after which the message
+ * is dead and shows up in the admin stuck list.
+ */
+class OutboxService {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8;
+        this.retryBaseSeconds = parseFloat(process.env.OUTBOX_RETRY_BASE_SECONDS) || 15;
+        this.retryMaxSeconds = parseFloat(process.env.OUTBOX_RETRY_MAX_SECONDS) || 3600;
+        this.batchSize = parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 50;
+        this.stuckAfterMinutes = parseFloat(process.env.OUTBOX_STUCK_AFTER_MINUTES) || 15;
+        this.lockSeconds = 60;
+        this.transactions = undefined;
+    }
+
+    /**
+     * Build an (unsaved) message setting one resource's status
+     * @param {String} type - 'vehicle-status' | 'employment-assignment' | 'user-assignment' | 'driver-safety-score'
+     * @param {String} resourceId - Vehicle ID, or the driver's user ID
+     * @param {Object} payload - { status }, { assignmentStatus } or a safety score
+     * @param {Object} context - { event, userId, tripId, fleetManagerId }
+     * @returns {Object} OutboxMessage document
+     */
+    message(type, resourceId, payload, { event, userId, tripId, fleetManagerId }) {
+        const resourceKey = `${RESOURCE_PREFIX[type]}:${resourceId}`;
+
+        return new OutboxMessage({
+            idempotencyKey: `${tripId || event}:${event}:${resourceKey}:${crypto.randomUUID()}`,
+            type,
+            resourceKey,
+            event,
+            payload,
+            tripId,
+            fleetManagerId,
+            actorId: userId
+        });
+    }
+
+    /**
+     * Build (unsaved) messages setting a trip's vehicle and driver status
+     * @param {Object} trip - Trip document
+     * @param {String} event - 'assign' (ASSIGNED) | 'release' (IDLE / UNASSIGNED)
+     * @param {String} userId - Acting user
+     * @returns {Array<Object>} OutboxMessage documents
+     */
+    messagesFor(trip, event, userId) {
+        const assigned = event === 'assign';
+        const context = { event, userId, tripId: trip._id, fleetManagerId: trip.fleetManagerId };
+
+        const messages = [
+            this.message('vehicle-status', trip.vehicleId, { status: assigned ? 'ASSIGNED' : 'IDLE' }, context)
+        ];
+
+        if (trip.driverId) {
+            const assignmentStatus = assigned ? 'ASSIGNED' : 'UNASSIGNED';
+            messages.push(
+                this.message('employment-assignment', trip.driverId, { assignmentStatus }, context),
+                this.message('user-assignment', trip.driverId, { assignmentStatus }, context)
+            );
+        }
+
+        return messages;
+    }
+
+    /**
+     * Resources with an update still waiting to be delivered
+     * @param {Array<String>} resourceKeys - e.g. ['vehicle:<id>']
+     * @returns {Promise<Set<String>>}
+     */
+    async pendingResourceKeys(resourceKeys) {
+        const keys = await OutboxMessage.distinct('resourceKey', {
+            resourceKey: { $in: resourceKeys },
+            status: { $in: ['pending', 'processing'] }
+        });
+        return new Set(keys);
+    }
+
+    /**
+     * Whether the MongoDB deployment supports transactions (replica set or mongos)
+     */
+    async supportsTransactions() {
+        if (this.transactions === undefined) {
+            try {
+                const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+                this.transactions = Boolean(hello.setName || hello.msg === 'isdbgrid');
+            } catch (error) {
+                this.transactions = false;
+            }
+            if (!this.transactions) {
+                console.warn('[outbox] MongoDB is not a replica set; trip changes and outbox messages are written without a transaction');
+            }
+        }
+        return this.transactions;
+    }
+
+    /**
+     * Save (or delete) a trip and queue its messages atomically, then try to deliver them
+     * @param {Object|null} trip - Trip document to save, or null to only queue messages
+     * @param {Array<Object>} messages - From messagesFor
+     * @param {Object} options - { remove: delete the trip instead of saving it }
+     * @returns {Promise<Object>} Dispatch summary { delivered, retrying, dead }
+     */
+    async commit(trip, messages, { remove = false } = {}) {
+        const write = async (session) => {
+            if (trip && remove) {
+                await trip.deleteOne({ session });
+            } else if (trip) {
+                await trip.save({ session });
+            }
+            await this.supersede(messages, session);
+            if (messages.length) {
+                await OutboxMessage.insertMany(messages, { session });
+            }
+        };
+
+        if (messages.length && await this.supportsTransactions()) {
+            await mongoose.connection.transaction(write);
+        } else {
+            await write(null);
+        }
+
+        if (!messages.length) {
+            return { delivered: 0, retrying: 0, dead: 0 };
+        }
+
+        // First attempt inline; whatever fails is left to the dispatcher
+        try {
+            return await this.dispatch({ ids: messages.map(m => m._id) });
+        } catch (error) {
+            console.error('[outbox] Immediate dispatch failed:', error.message);
+            return { delivered: 0, retrying: messages.length, dead: 0 };
+        }
+    }
+
+    /**
+     * Newer state wins: older undelivered messages for the same resources are
+     * dropped, including ones being sent right now (deliver will not requeue them)
+     */
+    async supersede(messages, session) {
+        const keys = [...new Set(messages.map(m => m.resourceKey))];
+        if (!keys.length) return;
+
+        await OutboxMessage.updateMany(
+            { resourceKey: { $in: keys }, status: { $in: ['pending', 'processing', 'dead'] } },
+            { $set: { status: 'superseded', lockedUntil: null } },
+            { session }
+        );
+    }
+
+    /**
+     * Deliver due messages, oldest first
+     * @param {Object} options - { ids: only these messages, limit }
+     * @returns {Promise<Object>} { delivered, retrying, dead }
+     */
+    async dispatch({ ids, limit = this.batchSize } = {}) {
+        const summary = { delivered: 0, retrying: 0, dead: 0 };
+
+        for (let i = 0; i < limit; i++) {
+            const message = await this.claim(ids);
+            if (!message) break;
+
+            const outcome = await this.deliver(message);
+            // A message superseded while it was being sent is not counted
+            if (outcome in summary) summary[outcome]++;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Atomically take the next due message (or one whose dispatcher died
+     * mid-send). A message with a newer one for the same resource is
+     * superseded instead of sent, so an old state never overwrites a new one.
+     */
+    async claim(ids) {
+        for (;;) {
+            const message = await this.claimNext(ids);
+            if (!message) return null;
+
+            const newer = await OutboxMessage.exists({
+                _id: { $ne: message._id },
+                resourceKey: message.resourceKey,
+                createdAt: { $gt: message.createdAt },
+                status: { $ne: 'superseded' }
+            });
+            if (!newer) return message;
+
+            await OutboxMessage.updateOne(
+                { _id: message._id, status: 'processing' },
+                { $set: { status: 'superseded', lockedUntil: null } }
+            );
+        }
+    }
+
+    async claimNext(ids) {
+        const now = new Date();
+
+        return OutboxMessage.findOneAndUpdate(
+            {
+                ...(ids && { _id: { $in: ids } }),
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'processing', lockedUntil: { $lt: now } }
+                ]
+            },
+            {
+                $set: { status: 'processing', lockedUntil: new Date(now.getTime() + this.lockSeconds * 1000) },
+                $inc: { attempts: 1 }
+            },
+            { sort: { createdAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Send one claimed message and record the outcome. The outcome is only
+     * written while the message is still ours to send: one superseded in the
+     * meantime stays superseded.
+     * @returns {Promise<String>} 'delivered' | 'retrying' | 'dead' | 'superseded'
+     */
+    async deliver(message) {
+        let outcome;
+        let fields;
+
+        try {
+            await resourceService.deliver(message);
+            fields = { status: 'delivered', deliveredAt: new Date(), lastError: null, lastStatusCode: null };
+            outcome = 'delivered';
+        } catch (error) {
+            const statusCode = error.response?.status;
+            // 4xx other than 408/429 will not succeed on retry
+            const permanent = statusCode && statusCode < 500 && ![408, 429].includes(statusCode);
+
+            fields = { lastError: error.message, lastStatusCode: statusCode || null };
+
+            if (permanent || message.attempts >= this.maxAttempts) {
+                fields.status = 'dead';
+                outcome = 'dead';
+                console.error(`[outbox] Giving up on ${message.type} ${message.resourceKey} after ${message.attempts} attempt(s):`, error.message);
+            } else {
+                fields.status = 'pending';
+                fields.nextAttemptAt = new Date(Date.now() + this.backoffMs(message.attempts));
+                outcome = 'retrying';
+            }
+        }
+
+        fields.lockedUntil = null;
+        const { modifiedCount } = await OutboxMessage.updateOne(
+            { _id: message._id, status: 'processing' },
+            { $set: fields }
+        );
+        if (!modifiedCount) {
+            message.status = 'superseded';
+            return 'superseded';
+        }
+        Object.assign(message, fields);
+
+        if (message.event === 'release' && outcome !== 'retrying') {
+            await this.syncTripRelease(message.tripId);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Delay before the next attempt (exponential, capped, ±20% jitter)
+     */
+    backoffMs(attempts) {
+        const seconds = Math.min(this.retryBaseSeconds * 2 ** (attempts - 1), this.retryMaxSeconds);
+        return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Release progress for a trip, in the shape of trip.cancellation.resourceRelease
+     * @param {String} tripId
+     * @returns {Promise<Object>} { vehicle: { status, attempts, lastError, releasedAt }, driver: {...} }
+     */
+    async releaseState(tripId) {
+        const messages = await OutboxMessage.find({ tripId, event: 'release' }).sort({ createdAt: 1 }).lean();
+
+        // Latest message per resource
+        const latest = new Map();
+        messages.forEach(m => latest.set(m.resourceKey, m));
+        const current = [...latest.values()];
+
+        const summarise = (list) => {
+            let status = 'pending';
+            if (list.every(m => m.status === 'delivered')) {
+                status = 'released';
+            } else if (list.some(m => m.status === 'dead')) {
+                status = 'failed';
+            } else if (list.every(m => ['delivered', 'superseded'].includes(m.status))) {
+                status = 'superseded';
+            }
+
+            const undelivered = list.filter(m => m.status !== 'delivered');
+            return {
+                status,
+                attempts: list.reduce((sum, m) => sum + m.attempts, 0),
+                lastError: undelivered.map(m => m.lastError).filter(Boolean).pop() || null,
+                releasedAt: status === 'released'
+                    ? new Date(Math.max(...list.map(m => new Date(m.deliveredAt).getTime())))
+                    : null
+            };
+        };
+
+        const vehicle = current.filter(m => m.type === 'vehicle-status');
+        const driver = current.filter(m => ASSIGNMENT_TYPES.includes(m.type));
+
+        return {
+            vehicle: vehicle.length
+                ? summarise(vehicle)
+                : { status: 'failed', attempts: 0, lastError: 'No release queued', releasedAt: null },
+            driver: driver.length
+                ? summarise(driver)
+                : { status: 'not-required', attempts: 0, lastError: null, releasedAt: null }
+        };
+    }
+
+    /**
+     * Keep a cancelled trip's resourceRelease in step with its messages
+     */
+    async syncTripRelease(tripId) {
+        if (!tripId) return;
+        try {
+            await Trip.updateOne(
+                { _id: tripId, status: 'cancelled', 'cancellation.cancelledAt': { $ne: null } },
+                { $set: { 'cancellation.resourceRelease': await this.releaseState(tripId) } }
+            );
+        } catch (error) {
+            console.error(`[outbox] Failed to update release state for trip ${tripId}:`, error.message);
+        }
+    }
+
+    /**
+     * Put pending or dead messages back in the queue and try them now
+     * @param {Array<Object>} messages - OutboxMessage documents
+     * @returns {Promise<Object>} Dispatch summary
+     */
+    async retry(messages) {
+        const retryable = messages.filter(m => ['pending', 'dead'].includes(m.status));
+        if (!retryable.length) {
+            return { delivered: 0, retrying: 0, dead: 0 };
+        }
+
+        await OutboxMessage.updateMany(
+            { _id: { $in: retryable.map(m => m._id) }, status: { $in: ['pending', 'dead'] } },
+            { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } }
+        );
+
+        return this.dispatch({ ids: retryable.map(m => m._id) });
+    }
+
+    /**
+     * Messages that have not been delivered in time: dead, or still pending /
+     * processing more than olderThanMinutes after they were queued
+     * @param {Object} filters - { olderThanMinutes, status, type, fleetManagerId, limit }
+     * @returns {Promise<Object>} { messages, counts }
+     */
+    async stuck({ olderThanMinutes, status, type, fleetManagerId, limit = 100 } = {}) {
+        const minutes = olderThanMinutes ?? this.stuckAfterMinutes;
+        const cutoff = new Date(Date.now() - minutes * 60 * 1000);
+
+        const late = { status: { $in: ['pending', 'processing'] }, createdAt: { $lte: cutoff } };
+        let query;
+        if (status === 'dead') {
+            query = { status: 'dead' };
+        } else if (['pending', 'processing'].includes(status)) {
+            query = { ...late, status };
+        } else {
+            query = { $or: [{ status: 'dead' }, late] };
+        }
+
+        if (type) {
+            query.type = type;
+        }
+
+        if (fleetManagerId) {
+            query.fleetManagerId = fleetManagerId;
+        }
+
+        const [messages, counts] = await Promise.all([
+            OutboxMessage.find(query).sort({ createdAt: 1 }).limit(limit).lean(),
+            OutboxMessage.aggregate([
+                { $match: { status: { $in: ['pending', 'processing', 'dead'] } } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        return {
+            messages,
+            counts: counts.reduce((acc, c) => ({ ...acc, [c._id]: c.count }), { pending: 0, processing: 0, dead: 0 })
+        };
+    }
+}
+
+module.exports = new OutboxService();
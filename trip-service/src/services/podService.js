@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const Trip = require('../models/Trip');
+const cloudinary = require('../config/cloudinary');
+const smsService = require('./smsService');
+const { sendDeliveryOtpEmail } = require('./emailService');
+
+/**
+ * Proof of delivery (POD) for commercial trips: the recipient's name,
+ * signature and photos (uploaded to Cloudinary by podUploadMiddleware),
+ * an optional customer OTP, and where and when it was captured.
+ *
+ * A POD is stored on stops[i].pod, or on trip.deliveryPod for the final
+ * destination. OTPs are kept hashed on trip.podOtps (not selected by
+ * default), one per target; requesting a new one replaces the old.
+ */
+class PodService {
+    constructor() {
+        this.otpTtlMinutes = parseInt(process.env.POD_OTP_TTL_MINUTES) || 10;
+        this.maxOtpAttempts = parseInt(process.env.POD_OTP_MAX_ATTEMPTS) || 5;
+    }
+
+    // With POD_REQUIRED=true commercial deliveries need a recipient name and signature
+    get required() {
+        return process.env.POD_REQUIRED === 'true';
+    }
+
+    hash(code) {
+        return crypto.createHash('sha256').update(String(code)).digest('hex');
+    }
+
+    /**
+     * Resolve the POD target from a stop index (undefined / 'end' = final destination)
+     * @returns {Object|null} { target, stopIndex, place }, or null for an invalid stop
+     */
+    targetOf(trip, stopIndex) {
+        if (stopIndex === undefined || stopIndex === null || stopIndex === 'end') {
+            return { target: 'end', stopIndex: null, place: trip.endDestination?.name };
+        }
+
+        const index = parseInt(stopIndex);
+        if (isNaN(index) || index < 0 || index >= trip.stops.length) {
+            return null;
+        }
+        return { target: 'stop', stopIndex: index, place: trip.stops[index].name };
+    }
+
+    findOtp(trip, { target, stopIndex }) {
+        return (trip.podOtps || []).find(o =>
+            o.target === target && (target === 'end' || o.stopIndex === stopIndex)
+        );
+    }
+
+    /**
+     * Location from a multipart body: a GeoJSON Point (object or JSON string),
+     * or latitude / longitude fields
+     * @returns {Object|null} GeoJSON Point
+     */
+    parseLocation(body = {}) {
+        let location = body.location;
+        if (typeof location === 'string') {
+            try {
+                location = JSON.parse(location);
+            } catch (error) {
+                location = null;
+            }
+        }
+
+        let coordinates = location?.coordinates;
+        if (!coordinates && body.latitude !== undefined && body.longitude !== undefined) {
+            coordinates = [body.longitude, body.latitude];
+        }
+
+        coordinates = Array.isArray(coordinates) ? coordinates.map(Number) : null;
+        if (coordinates?.length !== 2 || coordinates.some(isNaN)) {
+            return null;
+        }
+        return { type: 'Point', coordinates };
+    }
+
+    /**
+     * Generate an OTP for a stop / the trip end and send it to the customer
+     * by email (customerEmail) and SMS (customerContact)
+     * @param {Object} trip - Trip document selected with +podOtps (caller saves)
+     * @param {Object} target - From targetOf
+     * @returns {Promise<Object>} { sentTo: ['email' | 'sms'], expiresAt }
+     */
+    async requestOtp(trip, target) {
+        const otp = crypto.randomInt(100000, 1000000).toString();
+        const expiresAt = new Date(Date.now() + this.otpTtlMinutes * 60 * 1000);
+
+        const [emailed, texted] = await Promise.all([
+            trip.customerEmail
+                ? sendDeliveryOtpEmail(trip, otp, { place: target.place, expiresInMinutes: this.otpTtlMinutes })
+                : false,
+            smsService.send(
+                trip.customerContact,
+                `Your Mobitrak delivery code for ${target.place} is ${otp}. It expires in ${this.otpTtlMinutes} minutes.`
+            )
+        ]);
+
+        const sentTo = [emailed && 'email', texted && 'sms'].filter(Boolean);
+        if (!sentTo.length) {
+            return { sentTo, expiresAt: null };
+        }
+
+        const existing = this.findOtp(trip, target);
+        if (existing) {
+            trip.podOtps.pull(existing._id);
+        }
+        trip.podOtps.push({
+            target: target.target,
+            stopIndex: target.stopIndex,
+            codeHash: this.hash(otp),
+            expiresAt,
+            sentTo,
+            sentAt: new Date()
+        });
+
+        return { sentTo, expiresAt };
+    }
+
+    /**
+     * Check a customer OTP. Failed attempts are saved straight away (the
+     * request is rejected, so the trip is not); a match is saved by the caller.
+     * @param {Object} trip - Trip document selected with +podOtps
+     * @param {Object} target - From targetOf
+     * @param {String} code
+     * @returns {Promise<String|null>} Error message, or null when valid
+     */
+    async verifyOtp(trip, target, code, now = new Date()) {
+        const record = this.findOtp(trip, target);
+
+        if (!record || record.verifiedAt) {
+            return `No delivery OTP has been requested for ${target.target === 'end' ? 'the destination' : 'this stop'}`;
+        }
+        if (record.expiresAt < now) {
+            return 'OTP has expired';
+        }
+        if (record.attempts >= this.maxOtpAttempts) {
+            return 'Too many incorrect attempts. Request a new OTP';
+        }
+        if (record.codeHash !== this.hash(String(code).trim())) {
+            record.attempts += 1;
+            await Trip.updateOne(
+                { _id: trip._id, 'podOtps._id': record._id },
+                { $inc: { 'podOtps.$.attempts': 1 } }
+            );
+            return 'Invalid OTP';
+        }
+
+        record.verifiedAt = now;
+        return null;
+    }
+
+    /**
+     * Validate a POD submission and, when valid, record it on the stop / trip (caller saves)
+     * @param {Object} trip - Trip document (with +podOtps when an otp is sent)
+     * @param {Object} target - From targetOf
+     * @param {Object} submission - { body, files, userId, now }
+     * @returns {Promise<String|null>} Error message, or null when recorded (or nothing was submitted)
+     */
+    async capture(trip, target, { body = {}, files = {}, userId, now = new Date() }) {
+        const recipientName = body.recipientName?.trim();
+        const signature = files.signature?.[0];
+        const photos = files.photos || [];
+        const submitted = recipientName || signature || photos.length || body.otp;
+
+        if (!submitted) {
+            if (this.required && trip.tripType === 'commercial') {
+                return 'Proof of delivery is required: recipientName and a signature image';
+            }
+            return null;
+        }
+
+        if (this.required && trip.tripType === 'commercial' && (!recipientName || !signature)) {
+            return 'Proof of delivery requires recipientName and a signature image';
+        }
+
+        if (body.otp) {
+            const invalid = await this.verifyOtp(trip, target, body.otp, now);
+            if (invalid) return invalid;
+        }
+
+        const pod = {
+            recipientName,
+            signature: signature ? { url: signature.path, publicId: signature.filename } : undefined,
+            photos: photos.map(file => ({ url: file.path, publicId: file.filename, uploadedAt: now })),
+            otpVerified: Boolean(body.otp),
+            otpVerifiedAt: body.otp ? now : undefined,
+            location: this.parseLocation(body) || undefined,
+            notes: body.podNotes,
+            capturedAt: now,
+            capturedBy: userId
+        };
+
+        if (target.target === 'stop') {
+            trip.stops[target.stopIndex].pod = pod;
+        } else {
+            trip.deliveryPod = pod;
+        }
+        return null;
+    }
+
+    /**
+     * Delete uploads from a rejected request (multer stores them before the controller runs)
+     * @param {Object} files - req.files
+     */
+    async discardUploads(files) {
+        const uploaded = Object.values(files || {}).flat();
+        await Promise.all(uploaded.map(file =>
+            cloudinary.uploader.destroy(file.filename).catch(error => {
+                console.error('POD upload cleanup error:', error.message);
+            })
+        ));
+    }
+}
+
+module.exports = new PodService();
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const DriverPresence = require('../models/DriverPresence');
+const Trip = require('../models/Trip');
+const employmentService = require('./employmentService');
+const realtimeService = require('./realtimeService');
+
+const BATCH_SIZE = 200;
+
+/**
+ * Driver presence and OFFLINE detection.
+ *
+ * touch() records a signal from a driver. Monitoring samples arrive several
+ * times a second, so writes are throttled to one per PRESENCE_TOUCH_SECONDS
+ * per driver and instance (socket connect / disconnect always write).
+ *
+ * sweep() (server.js every PRESENCE_SWEEP_INTERVAL_SECONDS, Lambda on a
+ * schedule) marks drivers silent for PRESENCE_OFFLINE_AFTER_SECONDS as
+ * OFFLINE. When the driver is on an in-progress trip an OFFLINE Alert is
+ * stored and the trip's fleet room gets driver-offline; the alert is
+ * resolved and driver-online sent when the driver is heard from again.
+ */
+class PresenceService {
+    constructor() {
+        this.offlineAfterSeconds = parseFloat(process.env.PRESENCE_OFFLINE_AFTER_SECONDS) || 90;
+        this.touchSeconds = parseFloat(process.env.PRESENCE_TOUCH_SECONDS) || 15;
+        this.lastTouch = new Map();
+    }
+
+    /**
+     * Status as of now (the sweep may not have run since the driver went quiet)
+     * @param {Object} presence - DriverPresence
+     * @returns {String} ONLINE | OFFLINE
+     */
+    statusOf(presence, now = new Date()) {
+        const fresh = now - new Date(presence.lastSeenAt) <= this.offlineAfterSeconds * 1000;
+        return presence.status === 'ONLINE' && fresh ? 'ONLINE' : 'OFFLINE';
+    }
+
+    /**
+     * Record a signal from a driver
+     * @param {String} driverId
+     * @param {Object} options - { source: 'socket'|'monitoring', connected, companyId, force }
+     * @returns {Promise<Boolean>} Whether it was written
+     */
+    async touch(driverId, { source, connected, companyId, force = false } = {}) {
+        if (!mongoose.isValidObjectId(driverId)) return false;
+
+        const key = driverId.toString();
+        const now = new Date();
+        if (!force && now - (this.lastTouch.get(key) || 0) < this.touchSeconds * 1000) {
+            return false;
+        }
+        this.lastTouch.set(key, now.getTime());
+
+        // Drop old entries now and then so the map tracks active drivers only
+        if (this.lastTouch.size > 1000) {
+            for (const [id, at] of this.lastTouch) {
+                if (now - at > this.offlineAfterSeconds * 1000) this.lastTouch.delete(id);
+            }
+        }
+
+        const employerId = companyId || await employmentService.companyOf(key);
+
+        const previous = await DriverPresence.findOneAndUpdate(
+            { driverId: key },
+            {
+                $set: {
+                    companyId: employerId,
+                    status: 'ONLINE',
+                    lastSeenAt: now,
+                    lastSource: source,
+                    ...(connected !== undefined && { connected }),
+                    offlineSince: null,
+                    tripId: null,
+                    offlineAlertId: null
+                }
+            },
+            { upsert: true, new: false }
+        ).lean();
+
+        if (previous?.status === 'OFFLINE') {
+            await this.cameOnline(previous, now);
+        }
+        return true;
+    }
+
+    async cameOnline(previous, now) {
+        let alert = null;
+        if (previous.offlineAlertId) {
+            alert = await Alert.findByIdAndUpdate(previous.offlineAlertId, { resolvedAt: now }, { new: true }).lean();
+        }
+
+        const fleetManagerId = alert?.companyId || previous.companyId;
+        if (fleetManagerId) {
+            realtimeService.toFleet(fleetManagerId, 'driver-online', {
+                driverId: previous.driverId,
+                tripId: previous.tripId,
+                offlineSince: previous.offlineSince,
+                backAt: now,
+                alert
+            });
+        }
+    }
+
+    /**
+     * Socket lifecycle for a driver connection: connect, engine heartbeats
+     * (every pingInterval) and disconnect of the driver's last socket
+     * @param {Object} io - Socket.IO server
+     * @param {Object} socket - Connected driver socket
+     */
+    trackSocket(io, socket) {
+        const driverId = String(socket.data.user.id);
+        const log = (err) => console.error('[presence] Failed to record socket presence:', err.message);
+
+        this.touch(driverId, { source: 'socket', connected: true, force: true }).catch(log);
+
+        socket.conn.on('heartbeat', () => {
+            this.touch(driverId, { source: 'socket' }).catch(log);
+        });
+
+        socket.on('disconnect', async () => {
+            try {
+                // The socket has left its rooms; any left are the driver's other devices / instances
+                const others = await io.in(`monitoring-driver-${driverId}`).fetchSockets();
+                if (!others.length) {
+                    await this.touch(driverId, { source: 'socket', connected: false, force: true });
+                }
+            } catch (err) {
+                log(err);
+            }
+        });
+    }
+
+    /**
+     * Mark silent drivers OFFLINE and raise alerts for in-progress trips
+     * @param {Date} now
+     * @returns {Promise<Object>} { offline, alerted }
+     */
+    async sweep(now = new Date()) {
+        const stale = await DriverPresence.find({
+            status: 'ONLINE',
+            lastSeenAt: { $lt: new Date(now - this.offlineAfterSeconds * 1000) }
+        })
+            .sort({ lastSeenAt: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+        let offline = 0;
+        let alerted = 0;
+
+        for (const presence of stale) {
+            try {
+                // Claim it; a signal since the query keeps the driver ONLINE
+                const claimed = await DriverPresence.findOneAndUpdate(
+                    { _id: presence._id, status: 'ONLINE', lastSeenAt: presence.lastSeenAt },
+                    { $set: { status: 'OFFLINE', offlineSince: presence.lastSeenAt } },
+                    { new: true }
+                );
+                if (!claimed) continue;
+                offline++;
+
+                const trip = await Trip.findOne({ driverId: presence.driverId, status: 'in-progress' })
+                    .select('fleetManagerId vehicleId currentLocation lastLocationUpdate')
+                    .lean();
+
+                let alert = null;
+                if (trip) {
+                    const silenceSeconds = Math.round((now - presence.lastSeenAt) / 1000);
+                    const coordinates = trip.currentLocation?.coordinates;
+
+                    alert = await Alert.create({
+                        driverId: presence.driverId.toString(),
+                        companyId: trip.fleetManagerId.toString(),
+                        tripId: trip._id.toString(),
+                        status: 'OFFLINE',
+                        source: 'presence',
+                        monitoringActive: false,
+                        timestamp: now,
+                        ...(coordinates?.length === 2 && { location: { type: 'Point', coordinates } }),
+                        details: {
+                            vehicleId: trip.vehicleId,
+                            lastSeenAt: presence.lastSeenAt,
+                            lastSource: presence.lastSource,
+                            silenceSeconds,
+                            lastLocationUpdate: trip.lastLocationUpdate
+                        }
+                    });
+
+                    const attached = await DriverPresence.updateOne(
+                        { _id: claimed._id, status: 'OFFLINE' },
+                        { $set: { tripId: trip._id, offlineAlertId: alert._id } }
+                    );
+                    if (!attached.modifiedCount) {
+                        // Back already: nothing will resolve it later
+                        await Alert.updateOne({ _id: alert._id }, { resolvedAt: new Date() });
+                        continue;
+                    }
+                    alerted++;
+                }
+
+                const fleetManagerId = trip?.fleetManagerId || presence.companyId;
+                if (fleetManagerId) {
+                    realtimeService.toFleet(fleetManagerId, 'driver-offline', {
+                        driverId: presence.driverId,
+                        tripId: trip?._id || null,
+                        vehicleId: trip?.vehicleId || null,
+                        lastSeenAt: presence.lastSeenAt,
+                        alert: alert?.toObject() || null
+                    });
+                }
+            } catch (error) {
+                console.error(`[presence] Failed to mark driver ${presence.driverId} offline:`, error.message);
+            }
+        }
+
+        return { offline, alerted };
+    }
+}
+
+module.exports = new PresenceService();
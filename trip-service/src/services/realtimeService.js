@@ -0,0 +1,83 @@
+// Fleet managers and drivers
+const DEFAULT_NAMESPACE = '/';
+
+/**
+ * Real-time transport for REST handlers and services.
+ *
+ * server.js attaches its Socket.IO server. Where there is none (the Lambda
+ * handler.js, scripts) every call is a no-op and clients poll the REST
+ * endpoints instead, so handlers never depend on a socket server existing.
+ * Rooms are shared between instances by the Socket.IO adapter
+ * (src/sockets/adapter.js), so an emit here reaches clients connected to
+ * any trip-service instance.
+ */
+class RealtimeService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * Use a Socket.IO server for delivery
+     * @param {Object} io - Socket.IO server
+     */
+    attach(io) {
+        this.io = io;
+        return io;
+    }
+
+    get enabled() {
+        return Boolean(this.io);
+    }
+
+    /**
+     * Emit an event to everyone in a room
+     * @param {String} room
+     * @param {String} event
+     * @param {Object} payload
+     * @param {String} namespace - Socket.IO namespace, default '/'
+     * @returns {Boolean} Whether the event was handed to a socket server
+     */
+    emit(room, event, payload, namespace = DEFAULT_NAMESPACE) {
+        if (!this.io) return false;
+
+        try {
+            this.io.of(namespace).to(room).emit(event, payload);
+            return true;
+        } catch (error) {
+            // Real-time delivery is best effort; the REST response must not fail
+            console.error(`[realtime] Failed to emit ${event} to ${room}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Emit an event to a fleet manager's room
+     * @param {String} fleetManagerId
+     * @param {String} event
+     * @param {Object} payload
+     * @returns {Boolean}
+     */
+    toFleet(fleetManagerId, event, payload) {
+        return this.emit(`fleet-${fleetManagerId}`, event, payload);
+    }
+
+    /**
+     * Disconnect every socket in a room, on all instances
+     * @param {String} room
+     * @param {String} namespace
+     * @returns {Boolean} Whether a socket server was available
+     */
+    disconnect(room, namespace = DEFAULT_NAMESPACE) {
+        if (!this.io) return false;
+
+        try {
+            this.io.of(namespace).in(room).disconnectSockets();
+            return true;
+        } catch (error) {
+            console.error(`[realtime] Failed to disconnect ${room}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new RealtimeService();
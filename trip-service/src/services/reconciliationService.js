@@ -0,0 +1,296 @@
+const Trip = require('../models/Trip');
+const TripLocation = require('../models/TripLocation');
+const Invoice = require('../models/Invoice');
+const tariffService = require('./tariffService');
+const { haversineDistance } = require('./geoService');
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+const minutesBetween = (from, to) => (from && to ? (new Date(to) - new Date(from)) / 60000 : null);
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+
+// Maximum number of trips in one range report (each one loads its breadcrumb)
+const MAX_REPORT_TRIPS = 500;
+
+// Trips whose breadcrumbs are loaded per query in a range report
+const TRACK_BATCH_SIZE = 25;
+
+const CSV_COLUMNS = [
+    ['tripId', r => r.tripId],
+    ['status', r => r.status],
+    ['tripType', r => r.tripType],
+    ['customerName', r => r.customerName],
+    ['from', r => r.from],
+    ['to', r => r.to],
+    ['plannedStart', r => r.schedule.plannedStart],
+    ['actualStart', r => r.schedule.actualStart],
+    ['startDelayMinutes', r => r.schedule.startDelayMinutes],
+    ['plannedEnd', r => r.schedule.plannedEnd],
+    ['actualEnd', r => r.schedule.actualEnd],
+    ['endDelayMinutes', r => r.schedule.endDelayMinutes],
+    ['plannedDurationMinutes', r => r.schedule.plannedDuration],
+    ['actualDurationMinutes', r => r.schedule.actualDuration],
+    ['plannedDistanceKm', r => r.distance.planned],
+    ['actualDistanceKm', r => r.distance.actual],
+    ['distanceSource', r => r.distance.source],
+    ['distanceDeltaKm', r => r.distance.deltaKm],
+    ['stops', r => r.stops.total],
+    ['stopsReached', r => r.stops.reached],
+    ['stopsOnTime', r => r.stops.onTime],
+    ['stopsLate', r => r.stops.late],
+    ['avgStopVarianceMinutes', r => r.stops.averageVarianceMinutes],
+    ['stationaryMinutes', r => r.idle.stationaryMinutes],
+    ['idleMinutes', r => r.idle.idleMinutes],
+    ['quotedAmount', r => r.revenue.quoted],
+    ['actualAmount', r => r.revenue.actual],
+    ['revenueDelta', r => r.revenue.delta],
+    ['currency', r => r.revenue.currency]
+];
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Keep spreadsheets from evaluating text (customer names, places) as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Planned-vs-actual comparison of trips for ops reviews.
+ *
+ * Delays are positive when late. Idle time is time the vehicle was stationary
+ * (below RECONCILIATION_IDLE_SPEED_KMH) outside of recorded stop dwell time;
+ * gaps between pings longer than RECONCILIATION_MAX_PING_GAP_SECONDS are
+ * ignored because we cannot tell what happened during them.
+ */
+class ReconciliationService {
+    constructor() {
+        this.idleSpeedKmh = parseFloat(process.env.RECONCILIATION_IDLE_SPEED_KMH) || 3;
+        this.maxPingGapSeconds = parseFloat(process.env.RECONCILIATION_MAX_PING_GAP_SECONDS) || 600;
+        this.onTimeToleranceMinutes = parseFloat(process.env.RECONCILIATION_ON_TIME_MINUTES) || 5;
+    }
+
+    /**
+     * Minutes spent below the idle speed, from the breadcrumb
+     * @param {Array} pings - Sorted TripLocation documents
+     * @returns {Number}
+     */
+    stationaryMinutes(pings) {
+        let seconds = 0;
+
+        for (let i = 1; i < pings.length; i++) {
+            const prev = pings[i - 1];
+            const gap = (new Date(pings[i].timestamp) - new Date(prev.timestamp)) / 1000;
+            if (gap <= 0 || gap > this.maxPingGapSeconds) continue;
+
+            const speed = typeof prev.speed === 'number'
+                ? prev.speed
+                : (haversineDistance(prev.location.coordinates, pings[i].location.coordinates) / gap) * 3.6;
+
+            if (speed < this.idleSpeedKmh) seconds += gap;
+        }
+
+        return seconds / 60;
+    }
+
+    /**
+     * Net invoiced amount per trip (issued invoices minus issued credit notes)
+     * @param {Array} tripIds
+     * @returns {Promise<Map>} tripId -> amount
+     */
+    async invoicedAmounts(tripIds) {
+        const documents = await Invoice.find({ tripId: { $in: tripIds }, status: 'issued' })
+            .select('tripId type total');
+
+        const amounts = new Map();
+        documents.forEach(doc => {
+            const key = doc.tripId.toString();
+            const signed = doc.type === 'credit-note' ? -doc.total : doc.total;
+            amounts.set(key, (amounts.get(key) || 0) + signed);
+        });
+        return amounts;
+    }
+
+    /**
+     * Reconcile one trip
+     * @param {Object} trip - Trip document
+     * @param {Object} [context] - { invoiced: Map from invoicedAmounts, pings: already loaded breadcrumb }
+     * @returns {Promise<Object>}
+     */
+    async reconcileTrip(trip, { invoiced, pings } = {}) {
+        pings = pings || await TripLocation.getTrack(trip._id);
+        invoiced = invoiced || await this.invoicedAmounts([trip._id]);
+
+        // Schedule
+        const actualDuration = minutesBetween(trip.actualStartDateTime, trip.actualEndDateTime);
+        const schedule = {
+            plannedStart: trip.startDateTime,
+            actualStart: trip.actualStartDateTime || null,
+            startDelayMinutes: round(minutesBetween(trip.startDateTime, trip.actualStartDateTime)),
+            plannedEnd: trip.endDateTime,
+            actualEnd: trip.actualEndDateTime || null,
+            endDelayMinutes: round(minutesBetween(trip.endDateTime, trip.actualEndDateTime)),
+            plannedDuration: round(trip.duration),
+            actualDuration: round(actualDuration),
+            durationDeltaMinutes: actualDuration !== null ? round(actualDuration - (trip.duration || 0)) : null
+        };
+
+        // Distance
+        const { distance: actual, source } = await tariffService.actualDistance(trip, pings);
+        const distance = {
+            planned: round(trip.distance),
+            actual: round(actual),
+            source,
+            deltaKm: round(actual - (trip.distance || 0)),
+            deltaPercent: trip.distance ? round(((actual - trip.distance) / trip.distance) * 100) : null
+        };
+
+        // Stops
+        const punctuality = trip.getStopPunctuality();
+        const variances = punctuality
+            .map(stop => stop.arrivalVarianceMinutes)
+            .filter(variance => variance !== null);
+        const stops = {
+            total: punctuality.length,
+            reached: punctuality.filter(stop => stop.arrivedAt).length,
+            onTime: variances.filter(v => v <= this.onTimeToleranceMinutes).length,
+            late: variances.filter(v => v > this.onTimeToleranceMinutes).length,
+            averageVarianceMinutes: variances.length ? round(sum(variances) / variances.length) : null,
+            details: punctuality
+        };
+
+        // Idle
+        const stationary = this.stationaryMinutes(pings);
+        const stopDwell = sum(punctuality.map(stop => stop.dwellMinutes));
+        const idle = {
+            stationaryMinutes: round(stationary),
+            stopDwellMinutes: round(stopDwell),
+            idleMinutes: round(Math.max(0, stationary - stopDwell))
+        };
+
+        // Revenue: quote at booking vs what was billed / invoiced
+        const quoted = trip.fareBreakdown?.total ?? trip.amount ?? 0;
+        const invoicedAmount = invoiced.has(trip._id.toString()) ? invoiced.get(trip._id.toString()) : null;
+        const actualAmount = invoicedAmount ?? trip.billing?.amount ?? null;
+        const revenue = {
+            currency: trip.fareBreakdown?.currency || trip.billing?.breakdown?.currency || 'INR',
+            quoted,
+            billed: trip.billing?.amount ?? null,
+            invoiced: invoicedAmount,
+            actual: actualAmount,
+            delta: actualAmount !== null ? round(actualAmount - quoted) : null,
+            deltaPercent: actualAmount !== null && quoted ? round(((actualAmount - quoted) / quoted) * 100) : null
+        };
+
+        return {
+            tripId: trip._id,
+            status: trip.status,
+            tripType: trip.tripType,
+            vehicleId: trip.vehicleId,
+            driverId: trip.driverId,
+            customerName: trip.customerName,
+            from: trip.startDestination?.name,
+            to: trip.endDestination?.name,
+            schedule,
+            distance,
+            stops,
+            idle,
+            revenue
+        };
+    }
+
+    /**
+     * Reconcile every trip of a fleet manager that was planned to start in a range
+     * @param {String} fleetManagerId
+     * @param {Object} options - { from, to, status ('completed' by default, 'all' for every status), vehicleId, driverId }
+     * @returns {Promise<Object>} { range, summary, trips, truncated }
+     */
+    async reconcileRange(fleetManagerId, { from, to, status = 'completed', vehicleId, driverId } = {}) {
+        const query = { fleetManagerId };
+
+        if (status !== 'all') {
+            query.status = status;
+        }
+        if (vehicleId) {
+            query.vehicleId = vehicleId;
+        }
+        if (driverId) {
+            query.driverId = driverId;
+        }
+        if (from || to) {
+            query.startDateTime = {};
+            if (from) query.startDateTime.$gte = new Date(from);
+            if (to) query.startDateTime.$lte = new Date(to);
+        }
+
+        const trips = await Trip.find(query)
+            .sort({ startDateTime: 1 })
+            .limit(MAX_REPORT_TRIPS + 1);
+
+        const truncated = trips.length > MAX_REPORT_TRIPS;
+        if (truncated) trips.pop();
+
+        const invoiced = await this.invoicedAmounts(trips.map(trip => trip._id));
+
+        // Breadcrumbs a batch at a time: one query each, without holding every track in memory
+        const rows = [];
+        for (let i = 0; i < trips.length; i += TRACK_BATCH_SIZE) {
+            const batch = trips.slice(i, i + TRACK_BATCH_SIZE);
+            const tracks = await TripLocation.getTracks(batch.map(trip => trip._id));
+            for (const trip of batch) {
+                rows.push(await this.reconcileTrip(trip, { invoiced, pings: tracks.get(String(trip._id)) }));
+            }
+        }
+
+        return {
+            range: { from: from || null, to: to || null, status },
+            summary: this.summarise(rows),
+            trips: rows,
+            truncated
+        };
+    }
+
+    /**
+     * Totals and averages over reconciled trips
+     * @param {Array} rows - Results of reconcileTrip
+     * @returns {Object}
+     */
+    summarise(rows) {
+        const average = (values) => {
+            const present = values.filter(v => v !== null && v !== undefined);
+            return present.length ? round(sum(present) / present.length) : null;
+        };
+
+        const quoted = sum(rows.map(r => r.revenue.quoted));
+        const actual = sum(rows.map(r => r.revenue.actual ?? r.revenue.quoted));
+
+        return {
+            trips: rows.length,
+            averageStartDelayMinutes: average(rows.map(r => r.schedule.startDelayMinutes)),
+            averageEndDelayMinutes: average(rows.map(r => r.schedule.endDelayMinutes)),
+            plannedDistanceKm: round(sum(rows.map(r => r.distance.planned))),
+            actualDistanceKm: round(sum(rows.map(r => r.distance.actual))),
+            stops: sum(rows.map(r => r.stops.total)),
+            stopsOnTime: sum(rows.map(r => r.stops.onTime)),
+            stopsLate: sum(rows.map(r => r.stops.late)),
+            idleMinutes: round(sum(rows.map(r => r.idle.idleMinutes))),
+            quotedRevenue: round(quoted),
+            actualRevenue: round(actual),
+            revenueDelta: round(actual - quoted)
+        };
+    }
+
+    /**
+     * One CSV row per trip (stop details are omitted; use JSON for them)
+     * @param {Array} rows - Results of reconcileTrip
+     * @returns {String}
+     */
+    toCsv(rows) {
+        const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+        rows.forEach(row => {
+            lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(row))).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,210 @@
+/**
+ * RRULE-style recurrence for trip templates.
+ *
+ * Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (MO..SU),
+ * BYMONTHDAY (1..31, MONTHLY only), COUNT and UNTIL (YYYYMMDD or ISO date).
+ * Occurrences are wall-clock times in the template's timezone, so a 09:00
+ * trip stays at 09:00 across DST changes.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Stop scanning after this many calendar days from the first occurrence
+const MAX_SCAN_DAYS = 366 * 10;
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR")
+ * @param {String} rrule
+ * @returns {Object} { freq, interval, byDay, byMonthDay, count, until } or { error }
+ */
+function parseRule(rrule) {
+    if (!rrule || typeof rrule !== 'string') {
+        return { error: 'rrule is required' };
+    }
+
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+    const parts = rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+    for (const part of parts) {
+        const [key, value = ''] = part.split('=');
+
+        switch (key.toUpperCase()) {
+            case 'FREQ':
+                rule.freq = value.toUpperCase();
+                if (!FREQUENCIES.includes(rule.freq)) {
+                    return { error: `Unsupported FREQ '${value}'. Use one of: ${FREQUENCIES.join(', ')}` };
+                }
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInt(value, 10);
+                if (!(rule.interval >= 1)) return { error: 'INTERVAL must be a positive integer' };
+                break;
+            case 'BYDAY':
+                rule.byDay = value.toUpperCase().split(',').map(day => WEEKDAYS.indexOf(day));
+                if (rule.byDay.some(day => day < 0)) return { error: `Invalid BYDAY '${value}'` };
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(day => parseInt(day, 10));
+                if (rule.byMonthDay.some(day => !(day >= 1 && day <= 31))) {
+                    return { error: `Invalid BYMONTHDAY '${value}'` };
+                }
+                break;
+            case 'COUNT':
+                rule.count = parseInt(value, 10);
+                if (!(rule.count >= 1)) return { error: 'COUNT must be a positive integer' };
+                break;
+            case 'UNTIL': {
+                const iso = /^\d{8}/.test(value)
+                    ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}T23:59:59Z`
+                    : value;
+                rule.until = new Date(iso);
+                if (isNaN(rule.until.getTime())) return { error: `Invalid UNTIL '${value}'` };
+                break;
+            }
+            default:
+                return { error: `Unsupported rule part '${key}'` };
+        }
+    }
+
+    if (!rule.freq) {
+        return { error: 'FREQ is required' };
+    }
+
+    return rule;
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in ms
+ */
+function timezoneOffset(timestamp, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month, day, hour, minute);
+    let result = guess - timezoneOffset(guess, timeZone);
+    // Second pass picks up a DST change between the guess and the result
+    const corrected = guess - timezoneOffset(result, timeZone);
+    if (corrected !== result) result = corrected;
+    return new Date(result);
+}
+
+/**
+ * Validate a template recurrence
+ * @param {Object} recurrence - { rrule, startDate 'YYYY-MM-DD', startTime 'HH:mm', durationMinutes, timezone }
+ * @returns {String|null} Error message, or null when valid
+ */
+function validate(recurrence) {
+    if (!recurrence) return 'recurrence is required';
+
+    const rule = parseRule(recurrence.rrule);
+    if (rule.error) return rule.error;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(recurrence.startDate || '') || isNaN(new Date(recurrence.startDate).getTime())) {
+        return 'recurrence.startDate must be YYYY-MM-DD';
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(recurrence.startTime || '')) {
+        return 'recurrence.startTime must be HH:mm';
+    }
+    if (!(Number(recurrence.durationMinutes) > 0)) {
+        return 'recurrence.durationMinutes must be a positive number';
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: recurrence.timezone || 'Asia/Kolkata' });
+    } catch (error) {
+        return `Unknown timezone '${recurrence.timezone}'`;
+    }
+
+    return null;
+}
+
+/**
+ * Occurrences of a recurrence starting within [from, to]
+ * @param {Object} recurrence - See validate
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array} [{ date: 'YYYY-MM-DD', start: Date, end: Date }]
+ */
+function occurrences(recurrence, from, to) {
+    const rule = parseRule(recurrence.rrule);
+    if (rule.error) throw new Error(rule.error);
+
+    const timeZone = recurrence.timezone || 'Asia/Kolkata';
+    const [y0, m0, d0] = recurrence.startDate.split('-').map(Number);
+    const [hour, minute] = recurrence.startTime.split(':').map(Number);
+    const durationMs = Number(recurrence.durationMinutes) * 60000;
+
+    const first = Date.UTC(y0, m0 - 1, d0);
+    const firstDay = new Date(first).getUTCDay();
+    const mondayOf = (ms) => ms - ((new Date(ms).getUTCDay() + 6) % 7) * DAY_MS;
+
+    const fromMs = new Date(from).getTime();
+    const toMs = new Date(to).getTime();
+    const results = [];
+    let count = 0;
+
+    for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+        const dayMs = first + i * DAY_MS;
+        const day = new Date(dayMs);
+        const dow = day.getUTCDay();
+
+        let matches;
+        if (rule.freq === 'DAILY') {
+            matches = i % rule.interval === 0 && (!rule.byDay.length || rule.byDay.includes(dow));
+        } else if (rule.freq === 'WEEKLY') {
+            const weeks = Math.round((mondayOf(dayMs) - mondayOf(first)) / (7 * DAY_MS));
+            matches = weeks % rule.interval === 0 &&
+                (rule.byDay.length ? rule.byDay.includes(dow) : dow === firstDay);
+        } else {
+            const months = (day.getUTCFullYear() - y0) * 12 + (day.getUTCMonth() - (m0 - 1));
+            matches = months % rule.interval === 0 &&
+                (rule.byMonthDay.length ? rule.byMonthDay.includes(day.getUTCDate()) : day.getUTCDate() === d0);
+        }
+
+        if (!matches) continue;
+
+        count += 1;
+        if (rule.count && count > rule.count) break;
+
+        const start = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute, timeZone);
+        if (rule.until && start > rule.until) break;
+        if (start.getTime() > toMs) break;
+
+        if (start.getTime() >= fromMs) {
+            results.push({
+                date: day.toISOString().slice(0, 10),
+                start,
+                end: new Date(start.getTime() + durationMs)
+            });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    parseRule,
+    validate,
+    occurrences,
+    zonedTimeToDate
+};
@@ -0,0 +1,168 @@
+const TripLocation = require('../models/TripLocation');
+const DriverBehaviorLog = require('../models/DriverBehaviorLog');
+const { simplifyToCount } = require('./geoService');
+
+const DEFAULT_MAX_POINTS = 500;
+const MAX_POINTS_LIMIT = 5000;
+
+/**
+ * Builds trip replays: the recorded breadcrumb thinned to a target number of
+ * points, with trip milestones and driver behaviour events merged onto a
+ * single chronological timeline.
+ */
+class ReplayService {
+    /**
+     * Clamp the requested point budget to something the dashboard can draw
+     * @param {*} maxPoints - Raw query value
+     * @returns {Number}
+     */
+    normaliseMaxPoints(maxPoints) {
+        const parsed = parseInt(maxPoints, 10);
+        if (!parsed || parsed < 2) return DEFAULT_MAX_POINTS;
+        return Math.min(parsed, MAX_POINTS_LIMIT);
+    }
+
+    /**
+     * Check whether a timestamp falls inside the optional replay window
+     */
+    inWindow(timestamp, from, to) {
+        if (!timestamp) return false;
+        const t = new Date(timestamp).getTime();
+        if (from && t < from.getTime()) return false;
+        if (to && t > to.getTime()) return false;
+        return true;
+    }
+
+    /**
+     * Trip lifecycle and stop events derived from the trip document
+     * @param {Object} trip - Trip document
+     * @returns {Array} Timeline events
+     */
+    tripEvents(trip) {
+        const events = [];
+
+        if (trip.actualStartDateTime) {
+            events.push({
+                type: 'trip-start',
+                timestamp: trip.actualStartDateTime,
+                location: trip.startDestination?.location?.coordinates || null,
+                name: trip.startDestination?.name
+            });
+        }
+
+        (trip.stops || []).forEach((stop, index) => {
+            if (stop.arrivedAt) {
+                events.push({
+                    type: 'stop-arrival',
+                    timestamp: stop.arrivedAt,
+                    stopIndex: index,
+                    name: stop.name,
+                    location: stop.location?.coordinates || null
+                });
+            }
+            if (stop.status === 'departed' && stop.departureTime) {
+                events.push({
+                    type: 'stop-departure',
+                    timestamp: stop.departureTime,
+                    stopIndex: index,
+                    name: stop.name,
+                    location: stop.location?.coordinates || null
+                });
+            }
+        });
+
+        if (trip.actualEndDateTime) {
+            events.push({
+                type: 'trip-end',
+                timestamp: trip.actualEndDateTime,
+                location: trip.endDestination?.location?.coordinates || null,
+                name: trip.endDestination?.name
+            });
+        }
+
+        return events;
+    }
+
+    /**
+     * Drowsiness samples logged against the trip
+     * @param {Object} trip - Trip document
+     * @param {Date} [from]
+     * @param {Date} [to]
+     * @returns {Promise<Array>} Timeline events
+     */
+    async drowsinessEvents(trip, from, to) {
+        const query = {
+            tripId: trip._id,
+            $or: [{ status: 'DROWSY' }, { healthStatus: 'DROWSY' }]
+        };
+
+        if (from || to) {
+            query.timestamp = {};
+            if (from) query.timestamp.$gte = from;
+            if (to) query.timestamp.$lte = to;
+        }
+
+        const logs = await DriverBehaviorLog.find(query)
+            .select('timestamp perclos ear healthStatus')
+            .sort({ timestamp: 1 })
+            .lean();
+
+        return logs.map(log => ({
+            type: 'drowsiness',
+            timestamp: log.timestamp,
+            perclos: log.perclos,
+            ear: log.ear,
+            healthStatus: log.healthStatus
+        }));
+    }
+
+    /**
+     * Build the replay payload for a trip
+     * @param {Object} trip - Trip document
+     * @param {Object} options - { from, to, maxPoints }
+     * @returns {Promise<Object>}
+     */
+    async buildReplay(trip, { from, to, maxPoints } = {}) {
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        const pointBudget = this.normaliseMaxPoints(maxPoints);
+
+        const [pings, drowsiness] = await Promise.all([
+            TripLocation.getTrack(trip._id, { from: fromDate, to: toDate }),
+            this.drowsinessEvents(trip, fromDate, toDate)
+        ]);
+
+        const simplified = simplifyToCount(pings, pointBudget, p => p.location.coordinates);
+
+        const positions = simplified.map(p => ({
+            timestamp: p.timestamp,
+            coordinates: p.location.coordinates,
+            speed: p.speed ?? null,
+            heading: p.heading ?? null
+        }));
+
+        const events = [
+            ...this.tripEvents(trip).filter(e => this.inWindow(e.timestamp, fromDate, toDate)),
+            ...drowsiness
+        ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const timeline = [
+            ...positions.map(p => ({ type: 'position', ...p })),
+            ...events
+        ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        return {
+            tripId: trip._id,
+            status: trip.status,
+            window: { from: fromDate, to: toDate },
+            plannedRoute: trip.route,
+            totalPoints: pings.length,
+            returnedPoints: positions.length,
+            positions,
+            events,
+            timeline
+        };
+    }
+}
+
+module.exports = new ReplayService();
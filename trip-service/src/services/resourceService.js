@@ -0,0 +1,108 @@
+const axios = require('axios');
+
+const VEHICLE_SERVICE_URL = process.env.VEHICLE_SERVICE_URL || 'http://vehicle-service:5002';
+const DRIVER_SERVICE_URL = process.env.DRIVER_SERVICE_URL || 'http://driver-management-service:5003';
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:5001';
+
+/**
+ * Vehicle and driver status (and driver safety scores) in the other services.
+ *
+ * Each method makes a single request and throws on failure; retries are the
+ * outbox dispatcher's job (see outboxService), so callers should queue
+ * changes there rather than calling this directly.
+ */
+class ResourceService {
+    constructor() {
+        this.timeoutMs = 5000;
+    }
+
+    headers({ userId, idempotencyKey }) {
+        return {
+            'Content-Type': 'application/json',
+            // Shared secret the receiving service checks on internal routes
+            ...(process.env.INTERNAL_SERVICE_KEY && { 'x-service-key': process.env.INTERNAL_SERVICE_KEY }),
+            ...(userId && { 'x-user-id': userId }),
+            ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+        };
+    }
+
+    /**
+     * Set a vehicle's status in vehicle-service
+     * @param {String} vehicleId
+     * @param {String} status - e.g. 'IDLE', 'ASSIGNED'
+     * @param {Object} options - { userId, idempotencyKey }
+     */
+    async setVehicleStatus(vehicleId, status, options = {}) {
+        return axios.patch(
+            `${VEHICLE_SERVICE_URL}/api/vehicles/${vehicleId}/status`,
+            { status },
+            { headers: this.headers(options), timeout: this.timeoutMs }
+        );
+    }
+
+    /**
+     * Set a driver's assignmentStatus on their employment in driver-management
+     * @param {String} driverId
+     * @param {String} assignmentStatus - 'ASSIGNED' | 'UNASSIGNED'
+     * @param {Object} options - { userId, idempotencyKey }
+     */
+    async setEmploymentAssignment(driverId, assignmentStatus, options = {}) {
+        return axios.patch(
+            `${DRIVER_SERVICE_URL}/api/drivers/employments/driver/${driverId}/assignment-status`,
+            { assignmentStatus },
+            { headers: this.headers(options), timeout: this.timeoutMs }
+        );
+    }
+
+    /**
+     * Set a driver's assignmentStatus on their user in user-service
+     * @param {String} driverId
+     * @param {String} assignmentStatus - 'ASSIGNED' | 'UNASSIGNED'
+     * @param {Object} options - { idempotencyKey }
+     */
+    async setUserAssignment(driverId, assignmentStatus, options = {}) {
+        return axios.put(
+            `${USER_SERVICE_URL}/api/admin/users/${driverId}/internal-update`,
+            { assignmentStatus },
+            { headers: this.headers({ idempotencyKey: options.idempotencyKey }), timeout: this.timeoutMs }
+        );
+    }
+
+    /**
+     * Set a driver's objective safety score in driver-management
+     * @param {String} driverId
+     * @param {Object} safetyScore - { score, drivingHours, drowsyMinutesPerDrivingHour, incidents, ..., computedAt }
+     * @param {Object} options - { idempotencyKey }
+     */
+    async setDriverSafetyScore(driverId, safetyScore, options = {}) {
+        return axios.put(
+            `${DRIVER_SERVICE_URL}/api/drivers/ratings/driver/${driverId}/safety-score`,
+            safetyScore,
+            { headers: this.headers({ idempotencyKey: options.idempotencyKey }), timeout: this.timeoutMs }
+        );
+    }
+
+    /**
+     * Deliver an outbox message
+     * @param {Object} message - OutboxMessage document
+     */
+    async deliver(message) {
+        const resourceId = message.resourceKey.split(':')[1];
+        const options = { userId: message.actorId, idempotencyKey: message.idempotencyKey };
+
+        switch (message.type) {
+            case 'vehicle-status':
+                return this.setVehicleStatus(resourceId, message.payload.status, options);
+            case 'employment-assignment':
+                return this.setEmploymentAssignment(resourceId, message.payload.assignmentStatus, options);
+            case 'user-assignment':
+                return this.setUserAssignment(resourceId, message.payload.assignmentStatus, options);
+            case 'driver-safety-score':
+                return this.setDriverSafetyScore(resourceId, message.payload, options);
+            default:
+                throw new Error(`Unknown outbox message type: ${message.type}`);
+        }
+    }
+}
+
+module.exports = new ResourceService();
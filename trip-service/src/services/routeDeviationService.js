@@ -0,0 +1,129 @@
+const Alert = require('../models/Alert');
+const { pointToLineDistance } = require('./geoService');
+
+/**
+ * Compares live pings against the planned route stored on the trip.
+ *
+ * A ping is "off route" when it is further than the corridor buffer from the
+ * planned LineString. An OFF_ROUTE alert is raised only once the vehicle has
+ * stayed outside the corridor for longer than the threshold, so short GPS
+ * jumps and detours around a blocked lane do not page anybody. The alert is
+ * resolved on the first ping back inside the corridor, or by close() when the
+ * trip stops being driven (paused, completed, aborted or cancelled).
+ *
+ * State lives on trip.routeDeviation (not in memory) so it survives across
+ * Lambda invocations.
+ */
+class RouteDeviationService {
+    constructor() {
+        this.bufferMeters = parseFloat(process.env.ROUTE_CORRIDOR_BUFFER_METERS) || 250;
+        this.thresholdSeconds = parseFloat(process.env.ROUTE_DEVIATION_THRESHOLD_SECONDS) || 120;
+    }
+
+    /**
+     * Evaluate a ping and update trip.routeDeviation in place (caller saves the trip).
+     * @param {Object} trip - Trip document
+     * @param {Array} coordinates - [lng, lat] of the ping
+     * @param {Date} timestamp - Time of the ping
+     * @returns {Promise<Object>} { state: 'on-route'|'leaving'|'off-route'|'skipped', distance, raised, cleared }
+     */
+    async evaluate(trip, coordinates, timestamp = new Date()) {
+        // Alerts go to a driver, so a driverless trip is skipped before any state changes
+        if (trip.status !== 'in-progress' || !trip.route?.coordinates?.length || !trip.driverId) {
+            return { state: 'skipped', distance: null, raised: null, cleared: null };
+        }
+
+        if (!trip.routeDeviation) trip.routeDeviation = {};
+        const state = trip.routeDeviation;
+
+        const { distance } = pointToLineDistance(coordinates, trip.route.coordinates);
+        state.lastDistance = Math.round(distance);
+
+        // Back inside the corridor
+        if (distance <= this.bufferMeters) {
+            let cleared = null;
+
+            if (state.isOffRoute && state.alertId) {
+                cleared = await Alert.findByIdAndUpdate(
+                    state.alertId,
+                    { resolvedAt: timestamp },
+                    { new: true }
+                ).lean();
+            }
+
+            state.isOffRoute = false;
+            state.offRouteSince = null;
+            state.alertId = null;
+
+            return { state: 'on-route', distance, raised: null, cleared };
+        }
+
+        // Outside the corridor
+        if (!state.offRouteSince) {
+            state.offRouteSince = timestamp;
+        }
+
+        if (state.isOffRoute) {
+            return { state: 'off-route', distance, raised: null, cleared: null };
+        }
+
+        const secondsOff = (new Date(timestamp) - new Date(state.offRouteSince)) / 1000;
+        if (secondsOff < this.thresholdSeconds) {
+            return { state: 'leaving', distance, raised: null, cleared: null };
+        }
+
+        const raised = await Alert.create({
+            driverId: trip.driverId.toString(),
+            companyId: trip.fleetManagerId.toString(),
+            tripId: trip._id.toString(),
+            status: 'OFF_ROUTE',
+            source: 'route-deviation',
+            timestamp,
+            location: { type: 'Point', coordinates },
+            details: {
+                vehicleId: trip.vehicleId,
+                distanceFromRoute: Math.round(distance),
+                bufferMeters: this.bufferMeters,
+                offRouteSince: state.offRouteSince
+            }
+        });
+
+        state.isOffRoute = true;
+        state.alertId = raised._id;
+
+        return { state: 'off-route', distance, raised: raised.toObject(), cleared: null };
+    }
+
+    /**
+     * Resolve the trip's open OFF_ROUTE alert and reset its deviation state
+     * (caller saves the trip). Used when a trip leaves in-progress.
+     * @param {Object} trip - Trip document
+     * @param {Date} timestamp - When the trip left in-progress
+     * @returns {Promise<Object|null>} The resolved alert
+     */
+    async close(trip, timestamp = new Date()) {
+        const state = trip.routeDeviation;
+        if (!state) return null;
+
+        let cleared = null;
+        if (state.alertId) {
+            try {
+                cleared = await Alert.findOneAndUpdate(
+                    { _id: state.alertId, resolvedAt: null },
+                    { resolvedAt: timestamp },
+                    { new: true }
+                ).lean();
+            } catch (error) {
+                console.error('Route deviation close error:', error.message);
+            }
+        }
+
+        state.isOffRoute = false;
+        state.offRouteSince = null;
+        state.alertId = null;
+
+        return cleared;
+    }
+}
+
+module.exports = new RouteDeviationService();
@@ -0,0 +1,233 @@
+const routingService = require('./routing');
+
+// Up to this many intermediate stops every order is tried; beyond it a heuristic is used
+const EXHAUSTIVE_STOP_LIMIT = 8;
+// Cost added per minute of arriving after a stop's time window closes
+const LATENESS_PENALTY_PER_MINUTE = 1000;
+// Cost added per leg the matrix has no route for; outweighs any lateness
+const UNREACHABLE_PENALTY = 1e9;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Reorders the intermediate stops of a trip so the start and end stay fixed
+ * and the total distance (or duration) is minimised.
+ *
+ * Optional per-stop time windows ({ start, end }) are honoured while
+ * simulating the schedule from the trip start time: arriving early waits for
+ * the window to open, arriving late is heavily penalised so any feasible
+ * order beats an infeasible one.
+ *
+ * Pairs the matrix cannot route (null from the provider, Infinity here) are
+ * left out of the totals and penalised above everything else; an order that
+ * still needs one is reported in `unreachable` without totals or savings.
+ */
+class RouteOptimizationService {
+    /**
+     * Simulate an order and compute its cost
+     * @param {Array} order - Matrix indexes of intermediate stops in visiting order
+     * @param {Object} ctx - { matrix, endIndex, objective, windows, departAt, serviceMinutes }
+     * @returns {Object} { cost, distance, duration, lateness, violations, unreachable }
+     */
+    evaluate(order, ctx) {
+        const { matrix, endIndex, objective, windows, departAt, serviceMinutes } = ctx;
+        const path = [0, ...order, endIndex];
+        // Matrix index to the caller's terms: 'start', 'end' or an intermediate stop index
+        const label = (index) => (index === 0 ? 'start' : index === endIndex ? 'end' : index - 1);
+
+        let distance = 0;
+        let duration = 0;
+        let clock = departAt ? departAt.getTime() : null;
+        let lateness = 0;
+        const violations = [];
+        const unreachable = [];
+
+        for (let i = 1; i < path.length; i++) {
+            const from = path[i - 1];
+            const to = path[i];
+
+            if (!Number.isFinite(matrix.distances[from][to]) || !Number.isFinite(matrix.durations[from][to])) {
+                unreachable.push({ from: label(from), to: label(to) });
+                // Arrival times after an unroutable leg are unknown
+                clock = null;
+                continue;
+            }
+
+            distance += matrix.distances[from][to];
+            duration += matrix.durations[from][to];
+
+            if (clock === null) continue;
+
+            clock += matrix.durations[from][to] * 60000;
+            const window = windows[to];
+
+            if (window?.start && clock < window.start.getTime()) {
+                clock = window.start.getTime();
+            }
+            if (window?.end && clock > window.end.getTime()) {
+                const minutesLate = (clock - window.end.getTime()) / 60000;
+                lateness += minutesLate;
+                violations.push({ stopIndex: to - 1, minutesLate: Math.round(minutesLate) });
+            }
+
+            clock += (serviceMinutes[to] || 0) * 60000;
+        }
+
+        const base = objective === 'duration' ? duration : distance;
+        return {
+            cost: base + lateness * LATENESS_PENALTY_PER_MINUTE + unreachable.length * UNREACHABLE_PENALTY,
+            distance,
+            duration,
+            lateness,
+            violations,
+            unreachable
+        };
+    }
+
+    /**
+     * Try every permutation (small stop counts only)
+     */
+    exhaustive(indexes, ctx) {
+        let best = null;
+
+        const permute = (remaining, current) => {
+            if (remaining.length === 0) {
+                const result = this.evaluate(current, ctx);
+                if (!best || result.cost < best.result.cost) {
+                    best = { order: [...current], result };
+                }
+                return;
+            }
+            for (let i = 0; i < remaining.length; i++) {
+                current.push(remaining[i]);
+                permute([...remaining.slice(0, i), ...remaining.slice(i + 1)], current);
+                current.pop();
+            }
+        };
+
+        permute(indexes, []);
+        return best.order;
+    }
+
+    /**
+     * Nearest-neighbour construction followed by 2-opt improvement
+     */
+    heuristic(indexes, ctx) {
+        const costOf = (from, to) => (ctx.objective === 'duration'
+            ? ctx.matrix.durations[from][to]
+            : ctx.matrix.distances[from][to]);
+
+        const remaining = new Set(indexes);
+        const order = [];
+        let current = 0;
+
+        while (remaining.size > 0) {
+            let next = null;
+            remaining.forEach(candidate => {
+                if (next === null || costOf(current, candidate) < costOf(current, next)) next = candidate;
+            });
+            order.push(next);
+            remaining.delete(next);
+            current = next;
+        }
+
+        let bestCost = this.evaluate(order, ctx).cost;
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < order.length - 1; i++) {
+                for (let k = i + 1; k < order.length; k++) {
+                    const candidate = [
+                        ...order.slice(0, i),
+                        ...order.slice(i, k + 1).reverse(),
+                        ...order.slice(k + 1)
+                    ];
+                    const cost = this.evaluate(candidate, ctx).cost;
+                    if (cost < bestCost - 1e-9) {
+                        order.splice(0, order.length, ...candidate);
+                        bestCost = cost;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return order;
+    }
+
+    /**
+     * Optimise the visiting order of intermediate stops
+     * @param {Array} coordinates - [start, ...stops, end] as [lng, lat]
+     * @param {Object} [options]
+     * @param {String} [options.objective] - 'distance' (default) or 'duration'
+     * @param {Array} [options.timeWindows] - Per intermediate stop: { start, end } or null
+     * @param {Array} [options.serviceMinutes] - Per intermediate stop: minutes spent at the stop
+     * @param {Date} [options.departAt] - Trip start time (required for time windows to apply)
+     * @returns {Promise<Object>} { order, original, optimized, savings, violations, unreachable, feasible, matrixSource }
+     */
+    async optimize(coordinates, { objective = 'distance', timeWindows = [], serviceMinutes = [], departAt } = {}) {
+        const stopCount = coordinates.length - 2;
+        const originalOrder = Array.from({ length: Math.max(stopCount, 0) }, (_, i) => i + 1);
+
+        const matrix = await routingService.getMatrix(coordinates);
+
+        const ctx = {
+            matrix,
+            endIndex: coordinates.length - 1,
+            objective: objective === 'duration' ? 'duration' : 'distance',
+            // Matrix index i + 1 is intermediate stop i
+            windows: [null, ...originalOrder.map((_, i) => {
+                const w = timeWindows[i];
+                if (!w || (!w.start && !w.end)) return null;
+                return { start: w.start ? new Date(w.start) : null, end: w.end ? new Date(w.end) : null };
+            }), null],
+            serviceMinutes: [0, ...originalOrder.map((_, i) => Number(serviceMinutes[i]) || 0), 0],
+            departAt: departAt ? new Date(departAt) : null
+        };
+
+        let bestOrder = originalOrder;
+        if (stopCount > 1) {
+            bestOrder = stopCount <= EXHAUSTIVE_STOP_LIMIT
+                ? this.exhaustive(originalOrder, ctx)
+                : this.heuristic(originalOrder, ctx);
+        }
+
+        const original = this.evaluate(originalOrder, ctx);
+        let optimized = this.evaluate(bestOrder, ctx);
+
+        // Never return something worse than what the user typed
+        if (optimized.cost > original.cost) {
+            bestOrder = originalOrder;
+            optimized = original;
+        }
+
+        // Totals over a route with a missing leg are not comparable
+        const totals = (result) => (result.unreachable.length
+            ? { distance: null, duration: null }
+            : { distance: round(result.distance), duration: round(result.duration) });
+        const comparable = !original.unreachable.length && !optimized.unreachable.length;
+
+        return {
+            objective: ctx.objective,
+            order: bestOrder.map(i => i - 1),
+            original: totals(original),
+            optimized: totals(optimized),
+            savings: comparable
+                ? {
+                    distance: round(original.distance - optimized.distance),
+                    duration: round(original.duration - optimized.duration),
+                    percent: original[ctx.objective] > 0
+                        ? round(((original[ctx.objective] - optimized[ctx.objective]) / original[ctx.objective]) * 100)
+                        : 0
+                }
+                : null,
+            violations: optimized.violations,
+            unreachable: optimized.unreachable,
+            feasible: optimized.violations.length === 0 && optimized.unreachable.length === 0,
+            matrixSource: matrix.source
+        };
+    }
+}
+
+module.exports = new RouteOptimizationService();
@@ -0,0 +1,73 @@
+const axios = require('axios');
+
+/**
+ * GraphHopper Routing API provider (self-hosted or hosted).
+ * Configure with GRAPHHOPPER_BASE_URL, GRAPHHOPPER_PROFILE (default: car) and,
+ * for the hosted API, GRAPHHOPPER_API_KEY.
+ */
+class GraphHopperProvider {
+    constructor() {
+        this.name = 'graphhopper';
+        this.baseUrl = (process.env.GRAPHHOPPER_BASE_URL || 'http://localhost:8989').replace(/\/$/, '');
+        this.profile = process.env.GRAPHHOPPER_PROFILE || 'car';
+    }
+
+    /**
+     * Get route between coordinates
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} Raw route in SI units: { geometry, distance (m), duration (s), legs }
+     */
+    async getRoute(coordinates) {
+        try {
+            const params = new URLSearchParams();
+            // GraphHopper expects "lat,lng" points
+            coordinates.forEach(([lng, lat]) => params.append('point', `${lat},${lng}`));
+            params.append('profile', this.profile);
+            params.append('points_encoded', 'false');
+            params.append('instructions', 'true');
+            if (process.env.GRAPHHOPPER_API_KEY) {
+                params.append('key', process.env.GRAPHHOPPER_API_KEY);
+            }
+
+            const response = await axios.get(`${this.baseUrl}/route`, { params, timeout: 10000 });
+
+            if (response.data.paths?.length > 0) {
+                const path = response.data.paths[0];
+                return {
+                    geometry: path.points,
+                    distance: path.distance,
+                    duration: path.time / 1000,
+                    legs: this.splitLegs(path, coordinates.length - 1)
+                };
+            }
+
+            throw new Error('No route found');
+        } catch (error) {
+            console.error('GraphHopper route error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || error.message || 'Failed to calculate route');
+        }
+    }
+
+    /**
+     * GraphHopper has no legs array; rebuild per-waypoint legs from the
+     * instructions, which end with a "reached via point" (sign 5) or
+     * "finish" (sign 4) instruction at each waypoint.
+     */
+    splitLegs(path, legCount) {
+        const legs = [];
+        let current = { distance: 0, duration: 0 };
+
+        (path.instructions || []).forEach(instruction => {
+            current.distance += instruction.distance;
+            current.duration += instruction.time / 1000;
+            if (instruction.sign === 5 || instruction.sign === 4) {
+                legs.push(current);
+                current = { distance: 0, duration: 0 };
+            }
+        });
+
+        return legs.length === legCount ? legs : [];
+    }
+}
+
+module.exports = GraphHopperProvider;
@@ -0,0 +1,231 @@
+const { haversineDistance } = require('../geoService');
+const MapboxProvider = require('./mapboxProvider');
+const OsrmProvider = require('./osrmProvider');
+const GraphHopperProvider = require('./graphHopperProvider');
+const StubProvider = require('./stubProvider');
+
+const PROVIDERS = {
+    mapbox: MapboxProvider,
+    osrm: OsrmProvider,
+    graphhopper: GraphHopperProvider,
+    stub: StubProvider
+};
+
+/**
+ * Routing facade used by controllers and services.
+ *
+ * The provider is chosen with ROUTING_PROVIDER (mapbox | osrm | graphhopper | stub).
+ * When it is not set, Mapbox is used if MAPBOX_ACCESS_TOKEN is present and the
+ * deterministic stub otherwise, so local dev and tests work without a token.
+ * In production (NODE_ENV=production) a missing token is a startup error unless
+ * ROUTING_PROVIDER=stub is set explicitly: stub routes would price real trips.
+ *
+ * Every provider returns SI units; this class normalises the result to
+ * { geometry: GeoJSON LineString, distance (km), duration (min), legs, provider }.
+ */
+class RoutingService {
+    constructor() {
+        this.provider = RoutingService.createProvider(process.env.ROUTING_PROVIDER);
+        // Offline ETA fallback: road distance ≈ straight line × detour factor, driven at average speed
+        this.fallbackSpeedKmh = parseFloat(process.env.ETA_FALLBACK_SPEED_KMH) || 40;
+        this.fallbackDetourFactor = parseFloat(process.env.ETA_FALLBACK_DETOUR_FACTOR) || 1.3;
+    }
+
+    /**
+     * Instantiate a provider by name
+     * @param {String} [name]
+     * @returns {Object} Provider instance
+     */
+    static createProvider(name) {
+        if (!name && !process.env.MAPBOX_ACCESS_TOKEN && process.env.NODE_ENV === 'production') {
+            throw new Error('MAPBOX_ACCESS_TOKEN is not set. Set it, choose another ROUTING_PROVIDER, or set ROUTING_PROVIDER=stub to use stub routing in production');
+        }
+
+        const key = (name || (process.env.MAPBOX_ACCESS_TOKEN ? 'mapbox' : 'stub')).toLowerCase();
+        const Provider = PROVIDERS[key];
+
+        if (!Provider) {
+            throw new Error(`Unknown ROUTING_PROVIDER '${name}'. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+
+        if (key === 'stub' && !name) {
+            console.warn('[routing] MAPBOX_ACCESS_TOKEN not set — using deterministic stub routing provider');
+        }
+
+        return new Provider();
+    }
+
+    /**
+     * Swap the active provider (used by tests)
+     * @param {Object} provider - Object implementing getRoute(coordinates)
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Get route between coordinates
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} { geometry, distance (km), duration (min), legs: [{ distance, duration }], provider }
+     */
+    async getRoute(coordinates) {
+        const raw = await this.provider.getRoute(coordinates);
+        return this.normalise(raw);
+    }
+
+    /**
+     * Convert a provider result to the shape used across the service
+     * @param {Object} raw - { geometry, distance (m), duration (s), legs }
+     * @returns {Object}
+     */
+    normalise(raw) {
+        if (!raw?.geometry || raw.geometry.type !== 'LineString' || !Array.isArray(raw.geometry.coordinates)) {
+            throw new Error(`Routing provider '${this.provider.name}' returned no LineString geometry`);
+        }
+
+        return {
+            geometry: {
+                type: 'LineString',
+                coordinates: raw.geometry.coordinates.map(([lng, lat]) => [lng, lat])
+            },
+            distance: (Number(raw.distance) || 0) / 1000, // Convert meters to kilometers
+            duration: (Number(raw.duration) || 0) / 60, // Convert seconds to minutes
+            legs: (raw.legs || []).map(leg => ({
+                distance: (Number(leg.distance) || 0) / 1000,
+                duration: (Number(leg.duration) || 0) / 60
+            })),
+            provider: this.provider.name
+        };
+    }
+
+    /**
+     * Check an intermediate stop count against the provider's coordinate
+     * limit (the start and end take two of them)
+     * @param {Number} stopCount
+     * @returns {String|null} Error message, or null when the trip can be routed
+     */
+    validateStopCount(stopCount) {
+        const maxStops = (this.provider.maxCoordinates || Infinity) - 2;
+        if (stopCount > maxStops) {
+            return `A trip can have at most ${maxStops} stops with the ${this.provider.name} routing provider`;
+        }
+        return null;
+    }
+
+    /**
+     * Travel matrix between all coordinates. Providers without a matrix
+     * service (or a failing one) fall back to straight-line estimates.
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} { distances: km[][], durations: min[][], source }
+     */
+    async getMatrix(coordinates) {
+        if (typeof this.provider.getMatrix === 'function') {
+            try {
+                const raw = await this.provider.getMatrix(coordinates);
+                return {
+                    distances: raw.distances.map(row => row.map(d => (d == null ? Infinity : d / 1000))),
+                    durations: raw.durations.map(row => row.map(d => (d == null ? Infinity : d / 60))),
+                    source: this.provider.name
+                };
+            } catch (error) {
+                console.warn('Matrix falling back to straight-line estimate:', error.message);
+            }
+        }
+
+        const distances = coordinates.map(from =>
+            coordinates.map(to => (haversineDistance(from, to) / 1000) * this.fallbackDetourFactor)
+        );
+        return {
+            distances,
+            durations: distances.map(row => row.map(d => (d / this.fallbackSpeedKmh) * 60)),
+            source: 'fallback'
+        };
+    }
+
+    /**
+     * Estimate remaining distance and duration through a list of waypoints.
+     * Uses the routing provider when it is reachable and falls back to a
+     * straight-line / average-speed estimate otherwise, so ETAs keep flowing
+     * when the provider is down.
+     * @param {Array} coordinates - [current position, ...remaining waypoints] as [lng, lat]
+     * @returns {Object} { distance (km), duration (min), legs: [{ distance, duration }], source }
+     */
+    async estimateRemaining(coordinates) {
+        try {
+            const route = await this.getRoute(coordinates);
+            if (route.legs.length === coordinates.length - 1) {
+                return {
+                    distance: route.distance,
+                    duration: route.duration,
+                    legs: route.legs,
+                    source: route.provider
+                };
+            }
+        } catch (error) {
+            console.warn('ETA falling back to straight-line estimate:', error.message);
+        }
+
+        return this.estimateStraightLine(coordinates);
+    }
+
+    /**
+     * Offline estimate between consecutive waypoints
+     * @param {Array} coordinates - Array of [lng, lat]
+     * @returns {Object} { distance (km), duration (min), legs, source: 'fallback' }
+     */
+    estimateStraightLine(coordinates) {
+        const legs = [];
+        for (let i = 1; i < coordinates.length; i++) {
+            const distance = (haversineDistance(coordinates[i - 1], coordinates[i]) / 1000) * this.fallbackDetourFactor;
+            legs.push({
+                distance,
+                duration: (distance / this.fallbackSpeedKmh) * 60
+            });
+        }
+
+        return {
+            distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+            duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+            legs,
+            source: 'fallback'
+        };
+    }
+
+    /**
+     * Suggest rest stops along a route
+     * @param {Object} routeGeometry - GeoJSON LineString
+     * @param {Number} distance - Total distance in km
+     * @returns {Array} Suggested stops
+     */
+    suggestRestStops(routeGeometry, distance) {
+        const suggestions = [];
+        
+        // Suggest a stop every 200km or if trip is longer than 4 hours
+        const stopInterval = 200; // km
+        const numberOfStops = Math.floor(distance / stopInterval);
+
+        if (numberOfStops > 0 && routeGeometry.coordinates) {
+            const coords = routeGeometry.coordinates;
+            const totalPoints = coords.length;
+
+            for (let i = 1; i <= numberOfStops; i++) {
+                const pointIndex = Math.floor((totalPoints / (numberOfStops + 1)) * i);
+                const coord = coords[pointIndex];
+
+                suggestions.push({
+                    location: {
+                        type: 'Point',
+                        coordinates: coord
+                    },
+                    name: `Rest Stop ${i}`,
+                    reason: `Suggested rest stop after approximately ${stopInterval * i} km for driver safety`,
+                    address: `Coordinates: ${coord[1].toFixed(4)}, ${coord[0].toFixed(4)}`
+                });
+            }
+        }
+
+        return suggestions;
+    }
+}
+
+module.exports = new RoutingService();
@@ -0,0 +1,99 @@
+const axios = require('axios');
+
+/**
+ * Mapbox Directions API routing provider.
+ * Requires MAPBOX_ACCESS_TOKEN.
+ */
+class MapboxProvider {
+    constructor() {
+        this.name = 'mapbox';
+        this.baseUrl = process.env.MAPBOX_BASE_URL || 'https://api.mapbox.com';
+        // Directions and Matrix APIs take at most 25 coordinates
+        this.maxCoordinates = 25;
+    }
+
+    /**
+     * Get route between coordinates
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} Raw route in SI units: { geometry, distance (m), duration (s), legs }
+     */
+    async getRoute(coordinates) {
+        try {
+            if (!process.env.MAPBOX_ACCESS_TOKEN) {
+                throw new Error('MAPBOX_ACCESS_TOKEN environment variable is not set');
+            }
+
+            const coordinatesStr = coordinates.map(coord => coord.join(',')).join(';');
+            const url = `${this.baseUrl}/directions/v5/mapbox/driving/${coordinatesStr}`;
+
+            console.log('Calculating route for coordinates:', coordinatesStr);
+
+            const response = await axios.get(url, {
+                params: {
+                    access_token: process.env.MAPBOX_ACCESS_TOKEN,
+                    geometries: 'geojson',
+                    steps: true,
+                    overview: 'full'
+                },
+                timeout: 10000
+            });
+
+            if (response.data.routes && response.data.routes.length > 0) {
+                const route = response.data.routes[0];
+                console.log('Route calculated successfully:', route.distance, 'meters');
+                return {
+                    geometry: route.geometry,
+                    distance: route.distance,
+                    duration: route.duration,
+                    legs: (route.legs || []).map(leg => ({
+                        distance: leg.distance,
+                        duration: leg.duration
+                    }))
+                };
+            }
+
+            throw new Error('No route found');
+        } catch (error) {
+            console.error('Mapbox route error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || error.message || 'Failed to calculate route');
+        }
+    }
+
+    /**
+     * Travel matrix between all coordinates (Mapbox Matrix API, max 25 points)
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} { distances: m[][], durations: s[][] }
+     */
+    async getMatrix(coordinates) {
+        try {
+            if (!process.env.MAPBOX_ACCESS_TOKEN) {
+                throw new Error('MAPBOX_ACCESS_TOKEN environment variable is not set');
+            }
+
+            const coordinatesStr = coordinates.map(coord => coord.join(',')).join(';');
+            const url = `${this.baseUrl}/directions-matrix/v1/mapbox/driving/${coordinatesStr}`;
+
+            const response = await axios.get(url, {
+                params: {
+                    access_token: process.env.MAPBOX_ACCESS_TOKEN,
+                    annotations: 'distance,duration'
+                },
+                timeout: 10000
+            });
+
+            if (response.data.code !== 'Ok') {
+                throw new Error(response.data.message || 'Matrix request failed');
+            }
+
+            return {
+                distances: response.data.distances,
+                durations: response.data.durations
+            };
+        } catch (error) {
+            console.error('Mapbox matrix error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || error.message || 'Failed to calculate matrix');
+        }
+    }
+}
+
+module.exports = MapboxProvider;
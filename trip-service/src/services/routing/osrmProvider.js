@@ -0,0 +1,84 @@
+const axios = require('axios');
+
+/**
+ * OSRM-compatible HTTP routing provider (self-hosted OSRM, Valhalla's OSRM
+ * facade, router.project-osrm.org, ...).
+ * Configure with OSRM_BASE_URL and optionally OSRM_PROFILE (default: driving).
+ */
+class OsrmProvider {
+    constructor() {
+        this.name = 'osrm';
+        this.baseUrl = (process.env.OSRM_BASE_URL || 'http://localhost:5000').replace(/\/$/, '');
+        this.profile = process.env.OSRM_PROFILE || 'driving';
+    }
+
+    /**
+     * Get route between coordinates
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} Raw route in SI units: { geometry, distance (m), duration (s), legs }
+     */
+    async getRoute(coordinates) {
+        try {
+            const coordinatesStr = coordinates.map(coord => coord.join(',')).join(';');
+            const url = `${this.baseUrl}/route/v1/${this.profile}/${coordinatesStr}`;
+
+            const response = await axios.get(url, {
+                params: {
+                    geometries: 'geojson',
+                    overview: 'full',
+                    steps: false
+                },
+                timeout: 10000
+            });
+
+            if (response.data.code === 'Ok' && response.data.routes?.length > 0) {
+                const route = response.data.routes[0];
+                return {
+                    geometry: route.geometry,
+                    distance: route.distance,
+                    duration: route.duration,
+                    legs: (route.legs || []).map(leg => ({
+                        distance: leg.distance,
+                        duration: leg.duration
+                    }))
+                };
+            }
+
+            throw new Error(response.data.message || 'No route found');
+        } catch (error) {
+            console.error('OSRM route error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || error.message || 'Failed to calculate route');
+        }
+    }
+
+    /**
+     * Travel matrix between all coordinates (OSRM table service)
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} { distances: m[][], durations: s[][] }
+     */
+    async getMatrix(coordinates) {
+        try {
+            const coordinatesStr = coordinates.map(coord => coord.join(',')).join(';');
+            const url = `${this.baseUrl}/table/v1/${this.profile}/${coordinatesStr}`;
+
+            const response = await axios.get(url, {
+                params: { annotations: 'distance,duration' },
+                timeout: 10000
+            });
+
+            if (response.data.code !== 'Ok') {
+                throw new Error(response.data.message || 'Matrix request failed');
+            }
+
+            return {
+                distances: response.data.distances,
+                durations: response.data.durations
+            };
+        } catch (error) {
+            console.error('OSRM matrix error:', error.response?.data || error.message);
+            throw new Error(error.response?.data?.message || error.message || 'Failed to calculate matrix');
+        }
+    }
+}
+
+module.exports = OsrmProvider;
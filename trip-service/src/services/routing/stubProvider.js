@@ -0,0 +1,64 @@
+const { haversineDistance } = require('../geoService');
+
+/**
+ * Deterministic offline routing provider for local development and tests.
+ * Each leg is a straight line (densified so corridor and rest-stop logic has
+ * points to work with), lengthened by a fixed detour factor and driven at a
+ * fixed speed. The same input always produces the same route.
+ */
+class StubProvider {
+    constructor() {
+        this.name = 'stub';
+        this.speedKmh = parseFloat(process.env.ROUTING_STUB_SPEED_KMH) || 50;
+        this.detourFactor = 1.3;
+        this.pointsPerLeg = 10;
+    }
+
+    /**
+     * Get route between coordinates
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} Raw route in SI units: { geometry, distance (m), duration (s), legs }
+     */
+    async getRoute(coordinates) {
+        const line = [coordinates[0]];
+        const legs = [];
+
+        for (let i = 1; i < coordinates.length; i++) {
+            const [fromLng, fromLat] = coordinates[i - 1];
+            const [toLng, toLat] = coordinates[i];
+
+            for (let step = 1; step <= this.pointsPerLeg; step++) {
+                const f = step / this.pointsPerLeg;
+                line.push([fromLng + (toLng - fromLng) * f, fromLat + (toLat - fromLat) * f]);
+            }
+
+            const distance = haversineDistance(coordinates[i - 1], coordinates[i]) * this.detourFactor;
+            legs.push({
+                distance,
+                duration: distance / (this.speedKmh / 3.6)
+            });
+        }
+
+        return {
+            geometry: { type: 'LineString', coordinates: line },
+            distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+            duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+            legs
+        };
+    }
+
+    /**
+     * Travel matrix between all coordinates, using the same leg model as getRoute
+     * @param {Array} coordinates - Array of [longitude, latitude] pairs
+     * @returns {Object} { distances: m[][], durations: s[][] }
+     */
+    async getMatrix(coordinates) {
+        const distances = coordinates.map(from =>
+            coordinates.map(to => haversineDistance(from, to) * this.detourFactor)
+        );
+        const durations = distances.map(row => row.map(d => d / (this.speedKmh / 3.6)));
+        return { distances, durations };
+    }
+}
+
+module.exports = StubProvider;
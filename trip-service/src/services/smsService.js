@@ -0,0 +1,75 @@
+const axios = require('axios');
+
+/**
+ * Sends text messages and automated voice calls through HTTP gateways.
+ *
+ * The SMS gateway gets POST SMS_GATEWAY_URL with { to, message } and the key
+ * as a bearer token; the voice gateway gets the same at VOICE_GATEWAY_URL and
+ * reads the message out (text-to-speech). Without a URL nothing is sent.
+ */
+class SmsService {
+    get enabled() {
+        return Boolean(process.env.SMS_GATEWAY_URL);
+    }
+
+    get voiceEnabled() {
+        return Boolean(process.env.VOICE_GATEWAY_URL);
+    }
+
+    async post(url, apiKey, to, message) {
+        await axios.post(
+            url,
+            { to, message, sender: process.env.SMS_SENDER_ID || undefined },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+                },
+                timeout: 5000
+            }
+        );
+    }
+
+    /**
+     * Send a text message
+     * @param {String} to - Phone number
+     * @param {String} message
+     * @returns {Promise<Boolean>} Whether the gateway accepted it
+     */
+    async send(to, message) {
+        if (!this.enabled || !to) return false;
+
+        try {
+            await this.post(process.env.SMS_GATEWAY_URL, process.env.SMS_GATEWAY_API_KEY, to, message);
+            return true;
+        } catch (error) {
+            console.error('SMS send error:', error.response?.status || error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Place an automated voice call that reads out a message
+     * @param {String} to - Phone number
+     * @param {String} message
+     * @returns {Promise<Boolean>} Whether the gateway accepted it
+     */
+    async call(to, message) {
+        if (!this.voiceEnabled || !to) return false;
+
+        try {
+            await this.post(
+                process.env.VOICE_GATEWAY_URL,
+                process.env.VOICE_GATEWAY_API_KEY || process.env.SMS_GATEWAY_API_KEY,
+                to,
+                message
+            );
+            return true;
+        } catch (error) {
+            console.error('Voice call error:', error.response?.status || error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,128 @@
+const { haversineDistance, pathLength, pointToLineDistance } = require('./geoService');
+
+/**
+ * Detects stop arrivals and departures from the live location stream.
+ *
+ * A pending stop is reached when the vehicle comes within the arrival radius
+ * of stops[i].location, or enters a geofence that contains the stop. A reached
+ * stop is departed once the vehicle is beyond the departure radius (larger
+ * than the arrival radius, so GPS jitter at the kerb does not flip the state)
+ * and no longer inside such a geofence.
+ *
+ * All changes are made on the trip document; the caller saves it.
+ */
+class StopDetectionService {
+    constructor() {
+        this.arrivalRadiusMeters = parseFloat(process.env.STOP_ARRIVAL_RADIUS_METERS) || 150;
+        this.departureRadiusMeters = Math.max(
+            parseFloat(process.env.STOP_DEPARTURE_RADIUS_METERS) || 250,
+            this.arrivalRadiusMeters
+        );
+    }
+
+    /**
+     * Planned arrival time for a stop. Uses stop.arrivalTime when the fleet
+     * manager set one, otherwise interpolates along the planned route between
+     * startDateTime and the planned one-way duration.
+     * @param {Object} trip - Trip document
+     * @param {Number} stopIndex
+     * @returns {Date|null}
+     */
+    expectedArrival(trip, stopIndex) {
+        const stop = trip.stops[stopIndex];
+        if (stop.arrivalTime) return stop.arrivalTime;
+
+        const line = trip.route?.coordinates;
+        if (!line?.length || !trip.duration || !trip.startDateTime) return null;
+
+        const routeLength = pathLength(line);
+        if (!routeLength) return null;
+
+        // trip.duration is doubled for two-way trips; the route geometry is one-way
+        const oneWayMinutes = trip.isTwoWay ? trip.duration / 2 : trip.duration;
+        const { alongDistance } = pointToLineDistance(stop.location.coordinates, line);
+        const minutes = (alongDistance / routeLength) * oneWayMinutes;
+
+        return new Date(new Date(trip.startDateTime).getTime() + minutes * 60000);
+    }
+
+    /**
+     * Record an arrival on a stop
+     * @param {Object} trip - Trip document
+     * @param {Number} stopIndex
+     * @param {Date} timestamp
+     * @param {String} source - 'manual' | 'geofence' | 'auto'
+     */
+    markArrived(trip, stopIndex, timestamp, source) {
+        const stop = trip.stops[stopIndex];
+        const expected = this.expectedArrival(trip, stopIndex);
+
+        stop.status = 'reached';
+        stop.arrivedAt = timestamp;
+        stop.arrivalSource = source;
+        stop.expectedArrival = expected || undefined;
+        stop.arrivalVarianceMinutes = expected
+            ? Math.round((new Date(timestamp) - new Date(expected)) / 60000)
+            : undefined;
+    }
+
+    /**
+     * Record a departure on a stop
+     * @param {Object} trip - Trip document
+     * @param {Number} stopIndex
+     * @param {Date} timestamp
+     */
+    markDeparted(trip, stopIndex, timestamp) {
+        const stop = trip.stops[stopIndex];
+
+        stop.status = 'departed';
+        stop.departureTime = timestamp;
+        stop.dwellMinutes = stop.arrivedAt
+            ? Math.round(((new Date(timestamp) - new Date(stop.arrivedAt)) / 60000) * 10) / 10
+            : undefined;
+    }
+
+    /**
+     * Evaluate a ping against the trip's stops
+     * @param {Object} trip - Trip document (status must be in-progress)
+     * @param {Array} coordinates - [lng, lat]
+     * @param {Date} timestamp
+     * @param {Function} [insideGeofence] - (stopCoordinates) => Boolean, true when the
+     *        vehicle is currently inside a geofence that contains the stop
+     * @returns {Object} { arrived: [stopIndex], departed: [stopIndex] }
+     */
+    evaluate(trip, coordinates, timestamp = new Date(), insideGeofence = () => false) {
+        const arrived = [];
+        const departed = [];
+
+        if (trip.status !== 'in-progress' || !trip.stops?.length) {
+            return { arrived, departed };
+        }
+
+        trip.stops.forEach((stop, index) => {
+            if (!stop.location?.coordinates) return;
+
+            const distance = haversineDistance(coordinates, stop.location.coordinates);
+            const inFence = insideGeofence(stop.location.coordinates);
+
+            if (stop.status === 'pending') {
+                if (distance <= this.arrivalRadiusMeters) {
+                    this.markArrived(trip, index, timestamp, 'auto');
+                    arrived.push(index);
+                } else if (inFence) {
+                    this.markArrived(trip, index, timestamp, 'geofence');
+                    arrived.push(index);
+                }
+            } else if (stop.status === 'reached') {
+                if (distance > this.departureRadiusMeters && !inFence) {
+                    this.markDeparted(trip, index, timestamp);
+                    departed.push(index);
+                }
+            }
+        });
+
+        return { arrived, departed };
+    }
+}
+
+module.exports = new StopDetectionService();
@@ -0,0 +1,355 @@
+const TariffPlan = require('../models/TariffPlan');
+const TripLocation = require('../models/TripLocation');
+const { haversineDistance } = require('./geoService');
+
+const TARIFF_TIMEZONE = process.env.TARIFF_TIMEZONE || 'Asia/Kolkata';
+
+// Breadcrumb filtering for billed distance (see actualDistance)
+const BILLING_MIN_STEP_METERS = parseFloat(process.env.BILLING_MIN_STEP_METERS) || 25;
+const BILLING_MAX_SPEED_KMH = parseFloat(process.env.BILLING_MAX_SPEED_KMH) || 200;
+const BILLING_MAX_DISTANCE_FACTOR = parseFloat(process.env.BILLING_MAX_DISTANCE_FACTOR) || 1.5;
+
+const money = (value) => Math.round(value * 100) / 100;
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Built-in plans for calculate-route quotes without any pricing:
+ * ₹15/km commercial, ₹12/km passenger, 10% surcharge above 500 km.
+ */
+const SYSTEM_PLANS = {
+    commercial: { name: 'Standard commercial', perKmRate: 15 },
+    passenger: { name: 'Standard passenger', perKmRate: 12 }
+};
+
+/**
+ * Fare calculation shared by quoting (calculate-route), trip creation/update
+ * and final billing when a trip ends, so all three always agree.
+ */
+class TariffService {
+    /**
+     * Fill in defaults so plain objects and plan documents behave the same
+     * @param {Object} plan
+     * @returns {Object}
+     */
+    withDefaults(plan) {
+        const p = plan.toObject ? plan.toObject() : plan;
+        return {
+            _id: p._id || null,
+            name: p.name,
+            source: p.source || 'plan',
+            currency: p.currency || 'INR',
+            baseFare: p.baseFare || 0,
+            perKmRate: p.perKmRate || 0,
+            perHourRate: p.perHourRate || 0,
+            minimumCharge: p.minimumCharge || 0,
+            nightSurcharge: { percent: 0, startHour: 22, endHour: 6, ...(p.nightSurcharge || {}) },
+            waitingCharge: { freeMinutes: 15, perMinuteRate: 0, ...(p.waitingCharge || {}) },
+            longDistanceSurcharge: { thresholdKm: 0, percent: 0, ...(p.longDistanceSurcharge || {}) },
+            twoWayDiscountPercent: p.twoWayDiscountPercent || 0,
+            cancellationFee: { flat: 0, percentOfFare: 0, freeBeforeMinutes: 60, ...(p.cancellationFee || {}) },
+            tollPassThrough: p.tollPassThrough !== false,
+            gstPercent: p.gstPercent || 0
+        };
+    }
+
+    /**
+     * Built-in plan for a trip type (matches the original calculate-route pricing)
+     * @param {String} tripType
+     * @returns {Object}
+     */
+    systemPlan(tripType) {
+        const preset = SYSTEM_PLANS[tripType] || SYSTEM_PLANS.commercial;
+        return this.withDefaults({
+            ...preset,
+            source: 'system',
+            longDistanceSurcharge: { thresholdKm: 500, percent: 10 }
+        });
+    }
+
+    /**
+     * Ad-hoc plan from the per-trip amountPerKm / vehicleRent fields
+     * @returns {Object}
+     */
+    legacyPlan(amountPerKm, vehicleRent) {
+        return this.withDefaults({
+            name: 'Custom trip pricing',
+            source: 'trip',
+            perKmRate: parseFloat(amountPerKm) || 0,
+            baseFare: parseFloat(vehicleRent) || 0
+        });
+    }
+
+    /**
+     * Apply per-trip amountPerKm / vehicleRent on top of a plan
+     * @returns {Object}
+     */
+    withOverrides(plan, { amountPerKm, vehicleRent } = {}) {
+        const overrides = {};
+        if (isSet(amountPerKm)) overrides.perKmRate = parseFloat(amountPerKm) || 0;
+        if (isSet(vehicleRent)) overrides.baseFare = parseFloat(vehicleRent) || 0;
+        return { ...plan, ...overrides };
+    }
+
+    /**
+     * Work out which plan prices a trip:
+     *   1. an explicit tariffPlanId (must belong to the fleet manager), with
+     *      amountPerKm / vehicleRent overriding its per-km rate and base fare
+     *   2. per-trip amountPerKm / vehicleRent when provided
+     *   3. the fleet manager's default plan for the trip type
+     *   4. the fallback: per-trip pricing (unpriced, as trips always were),
+     *      or the built-in system plan for quotes
+     * @param {String} fleetManagerId
+     * @param {Object} options - { tariffPlanId, tripType, amountPerKm, vehicleRent, includeInactive, fallback: 'trip' | 'system' }
+     * @returns {Promise<Object>} Plan with defaults applied
+     */
+    async resolvePlan(fleetManagerId, { tariffPlanId, tripType, amountPerKm, vehicleRent, includeInactive = false, fallback = 'trip' } = {}) {
+        if (tariffPlanId) {
+            // Trips already priced on an archived plan keep billing against it
+            const plan = await TariffPlan.findOne({
+                _id: tariffPlanId,
+                fleetManagerId,
+                ...(!includeInactive && { isActive: true })
+            });
+            if (!plan) {
+                throw new Error('Tariff plan not found');
+            }
+            return this.withOverrides(this.withDefaults(plan), { amountPerKm, vehicleRent });
+        }
+
+        if (isSet(amountPerKm) || isSet(vehicleRent)) {
+            return this.legacyPlan(amountPerKm, vehicleRent);
+        }
+
+        if (fleetManagerId) {
+            const plan = await TariffPlan.findOne({
+                fleetManagerId,
+                isActive: true,
+                isDefault: true,
+                tripType: { $in: [tripType, 'any'] }
+            }).sort({ tripType: -1 }); // a plan for the exact trip type beats 'any'
+
+            if (plan) return this.withDefaults(plan);
+        }
+
+        return fallback === 'system'
+            ? this.systemPlan(tripType)
+            : this.legacyPlan(amountPerKm, vehicleRent);
+    }
+
+    /**
+     * Plan a stored trip was priced on: the rates snapshot in its quote, so
+     * later plan edits do not re-price it, or for trips quoted before
+     * snapshots the plan as it is now (archived plans included)
+     * @param {Object} trip - Trip document
+     * @returns {Promise<Object>}
+     */
+    async tripPlan(trip) {
+        const quoted = trip.fareBreakdown;
+        if (quoted?.rates) {
+            return this.withDefaults({ ...quoted.rates, ...quoted.plan });
+        }
+
+        return this.resolvePlan(trip.fleetManagerId, {
+            tariffPlanId: trip.tariffPlanId,
+            includeInactive: true,
+            tripType: trip.tripType,
+            amountPerKm: trip.amountPerKm || undefined,
+            vehicleRent: trip.vehicleRent || undefined
+        });
+    }
+
+    /**
+     * Hour of day in the tariff timezone
+     */
+    localHour(date) {
+        return parseInt(new Intl.DateTimeFormat('en-GB', {
+            hour: 'numeric',
+            hourCycle: 'h23',
+            timeZone: TARIFF_TIMEZONE
+        }).format(new Date(date)), 10);
+    }
+
+    /**
+     * Whether a start time falls inside the plan's night window
+     */
+    isNight(plan, startDateTime) {
+        if (!startDateTime || !plan.nightSurcharge.percent) return false;
+        const { startHour, endHour } = plan.nightSurcharge;
+        const hour = this.localHour(startDateTime);
+        return startHour > endHour
+            ? hour >= startHour || hour < endHour
+            : hour >= startHour && hour < endHour;
+    }
+
+    /**
+     * Price a trip
+     * @param {Object} plan - Plan from resolvePlan
+     * @param {Object} params
+     * @param {Number} params.distance - Total km (already doubled for two-way trips)
+     * @param {Number} params.duration - Total minutes
+     * @param {Date} [params.startDateTime]
+     * @param {Boolean} [params.isTwoWay]
+     * @param {Array} [params.stopDwellMinutes] - Minutes spent at each stop
+     * @param {Number} [params.tolls]
+     * @returns {Object} Fare breakdown with `total`, and the plan's `rates` for billing the trip later
+     */
+    quote(plan, { distance = 0, duration = 0, startDateTime, isTwoWay = false, stopDwellMinutes = [], tolls = 0 } = {}) {
+        const p = this.withDefaults(plan);
+
+        const baseFare = p.baseFare;
+        const distanceCharge = distance * p.perKmRate;
+        const timeCharge = (duration / 60) * p.perHourRate;
+
+        const longDistanceSurcharge = p.longDistanceSurcharge.percent && distance > p.longDistanceSurcharge.thresholdKm
+            ? distanceCharge * (p.longDistanceSurcharge.percent / 100)
+            : 0;
+
+        const twoWayDiscount = isTwoWay ? distanceCharge * (p.twoWayDiscountPercent / 100) : 0;
+
+        const fare = baseFare + distanceCharge + timeCharge;
+        const nightSurcharge = this.isNight(p, startDateTime) ? fare * (p.nightSurcharge.percent / 100) : 0;
+
+        const waitingMinutes = stopDwellMinutes.reduce(
+            (sum, minutes) => sum + Math.max(0, (minutes || 0) - p.waitingCharge.freeMinutes),
+            0
+        );
+        const waitingCharge = waitingMinutes * p.waitingCharge.perMinuteRate;
+
+        let subtotal = fare + longDistanceSurcharge + nightSurcharge + waitingCharge - twoWayDiscount;
+        const minimumChargeApplied = subtotal < p.minimumCharge;
+        if (minimumChargeApplied) subtotal = p.minimumCharge;
+
+        const gst = subtotal * (p.gstPercent / 100);
+        const tollCharges = p.tollPassThrough ? (parseFloat(tolls) || 0) : 0;
+
+        const { _id, name, source, ...rates } = p;
+
+        return {
+            plan: { _id, name, source },
+            rates,
+            currency: p.currency,
+            distance: money(distance),
+            duration: money(duration),
+            baseFare: money(baseFare),
+            distanceCharge: money(distanceCharge),
+            timeCharge: money(timeCharge),
+            longDistanceSurcharge: money(longDistanceSurcharge),
+            nightSurcharge: money(nightSurcharge),
+            waitingMinutes: money(waitingMinutes),
+            waitingCharge: money(waitingCharge),
+            twoWayDiscount: money(twoWayDiscount),
+            minimumChargeApplied,
+            subtotal: money(subtotal),
+            gstPercent: p.gstPercent,
+            gst: money(gst),
+            tolls: money(tollCharges),
+            total: Math.round(subtotal + gst + tollCharges)
+        };
+    }
+
+    /**
+     * Fee for cancelling a trip, from the trip's plan
+     * @param {Object} trip - Trip document
+     * @param {Date} [cancelledAt]
+     * @returns {Promise<Object>} { amount, currency, plan, withinFreePeriod }
+     */
+    async cancellationFee(trip, cancelledAt = new Date()) {
+        const plan = await this.tripPlan(trip);
+
+        const { flat, percentOfFare, freeBeforeMinutes } = plan.cancellationFee;
+        const minutesBeforeStart = (new Date(trip.startDateTime) - new Date(cancelledAt)) / 60000;
+        const withinFreePeriod = minutesBeforeStart >= freeBeforeMinutes;
+        const fare = trip.fareBreakdown?.total ?? trip.amount ?? 0;
+
+        return {
+            amount: withinFreePeriod ? 0 : Math.round(flat + fare * (percentOfFare / 100)),
+            currency: plan.currency,
+            plan: { _id: plan._id, name: plan.name, source: plan.source },
+            withinFreePeriod
+        };
+    }
+
+    /**
+     * Length of a breadcrumb without GPS jitter: a ping counts only once it
+     * is BILLING_MIN_STEP_METERS (or its accuracy radius, if larger) from the
+     * last counted one, and pings implying more than BILLING_MAX_SPEED_KMH
+     * are dropped as glitches.
+     * @param {Array} pings - Time ordered
+     * @returns {Number} metres
+     */
+    trackLength(pings) {
+        let last = null;
+        let length = 0;
+
+        for (const ping of pings) {
+            if (!last) {
+                last = ping;
+                continue;
+            }
+            const step = haversineDistance(last.location.coordinates, ping.location.coordinates);
+            if (step < Math.max(BILLING_MIN_STEP_METERS, ping.accuracy || 0)) continue;
+
+            const hours = (new Date(ping.timestamp) - new Date(last.timestamp)) / 3600000;
+            if (hours > 0 && step / 1000 / hours > BILLING_MAX_SPEED_KMH) continue;
+
+            length += step;
+            last = ping;
+        }
+        return length;
+    }
+
+    /**
+     * Actual distance driven, from the breadcrumb (falls back to the planned
+     * distance). Capped at BILLING_MAX_DISTANCE_FACTOR times the planned
+     * distance so a noisy breadcrumb cannot inflate the bill.
+     * @param {Object} trip - Trip document
+     * @param {Array} [pings] - Already loaded breadcrumb (loaded when omitted)
+     * @returns {Promise<Object>} { distance (km), source: 'tracked' | 'capped' | 'planned' }
+     */
+    async actualDistance(trip, pings) {
+        pings = pings || await TripLocation.getTrack(trip._id);
+        if (pings.length < 2) {
+            return { distance: trip.distance || 0, source: 'planned' };
+        }
+
+        const tracked = this.trackLength(pings) / 1000;
+        const cap = trip.distance > 0 ? trip.distance * BILLING_MAX_DISTANCE_FACTOR : Infinity;
+        return tracked > cap
+            ? { distance: cap, source: 'capped' }
+            : { distance: tracked, source: 'tracked' };
+    }
+
+    /**
+     * Final bill for a completed trip, from actual distance and time
+     * @param {Object} trip - Trip document
+     * @returns {Promise<Object>} Fare breakdown plus actual figures
+     */
+    async computeFinalBill(trip) {
+        const plan = await this.tripPlan(trip);
+
+        const { distance, source } = await this.actualDistance(trip);
+        const duration = trip.actualStartDateTime && trip.actualEndDateTime
+            ? (new Date(trip.actualEndDateTime) - new Date(trip.actualStartDateTime)) / 60000
+            : trip.duration || 0;
+
+        const breakdown = this.quote(plan, {
+            distance,
+            duration,
+            startDateTime: trip.actualStartDateTime || trip.startDateTime,
+            isTwoWay: trip.isTwoWay,
+            stopDwellMinutes: (trip.stops || []).map(stop => stop.dwellMinutes || 0),
+            tolls: trip.tollCharges
+        });
+
+        return {
+            amount: breakdown.total,
+            breakdown,
+            actualDistance: money(distance),
+            distanceSource: source,
+            actualDuration: money(duration),
+            computedAt: new Date()
+        };
+    }
+}
+
+module.exports = new TariffService();
@@ -0,0 +1,144 @@
+/**
+ * Converts a trip breadcrumb (TripLocation pings) into interchange formats
+ * that mapping tools understand: GeoJSON, GPX 1.1 and KML 2.2.
+ */
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+class TrackExportService {
+    /**
+     * Build a human readable track name for a trip
+     * @param {Object} trip - Trip document
+     * @returns {String}
+     */
+    trackName(trip) {
+        const from = trip.startDestination?.name || 'Start';
+        const to = trip.endDestination?.name || 'End';
+        return `Trip ${trip._id}: ${from} → ${to}`;
+    }
+
+    /**
+     * Convert pings to a GeoJSON Feature with a LineString geometry.
+     * Per-point timestamps, speeds and headings are kept in parallel arrays on
+     * the feature properties (same convention as Mapbox togeojson's coordTimes).
+     * @param {Object} trip - Trip document
+     * @param {Array} pings - Chronologically sorted TripLocation documents
+     * @returns {Object} GeoJSON Feature
+     */
+    toGeoJSON(trip, pings) {
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: pings.map(p => p.location.coordinates)
+            },
+            properties: {
+                name: this.trackName(trip),
+                tripId: trip._id,
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId || null,
+                pointCount: pings.length,
+                startedAt: pings.length ? pings[0].timestamp : null,
+                endedAt: pings.length ? pings[pings.length - 1].timestamp : null,
+                coordTimes: pings.map(p => p.timestamp),
+                speeds: pings.map(p => p.speed ?? null),
+                headings: pings.map(p => p.heading ?? null),
+                accuracies: pings.map(p => p.accuracy ?? null)
+            }
+        };
+    }
+
+    /**
+     * Convert pings to a GPX 1.1 document with a single track segment.
+     * Speed (m/s), course and accuracy are written as track point extensions.
+     * @param {Object} trip - Trip document
+     * @param {Array} pings - Chronologically sorted TripLocation documents
+     * @returns {String} GPX XML
+     */
+    toGPX(trip, pings) {
+        const points = pings.map(p => {
+            const [lon, lat] = p.location.coordinates;
+            const extensions = [];
+            if (p.speed != null) extensions.push(`<mt:speed>${(p.speed / 3.6).toFixed(2)}</mt:speed>`);
+            if (p.heading != null) extensions.push(`<mt:course>${p.heading}</mt:course>`);
+            if (p.accuracy != null) extensions.push(`<mt:accuracy>${p.accuracy}</mt:accuracy>`);
+
+            return [
+                `      <trkpt lat="${lat}" lon="${lon}">`,
+                `        <time>${new Date(p.timestamp).toISOString()}</time>`,
+                extensions.length ? `        <extensions>${extensions.join('')}</extensions>` : null,
+                '      </trkpt>'
+            ].filter(Boolean).join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="Mobitrak trip-service"',
+            '     xmlns="http://www.topografix.com/GPX/1/1"',
+            '     xmlns:mt="https://mobitrak.app/xmlschemas/track/v1">',
+            '  <metadata>',
+            `    <name>${escapeXml(this.trackName(trip))}</name>`,
+            `    <time>${new Date().toISOString()}</time>`,
+            '  </metadata>',
+            '  <trk>',
+            `    <name>${escapeXml(this.trackName(trip))}</name>`,
+            `    <type>${escapeXml(trip.tripType)}</type>`,
+            '    <trkseg>',
+            ...points,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Convert pings to a KML 2.2 document containing the path as a LineString
+     * and start/end placemarks.
+     * @param {Object} trip - Trip document
+     * @param {Array} pings - Chronologically sorted TripLocation documents
+     * @returns {String} KML XML
+     */
+    toKML(trip, pings) {
+        const coords = pings.map(p => `${p.location.coordinates[0]},${p.location.coordinates[1]},0`);
+        const first = pings[0];
+        const last = pings[pings.length - 1];
+
+        const placemark = (name, ping) => [
+            '    <Placemark>',
+            `      <name>${escapeXml(name)}</name>`,
+            `      <TimeStamp><when>${new Date(ping.timestamp).toISOString()}</when></TimeStamp>`,
+            `      <Point><coordinates>${ping.location.coordinates[0]},${ping.location.coordinates[1]},0</coordinates></Point>`,
+            '    </Placemark>'
+        ].join('\n');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${escapeXml(this.trackName(trip))}</name>`,
+            '    <Style id="track"><LineStyle><color>ff2563eb</color><width>4</width></LineStyle></Style>',
+            '    <Placemark>',
+            '      <name>Travelled path</name>',
+            '      <styleUrl>#track</styleUrl>',
+            first ? `      <TimeSpan><begin>${new Date(first.timestamp).toISOString()}</begin><end>${new Date(last.timestamp).toISOString()}</end></TimeSpan>` : null,
+            '      <LineString>',
+            '        <tessellate>1</tessellate>',
+            `        <coordinates>${coords.join(' ')}</coordinates>`,
+            '      </LineString>',
+            '    </Placemark>',
+            first ? placemark(trip.startDestination?.name || 'Start', first) : null,
+            last && last !== first ? placemark(trip.endDestination?.name || 'End', last) : null,
+            '  </Document>',
+            '</kml>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+}
+
+module.exports = new TrackExportService();
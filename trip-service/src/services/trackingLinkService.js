@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Trip = require('../models/Trip');
+const { ON_ROAD_STATUSES } = require('./tripStatusService');
+const realtimeService = require('./realtimeService');
+
+const AUDIENCE = 'trip-tracking';
+const NAMESPACE = '/tracking';
+
+/**
+ * Raised when a tracking token cannot be used (HTTP 404 / 410)
+ */
+class TrackingLinkError extends Error {
+    constructor(message, statusCode = 404) {
+        super(message);
+        this.name = 'TrackingLinkError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Shareable, read-only trip tracking for customers.
+ *
+ * A link is a signed JWT ({ sub: tripId, jti }) with its own expiry. The
+ * trip keeps the jti of its current link, so revoking the link, or creating
+ * a new one, stops the old token working before it expires. The public view
+ * shows position, ETA and stop progress only: no pricing, driver or vehicle
+ * details.
+ */
+class TrackingLinkService {
+    constructor() {
+        this.defaultTtlHours = parseFloat(process.env.TRACKING_LINK_TTL_HOURS) || 72;
+        this.maxTtlHours = parseFloat(process.env.TRACKING_LINK_MAX_TTL_HOURS) || 720;
+    }
+
+    get namespace() {
+        return NAMESPACE;
+    }
+
+    // Separate from JWT_SECRET so user tokens and tracking tokens can't stand in for each other
+    get secret() {
+        return process.env.TRACKING_TOKEN_SECRET
+            || crypto.createHmac('sha256', process.env.JWT_SECRET || '').update(AUDIENCE).digest('hex');
+    }
+
+    room(tripId) {
+        return `trip-${tripId}`;
+    }
+
+    url(token) {
+        const base = process.env.TRACKING_BASE_URL || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/track`;
+        return `${base.replace(/\/$/, '')}/${token}`;
+    }
+
+    isActive(trip, now = new Date()) {
+        const link = trip.trackingLink;
+        return Boolean(link?.tokenId && !link.revokedAt && link.expiresAt > now);
+    }
+
+    /**
+     * Create a link for a trip, replacing any existing one (caller saves)
+     * @param {Object} trip - Trip document
+     * @param {Object} options - { userId, expiresInHours }
+     * @returns {Object} { token, url, expiresAt }
+     */
+    create(trip, { userId, expiresInHours } = {}) {
+        const hours = Math.min(parseFloat(expiresInHours) || this.defaultTtlHours, this.maxTtlHours);
+        const tokenId = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+        const token = jwt.sign({ jti: tokenId }, this.secret, {
+            subject: trip._id.toString(),
+            audience: AUDIENCE,
+            expiresIn: Math.floor(hours * 60 * 60)
+        });
+
+        trip.trackingLink = {
+            tokenId,
+            createdBy: userId,
+            createdAt: new Date(),
+            expiresAt,
+            revokedAt: null,
+            lastViewedAt: null,
+            views: 0
+        };
+
+        return { token, url: this.url(token), expiresAt };
+    }
+
+    /**
+     * Revoke the trip's link (caller saves)
+     * @param {Object} trip - Trip document
+     * @returns {Boolean} Whether there was an active link
+     */
+    revoke(trip) {
+        if (!this.isActive(trip)) return false;
+        trip.trackingLink.revokedAt = new Date();
+        return true;
+    }
+
+    /**
+     * Check a token and load its trip
+     * @param {String} token
+     * @param {Object} options - { recordView: count it as a page view }
+     * @returns {Promise<Object>} Trip document
+     * @throws {TrackingLinkError}
+     */
+    async resolve(token, { recordView = false } = {}) {
+        let claims;
+        try {
+            claims = jwt.verify(token || '', this.secret, { audience: AUDIENCE });
+        } catch (error) {
+            throw error.name === 'TokenExpiredError'
+                ? new TrackingLinkError('Tracking link has expired', 410)
+                : new TrackingLinkError('Tracking link not found');
+        }
+
+        const trip = await Trip.findById(claims.sub);
+        if (!trip) {
+            throw new TrackingLinkError('Tracking link not found');
+        }
+        if (trip.trackingLink?.tokenId !== claims.jti || trip.trackingLink.revokedAt) {
+            throw new TrackingLinkError('Tracking link has been revoked', 410);
+        }
+
+        if (recordView) {
+            await Trip.updateOne(
+                { _id: trip._id },
+                { $set: { 'trackingLink.lastViewedAt': new Date() }, $inc: { 'trackingLink.views': 1 } },
+                { timestamps: false }
+            );
+        }
+
+        return trip;
+    }
+
+    /**
+     * What the customer sees: live position, ETA and stop progress
+     * @param {Object} trip - Trip document
+     * @returns {Object}
+     */
+    publicView(trip) {
+        const place = (p) => p ? { name: p.name, address: p.address, location: p.location } : null;
+        const onRoad = ON_ROAD_STATUSES.includes(trip.status);
+        const stops = (trip.stops || []).map((stop, index) => ({
+            stopIndex: index,
+            name: stop.name,
+            address: stop.address,
+            location: stop.location,
+            status: stop.status,
+            expectedArrival: stop.expectedArrival || stop.arrivalTime || null,
+            arrivedAt: stop.arrivedAt || null,
+            departedAt: stop.status === 'departed' ? stop.departureTime : null,
+            delivered: Boolean(stop.pod?.capturedAt)
+        }));
+
+        return {
+            tripId: trip._id,
+            status: trip.status,
+            from: place(trip.startDestination),
+            to: place(trip.endDestination),
+            scheduledStart: trip.startDateTime,
+            scheduledEnd: trip.endDateTime,
+            startedAt: trip.actualStartDateTime,
+            completedAt: trip.status === 'completed' ? trip.actualEndDateTime : null,
+            route: trip.route,
+            currentLocation: onRoad && trip.currentLocation?.coordinates?.length === 2
+                ? { coordinates: trip.currentLocation.coordinates, updatedAt: trip.lastLocationUpdate }
+                : null,
+            eta: onRoad && trip.eta?.calculatedAt ? {
+                nextStopIndex: trip.eta.nextStopIndex,
+                nextStopEta: trip.eta.nextStopEta,
+                destinationEta: trip.eta.destinationEta,
+                destinationDistance: trip.eta.destinationDistance,
+                destinationDuration: trip.eta.destinationDuration,
+                calculatedAt: trip.eta.calculatedAt
+            } : null,
+            stops,
+            progress: {
+                stopsCompleted: stops.filter(s => s.status !== 'pending').length,
+                totalStops: stops.length
+            },
+            delivered: Boolean(trip.deliveryPod?.capturedAt),
+            linkExpiresAt: trip.trackingLink?.expiresAt
+        };
+    }
+
+    /**
+     * Push the latest public view to anyone following the trip's link
+     * (a no-op without a socket server, e.g. on Lambda)
+     * @param {Object} trip - Trip document
+     */
+    publish(trip) {
+        if (!realtimeService.enabled || !this.isActive(trip)) return;
+        realtimeService.emit(this.room(trip._id), 'tracking-update', this.publicView(trip), NAMESPACE);
+    }
+
+    /**
+     * Tell followers the link no longer works and disconnect them
+     * @param {Object} tripId
+     */
+    disconnect(tripId) {
+        const room = this.room(tripId);
+        realtimeService.emit(room, 'tracking-revoked', { message: 'Tracking link has been revoked' }, NAMESPACE);
+        realtimeService.disconnect(room, NAMESPACE);
+    }
+}
+
+module.exports = new TrackingLinkService();
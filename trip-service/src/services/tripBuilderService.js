@@ -0,0 +1,261 @@
+const Trip = require('../models/Trip');
+const routingService = require('./routing');
+const routeOptimizationService = require('./routeOptimizationService');
+const tariffService = require('./tariffService');
+const outboxService = require('./outboxService');
+const NotificationClient = require('./notificationClient');
+const { ACTIVE_STATUSES } = require('./tripStatusService');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * Shared by createTrip, the recurring-trip scheduler and bulk import so all
+ * apply the same overlap rules, routing, optimisation, pricing and
+ * assignment / notification path.
+ */
+class TripBuilderService {
+    /**
+     * Booking window rules for a new trip: not in the past, at most two months
+     * ahead, and ending after it starts
+     * @param {Date} start
+     * @param {Date} end
+     * @param {Date} [now]
+     * @returns {String|null} Error message, or null when valid
+     */
+    validateSchedule(start, end, now = new Date()) {
+        const twoMonthsFromNow = new Date(now);
+        twoMonthsFromNow.setMonth(now.getMonth() + 2);
+
+        if (isNaN(start) || isNaN(end)) {
+            return 'Start and end dates must be valid dates';
+        }
+
+        if (start < now) {
+            return 'Start date cannot be in the past';
+        }
+
+        if (start > twoMonthsFromNow) {
+            return 'Start date cannot be more than 2 months in the future';
+        }
+
+        if (end <= start) {
+            return 'End date must be after start date';
+        }
+
+        return null;
+    }
+
+    /**
+     * Find active (not completed, cancelled or aborted) trips that overlap a time range for the
+     * same vehicle or driver
+     * @param {Object} params - { vehicleId, driverId, start, end, excludeTripId: the trip being changed }
+     * @returns {Promise<Object>} { vehicle: Trip|null, driver: Trip|null }
+     */
+    async findConflicts({ vehicleId, driverId, start, end, excludeTripId }) {
+        const overlap = {
+            ...(excludeTripId && { _id: { $ne: excludeTripId } }),
+            status: { $in: ACTIVE_STATUSES },
+            $or: [
+                // New trip starts during existing trip
+                { startDateTime: { $lte: start }, endDateTime: { $gte: start } },
+                // New trip ends during existing trip
+                { startDateTime: { $lte: end }, endDateTime: { $gte: end } },
+                // New trip completely contains existing trip
+                { startDateTime: { $gte: start }, endDateTime: { $lte: end } }
+            ]
+        };
+
+        const vehicle = await Trip.findOne({ vehicleId, ...overlap });
+        const driver = driverId ? await Trip.findOne({ driverId, ...overlap }) : null;
+
+        return { vehicle, driver };
+    }
+
+    /**
+     * Optionally reorder a payload's stops and route it. The result only
+     * depends on the places (and time windows), so trips repeating the same
+     * journey can share it.
+     * @param {Object} payload - createTrip body
+     * @param {Object} [options] - { optimize }
+     * @returns {Promise<Object>} { stops, route, distance, duration, suggestedStops, optimization }
+     */
+    async route(payload, { optimize = false } = {}) {
+        const { startDestination, endDestination, stops, startDateTime, isTwoWay } = payload;
+        const start = new Date(startDateTime);
+
+        // Optionally reorder intermediate stops to minimise distance/duration
+        let orderedStops = stops || [];
+        let optimization = null;
+
+        if (optimize && orderedStops.length > 1) {
+            try {
+                optimization = await routeOptimizationService.optimize([
+                    startDestination.location.coordinates,
+                    ...orderedStops.map(stop => stop.location.coordinates),
+                    endDestination.location.coordinates
+                ], {
+                    objective: payload.optimizeFor,
+                    timeWindows: orderedStops.map(stop => stop.timeWindow),
+                    serviceMinutes: orderedStops.map(stop => stop.serviceMinutes),
+                    departAt: start
+                });
+                orderedStops = optimization.order.map(i => orderedStops[i]);
+            } catch (error) {
+                console.error('Route optimization error:', error);
+                // Continue with the stops in the order given
+            }
+        }
+
+        // Build coordinates array for route calculation
+        const coordinates = [
+            startDestination.location.coordinates,
+            ...orderedStops.map(stop => stop.location.coordinates),
+            endDestination.location.coordinates
+        ];
+
+        // Get route from the configured routing provider
+        let route = null;
+        let distance = 0;
+        let duration = 0;
+        let suggestedStops = [];
+
+        try {
+            const routeData = await routingService.getRoute(coordinates);
+            route = routeData.geometry;
+            distance = routeData.distance;
+            duration = routeData.duration;
+
+            // Apply two-way multiplier if needed
+            if (isTwoWay) {
+                distance = distance * 2;
+                duration = duration * 2;
+            }
+
+            // Generate suggested rest stops
+            suggestedStops = routingService.suggestRestStops(route, distance);
+        } catch (error) {
+            console.error('Route calculation error:', error);
+            // Continue without route data
+        }
+
+        return { stops: orderedStops, route, distance, duration, suggestedStops, optimization };
+    }
+
+    /**
+     * Build an unsaved Trip from a createTrip payload: optionally reorder the
+     * stops, route it and price it.
+     * @param {String} fleetManagerId
+     * @param {Object} payload - createTrip body (startDateTime / endDateTime already validated)
+     * @param {Object} [options] - { optimize, routed: result of route() to reuse }
+     * @returns {Promise<Object>} { trip, optimization } or { error } for too many stops or an invalid tariff plan
+     */
+    async build(fleetManagerId, payload, { optimize = false, routed = null } = {}) {
+        const {
+            tripType,
+            vehicleId,
+            driverId,
+            customerName,
+            customerEmail,
+            customerContact,
+            startDestination,
+            endDestination,
+            startDateTime,
+            endDateTime,
+            amountPerKm,
+            vehicleRent,
+            isTwoWay,
+            tariffPlanId,
+            tollCharges
+        } = payload;
+
+        const start = new Date(startDateTime);
+
+        // A trip the provider cannot route is neither optimised nor saved
+        const tooManyStops = routingService.validateStopCount((payload.stops || []).length);
+        if (tooManyStops) {
+            return { error: tooManyStops };
+        }
+
+        // Resolve pricing first so an invalid plan fails before any routing calls
+        let plan;
+        try {
+            plan = await tariffService.resolvePlan(fleetManagerId, { tariffPlanId, tripType, amountPerKm, vehicleRent });
+        } catch (error) {
+            return { error: error.message };
+        }
+
+        const { stops, route, distance, duration, suggestedStops, optimization } = routed || await this.route(payload, { optimize });
+
+        // Quote from the tariff plan (distance already multiplied if two-way)
+        const fareBreakdown = tariffService.quote(plan, {
+            distance,
+            duration,
+            startDateTime: start,
+            isTwoWay,
+            tolls: tollCharges
+        });
+
+        const trip = new Trip({
+            tripType,
+            vehicleId,
+            driverId,
+            fleetManagerId,
+            customerName,
+            customerEmail,
+            customerContact,
+            startDestination,
+            endDestination,
+            stops,
+            startDateTime,
+            endDateTime,
+            route,
+            distance,
+            duration,
+            amountPerKm: parseFloat(amountPerKm) || 0,
+            vehicleRent: parseFloat(vehicleRent) || 0,
+            amount: fareBreakdown.total,
+            tariffPlanId: plan._id,
+            tollCharges: parseFloat(tollCharges) || 0,
+            fareBreakdown,
+            isTwoWay: isTwoWay || false,
+            suggestedStops
+        });
+
+        return { trip, optimization };
+    }
+
+    /**
+     * Save a built trip together with its vehicle / driver ASSIGNED updates
+     * (outbox) and notify the fleet manager
+     * @param {Object} trip - From build
+     * @param {String} userId - Who created it (the fleet manager for generated trips)
+     * @returns {Promise<Object>} The saved trip
+     */
+    async create(trip, userId) {
+        await outboxService.commit(trip, outboxService.messagesFor(trip, 'assign', userId));
+
+        try {
+            await NotificationClient.notifyTripCreated(trip.fleetManagerId, {
+                tripId: trip._id,
+                startDestination: trip.startDestination.name,
+                endDestination: trip.endDestination.name,
+                scheduledDate: formatDate(trip.startDateTime),
+                tripType: trip.tripType,
+                vehicleId: trip.vehicleId,
+                driverId: trip.driverId
+            });
+        } catch (notifError) {
+            console.error('Failed to send notification:', notifError);
+        }
+
+        return trip;
+    }
+}
+
+module.exports = new TripBuilderService();
@@ -0,0 +1,532 @@
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const VehicleMinimal = require('../models/VehicleMinimal');
+const EmploymentMinimal = require('../models/EmploymentMinimal');
+const UserMinimal = require('../models/UserMinimal');
+const tripBuilderService = require('./tripBuilderService');
+const geocodingService = require('./geocodingService');
+const { zonedTimeToDate } = require('./recurrenceService');
+
+// Column headers are matched case-insensitively, ignoring spaces and punctuation
+const COLUMNS = {
+    tripType: ['triptype', 'type'],
+    vehicle: ['vehicle', 'vehicleregno', 'vehicleregistration', 'vehicleregistrationnumber', 'regnno', 'registrationnumber'],
+    driverEmail: ['driveremail', 'driver'],
+    startDateTime: ['startdatetime', 'start', 'starttime'],
+    endDateTime: ['enddatetime', 'end', 'endtime'],
+    startName: ['startname', 'from'],
+    startAddress: ['startaddress', 'fromaddress'],
+    startLat: ['startlat', 'startlatitude'],
+    startLng: ['startlng', 'startlon', 'startlongitude'],
+    endName: ['endname', 'to'],
+    endAddress: ['endaddress', 'toaddress'],
+    endLat: ['endlat', 'endlatitude'],
+    endLng: ['endlng', 'endlon', 'endlongitude'],
+    stops: ['stops'],
+    customerName: ['customername', 'customer'],
+    customerEmail: ['customeremail'],
+    customerContact: ['customercontact', 'customerphone'],
+    amountPerKm: ['amountperkm'],
+    vehicleRent: ['vehiclerent'],
+    tariffPlanId: ['tariffplanid', 'tariffplan'],
+    tollCharges: ['tollcharges', 'tolls'],
+    isTwoWay: ['istwoway', 'twoway']
+};
+
+const HEADER_TO_FIELD = Object.fromEntries(
+    Object.entries(COLUMNS).flatMap(([field, headers]) => headers.map(header => [header, field]))
+);
+
+const normaliseHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normaliseRegistration = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// "12.97,77.59" (latitude first, as copied from a map)
+const LAT_LNG = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// Wall-clock date-times (read in the import timezone): 2026-11-02 09:00 or 02/11/2026 09:00
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/;
+const DMY_LOCAL = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?)?$/;
+
+const overlaps = (a, b) => a.start <= b.end && b.start <= a.end;
+
+// Run fn over items, `size` at a time; results in input order
+const inBatches = async (items, size, fn) => {
+    const results = [];
+    for (let i = 0; i < items.length; i += size) {
+        results.push(...await Promise.all(items.slice(i, i + size).map(fn)));
+    }
+    return results;
+};
+
+// Run fn over items one at a time, starting each at least `intervalMs` after the one before
+const spaced = async (items, intervalMs, fn) => {
+    const results = [];
+    for (const item of items) {
+        const started = Date.now();
+        results.push(await fn(item));
+        const wait = intervalMs - (Date.now() - started);
+        if (results.length < items.length && wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+    return results;
+};
+
+// Placeholder route for checking a row before it is routed
+const UNROUTED = { route: null, distance: 0, duration: 0, suggestedStops: [], optimization: null };
+
+/**
+ * Bulk trip import from CSV / XLSX (POST /api/trips/import).
+ *
+ * The file's distinct addresses are geocoded first, IMPORT_CONCURRENCY
+ * (default 5) at a time, or one a second with Nominatim. Each row is then checked in order with the same
+ * rules as createTrip (booking window, vehicle / driver overlap, tariff
+ * plan), also against earlier rows of the same file. The valid rows are
+ * routed and priced, again IMPORT_CONCURRENCY at a time; rows refused for
+ * overlapping a row that then fails routing are checked again. A dry run stops
+ * there and reports; otherwise the valid rows are created like createTrip
+ * (vehicle / driver ASSIGNED updates through the outbox, notification).
+ */
+class TripImportService {
+    constructor() {
+        this.maxRows = parseInt(process.env.IMPORT_MAX_ROWS) || 200;
+        this.concurrency = parseInt(process.env.IMPORT_CONCURRENCY) || 5;
+        // Nominatim's usage policy: at most one request per second
+        this.nominatimIntervalMs = 1000;
+    }
+
+    /**
+     * Read a spreadsheet into rows keyed by field name
+     * @param {Buffer} buffer
+     * @param {String} filename - Used to tell CSV from XLSX
+     * @returns {Promise<Array>} [{ rowNumber, values }]
+     * @throws {Error} For an unreadable file or unknown format
+     */
+    async readRows(buffer, filename) {
+        const extension = String(filename).toLowerCase().split('.').pop();
+        let table;
+
+        if (extension === 'csv') {
+            table = parseCsv(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true });
+        } else if (extension === 'xlsx') {
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(buffer);
+            const sheet = workbook.worksheets[0];
+            table = [];
+            sheet?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+                table[rowNumber - 1] = row.values.slice(1).map(value => this.cellValue(value));
+            });
+            table = Array.from(table, row => row || []);
+        } else {
+            throw new Error('Upload a .csv or .xlsx file');
+        }
+
+        const [header = [], ...body] = table;
+        const fields = header.map(h => HEADER_TO_FIELD[normaliseHeader(h)]);
+
+        return body
+            .map((cells, index) => ({
+                rowNumber: index + 2, // spreadsheet row, after the header
+                values: Object.fromEntries(fields
+                    .map((field, i) => [field, cells[i]])
+                    .filter(([field, value]) => field && value !== undefined && value !== null && String(value).trim() !== '')
+                    .map(([field, value]) => [field, value instanceof Date ? value : String(value).trim()]))
+            }))
+            .filter(row => Object.keys(row.values).length);
+    }
+
+    // Plain value of an ExcelJS cell (formulas, hyperlinks and rich text unwrapped)
+    cellValue(value) {
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            if ('result' in value) return this.cellValue(value.result);
+            if ('text' in value) return value.text;
+            if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Date-time from a cell. Explicit offsets are honoured; wall-clock values
+     * (and Excel dates, which carry no zone) are read in `timeZone`.
+     * @returns {Date|null}
+     */
+    parseDateTime(value, timeZone) {
+        if (value instanceof Date) {
+            return zonedTimeToDate(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate(),
+                value.getUTCHours(), value.getUTCMinutes(), timeZone);
+        }
+
+        const text = String(value).trim();
+        let match = text.match(ISO_LOCAL);
+        if (match) {
+            const [, year, month, day, hour = 0, minute = 0] = match;
+            return zonedTimeToDate(+year, month - 1, +day, +hour, +minute, timeZone);
+        }
+        match = text.match(DMY_LOCAL);
+        if (match) {
+            const [, day, month, year, hour = 0, minute = 0] = match;
+            return zonedTimeToDate(+year, month - 1, +day, +hour, +minute, timeZone);
+        }
+
+        // ISO 8601 with Z or an offset
+        const date = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? new Date(text) : null;
+        return date && !isNaN(date) ? date : null;
+    }
+
+    /**
+     * Start / end destination from coordinates or a geocoded address
+     * @returns {Promise<Object>} { place } or { error }
+     */
+    async resolvePlace(values, prefix, geocoded) {
+        const name = values[`${prefix}Name`];
+        const address = values[`${prefix}Address`];
+        const lat = values[`${prefix}Lat`];
+        const lng = values[`${prefix}Lng`];
+
+        if (lat !== undefined || lng !== undefined) {
+            const coordinates = [parseFloat(lng), parseFloat(lat)];
+            if (coordinates.some(isNaN) || Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+                return { error: `${prefix}: latitude and longitude must both be valid numbers` };
+            }
+            return {
+                place: {
+                    name: name || address || `${coordinates[1]}, ${coordinates[0]}`,
+                    address,
+                    location: { type: 'Point', coordinates }
+                }
+            };
+        }
+
+        if (!address && !name) {
+            return { error: `${prefix}: give an address or latitude and longitude` };
+        }
+
+        const found = await this.geocode(address || name, prefix, geocoded);
+        if (found.error) return found;
+        return {
+            place: {
+                name: name || address,
+                address: found.address,
+                location: { type: 'Point', coordinates: found.coordinates }
+            }
+        };
+    }
+
+    /**
+     * Geocode an address, reusing the file's results from geocodeAll
+     * @param {Map} [geocoded] - address → { result } or { failure }
+     * @returns {Promise<Object>} { coordinates, address } or { error }
+     */
+    async geocode(address, label, geocoded) {
+        const outcome = geocoded?.get(address) || await this.lookup(address);
+        if (outcome.failure) return { error: `${label}: ${outcome.failure}` };
+        return outcome.result || { error: `${label}: address '${address}' not found` };
+    }
+
+    async lookup(address) {
+        try {
+            return { result: await geocodingService.geocode(address) };
+        } catch (error) {
+            return { failure: error.message };
+        }
+    }
+
+    /**
+     * Geocode every distinct address of the file up front, `concurrency` at a
+     * time (one at a time, `nominatimIntervalMs` apart, with Nominatim)
+     * @returns {Promise<Map>} address → { result } or { failure }
+     */
+    async geocodeAll(rows) {
+        const addresses = new Set();
+        rows.forEach(({ values }) => {
+            ['start', 'end'].forEach(prefix => {
+                const hasCoordinates = values[`${prefix}Lat`] !== undefined || values[`${prefix}Lng`] !== undefined;
+                const address = values[`${prefix}Address`] || values[`${prefix}Name`];
+                if (!hasCoordinates && address) addresses.add(address);
+            });
+            String(values.stops || '').split(';').map(s => s.trim())
+                .filter(entry => entry && !LAT_LNG.test(entry))
+                .forEach(entry => addresses.add(entry));
+        });
+
+        const list = [...addresses];
+        const outcomes = geocodingService.provider === 'nominatim'
+            ? await spaced(list, this.nominatimIntervalMs, address => this.lookup(address))
+            : await inBatches(list, this.concurrency, address => this.lookup(address));
+        return new Map(list.map((address, i) => [address, outcomes[i]]));
+    }
+
+    /**
+     * Intermediate stops: "lat,lng" or addresses separated by ';'
+     * @returns {Promise<Object>} { stops } or { error }
+     */
+    async resolveStops(text, geocoded) {
+        const stops = [];
+        const entries = String(text || '').split(';').map(s => s.trim()).filter(Boolean);
+
+        for (const [i, entry] of entries.entries()) {
+            const match = entry.match(LAT_LNG);
+            if (match) {
+                stops.push({
+                    name: `Stop ${i + 1}`,
+                    location: { type: 'Point', coordinates: [parseFloat(match[2]), parseFloat(match[1])] }
+                });
+                continue;
+            }
+
+            const found = await this.geocode(entry, `stop ${i + 1}`, geocoded);
+            if (found.error) return found;
+            stops.push({
+                name: entry,
+                address: found.address,
+                location: { type: 'Point', coordinates: found.coordinates }
+            });
+        }
+
+        return { stops };
+    }
+
+    /**
+     * Vehicles by registration number and drivers by email for a fleet manager
+     * (only drivers it currently employs)
+     */
+    async loadLookups(fleetManagerId) {
+        const [vehicles, employments] = await Promise.all([
+            VehicleMinimal.find({ businessId: fleetManagerId }).select('regnNo registrationNumber').lean(),
+            EmploymentMinimal.find({ companyId: fleetManagerId, status: 'ACTIVE' }).select('driverId').lean()
+        ]);
+        const drivers = await UserMinimal.find({ _id: { $in: employments.map(e => e.driverId) } })
+            .select('email')
+            .lean();
+
+        const vehicleIds = new Map();
+        vehicles.forEach(v => [v.regnNo, v.registrationNumber].filter(Boolean).forEach(reg => {
+            vehicleIds.set(normaliseRegistration(reg), v._id);
+        }));
+
+        return {
+            vehicleIds,
+            driverIds: new Map(drivers.filter(d => d.email).map(d => [d.email.toLowerCase(), d._id]))
+        };
+    }
+
+    /**
+     * Validate one row and build its (unsaved, not yet routed) trip
+     * @returns {Promise<Object>} { errors, trip, payload }, and `blockedBy`
+     *   (row numbers) when it overlaps earlier rows of the file
+     */
+    async prepareRow({ rowNumber, values }, context) {
+        const errors = [];
+        const fail = (message) => ({ errors: [...errors, message], trip: null });
+
+        const tripType = (values.tripType || '').toLowerCase();
+        if (!['commercial', 'passenger'].includes(tripType)) {
+            errors.push('tripType must be commercial or passenger');
+        }
+
+        const vehicleId = context.vehicleIds.get(normaliseRegistration(values.vehicle));
+        if (!values.vehicle) {
+            errors.push('vehicle registration number is required');
+        } else if (!vehicleId) {
+            errors.push(`vehicle '${values.vehicle}' not found in your fleet`);
+        }
+
+        let driverId;
+        if (values.driverEmail) {
+            driverId = context.driverIds.get(values.driverEmail.toLowerCase());
+            if (!driverId) errors.push(`driver '${values.driverEmail}' is not one of your active drivers`);
+        }
+
+        const start = values.startDateTime ? this.parseDateTime(values.startDateTime, context.timeZone) : null;
+        const end = values.endDateTime ? this.parseDateTime(values.endDateTime, context.timeZone) : null;
+        if (!start || !end) {
+            errors.push('startDateTime and endDateTime are required (YYYY-MM-DD HH:mm, DD/MM/YYYY HH:mm or ISO 8601)');
+        } else {
+            const invalidSchedule = tripBuilderService.validateSchedule(start, end, context.now);
+            if (invalidSchedule) errors.push(invalidSchedule);
+        }
+
+        if (errors.length) return { errors, trip: null };
+
+        // Same overlap rules as createTrip, against saved trips and earlier rows of this file
+        const conflicts = await tripBuilderService.findConflicts({ vehicleId, driverId, start, end });
+        if (conflicts.vehicle) {
+            errors.push(`Vehicle is already assigned to trip ${conflicts.vehicle._id} during these dates`);
+        }
+        if (conflicts.driver) {
+            errors.push(`Driver is already assigned to trip ${conflicts.driver._id} during these dates`);
+        }
+        const blockedBy = [];
+        context.accepted.forEach(other => {
+            if (!overlaps(other, { start, end })) return;
+            if (other.vehicleId.equals(vehicleId)) {
+                errors.push(`Vehicle is already assigned to row ${other.rowNumber} during these dates`);
+                blockedBy.push(other.rowNumber);
+            }
+            if (driverId && other.driverId?.equals(driverId)) {
+                errors.push(`Driver is already assigned to row ${other.rowNumber} during these dates`);
+                blockedBy.push(other.rowNumber);
+            }
+        });
+        if (errors.length) return { errors, trip: null, blockedBy };
+
+        const from = await this.resolvePlace(values, 'start', context.geocoded);
+        if (from.error) return fail(from.error);
+        const to = await this.resolvePlace(values, 'end', context.geocoded);
+        if (to.error) return fail(to.error);
+        const { stops, error: stopsError } = await this.resolveStops(values.stops, context.geocoded);
+        if (stopsError) return fail(stopsError);
+
+        const payload = {
+            tripType,
+            vehicleId,
+            driverId,
+            customerName: values.customerName,
+            customerEmail: values.customerEmail,
+            customerContact: values.customerContact,
+            startDestination: from.place,
+            endDestination: to.place,
+            stops,
+            startDateTime: start,
+            endDateTime: end,
+            amountPerKm: values.amountPerKm,
+            vehicleRent: values.vehicleRent,
+            tariffPlanId: values.tariffPlanId,
+            tollCharges: values.tollCharges,
+            isTwoWay: ['true', 'yes', 'y', '1'].includes(String(values.isTwoWay || '').toLowerCase())
+        };
+
+        // Tariff plan and schema checks without routing; routing happens for all valid rows together
+        const built = await tripBuilderService.build(context.fleetManagerId, payload, { routed: { ...UNROUTED, stops } });
+        if (built.error) return fail(built.error);
+
+        const invalid = built.trip.validateSync();
+        if (invalid) {
+            return fail(Object.values(invalid.errors).map(e => e.message).join('; '));
+        }
+
+        context.accepted.push({ rowNumber, vehicleId, driverId, start, end });
+        return { errors, trip: built.trip, payload };
+    }
+
+    /**
+     * Route and price a checked row
+     * @returns {Promise<Object>} { errors, trip }
+     */
+    async routeRow(fleetManagerId, payload) {
+        const routed = await tripBuilderService.route(payload);
+        const built = await tripBuilderService.build(fleetManagerId, payload, { routed });
+        return built.error ? { errors: [built.error], trip: null } : { errors: [], trip: built.trip };
+    }
+
+    /**
+     * Check every row and, unless dry run, create the trips
+     * @param {Array} rows - From readRows
+     * @param {Object} options - { fleetManagerId, userId, dryRun, skipInvalid, timeZone }
+     * @returns {Promise<Object>} { dryRun, committed, summary, rows }
+     */
+    async import(rows, { fleetManagerId, userId, dryRun = true, skipInvalid = false, timeZone = 'Asia/Kolkata' }) {
+        const [lookups, geocoded] = await Promise.all([this.loadLookups(fleetManagerId), this.geocodeAll(rows)]);
+        const context = {
+            fleetManagerId,
+            timeZone,
+            now: new Date(),
+            accepted: [],
+            geocoded,
+            ...lookups
+        };
+
+        const entries = new Map();
+        let pending = rows;
+        while (pending.length) {
+            // One row at a time: rows are checked against the ones accepted before them (no network calls here)
+            const checked = [];
+            for (const row of pending) {
+                try {
+                    checked.push({ row, ...(await this.prepareRow(row, context)) });
+                } catch (error) {
+                    console.error(`Trip import row ${row.rowNumber} error:`, error.message);
+                    checked.push({ row, errors: [error.message], trip: null });
+                }
+            }
+
+            // Route and price the valid rows, a few at a time
+            const routed = await inBatches(checked, this.concurrency, async (entry) => {
+                if (!entry.trip) return entry;
+                try {
+                    return { row: entry.row, ...(await this.routeRow(fleetManagerId, entry.payload)) };
+                } catch (error) {
+                    console.error(`Trip import row ${entry.row.rowNumber} error:`, error.message);
+                    return { row: entry.row, errors: [error.message], trip: null };
+                }
+            });
+            routed.forEach(entry => entries.set(entry.row.rowNumber, entry));
+
+            // A row that failed routing no longer holds its vehicle / driver: check the rows it blocked again
+            const failed = new Set(routed
+                .filter((entry, i) => checked[i].trip && !entry.trip)
+                .map(entry => entry.row.rowNumber));
+            context.accepted = context.accepted.filter(other => !failed.has(other.rowNumber));
+            pending = failed.size
+                ? rows.filter(row => entries.get(row.rowNumber).blockedBy?.some(n => failed.has(n)))
+                : [];
+        }
+        const prepared = rows.map(row => entries.get(row.rowNumber));
+
+        const invalidCount = prepared.filter(p => !p.trip).length;
+        // Without skipInvalid a file with any bad row is not imported at all
+        const committed = !dryRun && (skipInvalid || invalidCount === 0);
+
+        const results = await inBatches(prepared, this.concurrency, async ({ row, errors, trip }) => {
+            const result = { row: row.rowNumber, status: trip ? 'valid' : 'invalid', errors };
+
+            if (trip) {
+                result.preview = {
+                    tripType: trip.tripType,
+                    vehicleId: trip.vehicleId,
+                    driverId: trip.driverId || null,
+                    from: trip.startDestination.name,
+                    to: trip.endDestination.name,
+                    stops: trip.stops.length,
+                    startDateTime: trip.startDateTime,
+                    endDateTime: trip.endDateTime,
+                    distance: trip.distance,
+                    duration: trip.duration,
+                    amount: trip.amount
+                };
+            }
+
+            if (trip && committed) {
+                try {
+                    // Same path as createTrip: ASSIGNED updates through the outbox, then the notification
+                    await tripBuilderService.create(trip, userId);
+                    result.status = 'created';
+                    result.tripId = trip._id;
+                } catch (error) {
+                    console.error(`Trip import row ${row.rowNumber} save error:`, error.message);
+                    result.status = 'failed';
+                    result.errors = [error.message];
+                }
+            }
+
+            return result;
+        });
+
+        const count = (status) => results.filter(r => r.status === status).length;
+        return {
+            dryRun,
+            committed,
+            summary: {
+                total: results.length,
+                valid: results.length - invalidCount,
+                invalid: invalidCount,
+                created: count('created'),
+                failed: count('failed')
+            },
+            rows: results
+        };
+    }
+}
+
+module.exports = new TripImportService();
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const Trip = require('../models/Trip');
+const { STATUSES } = require('./tripStatusService');
+
+// Sortable fields (all always set, so cursors never compare against null)
+const SORT_FIELDS = ['createdAt', 'startDateTime', 'endDateTime', 'amount', 'distance'];
+const DATE_SORT_FIELDS = ['createdAt', 'startDateTime', 'endDateTime'];
+
+// ?dateField= for startDate / endDate
+const DATE_FIELDS = {
+    start: 'startDateTime',
+    end: 'endDateTime',
+    created: 'createdAt'
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const EARTH_RADIUS_KM = 6378.1;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Fleet manager trip search: filters, sorting, cursor pagination and
+ * dashboard totals for GET /api/trips.
+ *
+ * Cursors are opaque (base64url JSON of the last row's sort value and _id)
+ * and only valid for the sort they were issued with. Without limit or
+ * cursor every matching trip is returned, as before pagination existed.
+ */
+class TripSearchService {
+    /**
+     * Parse "lng,lat" plus a radius into a $geoWithin filter (uses the 2dsphere index)
+     * @returns {Object|String|null} Filter, error message, or null when not given
+     */
+    geoFilter(point, radiusKm, label) {
+        if (!point) return null;
+
+        const coordinates = String(point).split(',').map(Number);
+        if (coordinates.length !== 2 || coordinates.some(isNaN)
+            || Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+            return `${label}Near must be "longitude,latitude"`;
+        }
+
+        const radius = parseFloat(radiusKm);
+        if (!(radius > 0)) {
+            return `${label}RadiusKm must be a positive number`;
+        }
+
+        return { $geoWithin: { $centerSphere: [coordinates, radius / EARTH_RADIUS_KM] } };
+    }
+
+    encodeCursor(trip, sort) {
+        return Buffer.from(JSON.stringify({ s: sort, v: trip[sort.replace(/^-/, '')], id: trip._id })).toString('base64url');
+    }
+
+    decodeCursor(cursor, sort) {
+        try {
+            const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+            const field = sort.replace(/^-/, '');
+            if (decoded.s !== sort || !mongoose.isValidObjectId(decoded.id)) return null;
+            return {
+                value: DATE_SORT_FIELDS.includes(field) ? new Date(decoded.v) : decoded.v,
+                id: new mongoose.Types.ObjectId(decoded.id)
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Turn GET /api/trips query parameters into a search
+     * @param {String} fleetManagerId
+     * @param {Object} params - req.query
+     * @returns {Object} { error } or { filter, statusFilter, sort, limit, after }
+     */
+    parse(fleetManagerId, params = {}) {
+        const filter = { fleetManagerId: new mongoose.Types.ObjectId(fleetManagerId) };
+        let statusFilter = null;
+
+        if (params.status) {
+            const statuses = String(params.status).split(',').map(s => s.trim()).filter(Boolean);
+            const unknown = statuses.filter(s => !STATUSES.includes(s));
+            if (unknown.length) {
+                return { error: `Unknown status: ${unknown.join(', ')}. Use: ${STATUSES.join(', ')}` };
+            }
+            statusFilter = statuses.length === 1 ? statuses[0] : { $in: statuses };
+        }
+
+        for (const key of ['vehicleId', 'driverId']) {
+            if (params[key]) {
+                if (!mongoose.isValidObjectId(params[key])) {
+                    return { error: `Invalid ${key}` };
+                }
+                filter[key] = new mongoose.Types.ObjectId(params[key]);
+            }
+        }
+
+        if (params.tripType) {
+            if (!['commercial', 'passenger'].includes(params.tripType)) {
+                return { error: 'tripType must be commercial or passenger' };
+            }
+            filter.tripType = params.tripType;
+        }
+
+        if (params.startDate || params.endDate) {
+            const field = DATE_FIELDS[params.dateField || 'start'];
+            if (!field) {
+                return { error: `dateField must be one of: ${Object.keys(DATE_FIELDS).join(', ')}` };
+            }
+            const range = {};
+            if (params.startDate) range.$gte = new Date(params.startDate);
+            if (params.endDate) range.$lte = new Date(params.endDate);
+            if (Object.values(range).some(d => isNaN(d))) {
+                return { error: 'startDate and endDate must be valid dates' };
+            }
+            filter[field] = range;
+        }
+
+        // Customer name / email, case-insensitive substring
+        if (params.customer) {
+            const pattern = new RegExp(escapeRegex(String(params.customer).trim()), 'i');
+            filter.$or = [{ customerName: pattern }, { customerEmail: pattern }];
+        }
+
+        for (const [label, path] of [['start', 'startDestination.location'], ['end', 'endDestination.location']]) {
+            const geo = this.geoFilter(params[`${label}Near`], params[`${label}RadiusKm`], label);
+            if (typeof geo === 'string') return { error: geo };
+            if (geo) filter[path] = geo;
+        }
+
+        const sort = params.sort || '-createdAt';
+        if (!SORT_FIELDS.includes(sort.replace(/^-/, ''))) {
+            return { error: `sort must be one of: ${SORT_FIELDS.join(', ')} (prefix - for descending)` };
+        }
+
+        const paginate = params.limit !== undefined || params.cursor !== undefined;
+        const limit = paginate
+            ? Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+            : null;
+
+        let after = null;
+        if (params.cursor) {
+            after = this.decodeCursor(params.cursor, sort);
+            if (!after) {
+                return { error: 'Invalid cursor for this sort' };
+            }
+        }
+
+        return { filter, statusFilter, sort, limit, after };
+    }
+
+    /**
+     * Run a parsed search
+     * @param {Object} search - From parse
+     * @returns {Promise<Object>} { trips, pageInfo, totals: { count, amount, byStatus } }
+     */
+    async search({ filter, statusFilter, sort, limit, after }) {
+        const field = sort.replace(/^-/, '');
+        const direction = sort.startsWith('-') ? -1 : 1;
+        const matched = statusFilter ? { ...filter, status: statusFilter } : filter;
+
+        // Rows after the cursor in sort order (_id breaks ties)
+        const page = { ...matched };
+        if (after) {
+            const op = direction === -1 ? '$lt' : '$gt';
+            page.$and = [{
+                $or: [
+                    { [field]: { [op]: after.value } },
+                    { [field]: after.value, _id: { [op]: after.id } }
+                ]
+            }];
+        }
+
+        let query = Trip.find(page).sort({ [field]: direction, _id: direction });
+        if (limit) query = query.limit(limit + 1);
+
+        // Totals ignore the status filter so the dashboard can show a count per status tab
+        const [rows, byStatus] = await Promise.all([
+            query,
+            Trip.aggregate([
+                { $match: filter },
+                { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+            ])
+        ]);
+
+        const hasMore = Boolean(limit) && rows.length > limit;
+        const trips = hasMore ? rows.slice(0, limit) : rows;
+
+        const counted = byStatus.filter(s => !statusFilter
+            || (statusFilter.$in ? statusFilter.$in.includes(s._id) : statusFilter === s._id));
+
+        return {
+            trips,
+            pageInfo: limit ? {
+                limit,
+                sort,
+                hasMore,
+                nextCursor: hasMore ? this.encodeCursor(trips[trips.length - 1], sort) : null
+            } : null,
+            totals: {
+                count: counted.reduce((sum, s) => sum + s.count, 0),
+                amount: counted.reduce((sum, s) => sum + (s.amount || 0), 0),
+                byStatus: Object.fromEntries(STATUSES.map(status => [
+                    status,
+                    byStatus.find(s => s._id === status)?.count || 0
+                ]))
+            }
+        };
+    }
+}
+
+module.exports = new TripSearchService();
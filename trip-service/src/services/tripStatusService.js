@@ -0,0 +1,189 @@
+/**
+ * Trip state machine.
+ *
+ *   scheduled   → dispatched, in-progress (drivers may start without a dispatch), cancelled
+ *   dispatched  → scheduled (recalled), in-progress, cancelled
+ *   in-progress → paused, completed, aborted, cancelled
+ *   paused      → in-progress (resumed), aborted, cancelled
+ *
+ * completed, cancelled and aborted are final. Every status change goes
+ * through `transition`, which checks the table and the guards in `check`
+ * and appends to trip.statusHistory. Actions that need a trip in a given
+ * status without changing it (updating a stop, deleting) use `checkStatus`.
+ */
+
+const TRANSITIONS = {
+    scheduled: ['dispatched', 'in-progress', 'cancelled'],
+    dispatched: ['scheduled', 'in-progress', 'cancelled'],
+    'in-progress': ['paused', 'completed', 'aborted', 'cancelled'],
+    paused: ['in-progress', 'aborted', 'cancelled'],
+    completed: [],
+    cancelled: [],
+    aborted: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses that hold a vehicle and driver
+const ACTIVE_STATUSES = ['scheduled', 'dispatched', 'in-progress', 'paused'];
+
+// Statuses where the vehicle is out on the trip
+const ON_ROAD_STATUSES = ['in-progress', 'paused'];
+
+const FINAL_STATUSES = ['completed', 'cancelled', 'aborted'];
+
+// Statuses a trip can still be deleted in (not started yet)
+const DELETABLE_STATUSES = ['scheduled', 'dispatched'];
+
+// Drivers may start a trip this many hours either side of its planned start
+const START_WINDOW_HOURS = 3;
+
+/**
+ * Raised when a trip cannot move to the requested status (HTTP 409)
+ */
+class TripTransitionError extends Error {
+    constructor(message, { code = 'INVALID_TRANSITION', from, to } = {}) {
+        super(message);
+        this.name = 'TripTransitionError';
+        this.statusCode = 409;
+        this.code = code;
+        this.from = from;
+        this.to = to;
+    }
+
+    toJSON() {
+        return {
+            message: this.message,
+            code: this.code,
+            currentStatus: this.from,
+            requestedStatus: this.to,
+            allowedTransitions: allowedTransitions(this.from)
+        };
+    }
+}
+
+/**
+ * Statuses a trip can move to from `status`
+ * @param {String} status
+ * @returns {Array<String>}
+ */
+function allowedTransitions(status) {
+    return TRANSITIONS[status] || [];
+}
+
+function formatDuration(minutes) {
+    return `${Math.floor(minutes / 60)}h ${Math.floor(minutes % 60)}m`;
+}
+
+/**
+ * Check that a trip may move to `to` right now
+ * @param {Object} trip - Trip document
+ * @param {String} to - Requested status
+ * @param {Object} context - { reason, now }
+ * @throws {TripTransitionError}
+ */
+function check(trip, to, { reason, now = new Date() } = {}) {
+    const from = trip.status;
+    const fail = (message, code = 'TRANSITION_GUARD_FAILED') => {
+        throw new TripTransitionError(message, { code, from, to });
+    };
+
+    if (!STATUSES.includes(to)) {
+        fail(`Unknown trip status: ${to}`, 'INVALID_TRANSITION');
+    }
+
+    if (!allowedTransitions(from).includes(to)) {
+        fail(
+            FINAL_STATUSES.includes(from)
+                ? `Trip is already ${from}`
+                : `Trip cannot move from ${from} to ${to}`,
+            'INVALID_TRANSITION'
+        );
+    }
+
+    if (to === 'dispatched' && !trip.driverId) {
+        fail('Trip has no driver to dispatch');
+    }
+
+    // Starting (not resuming) must be close to the planned start
+    if (to === 'in-progress' && from !== 'paused') {
+        const diffMinutes = (new Date(trip.startDateTime) - now) / (1000 * 60);
+        if (Math.abs(diffMinutes) > START_WINDOW_HOURS * 60) {
+            fail(diffMinutes > 0
+                ? `Trip cannot be started yet. It is scheduled to start in ${formatDuration(diffMinutes)}. You can only start the trip within ${START_WINDOW_HOURS} hours of the scheduled start time.`
+                : `Trip cannot be started. It was scheduled to start ${formatDuration(-diffMinutes)} ago. You can only start the trip within ${START_WINDOW_HOURS} hours of the scheduled start time.`);
+        }
+    }
+
+    if (to === 'aborted' && !reason) {
+        fail('A reason is required to abort a trip');
+    }
+}
+
+/**
+ * Check that a trip is in one of `statuses` for an action that keeps its status
+ * @param {Object} trip - Trip document
+ * @param {Array<String>} statuses
+ * @param {String} action - For the message, e.g. 'update stops of'
+ * @throws {TripTransitionError} code INVALID_STATE
+ */
+function checkStatus(trip, statuses, action) {
+    if (!statuses.includes(trip.status)) {
+        throw new TripTransitionError(`Cannot ${action} a ${trip.status} trip`, {
+            code: 'INVALID_STATE',
+            from: trip.status
+        });
+    }
+}
+
+/**
+ * Move a trip to a new status and record it in statusHistory (caller saves)
+ * @param {Object} trip - Trip document
+ * @param {String} to - New status
+ * @param {Object} context - { actorId, actorRole, reason, location ([lng, lat] or GeoJSON Point), now }
+ * @returns {Object} { previousStatus, status }
+ * @throws {TripTransitionError}
+ */
+function transition(trip, to, { actorId, actorRole, reason, location, now = new Date() } = {}) {
+    check(trip, to, { reason, now });
+
+    const previousStatus = trip.status;
+    const coordinates = Array.isArray(location) ? location : location?.coordinates;
+    const where = coordinates?.length === 2
+        ? coordinates
+        : trip.currentLocation?.coordinates?.length === 2 ? trip.currentLocation.coordinates : null;
+
+    trip.statusHistory.push({
+        status: to,
+        previousStatus,
+        changedBy: actorId,
+        actorRole,
+        changedAt: now,
+        reason,
+        ...(where && { location: { type: 'Point', coordinates: where } })
+    });
+    trip.status = to;
+
+    if (to === 'in-progress' && !trip.actualStartDateTime) {
+        trip.actualStartDateTime = now;
+    }
+    if (['completed', 'aborted'].includes(to)) {
+        trip.actualEndDateTime = now;
+    }
+
+    return { previousStatus, status: to };
+}
+
+module.exports = {
+    TRANSITIONS,
+    STATUSES,
+    ACTIVE_STATUSES,
+    ON_ROAD_STATUSES,
+    FINAL_STATUSES,
+    DELETABLE_STATUSES,
+    TripTransitionError,
+    allowedTransitions,
+    check,
+    checkStatus,
+    transition
+};
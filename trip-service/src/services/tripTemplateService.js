@@ -0,0 +1,228 @@
+const Trip = require('../models/Trip');
+const TripTemplate = require('../models/TripTemplate');
+const tripBuilderService = require('./tripBuilderService');
+const recurrenceService = require('./recurrenceService');
+const routingService = require('./routing');
+const NotificationClient = require('./notificationClient');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trip-specific fields a template payload may not carry
+const DATE_FIELDS = ['startDateTime', 'endDateTime'];
+// Absolute times on stops only make sense for a single trip
+const STOP_TIME_FIELDS = ['arrivalTime', 'departureTime', 'arrivedAt', 'timeWindow', 'status'];
+
+/**
+ * Materialises trips from recurring templates.
+ *
+ * Runs every TRIP_TEMPLATE_SCHEDULER_INTERVAL_MINUTES from server.js locally
+ * and from a scheduled Lambda (handler.generateScheduledTrips) in AWS; a run
+ * for one template can also be triggered from the API. API-triggered runs
+ * create at most TRIP_TEMPLATE_REQUEST_LIMIT (default 14) trips; the
+ * scheduler fills in the rest of the horizon.
+ *
+ * Every occurrence repeats the same journey (stop times are stripped), so a
+ * run routes the template once and prices each trip from that route.
+ */
+class TripTemplateService {
+    constructor() {
+        this.requestLimit = parseInt(process.env.TRIP_TEMPLATE_REQUEST_LIMIT) || 14;
+    }
+
+    /**
+     * Strip dates and per-trip stop state from a createTrip body
+     * @param {Object} body
+     * @returns {Object}
+     */
+    toPayload(body) {
+        const payload = { ...body };
+        DATE_FIELDS.forEach(field => delete payload[field]);
+
+        if (Array.isArray(payload.stops)) {
+            payload.stops = payload.stops.map(stop => {
+                const clean = { ...stop };
+                STOP_TIME_FIELDS.forEach(field => delete clean[field]);
+                return clean;
+            });
+        }
+
+        return payload;
+    }
+
+    /**
+     * Validate a template payload
+     * @param {Object} payload
+     * @returns {String|null} Error message, or null when valid
+     */
+    validatePayload(payload) {
+        if (!payload || typeof payload !== 'object') return 'payload is required';
+
+        const required = ['tripType', 'vehicleId', 'startDestination', 'endDestination'];
+        const missing = required.filter(field => !payload[field]);
+        if (missing.length) return `payload is missing ${missing.join(', ')}`;
+
+        const hasCoordinates = (place) => Array.isArray(place?.location?.coordinates) && place.location.coordinates.length === 2;
+        if (!hasCoordinates(payload.startDestination) || !hasCoordinates(payload.endDestination)) {
+            return 'payload start and end destinations need location.coordinates';
+        }
+
+        return routingService.validateStopCount(Array.isArray(payload.stops) ? payload.stops.length : 0);
+    }
+
+    /**
+     * Occurrences of a template inside its horizon
+     * @param {Object} template - TripTemplate document
+     * @param {Date} [now]
+     * @returns {Array} [{ date, start, end }]
+     */
+    upcoming(template, now = new Date()) {
+        const until = new Date(now.getTime() + template.horizonDays * DAY_MS);
+        const exceptions = new Set(template.exceptions || []);
+
+        return recurrenceService
+            .occurrences(template.recurrence, now, until)
+            .filter(occurrence => !exceptions.has(occurrence.date));
+    }
+
+    /**
+     * Create the missing trips for one template
+     * @param {Object} template - TripTemplate document
+     * @param {Object} [options] - { now, limit: most trips to create (later occurrences are left pending) }
+     * @returns {Promise<Object>} { created: [Trip], skipped, pending, conflicts: [conflict], newConflicts: [conflict] }
+     */
+    async generate(template, { now = new Date(), limit = Infinity } = {}) {
+        const occurrences = this.upcoming(template, now);
+
+        const existing = await Trip.find({
+            templateId: template._id,
+            templateOccurrence: { $in: occurrences.map(o => o.start) }
+        }).select('templateOccurrence');
+        const generated = new Set(existing.map(trip => trip.templateOccurrence.getTime()));
+
+        const previous = new Map((template.conflicts || []).map(c => [`${c.occurrenceStart.getTime()}:${c.reason}`, c]));
+        const created = [];
+        const conflicts = [];
+        let skipped = 0;
+        let pending = 0;
+        let routed = null;
+
+        const addConflict = (occurrence, reason, message, conflictingTripId = null) => {
+            const key = `${occurrence.start.getTime()}:${reason}`;
+            conflicts.push({
+                occurrenceStart: occurrence.start,
+                occurrenceEnd: occurrence.end,
+                reason,
+                message: `${occurrence.date}: ${message}`,
+                conflictingTripId,
+                detectedAt: previous.get(key)?.detectedAt || now
+            });
+        };
+
+        for (const occurrence of occurrences) {
+            if (generated.has(occurrence.start.getTime())) {
+                skipped += 1;
+                continue;
+            }
+
+            // Left for the next run; keep what that occurrence reported last time
+            if (created.length >= limit) {
+                pending += 1;
+                conflicts.push(...(template.conflicts || []).filter(c => c.occurrenceStart.getTime() === occurrence.start.getTime()));
+                continue;
+            }
+
+            try {
+                // Same overlap rules as createTrip
+                const overlap = await tripBuilderService.findConflicts({
+                    vehicleId: template.payload.vehicleId,
+                    driverId: template.payload.driverId,
+                    start: occurrence.start,
+                    end: occurrence.end
+                });
+
+                if (overlap.vehicle) {
+                    addConflict(occurrence, 'vehicle-overlap', 'Vehicle is already assigned to another trip', overlap.vehicle._id);
+                    continue;
+                }
+                if (overlap.driver) {
+                    addConflict(occurrence, 'driver-overlap', 'Driver is already assigned to another trip', overlap.driver._id);
+                    continue;
+                }
+
+                const payload = {
+                    ...template.payload,
+                    startDateTime: occurrence.start,
+                    endDateTime: occurrence.end
+                };
+                const optimize = template.payload.optimize === true;
+
+                // Route on the first trip that needs it, unless routing failed (then retry next time)
+                if (!routed?.route) {
+                    routed = await tripBuilderService.route(payload, { optimize });
+                }
+
+                const built = await tripBuilderService.build(template.fleetManagerId, payload, { optimize, routed });
+
+                if (built.error) {
+                    addConflict(occurrence, 'invalid-tariff', built.error);
+                    continue;
+                }
+
+                built.trip.templateId = template._id;
+                built.trip.templateOccurrence = occurrence.start;
+                // Same assignment updates and notification as createTrip
+                await tripBuilderService.create(built.trip, template.fleetManagerId);
+                created.push(built.trip);
+            } catch (error) {
+                // Another run created it first
+                if (error.code === 11000) {
+                    skipped += 1;
+                    continue;
+                }
+                console.error(`Trip template ${template._id} occurrence ${occurrence.date} error:`, error.message);
+                addConflict(occurrence, 'error', error.message);
+            }
+        }
+
+        const newConflicts = conflicts.filter(c => !previous.has(`${c.occurrenceStart.getTime()}:${c.reason}`));
+
+        template.conflicts = conflicts;
+        template.lastRunAt = now;
+        template.lastRunResult = { created: created.length, skipped, pending, conflicts: conflicts.length };
+        await template.save();
+
+        if (newConflicts.length) {
+            await NotificationClient.notifyTripGenerationConflicts(template.fleetManagerId, {
+                templateId: template._id,
+                name: template.name,
+                conflicts: newConflicts
+            });
+        }
+
+        return { created, skipped, pending, conflicts, newConflicts };
+    }
+
+    /**
+     * Run every active template (scheduler entry point)
+     * @returns {Promise<Object>} { templates, created, conflicts }
+     */
+    async generateAll() {
+        const templates = await TripTemplate.find({ isActive: true });
+        const totals = { templates: templates.length, created: 0, conflicts: 0 };
+
+        for (const template of templates) {
+            try {
+                const result = await this.generate(template);
+                totals.created += result.created.length;
+                totals.conflicts += result.conflicts.length;
+            } catch (error) {
+                console.error(`Trip template ${template._id} generation failed:`, error.message);
+            }
+        }
+
+        console.log(`[trip-templates] ${totals.templates} template(s), ${totals.created} trip(s) created, ${totals.conflicts} conflict(s)`);
+        return totals;
+    }
+}
+
+module.exports = new TripTemplateService();
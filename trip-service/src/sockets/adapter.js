@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+
+const COLLECTION = 'socket_io_events';
+
+/**
+ * Socket.IO adapter shared by all trip-service instances.
+ *
+ * REALTIME_ADAPTER=mongo relays broadcasts, room membership and
+ * fetchSockets between instances through a change stream on the
+ * socket_io_events collection (documents expire after
+ * REALTIME_EVENT_TTL_SECONDS, default 3600). Change streams need a replica
+ * set or Atlas; on a standalone server, or with REALTIME_ADAPTER=none (the
+ * default), the in-memory adapter is kept and rooms are per instance.
+ *
+ * Must run after connectDB and before the server accepts connections.
+ */
+module.exports = async (io) => {
+    const adapter = (process.env.REALTIME_ADAPTER || 'none').toLowerCase();
+    if (adapter === 'none') {
+        return 'memory';
+    }
+    if (adapter !== 'mongo') {
+        console.warn(`[realtime] Unknown REALTIME_ADAPTER "${adapter}", using the in-memory adapter`);
+        return 'memory';
+    }
+
+    const db = mongoose.connection.db;
+    const hello = await db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+        console.warn('[realtime] MongoDB is not a replica set (no change streams), using the in-memory adapter');
+        return 'memory';
+    }
+
+    const ttlSeconds = parseFloat(process.env.REALTIME_EVENT_TTL_SECONDS) || 3600;
+    const collection = db.collection(COLLECTION);
+    try {
+        await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: ttlSeconds });
+    } catch (error) {
+        if (error.codeName !== 'IndexOptionsConflict') throw error;
+        // REALTIME_EVENT_TTL_SECONDS changed since the index was created
+        await db.command({ collMod: COLLECTION, index: { keyPattern: { createdAt: 1 }, expireAfterSeconds: ttlSeconds } });
+    }
+
+    io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+    return 'mongo';
+};
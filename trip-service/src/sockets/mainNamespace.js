@@ -0,0 +1,165 @@
+const { verifyToken } = require('../middleware/authMiddleware');
+const employmentService = require('../services/employmentService');
+const incidentService = require('../services/incidentService');
+const presenceService = require('../services/presenceService');
+const monitoringService = require('../services/monitoringService');
+const fatigueAnalyticsService = require('../services/fatigueAnalyticsService');
+
+// Same roles as fleetManagerOnly
+const FLEET_ROLES = ['fleetmanager', 'business', 'admin'];
+
+const WEBRTC_EVENTS = ['webrtc-offer', 'webrtc-answer', 'webrtc-ice-candidate'];
+
+const tokenFrom = (handshake) => {
+    const bearer = handshake.headers?.authorization?.startsWith('Bearer ')
+        ? handshake.headers.authorization.split(' ')[1]
+        : null;
+    return handshake.auth?.token || bearer || handshake.headers?.['x-auth-token'] || handshake.query?.token;
+};
+
+/**
+ * Default Socket.IO namespace for fleet managers and drivers.
+ *
+ * The handshake must carry the same JWT as the REST API
+ * (io(url, { auth: { token } }), an Authorization / x-auth-token header, or
+ * ?token=). Rooms come from the token, not from the client:
+ *   - fleet roles join fleet-{userId}
+ *   - drivers join monitoring-driver-{userId}
+ *
+ * A driver's monitoring telemetry and WebRTC signalling only reach the
+ * company that employs the driver (employments collection).
+ */
+module.exports = (io) => {
+    io.use((socket, next) => {
+        const token = tokenFrom(socket.handshake);
+        if (!token) {
+            return next(new Error('No token, authorization denied'));
+        }
+
+        try {
+            socket.data.user = verifyToken(token);
+            next();
+        } catch (error) {
+            next(new Error('Token is not valid'));
+        }
+    });
+
+    // Whether two users may signal each other: a driver and the fleet that employs them
+    const canSignal = async (from, to) => {
+        if (!from || !to) return false;
+        if (from.role === 'driver' && FLEET_ROLES.includes(to.role)) {
+            return employmentService.employs(to.id, from.id);
+        }
+        if (FLEET_ROLES.includes(from.role) && to.role === 'driver') {
+            return employmentService.employs(from.id, to.id);
+        }
+        return false;
+    };
+
+    io.on('connection', (socket) => {
+        const { role } = socket.data.user;
+        const userId = String(socket.data.user.id);
+        const isFleet = FLEET_ROLES.includes(role);
+        const isDriver = role === 'driver';
+
+        if (isFleet) socket.join(`fleet-${userId}`);
+        if (isDriver) {
+            socket.join(`monitoring-driver-${userId}`);
+            presenceService.trackSocket(io, socket);
+        }
+
+        console.log(`Client ${socket.id} connected as ${role} ${userId}`);
+
+        // ── Legacy room joins: rooms now come from the token, so only your own is accepted ──
+        socket.on('join-fleet-room', (fleetManagerId) => {
+            if (!isFleet || String(fleetManagerId) !== userId) {
+                socket.emit('room-denied', { room: `fleet-${fleetManagerId}`, message: 'Not authorized for this room' });
+            }
+        });
+
+        socket.on('join-monitoring-room', (driverId) => {
+            if (!isDriver || String(driverId) !== userId) {
+                socket.emit('room-denied', { room: `monitoring-driver-${driverId}`, message: 'Not authorized for this room' });
+            }
+        });
+
+        // ── Drowsiness telemetry from a driver → the employing company only, and its incidents ──
+        socket.on('driver_monitoring', async (data = {}) => {
+            if (!isDriver) return;
+
+            // Samples stamped far from the server clock are dropped
+            const { at, error: timestampError } = monitoringService.timestampOf(data.timestamp);
+            if (timestampError) {
+                socket.emit('monitoring-rejected', { message: timestampError, timestamp: data.timestamp });
+                return;
+            }
+
+            // The driver is whoever the token says, whatever the payload claims,
+            // and the trip only counts if it is theirs
+            let event = { ...data, driverId: userId, tripId: null, timestamp: at };
+
+            try {
+                event = { ...event, tripId: await monitoringService.tripOf(userId, data.tripId) };
+                const companyId = await employmentService.companyOf(userId);
+                await presenceService.touch(userId, { source: 'monitoring', companyId });
+                if (companyId) {
+                    io.to(`fleet-${companyId}`).emit('admin_monitoring', event);
+                    await incidentService.record({ ...event, companyId });
+                }
+            } catch (err) {
+                console.error('[monitoring] Error handling driver_monitoring:', err.message);
+            }
+
+            // Persist to MongoDB for fatigue analytics (non-blocking)
+            fatigueAnalyticsService.log(event)
+                .catch(err => console.error('[monitoring] DB log error:', err.message));
+        });
+
+        // ── WebRTC signalling (driver ↔ fleet manager) ──
+        // Fleet manager asks one of its drivers for video
+        socket.on('webrtc-request', async (data = {}) => {
+            try {
+                if (!isFleet || !(await employmentService.employs(userId, data.driverId))) {
+                    return socket.emit('room-denied', { room: `monitoring-driver-${data.driverId}`, message: 'Not authorized for this driver' });
+                }
+                io.to(`monitoring-driver-${data.driverId}`).emit('webrtc-start', {
+                    ...data,
+                    adminSocketId: socket.id
+                });
+            } catch (err) {
+                console.error('[WebRTC] Request error:', err.message);
+            }
+        });
+
+        // Offer / answer / ICE: to targetSocketId when it is a permitted peer, otherwise to the
+        // driver's company (from a driver) or to the driver (from its fleet manager)
+        WEBRTC_EVENTS.forEach(eventName => {
+            socket.on(eventName, async (data = {}) => {
+                try {
+                    if (data.targetSocketId) {
+                        const [target] = await io.in(data.targetSocketId).fetchSockets();
+                        if (target && await canSignal(socket.data.user, target.data.user)) {
+                            io.to(data.targetSocketId).emit(eventName, data);
+                        }
+                        return;
+                    }
+
+                    if (isDriver) {
+                        const companyId = await employmentService.companyOf(userId);
+                        if (companyId) io.to(`fleet-${companyId}`).emit(eventName, { ...data, driverId: userId });
+                    } else if (isFleet && await employmentService.employs(userId, data.driverId)) {
+                        io.to(`monitoring-driver-${data.driverId}`).emit(eventName, data);
+                    }
+                } catch (err) {
+                    console.error(`[WebRTC] ${eventName} relay error:`, err.message);
+                }
+            });
+        });
+
+        socket.on('disconnect', () => {
+            console.log('Client disconnected:', socket.id);
+        });
+    });
+
+    return io;
+};
@@ -0,0 +1,58 @@
+const trackingLinkService = require('../services/trackingLinkService');
+
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Socket.IO namespace for public tracking links.
+ *
+ * Customers connect to /tracking with the link token
+ * (io('/tracking', { auth: { token } }), or ?token=) and receive:
+ *   - tracking-update   the public trip view, on connect and on every change
+ *   - tracking-revoked  the link was revoked or replaced; the socket is then disconnected
+ *
+ * Sockets are also disconnected when the link expires.
+ */
+module.exports = (io) => {
+    const namespace = io.of(trackingLinkService.namespace);
+
+    namespace.use(async (socket, next) => {
+        try {
+            const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+            socket.data.trip = await trackingLinkService.resolve(token);
+            next();
+        } catch (error) {
+            if (error.name !== 'TrackingLinkError') {
+                console.error('[tracking] Handshake error:', error.message);
+            }
+            next(new Error(error.name === 'TrackingLinkError' ? error.message : 'Tracking unavailable'));
+        }
+    });
+
+    namespace.on('connection', (socket) => {
+        const { trip } = socket.data;
+        delete socket.data.trip;
+
+        socket.join(trackingLinkService.room(trip._id));
+        socket.emit('tracking-update', trackingLinkService.publicView(trip));
+        const expiresAt = new Date(trip.trackingLink.expiresAt);
+
+        // Disconnect at expiry (re-armed in steps, as setTimeout tops out at ~24.8 days)
+        let expiry;
+        const armExpiry = () => {
+            const msLeft = expiresAt - Date.now();
+            if (msLeft > MAX_TIMEOUT_MS) {
+                expiry = setTimeout(armExpiry, MAX_TIMEOUT_MS);
+                return;
+            }
+            expiry = setTimeout(() => {
+                socket.emit('tracking-revoked', { message: 'Tracking link has expired' });
+                socket.disconnect();
+            }, Math.max(msLeft, 0));
+        };
+        armExpiry();
+
+        socket.on('disconnect', () => clearTimeout(expiry));
+    });
+
+    return namespace;
+};
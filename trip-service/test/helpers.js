@@ -0,0 +1,35 @@
+// Shared by the tests: Express request / response doubles
+
+const mongoose = require('mongoose');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Minimal Express response that records the status and JSON body
+ */
+const mockRes = () => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+};
+
+const mockReq = ({ user, params = {}, body = {}, query = {}, files } = {}) => ({
+    user,
+    params,
+    body,
+    query,
+    files,
+    headers: {}
+});
+
+module.exports = { objectId, mockRes, mockReq };
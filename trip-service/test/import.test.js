@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Trip = require('../src/models/Trip');
+const tripBuilderService = require('../src/services/tripBuilderService');
+const geocodingService = require('../src/services/geocodingService');
+const tripImportService = require('../src/services/tripImportService');
+const { objectId } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const day = (offset, hour) => {
+    const date = new Date(Date.now() + offset * DAY);
+    return `${date.toISOString().slice(0, 10)}T${String(hour).padStart(2, '0')}:00:00Z`;
+};
+
+const row = (rowNumber, values) => ({
+    rowNumber,
+    values: {
+        tripType: 'passenger',
+        vehicle: 'KA01AB1234',
+        startLat: '12.9', startLng: '77.5',
+        endLat: '13.0', endLng: '77.7',
+        ...values
+    }
+});
+
+// Saved trips never conflict and rows build without pricing lookups
+const stubBuilder = (t) => {
+    t.mock.method(tripBuilderService, 'findConflicts', async () => ({ vehicle: null, driver: null }));
+    t.mock.method(tripBuilderService, 'build', async (fleetManagerId, payload) => ({
+        trip: new Trip({ ...payload, fleetManagerId, amount: 0 })
+    }));
+};
+
+test('a row refused for overlapping a row that then fails routing is checked again', async (t) => {
+    const vehicleId = objectId();
+    t.mock.method(tripImportService, 'loadLookups', async () => ({
+        vehicleIds: new Map([['KA01AB1234', vehicleId]]),
+        driverIds: new Map()
+    }));
+    stubBuilder(t);
+    t.mock.method(tripBuilderService, 'route', async (payload) => {
+        if (payload.customerName === 'Unroutable') throw new Error('routing provider unavailable');
+        return { stops: [], route: null, distance: 10, duration: 20, suggestedStops: [], optimization: null };
+    });
+    t.mock.method(console, 'error', () => {});
+
+    const result = await tripImportService.import([
+        row(2, { customerName: 'Unroutable', startDateTime: day(2, 4), endDateTime: day(2, 8) }),
+        row(3, { startDateTime: day(2, 6), endDateTime: day(2, 10) }),
+        row(4, { startDateTime: day(2, 7), endDateTime: day(2, 9) })
+    ], { fleetManagerId: objectId(), userId: objectId(), timeZone: 'UTC' });
+
+    assert.deepStrictEqual(result.rows.map(r => [r.row, r.status]), [[2, 'invalid'], [3, 'valid'], [4, 'invalid']]);
+    assert.deepStrictEqual(result.rows[0].errors, ['routing provider unavailable']);
+    assert.deepStrictEqual(result.rows[2].errors, ['Vehicle is already assigned to row 3 during these dates']);
+});
+
+test('addresses are geocoded one at a time and a second apart with Nominatim', async (t) => {
+    const { nominatimIntervalMs } = tripImportService;
+    Object.defineProperty(geocodingService, 'provider', { get: () => 'nominatim', configurable: true });
+    tripImportService.nominatimIntervalMs = 50;
+    t.after(() => {
+        delete geocodingService.provider;
+        tripImportService.nominatimIntervalMs = nominatimIntervalMs;
+    });
+
+    let running = 0;
+    const starts = [];
+    t.mock.method(geocodingService, 'geocode', async (address) => {
+        assert.strictEqual(running++, 0);
+        starts.push(Date.now());
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return { coordinates: [77.5, 12.9], address };
+    });
+
+    const geocoded = await tripImportService.geocodeAll([
+        { rowNumber: 2, values: { startAddress: 'MG Road', endAddress: 'Airport', stops: 'Hebbal; 12.95,77.6' } }
+    ]);
+
+    assert.deepStrictEqual([...geocoded.keys()], ['MG Road', 'Airport', 'Hebbal']);
+    starts.slice(1).forEach((start, i) => assert.ok(start - starts[i] >= 45, `${start - starts[i]} ms apart`));
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DrowsinessIncident = require('../src/models/DrowsinessIncident');
+const EscalationPolicy = require('../src/models/EscalationPolicy');
+const incidentService = require('../src/services/incidentService');
+const realtimeService = require('../src/services/realtimeService');
+const smsService = require('../src/services/smsService');
+const NotificationClient = require('../src/services/notificationClient');
+const { objectId } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+const notifiedAt = new Date('2026-04-01T22:00:00Z');
+
+const newIncident = (overrides = {}) => new DrowsinessIncident({
+    driverId: objectId(),
+    companyId: objectId(),
+    startedAt: new Date('2026-04-01T21:59:00Z'),
+    lastSampleAt: new Date('2026-04-01T21:59:20Z'),
+    peakPerclos: 0.5,
+    severity: 'MEDIUM',
+    ...overrides
+});
+
+const policy = (overrides = {}) => ({
+    ...new EscalationPolicy({ companyId: objectId(), supervisor: { name: 'Night desk', phone: '+911234567890' } }).toObject(),
+    ...overrides
+});
+
+// Conditional claims against one in-memory incident; step writes are dropped
+const stubStore = (t, incident) => {
+    t.mock.method(DrowsinessIncident, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.state && incident.state !== filter.state) return null;
+        if (incident.escalation.level !== filter['escalation.level']) return null;
+        if (update.$inc) incident.escalation.level += update.$inc['escalation.level'];
+        if (update.$set) {
+            incident.escalation.level = update.$set['escalation.level'];
+            incident.escalation.notifiedAt = update.$set['escalation.notifiedAt'];
+        }
+        return incident;
+    });
+    t.mock.method(DrowsinessIncident, 'updateOne', async () => ({ modifiedCount: 1 }));
+    t.mock.method(realtimeService, 'toFleet', () => true);
+    t.mock.method(realtimeService, 'emit', () => true);
+    t.mock.method(incidentService, 'driverName', async () => 'Ravi Kumar');
+};
+
+test('severity rises with peak PERCLOS or how long the incident lasts', () => {
+    const at = (seconds, perclos) => incidentService.severityOf({
+        startedAt: new Date(0),
+        lastSampleAt: new Date(seconds * 1000),
+        peakPerclos: perclos
+    });
+
+    assert.strictEqual(at(2, 0.2), 'LOW');
+    assert.strictEqual(at(2, 0.45), 'MEDIUM');
+    assert.strictEqual(at(12, 0.1), 'MEDIUM');
+    assert.strictEqual(at(31, 0.1), 'HIGH');
+    assert.strictEqual(at(5, 0.85), 'CRITICAL');
+    assert.strictEqual(at(60, 0), 'CRITICAL');
+});
+
+test('the fleet manager is notified once the policy severity is reached', async (t) => {
+    const incident = newIncident({ severity: 'LOW' });
+    stubStore(t, incident);
+    t.mock.method(incidentService, 'policyFor', async () => policy({ minSeverity: 'MEDIUM' }));
+    const notify = t.mock.method(NotificationClient, 'notifyDrowsinessIncident', async () => true);
+
+    assert.strictEqual(await incidentService.notifyFleetManager(incident, notifiedAt), null);
+    assert.strictEqual(notify.mock.callCount(), 0);
+
+    incident.severity = 'HIGH';
+    const escalated = await incidentService.notifyFleetManager(incident, notifiedAt);
+
+    assert.strictEqual(escalated.escalation.level, 1);
+    assert.strictEqual(escalated.escalation.notifiedAt, notifiedAt);
+    assert.strictEqual(notify.mock.calls[0].arguments[1].driverName, 'Ravi Kumar');
+    assert.deepStrictEqual(escalated.escalation.steps.map(s => [s.action, [...s.channels], s.delivered]), [
+        ['NOTIFY_FLEET_MANAGER', ['socket', 'notification'], true]
+    ]);
+
+    // A second sample does not notify again
+    assert.strictEqual(await incidentService.notifyFleetManager(incident, notifiedAt), null);
+    assert.strictEqual(notify.mock.callCount(), 1);
+});
+
+test('a disabled policy never escalates', async (t) => {
+    const incident = newIncident({ severity: 'CRITICAL' });
+    stubStore(t, incident);
+    t.mock.method(incidentService, 'policyFor', async () => policy({ enabled: false }));
+
+    assert.strictEqual(await incidentService.notifyFleetManager(incident, notifiedAt), null);
+    assert.strictEqual(incident.escalation.level, 0);
+});
+
+test('later steps run once their delay from the notification has passed', async (t) => {
+    const incident = newIncident({ escalation: { level: 1, notifiedAt } });
+    stubStore(t, incident);
+    const call = t.mock.method(smsService, 'call', async () => true);
+    t.mock.method(NotificationClient, 'notifyRestStopRequired', async () => true);
+    t.mock.method(incidentService, 'recommendRestStop', async () => ({ channels: ['socket'], delivered: true, detail: 'Dhaba' }));
+    const rules = policy({ callSupervisorAfterMinutes: 5, restStopAfterMinutes: 10 });
+
+    assert.strictEqual(await incidentService.advance(incident, rules, new Date(notifiedAt.getTime() + 4 * MINUTE)), 0);
+    assert.strictEqual(incident.escalation.level, 1);
+
+    assert.strictEqual(await incidentService.advance(incident, rules, new Date(notifiedAt.getTime() + 6 * MINUTE)), 1);
+    assert.strictEqual(incident.escalation.level, 2);
+    assert.strictEqual(call.mock.calls[0].arguments[0], '+911234567890');
+    assert.match(call.mock.calls[0].arguments[1], /not been acknowledged for 6 minutes/);
+
+    assert.strictEqual(await incidentService.advance(incident, rules, new Date(notifiedAt.getTime() + 11 * MINUTE)), 1);
+    assert.strictEqual(incident.escalation.level, 3);
+    assert.deepStrictEqual(incident.escalation.steps.map(s => s.action), ['CALL_SUPERVISOR', 'RECOMMEND_REST_STOP']);
+
+    // Nothing left to do
+    assert.strictEqual(await incidentService.advance(incident, rules, new Date(notifiedAt.getTime() + 60 * MINUTE)), 0);
+});
+
+test('a step switched off in the policy is recorded and skipped straight away', async (t) => {
+    const incident = newIncident({ escalation: { level: 1, notifiedAt } });
+    stubStore(t, incident);
+    const call = t.mock.method(smsService, 'call', async () => true);
+    const rules = policy({ callSupervisorAfterMinutes: null, restStopAfterMinutes: 30 });
+
+    assert.strictEqual(await incidentService.advance(incident, rules, new Date(notifiedAt.getTime() + MINUTE)), 0);
+
+    assert.strictEqual(call.mock.callCount(), 0);
+    assert.strictEqual(incident.escalation.level, 2);
+    assert.strictEqual(incident.escalation.steps[0].detail, 'Disabled by policy');
+});
+
+test('an acknowledged incident stops escalating', async (t) => {
+    const incident = newIncident({ escalation: { level: 1, notifiedAt } });
+    stubStore(t, incident);
+    const call = t.mock.method(smsService, 'call', async () => true);
+
+    assert.strictEqual(incidentService.acknowledge(incident, { userId: objectId(), now: new Date(notifiedAt.getTime() + MINUTE) }), null);
+    assert.strictEqual(await incidentService.advance(incident, policy(), new Date(notifiedAt.getTime() + 30 * MINUTE)), 0);
+
+    assert.strictEqual(call.mock.callCount(), 0);
+    assert.match(incidentService.acknowledge(incident, { userId: objectId() }), /already acknowledged/);
+});
+
+test('the supervisor is texted when no voice gateway answers', async (t) => {
+    const incident = newIncident({ escalation: { level: 2, notifiedAt } });
+    t.mock.method(incidentService, 'driverName', async () => 'Ravi Kumar');
+    t.mock.method(smsService, 'call', async () => false);
+    const send = t.mock.method(smsService, 'send', async () => true);
+
+    const result = await incidentService.callSupervisor(incident, policy(), new Date(notifiedAt.getTime() + 5 * MINUTE));
+    assert.deepStrictEqual(result, { channels: ['sms'], delivered: true, detail: 'Texted Night desk (voice call unavailable)' });
+    assert.strictEqual(send.mock.callCount(), 1);
+
+    const unreachable = await incidentService.callSupervisor(incident, policy({ supervisor: {} }), new Date());
+    assert.strictEqual(unreachable.delivered, false);
+});
+
+test('resolving an ongoing incident ends it at its last sample', () => {
+    const incident = newIncident();
+    const userId = objectId();
+
+    assert.strictEqual(incidentService.resolve(incident, { userId, notes: 'Driver rested' }), null);
+
+    assert.strictEqual(incident.state, 'RESOLVED');
+    assert.strictEqual(String(incident.acknowledgedBy), String(userId));
+    assert.strictEqual(incident.ongoing, false);
+    assert.strictEqual(incident.endedAt, incident.lastSampleAt);
+    assert.match(incidentService.resolve(incident, { userId }), /already resolved/);
+});
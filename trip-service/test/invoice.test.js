@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Trip = require('../src/models/Trip');
+const Invoice = require('../src/models/Invoice');
+const Counter = require('../src/models/Counter');
+const invoiceService = require('../src/services/invoiceService');
+const outboxService = require('../src/services/outboxService');
+const tariffService = require('../src/services/tariffService');
+const invoiceController = require('../src/controllers/invoiceController');
+const { objectId, mockRes, mockReq } = require('./helpers');
+
+const breakdownFor = (plan, params) => tariffService.quote(plan, params);
+
+const completedTrip = (overrides = {}) => new Trip({
+    tripType: 'commercial',
+    vehicleId: objectId(),
+    driverId: objectId(),
+    fleetManagerId: objectId(),
+    customerName: 'Acme Logistics',
+    startDestination: { name: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+    endDestination: { name: 'B', location: { type: 'Point', coordinates: [77.7, 13.0] } },
+    startDateTime: new Date('2026-03-01T04:00:00Z'),
+    endDateTime: new Date('2026-03-01T08:00:00Z'),
+    status: 'completed',
+    ...overrides
+});
+
+test('numbers are per type, fleet manager and year in the tariff timezone', async (t) => {
+    const next = t.mock.method(Counter, 'next', async () => 42);
+    const fleetManagerId = objectId();
+
+    // 20:00 UTC on New Year's Eve is already 2027 in Asia/Kolkata
+    const number = await invoiceService.nextNumber(fleetManagerId, 'invoice', new Date('2026-12-31T20:00:00Z'));
+    const credit = await invoiceService.nextNumber(fleetManagerId, 'credit-note', new Date('2026-06-01T00:00:00Z'));
+
+    assert.strictEqual(number, 'INV-2027-000042');
+    assert.strictEqual(credit, 'CN-2026-000042');
+    assert.deepStrictEqual(next.mock.calls.map(c => c.arguments[0]), [
+        `invoice:${fleetManagerId}:2027`,
+        `credit-note:${fleetManagerId}:2026`
+    ]);
+});
+
+test('line items follow the fare breakdown and skip zero amounts', () => {
+    const breakdown = breakdownFor(
+        { baseFare: 200, perKmRate: 10, twoWayDiscountPercent: 10, gstPercent: 5 },
+        { distance: 100, duration: 120, isTwoWay: true, tolls: 150 }
+    );
+
+    const lines = invoiceService.buildLineItems(breakdown, [{ description: 'Loading', amount: '75' }]);
+
+    assert.deepStrictEqual(lines.map(l => [l.description, l.amount, l.taxable]), [
+        ['Base fare', 200, true],
+        ['Distance', 1000, true],
+        ['Two-way discount', -100, true],
+        ['Loading', 75, true],
+        ['Tolls', 150, false]
+    ]);
+    assert.strictEqual(lines[1].unitPrice, 10);
+    assert.strictEqual(lines[1].quantity, 100);
+});
+
+test('a minimum charge adjustment brings the lines up to the subtotal', () => {
+    const breakdown = breakdownFor({ perKmRate: 10, minimumCharge: 500 }, { distance: 12 });
+    const lines = invoiceService.buildLineItems(breakdown);
+
+    assert.deepStrictEqual(lines.map(l => [l.description, l.amount]), [
+        ['Distance', 120],
+        ['Minimum charge adjustment', 380]
+    ]);
+});
+
+test('an invoice without extra charges totals the same as the final bill', async (t) => {
+    const breakdown = breakdownFor(
+        { baseFare: 250, perKmRate: 13.5, gstPercent: 18 },
+        { distance: 87.3, duration: 140, tolls: 220 }
+    );
+    const trip = completedTrip({ billing: { breakdown, actualDistance: 87.3, actualDuration: 140 } });
+    const issue = t.mock.method(invoiceService, 'issue', async (fields) => fields);
+
+    const invoice = await invoiceService.createForTrip(trip);
+
+    assert.strictEqual(issue.mock.callCount(), 1);
+    assert.strictEqual(invoice.type, 'invoice');
+    assert.strictEqual(invoice.subtotal, breakdown.subtotal);
+    assert.strictEqual(invoice.gst, breakdown.gst);
+    assert.strictEqual(invoice.passThrough, 220);
+    assert.strictEqual(invoice.total, breakdown.total);
+    assert.strictEqual(invoice.customer.name, 'Acme Logistics');
+});
+
+test('issue takes the number and inserts without a transaction on a standalone server', async (t) => {
+    t.mock.method(outboxService, 'supportsTransactions', async () => false);
+    const next = t.mock.method(Counter, 'next', async () => 7);
+    const create = t.mock.method(Invoice, 'create', async ([fields]) => [fields]);
+
+    const invoice = await invoiceService.issue({
+        type: 'invoice',
+        fleetManagerId: objectId(),
+        issuedAt: new Date('2026-05-05T10:00:00Z')
+    });
+
+    assert.strictEqual(invoice.invoiceNumber, 'INV-2026-000007');
+    assert.strictEqual(next.mock.calls[0].arguments[1], null);
+    assert.strictEqual(create.mock.calls[0].arguments[1].session, null);
+});
+
+test('a credit note is a single untaxed line for the credited amount', async (t) => {
+    t.mock.method(invoiceService, 'issue', async (fields) => fields);
+    const invoice = { _id: objectId(), invoiceNumber: 'INV-2026-000003', total: 1180, currency: 'INR' };
+
+    const credit = await invoiceService.createCreditNote(invoice, { amount: 200.456, reason: 'Late arrival' });
+
+    assert.strictEqual(credit.type, 'credit-note');
+    assert.deepStrictEqual(credit.lineItems, [{ description: 'Credit against INV-2026-000003', amount: 200.46, taxable: false }]);
+    assert.strictEqual(credit.gst, 0);
+    assert.strictEqual(credit.total, 200.46);
+});
+
+test('createTripInvoice refuses a second invoice for the trip', async (t) => {
+    const trip = completedTrip();
+    const existing = { invoiceNumber: 'INV-2026-000001' };
+    t.mock.method(Trip, 'findById', async () => trip);
+    t.mock.method(Invoice, 'findOne', async () => existing);
+    const create = t.mock.method(invoiceService, 'createForTrip', async () => ({}));
+
+    const res = mockRes();
+    await invoiceController.createTripInvoice(
+        mockReq({ user: { id: String(trip.fleetManagerId) }, params: { tripId: String(trip._id) } }),
+        res
+    );
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.invoice, existing);
+    assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('createTripInvoice answers 409 when a concurrent request wins the unique index', async (t) => {
+    const trip = completedTrip();
+    const existing = { invoiceNumber: 'INV-2026-000009' };
+    let lookups = 0;
+    t.mock.method(Trip, 'findById', async () => trip);
+    t.mock.method(Invoice, 'findOne', async () => (lookups++ === 0 ? null : existing));
+    t.mock.method(invoiceService, 'createForTrip', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { tripId: 1, type: 1 } });
+    });
+
+    const res = mockRes();
+    await invoiceController.createTripInvoice(
+        mockReq({ user: { id: String(trip.fleetManagerId) }, params: { tripId: String(trip._id) } }),
+        res
+    );
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.match(res.body.message, /INV-2026-000009/);
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OutboxMessage = require('../src/models/OutboxMessage');
+const outboxService = require('../src/services/outboxService');
+const resourceService = require('../src/services/resourceService');
+const { objectId } = require('./helpers');
+
+const trip = (overrides = {}) => ({
+    _id: objectId(),
+    vehicleId: objectId(),
+    driverId: objectId(),
+    fleetManagerId: objectId(),
+    ...overrides
+});
+
+// A message as claim() hands it to deliver()
+const claimed = (fields = {}) => {
+    const [message] = outboxService.messagesFor(trip(), 'assign', objectId());
+    Object.assign(message, { status: 'processing', attempts: 1, ...fields });
+    return message;
+};
+
+// Outcome writes, which match while the message is still processing
+const stubOutcomeWrites = (t, { superseded = false } = {}) => t.mock.method(
+    OutboxMessage,
+    'updateOne',
+    async () => ({ modifiedCount: superseded ? 0 : 1 })
+);
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status }
+});
+
+test('messagesFor sets the vehicle and both driver records', () => {
+    const t1 = trip();
+    const messages = outboxService.messagesFor(t1, 'assign', objectId());
+
+    assert.deepStrictEqual(messages.map(m => m.resourceKey), [
+        `vehicle:${t1.vehicleId}`,
+        `employment:${t1.driverId}`,
+        `user:${t1.driverId}`
+    ]);
+    assert.deepStrictEqual(messages[0].payload, { status: 'ASSIGNED' });
+    assert.deepStrictEqual(messages[1].payload, { assignmentStatus: 'ASSIGNED' });
+    assert.strictEqual(new Set(messages.map(m => m.idempotencyKey)).size, 3);
+
+    const release = outboxService.messagesFor(trip({ driverId: null }), 'release', objectId());
+    assert.strictEqual(release.length, 1);
+    assert.deepStrictEqual(release[0].payload, { status: 'IDLE' });
+});
+
+test('deliver marks a successful send delivered', async (t) => {
+    t.mock.method(resourceService, 'deliver', async () => ({ status: 200 }));
+    const writes = stubOutcomeWrites(t);
+    const message = claimed({ lastError: 'timeout' });
+
+    assert.strictEqual(await outboxService.deliver(message), 'delivered');
+    assert.strictEqual(message.status, 'delivered');
+    assert.ok(message.deliveredAt);
+    assert.strictEqual(message.lastError, null);
+    assert.strictEqual(message.lockedUntil, null);
+    assert.deepStrictEqual(writes.mock.calls[0].arguments[0], { _id: message._id, status: 'processing' });
+});
+
+test('deliver backs off on server errors and gives up on client errors', async (t) => {
+    t.mock.method(resourceService, 'deliver', async () => { throw httpError(503); });
+    stubOutcomeWrites(t);
+    const retried = claimed();
+
+    assert.strictEqual(await outboxService.deliver(retried), 'retrying');
+    assert.strictEqual(retried.status, 'pending');
+    assert.ok(retried.nextAttemptAt > new Date());
+    assert.strictEqual(retried.lastStatusCode, 503);
+
+    resourceService.deliver.mock.mockImplementation(async () => { throw httpError(404); });
+    const rejected = claimed();
+    assert.strictEqual(await outboxService.deliver(rejected), 'dead');
+
+    resourceService.deliver.mock.mockImplementation(async () => { throw httpError(429); });
+    const throttled = claimed();
+    assert.strictEqual(await outboxService.deliver(throttled), 'retrying');
+});
+
+test('deliver gives up after the last attempt', async (t) => {
+    t.mock.method(resourceService, 'deliver', async () => { throw new Error('connect ECONNREFUSED'); });
+    stubOutcomeWrites(t);
+    const message = claimed({ attempts: outboxService.maxAttempts });
+
+    assert.strictEqual(await outboxService.deliver(message), 'dead');
+    assert.strictEqual(message.lastStatusCode, null);
+});
+
+test('a finished release updates the trip release state', async (t) => {
+    t.mock.method(resourceService, 'deliver', async () => ({ status: 200 }));
+    const sync = t.mock.method(outboxService, 'syncTripRelease', async () => {});
+    stubOutcomeWrites(t);
+
+    const [message] = outboxService.messagesFor(trip(), 'release', objectId());
+    message.status = 'processing';
+    await outboxService.deliver(message);
+
+    assert.strictEqual(sync.mock.callCount(), 1);
+    assert.strictEqual(String(sync.mock.calls[0].arguments[0]), String(message.tripId));
+});
+
+test('a message superseded while it was being sent is not requeued', async (t) => {
+    t.mock.method(resourceService, 'deliver', async () => { throw httpError(503); });
+    const sync = t.mock.method(outboxService, 'syncTripRelease', async () => {});
+    const writes = stubOutcomeWrites(t, { superseded: true });
+
+    // The trip was released (IDLE queued) while this ASSIGNED was in flight
+    const message = claimed();
+    assert.strictEqual(await outboxService.deliver(message), 'superseded');
+
+    assert.strictEqual(writes.mock.callCount(), 1);
+    assert.strictEqual(writes.mock.calls[0].arguments[0].status, 'processing');
+    assert.strictEqual(message.status, 'superseded');
+    assert.strictEqual(sync.mock.callCount(), 0);
+});
+
+test('supersede also covers messages being sent', async (t) => {
+    const update = t.mock.method(OutboxMessage, 'updateMany', async () => {});
+
+    await outboxService.supersede(outboxService.messagesFor(trip({ driverId: null }), 'release', objectId()), null);
+
+    assert.deepStrictEqual(update.mock.calls[0].arguments[0].status.$in, ['pending', 'processing', 'dead']);
+});
+
+test('claim supersedes a due message that has a newer one for the same resource', async (t) => {
+    const stale = claimed();
+    const current = claimed();
+    const queue = [stale, current];
+    t.mock.method(outboxService, 'claimNext', async () => queue.shift() || null);
+    t.mock.method(OutboxMessage, 'exists', async (filter) => (filter._id.$ne === stale._id ? { _id: objectId() } : null));
+    const writes = stubOutcomeWrites(t);
+
+    assert.strictEqual(await outboxService.claim(), current);
+    assert.deepStrictEqual(writes.mock.calls.map(c => [c.arguments[0]._id, c.arguments[1].$set.status]), [
+        [stale._id, 'superseded']
+    ]);
+});
+
+test('backoff doubles from the base and stops at the maximum', () => {
+    const first = outboxService.backoffMs(1);
+    const third = outboxService.backoffMs(3);
+    const late = outboxService.backoffMs(30);
+
+    const base = outboxService.retryBaseSeconds * 1000;
+    assert.ok(first >= base * 0.8 && first <= base * 1.2);
+    assert.ok(third >= base * 4 * 0.8 && third <= base * 4 * 1.2);
+    assert.ok(late <= outboxService.retryMaxSeconds * 1000 * 1.2);
+});
+
+test('commit saves the trip, supersedes older messages, queues and sends the new ones', async (t) => {
+    const calls = [];
+    t.mock.method(outboxService, 'supportsTransactions', async () => false);
+    t.mock.method(OutboxMessage, 'updateMany', async (filter, update) => {
+        calls.push(['supersede', filter.resourceKey.$in, update.$set.status]);
+    });
+    t.mock.method(OutboxMessage, 'insertMany', async (messages) => {
+        calls.push(['insert', messages.length]);
+    });
+    const dispatch = t.mock.method(outboxService, 'dispatch', async ({ ids }) => ({ delivered: ids.length, retrying: 0, dead: 0 }));
+
+    const doc = { save: async () => calls.push(['save']) };
+    const messages = outboxService.messagesFor(trip(), 'assign', objectId());
+
+    const summary = await outboxService.commit(doc, messages);
+
+    assert.deepStrictEqual(calls, [
+        ['save'],
+        ['supersede', messages.map(m => m.resourceKey), 'superseded'],
+        ['insert', 3]
+    ]);
+    assert.deepStrictEqual(dispatch.mock.calls[0].arguments[0].ids, messages.map(m => m._id));
+    assert.deepStrictEqual(summary, { delivered: 3, retrying: 0, dead: 0 });
+});
+
+test('commit leaves messages to the dispatcher when the first attempt fails', async (t) => {
+    t.mock.method(outboxService, 'supportsTransactions', async () => false);
+    t.mock.method(OutboxMessage, 'updateMany', async () => {});
+    t.mock.method(OutboxMessage, 'insertMany', async () => {});
+    t.mock.method(outboxService, 'dispatch', async () => { throw new Error('connection lost'); });
+    t.mock.method(console, 'error', () => {});
+
+    const messages = outboxService.messagesFor(trip({ driverId: null }), 'release', objectId());
+    const summary = await outboxService.commit(null, messages);
+
+    assert.deepStrictEqual(summary, { delivered: 0, retrying: 1, dead: 0 });
+});
+
+test('releaseState summarises the latest message per resource', async (t) => {
+    const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 10, minutes));
+    const docs = [
+        { type: 'vehicle-status', resourceKey: 'vehicle:1', status: 'dead', attempts: 8, lastError: 'timeout', createdAt: at(0) },
+        { type: 'vehicle-status', resourceKey: 'vehicle:1', status: 'delivered', attempts: 1, deliveredAt: at(5), createdAt: at(4) },
+        { type: 'employment-assignment', resourceKey: 'employment:2', status: 'delivered', attempts: 1, deliveredAt: at(6), createdAt: at(4) },
+        { type: 'user-assignment', resourceKey: 'user:2', status: 'pending', attempts: 2, lastError: 'ECONNREFUSED', createdAt: at(4) }
+    ];
+    t.mock.method(OutboxMessage, 'find', () => ({ sort: () => ({ lean: async () => docs }) }));
+
+    const state = await outboxService.releaseState(objectId());
+
+    assert.deepStrictEqual(state.vehicle, { status: 'released', attempts: 1, lastError: null, releasedAt: at(5) });
+    assert.deepStrictEqual(state.driver, { status: 'pending', attempts: 3, lastError: 'ECONNREFUSED', releasedAt: null });
+});
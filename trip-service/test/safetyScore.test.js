@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Trip = require('../src/models/Trip');
+const DrowsinessIncident = require('../src/models/DrowsinessIncident');
+const fatigueAnalyticsService = require('../src/services/fatigueAnalyticsService');
+const { objectId } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const TZ = 'Asia/Kolkata';
+
+const incidents = (...severities) => severities.map(severity => ({ severity }));
+const query = (result) => ({ select: () => ({ lean: async () => result }) });
+
+test('the score loses points for drowsy minutes and weighted incidents per driving hour', () => {
+    // 5 drowsy minutes over 10 hours: 0.5 min/h × 10 = 5 points
+    // HIGH (2) + LOW (0.5) = 2.5 weighted incidents per 10 hours × 5 = 12.5 points
+    assert.deepStrictEqual(fatigueAnalyticsService.score(10, 5, incidents('HIGH', 'LOW')), {
+        score: 83,
+        drowsinessPenalty: 5,
+        incidentPenalty: 12.5
+    });
+
+    assert.deepStrictEqual(fatigueAnalyticsService.score(10, 0, []), {
+        score: 100,
+        drowsinessPenalty: 0,
+        incidentPenalty: 0
+    });
+});
+
+test('each penalty stops at 50 points', () => {
+    const worst = fatigueAnalyticsService.score(2, 120, incidents('CRITICAL', 'CRITICAL', 'CRITICAL'));
+
+    assert.deepStrictEqual(worst, { score: 0, drowsinessPenalty: 50, incidentPenalty: 50 });
+});
+
+test('there is no score below the minimum driving hours', () => {
+    const hours = fatigueAnalyticsService.minDrivingHours / 2;
+
+    assert.deepStrictEqual(fatigueAnalyticsService.score(hours, 10, incidents('HIGH')), {
+        score: null,
+        drowsinessPenalty: null,
+        incidentPenalty: null
+    });
+});
+
+test('summarise reports rates per driving hour and counts by severity', () => {
+    const summary = fatigueAnalyticsService.summarise(4, 3 * HOUR, 6 * MINUTE, incidents('MEDIUM', 'MEDIUM', 'CRITICAL'));
+
+    assert.strictEqual(summary.drivingHours, 4);
+    assert.strictEqual(summary.monitoredHours, 3);
+    assert.strictEqual(summary.drowsyMinutes, 6);
+    assert.strictEqual(summary.drowsyMinutesPerDrivingHour, 1.5);
+    assert.deepStrictEqual(summary.incidents, {
+        total: 3,
+        bySeverity: { LOW: 0, MEDIUM: 2, HIGH: 0, CRITICAL: 1 },
+        perTenDrivingHours: 7.5
+    });
+    // 1.5 × 10 = 15; (1 + 1 + 4) / 4 × 10 × 5 = 75, capped at 50
+    assert.strictEqual(summary.safetyScore.score, 35);
+
+    const idle = fatigueAnalyticsService.summarise(0, 0, 0, []);
+    assert.strictEqual(idle.drowsyMinutesPerDrivingHour, null);
+    assert.strictEqual(idle.incidents.perTenDrivingHours, null);
+});
+
+test('the trend follows the weekly slope and ignores weeks with too little driving', () => {
+    const week = (drowsyMinutesPerDrivingHour, drivingHours = 10) => ({ drowsyMinutesPerDrivingHour, drivingHours });
+
+    assert.strictEqual(fatigueAnalyticsService.trend([week(0.2), week(0.5), week(0.8)]).direction, 'worsening');
+    assert.strictEqual(fatigueAnalyticsService.trend([week(1), week(0.6), week(0.1)]).direction, 'improving');
+    assert.strictEqual(fatigueAnalyticsService.trend([week(0.5), week(0.52), week(0.49)]).direction, 'stable');
+
+    const sparse = fatigueAnalyticsService.trend([week(0.1), week(5, 0.2), week(0.3), week(null, 0)]);
+    assert.deepStrictEqual(sparse, { direction: null, slope: null, weeks: 2 });
+});
+
+test('weeks run Monday to Sunday in the local timezone', () => {
+    // Wednesday 2026-03-11 10:00 IST
+    const now = new Date('2026-03-11T04:30:00Z');
+    const weeks = fatigueAnalyticsService.weeksUntil(now, 2, TZ);
+
+    assert.deepStrictEqual(weeks.map(w => w.week), ['2026-03-02', '2026-03-09']);
+    assert.strictEqual(weeks[0].start.toISOString(), '2026-03-01T18:30:00.000Z');
+    assert.strictEqual(weeks[1].start.toISOString(), '2026-03-08T18:30:00.000Z');
+    assert.strictEqual(weeks[1].end, now);
+});
+
+test('driving spans leave out paused time and are clipped to the period', async (t) => {
+    const driverId = objectId();
+    const at = (hour) => new Date(Date.UTC(2026, 2, 10, hour));
+    t.mock.method(Trip, 'find', () => query([{
+        driverId,
+        status: 'completed',
+        actualStartDateTime: at(2),
+        actualEndDateTime: at(9),
+        statusHistory: [
+            { status: 'in-progress', changedAt: at(2) },
+            { status: 'paused', changedAt: at(4) },
+            { status: 'in-progress', changedAt: at(5) },
+            { status: 'completed', changedAt: at(9) }
+        ]
+    }]));
+
+    const spans = await fatigueAnalyticsService.drivingSpans({ driverId }, at(3), at(24));
+
+    assert.deepStrictEqual(spans.map(s => [s.start.getUTCHours(), s.end.getUTCHours()]), [[3, 4], [5, 9]]);
+    assert.strictEqual(fatigueAnalyticsService.hoursWithin(spans, at(3), at(24)), 5);
+    assert.strictEqual(fatigueAnalyticsService.hoursWithin(spans, at(0), at(6)), 2);
+});
+
+test('the worst times of day need enough monitoring to count', () => {
+    const byHour = [
+        { hour: 2, monitoredMs: 60 * MINUTE, drowsyMs: 12 * MINUTE },
+        { hour: 14, monitoredMs: 120 * MINUTE, drowsyMs: 6 * MINUTE },
+        { hour: 22, monitoredMs: 10 * MINUTE, drowsyMs: 10 * MINUTE }
+    ];
+
+    const { buckets, worst } = fatigueAnalyticsService.timeOfDay(byHour, [], TZ);
+
+    assert.strictEqual(buckets[0].drowsyShare, 0.2);
+    assert.strictEqual(buckets[7].drowsyShare, 1);
+    assert.deepStrictEqual(worst, ['00:00-03:00', '12:00-15:00']);
+});
+
+test('forDrivers scores each driver from their own samples, trips and incidents', async (t) => {
+    const [alert, tired] = [objectId(), objectId()];
+    const now = new Date('2026-03-11T04:30:00Z');
+    const weekStart = new Date('2026-03-08T18:30:00Z');
+
+    t.mock.method(fatigueAnalyticsService, 'sampleTotals', async () => ({
+        byHour: [
+            { driverId: String(alert), hour: 9, monitoredMs: 10 * HOUR, drowsyMs: 0 },
+            { driverId: String(tired), hour: 9, monitoredMs: 10 * HOUR, drowsyMs: 20 * MINUTE }
+        ],
+        byWeek: [
+            { driverId: String(alert), week: weekStart, monitoredMs: 10 * HOUR, drowsyMs: 0 },
+            { driverId: String(tired), week: weekStart, monitoredMs: 10 * HOUR, drowsyMs: 20 * MINUTE }
+        ]
+    }));
+    t.mock.method(fatigueAnalyticsService, 'drivingSpans', async () => [alert, tired].map(id => ({
+        driverId: String(id),
+        start: new Date(weekStart.getTime() + HOUR),
+        end: new Date(weekStart.getTime() + 11 * HOUR)
+    })));
+    t.mock.method(DrowsinessIncident, 'find', () => query([
+        { driverId: tired, severity: 'HIGH', startedAt: new Date(weekStart.getTime() + 2 * HOUR) }
+    ]));
+
+    const [first, second] = await fatigueAnalyticsService.forDrivers([alert, tired], { weeks: 2, timezone: TZ, now });
+
+    assert.strictEqual(String(first.driverId), String(alert));
+    assert.strictEqual(first.safetyScore.score, 100);
+
+    // 2 drowsy min/h × 10 = 20; 1 HIGH (2) per 10 h × 5 = 10
+    assert.strictEqual(second.drowsyMinutesPerDrivingHour, 2);
+    assert.strictEqual(second.safetyScore.score, 70);
+    assert.deepStrictEqual(second.weekly.map(w => [w.week, w.drivingHours, w.safetyScore]), [
+        ['2026-03-02', 0, null],
+        ['2026-03-09', 10, 70]
+    ]);
+});
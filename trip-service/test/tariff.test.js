@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TariffPlan = require('../src/models/TariffPlan');
+const TripLocation = require('../src/models/TripLocation');
+const tariffService = require('../src/services/tariffService');
+const { objectId } = require('./helpers');
+
+// TariffPlan.findOne returning `plan`, awaited directly or after .sort()
+const stubPlans = (t, plan) => t.mock.method(TariffPlan, 'findOne', () => {
+    const result = Promise.resolve(plan);
+    result.sort = async () => plan;
+    return result;
+});
+
+const ping = (lng, lat, seconds, accuracy) => ({
+    location: { type: 'Point', coordinates: [lng, lat] },
+    timestamp: new Date(Date.UTC(2026, 2, 1, 6) + seconds * 1000),
+    accuracy
+});
+
+test('trips without a plan or per-trip pricing stay unpriced; quotes use built-in pricing', async (t) => {
+    stubPlans(t, null);
+
+    const trip = await tariffService.resolvePlan(objectId(), { tripType: 'commercial' });
+    const quote = await tariffService.resolvePlan(objectId(), { tripType: 'passenger', fallback: 'system' });
+
+    assert.strictEqual(tariffService.quote(trip, { distance: 100 }).total, 0);
+    assert.strictEqual(quote.perKmRate, 12);
+});
+
+test('amountPerKm and vehicleRent override a chosen plan', async (t) => {
+    stubPlans(t, { _id: objectId(), name: 'City', perKmRate: 20, baseFare: 300, gstPercent: 5 });
+
+    const plan = await tariffService.resolvePlan(objectId(), { tariffPlanId: objectId(), amountPerKm: '14', vehicleRent: 0 });
+
+    assert.strictEqual(plan.perKmRate, 14);
+    assert.strictEqual(plan.baseFare, 0);
+    assert.strictEqual(plan.gstPercent, 5);
+});
+
+test('the final bill uses the rates the trip was quoted on', async (t) => {
+    const quotedPlan = { _id: objectId(), name: 'Outstation', perKmRate: 10, baseFare: 100 };
+    const fareBreakdown = tariffService.quote(tariffService.withDefaults(quotedPlan), { distance: 50, duration: 60 });
+    const findPlan = stubPlans(t, { ...quotedPlan, perKmRate: 25 }); // edited after booking
+    t.mock.method(TripLocation, 'getTrack', async () => []);
+
+    const bill = await tariffService.computeFinalBill({
+        _id: objectId(),
+        fleetManagerId: objectId(),
+        tariffPlanId: quotedPlan._id,
+        distance: 50,
+        duration: 60,
+        fareBreakdown
+    });
+
+    assert.strictEqual(findPlan.mock.callCount(), 0);
+    assert.strictEqual(bill.amount, 600);
+    assert.strictEqual(bill.breakdown.plan.name, 'Outstation');
+});
+
+test('trips quoted without a rates snapshot are billed on the plan as it is now', async (t) => {
+    const findPlan = stubPlans(t, { _id: objectId(), name: 'Outstation', perKmRate: 25 });
+    t.mock.method(TripLocation, 'getTrack', async () => []);
+
+    const bill = await tariffService.computeFinalBill({
+        _id: objectId(),
+        fleetManagerId: objectId(),
+        tariffPlanId: objectId(),
+        distance: 10,
+        fareBreakdown: { total: 100, plan: { name: 'Outstation' } }
+    });
+
+    assert.strictEqual(findPlan.mock.callCount(), 1);
+    assert.strictEqual(bill.amount, 250);
+});
+
+test('GPS jitter while parked adds no distance and the tracked distance is capped', async () => {
+    const parked = Array.from({ length: 60 }, (_, i) => ping(77.5 + (i % 2) * 0.0001, 12.9, i * 5, 10));
+    const driven = Array.from({ length: 11 }, (_, i) => ping(77.5 + i * 0.01, 12.9, 300 + i * 60, 10));
+
+    const still = await tariffService.actualDistance({ distance: 10 }, parked);
+    assert.deepStrictEqual(still, { distance: 0, source: 'tracked' });
+
+    const { distance, source } = await tariffService.actualDistance({ distance: 20 }, [...parked, ...driven]);
+    assert.strictEqual(source, 'tracked');
+    assert.ok(Math.abs(distance - 10.85) < 0.1, `${distance} km`);
+
+    const capped = await tariffService.actualDistance({ distance: 5 }, [...parked, ...driven]);
+    assert.deepStrictEqual(capped, { distance: 7.5, source: 'capped' });
+});
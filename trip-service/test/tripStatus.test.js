@@ -0,0 +1,302 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Trip = require('../src/models/Trip');
+const Alert = require('../src/models/Alert');
+const GeofenceVisit = require('../src/models/GeofenceVisit');
+const tripStatusService = require('../src/services/tripStatusService');
+const outboxService = require('../src/services/outboxService');
+const cancellationService = require('../src/services/cancellationService');
+const NotificationClient = require('../src/services/notificationClient');
+const tripBuilderService = require('../src/services/tripBuilderService');
+const trackingLinkService = require('../src/services/trackingLinkService');
+const routingService = require('../src/services/routing');
+const tripController = require('../src/controllers/tripController');
+const { objectId, mockRes, mockReq } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+const newTrip = (overrides = {}) => new Trip({
+    tripType: 'passenger',
+    vehicleId: objectId(),
+    driverId: objectId(),
+    fleetManagerId: objectId(),
+    startDestination: { name: 'A', location: { type: 'Point', coordinates: [77.5, 12.9] } },
+    endDestination: { name: 'B', location: { type: 'Point', coordinates: [77.7, 13.0] } },
+    startDateTime: new Date(Date.now() + HOUR),
+    endDateTime: new Date(Date.now() + 3 * HOUR),
+    ...overrides
+});
+
+test('transition follows the table and records history', () => {
+    const trip = newTrip();
+    const actorId = objectId();
+
+    tripStatusService.transition(trip, 'dispatched', { actorId, actorRole: 'fleet' });
+    const { previousStatus } = tripStatusService.transition(trip, 'in-progress', { actorId, actorRole: 'driver' });
+
+    assert.strictEqual(previousStatus, 'dispatched');
+    assert.strictEqual(trip.status, 'in-progress');
+    assert.ok(trip.actualStartDateTime);
+    assert.deepStrictEqual(trip.statusHistory.map(h => h.status), ['dispatched', 'in-progress']);
+});
+
+test('transition refuses moves outside the table with INVALID_TRANSITION', () => {
+    const trip = newTrip({ status: 'completed' });
+
+    assert.throws(() => tripStatusService.transition(trip, 'in-progress'), (error) => {
+        assert.strictEqual(error.name, 'TripTransitionError');
+        assert.strictEqual(error.code, 'INVALID_TRANSITION');
+        assert.deepStrictEqual(error.toJSON().allowedTransitions, []);
+        return true;
+    });
+    assert.strictEqual(trip.statusHistory.length, 0);
+});
+
+test('guards: dispatch needs a driver, start needs the window, abort needs a reason', () => {
+    const guard = (error) => error.code === 'TRANSITION_GUARD_FAILED';
+
+    assert.throws(() => tripStatusService.check(newTrip({ driverId: null }), 'dispatched'), guard);
+    assert.throws(() => tripStatusService.check(newTrip({ startDateTime: new Date(Date.now() + 4 * HOUR) }), 'in-progress'), guard);
+    assert.throws(() => tripStatusService.check(newTrip({ status: 'in-progress' }), 'aborted'), guard);
+    assert.doesNotThrow(() => tripStatusService.check(newTrip({ status: 'in-progress' }), 'aborted', { reason: 'Breakdown' }));
+});
+
+test('resuming a paused trip skips the start window', () => {
+    const trip = newTrip({ status: 'paused', startDateTime: new Date(Date.now() - 10 * HOUR) });
+    assert.doesNotThrow(() => tripStatusService.check(trip, 'in-progress'));
+});
+
+test('checkStatus refuses other statuses with INVALID_STATE', () => {
+    const trip = newTrip({ status: 'paused' });
+    assert.throws(() => tripStatusService.checkStatus(trip, ['in-progress'], 'update stops of'), {
+        name: 'TripTransitionError',
+        code: 'INVALID_STATE',
+        message: 'Cannot update stops of a paused trip'
+    });
+});
+
+test('deleteTrip answers 409 for a started trip', async (t) => {
+    const trip = newTrip({ status: 'in-progress' });
+    t.mock.method(Trip, 'findById', async () => trip);
+    const commit = t.mock.method(outboxService, 'commit', async () => ({}));
+
+    const res = mockRes();
+    await tripController.deleteTrip(mockReq({ user: { id: String(trip.fleetManagerId) }, params: { id: String(trip._id) } }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.code, 'INVALID_STATE');
+    assert.strictEqual(commit.mock.callCount(), 0);
+});
+
+test('deleteTrip deletes a dispatched trip and releases its resources', async (t) => {
+    const trip = newTrip({ status: 'dispatched' });
+    t.mock.method(Trip, 'findById', async () => trip);
+    const commit = t.mock.method(outboxService, 'commit', async () => ({}));
+    t.mock.method(NotificationClient, 'notifyTripDeleted', async () => {});
+
+    const res = mockRes();
+    await tripController.deleteTrip(mockReq({ user: { id: String(trip.fleetManagerId) }, params: { id: String(trip._id) } }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const [, messages, options] = commit.mock.calls[0].arguments;
+    assert.deepStrictEqual(options, { remove: true });
+    assert.deepStrictEqual(messages.map(m => m.payload.status || m.payload.assignmentStatus), ['IDLE', 'UNASSIGNED', 'UNASSIGNED']);
+});
+
+test('updateStopStatus answers 409 unless the trip is in progress', async (t) => {
+    const trip = newTrip({ status: 'scheduled', stops: [{ name: 'S', location: { type: 'Point', coordinates: [77.6, 12.95] } }] });
+    t.mock.method(Trip, 'findById', () => ({ select: async () => trip }));
+
+    const res = mockRes();
+    await tripController.updateStopStatus(mockReq({
+        user: { id: String(trip.driverId), role: 'driver' },
+        params: { id: String(trip._id), stopIndex: '0' }
+    }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.currentStatus, 'scheduled');
+});
+
+test('PUT with status cancelled goes through the cancellation policy', async (t) => {
+    const trip = newTrip({ status: 'scheduled' });
+    t.mock.method(Trip, 'findById', async () => trip);
+    const cancel = t.mock.method(cancellationService, 'cancel', async (doc, options) => {
+        tripStatusService.transition(doc, 'cancelled', { actorId: options.userId, reason: options.reasonCode });
+        doc.cancellation = { cancelledAt: new Date() };
+        return { trip: doc, fee: { amount: 0 }, released: true };
+    });
+    t.mock.method(NotificationClient, 'notifyTripCancelled', async () => {});
+
+    const missingReason = mockRes();
+    await tripController.updateTrip(mockReq({
+        user: { id: String(trip.fleetManagerId), role: 'fleet' },
+        params: { id: String(trip._id) },
+        body: { status: 'cancelled' }
+    }), missingReason);
+    assert.strictEqual(missingReason.statusCode, 400);
+    assert.strictEqual(cancel.mock.callCount(), 0);
+
+    const res = mockRes();
+    await tripController.updateTrip(mockReq({
+        user: { id: String(trip.fleetManagerId), role: 'fleet' },
+        params: { id: String(trip._id) },
+        body: { status: 'cancelled', reasonCode: 'weather' }
+    }), res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(cancel.mock.callCount(), 1);
+    assert.strictEqual(trip.status, 'cancelled');
+});
+
+test('changing the driver releases the old one and assigns the new one', async (t) => {
+    const trip = newTrip({ status: 'scheduled' });
+    const oldDriverId = trip.driverId;
+    const newDriverId = objectId();
+    t.mock.method(Trip, 'findById', async () => trip);
+    t.mock.method(tripBuilderService, 'findConflicts', async () => ({ vehicle: null, driver: null }));
+    t.mock.method(trackingLinkService, 'publish', () => {});
+    t.mock.method(NotificationClient, 'notifyTripUpdated', async () => {});
+    const commit = t.mock.method(outboxService, 'commit', async () => ({}));
+
+    const res = mockRes();
+    await tripController.updateTrip(mockReq({
+        user: { id: String(trip.fleetManagerId), role: 'fleet' },
+        params: { id: String(trip._id) },
+        body: { driverId: String(newDriverId) }
+    }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const messages = commit.mock.calls[0].arguments[1];
+    assert.deepStrictEqual(messages.map(m => [m.resourceKey, m.payload.status || m.payload.assignmentStatus]), [
+        [`vehicle:${trip.vehicleId}`, 'ASSIGNED'],
+        [`employment:${oldDriverId}`, 'UNASSIGNED'],
+        [`user:${oldDriverId}`, 'UNASSIGNED'],
+        [`employment:${newDriverId}`, 'ASSIGNED'],
+        [`user:${newDriverId}`, 'ASSIGNED']
+    ]);
+});
+
+test('a new vehicle that is busy at those times is refused with 409', async (t) => {
+    const trip = newTrip({ status: 'scheduled' });
+    const busy = { _id: objectId() };
+    t.mock.method(Trip, 'findById', async () => trip);
+    const conflicts = t.mock.method(tripBuilderService, 'findConflicts', async () => ({ vehicle: busy, driver: null }));
+    const commit = t.mock.method(outboxService, 'commit', async () => ({}));
+
+    const res = mockRes();
+    await tripController.updateTrip(mockReq({
+        user: { id: String(trip.fleetManagerId), role: 'fleet' },
+        params: { id: String(trip._id) },
+        body: { vehicleId: String(objectId()) }
+    }), res);
+
+    assert.strictEqual(res.statusCode, 409);
+    assert.strictEqual(res.body.conflictingTrip, busy._id);
+    assert.strictEqual(String(conflicts.mock.calls[0].arguments[0].excludeTripId), String(trip._id));
+    assert.strictEqual(commit.mock.callCount(), 0);
+});
+
+test('location pings need the trip owner or driver and a trip on the road', async (t) => {
+    const trip = newTrip({ status: 'completed' });
+    t.mock.method(Trip, 'findById', async () => trip);
+    const save = t.mock.method(trip, 'save', async () => trip);
+    const ping = (userId) => mockReq({
+        user: { id: String(userId) },
+        params: { tripId: String(trip._id) },
+        body: { longitude: 77.6, latitude: 12.95 }
+    });
+
+    const stranger = mockRes();
+    await tripController.updateLocation(ping(objectId()), stranger);
+    assert.strictEqual(stranger.statusCode, 403);
+
+    const finished = mockRes();
+    await tripController.updateLocation(ping(trip.driverId), finished);
+    assert.strictEqual(finished.statusCode, 409);
+    assert.strictEqual(finished.body.code, 'INVALID_STATE');
+
+    assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('pausing an off-route trip resolves its OFF_ROUTE alert', async (t) => {
+    const alertId = objectId();
+    const trip = newTrip({
+        status: 'in-progress',
+        routeDeviation: { isOffRoute: true, offRouteSince: new Date(Date.now() - HOUR), alertId }
+    });
+    t.mock.method(Trip, 'findById', async () => trip);
+    t.mock.method(trip, 'save', async () => trip);
+    t.mock.method(trackingLinkService, 'publish', () => {});
+    const resolve = t.mock.method(Alert, 'findOneAndUpdate', (filter, update) => ({
+        lean: async () => ({ _id: filter._id, ...update })
+    }));
+
+    const res = mockRes();
+    await tripController.pauseTrip(mockReq({
+        user: { id: String(trip.driverId), role: 'driver' },
+        params: { id: String(trip._id) }
+    }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const [filter, update] = resolve.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: alertId, resolvedAt: null });
+    assert.strictEqual(update.resolvedAt, trip.statusHistory[0].changedAt);
+    assert.strictEqual(trip.routeDeviation.isOffRoute, false);
+    assert.strictEqual(trip.routeDeviation.alertId, null);
+});
+
+test('aborting a trip closes its open geofence visits at the abort time', async (t) => {
+    const trip = newTrip({ status: 'in-progress', currentLocation: { type: 'Point', coordinates: [77.6, 12.95] } });
+    t.mock.method(Trip, 'findById', async () => trip);
+    t.mock.method(outboxService, 'commit', async () => ({}));
+    t.mock.method(trackingLinkService, 'publish', () => {});
+    const close = t.mock.method(GeofenceVisit, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    const res = mockRes();
+    await tripController.abortTrip(mockReq({
+        user: { id: String(trip.fleetManagerId), role: 'fleet' },
+        params: { id: String(trip._id) },
+        body: { reason: 'Breakdown' }
+    }), res);
+
+    assert.strictEqual(res.statusCode, 200);
+    const [filter, [{ $set: fields }]] = close.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { tripId: trip._id, exitedAt: null });
+    assert.strictEqual(fields.exitedAt.getTime(), trip.actualEndDateTime.getTime());
+    assert.deepStrictEqual(fields.exitLocation, [77.6, 12.95]);
+});
+
+test('trips with more stops than the routing provider takes are refused before routing', async (t) => {
+    const provider = routingService.provider;
+    t.after(() => routingService.setProvider(provider));
+    const getRoute = t.mock.fn(async () => { throw new Error('too many coordinates'); });
+    const getMatrix = t.mock.fn();
+    routingService.setProvider({ name: 'mapbox', maxCoordinates: 25, getRoute, getMatrix });
+    t.mock.method(tripBuilderService, 'findConflicts', async () => ({ vehicle: null, driver: null }));
+    const create = t.mock.method(tripBuilderService, 'create', async () => {});
+
+    const trip = newTrip();
+    const stop = { name: 'Stop', location: { type: 'Point', coordinates: [77.6, 12.95] } };
+    const user = { id: String(trip.fleetManagerId), role: 'fleet' };
+
+    const created = mockRes();
+    await tripController.createTrip(mockReq({
+        user,
+        query: { optimize: 'true' },
+        body: { ...trip.toObject(), stops: Array(24).fill(stop) }
+    }), created);
+
+    assert.strictEqual(created.statusCode, 400);
+    assert.match(created.body.message, /at most 23 stops/);
+    assert.strictEqual(create.mock.callCount(), 0);
+
+    const quoted = mockRes();
+    await tripController.calculateRoute(mockReq({
+        user,
+        query: { optimize: 'true' },
+        body: { coordinates: Array(26).fill([77.6, 12.95]) }
+    }), quoted);
+
+    assert.strictEqual(quoted.statusCode, 400);
+    assert.strictEqual(getMatrix.mock.callCount(), 0);
+    assert.strictEqual(getRoute.mock.callCount(), 0);
+});
@@ -433,9 +433,10 @@ exports.updateVehicleStatus = async (req, res) => {
         const vehicleId = req.params.id;
         const { status } = req.body;
 
-        // Validate status
-        if (!['IDLE', 'ASSIGNED'].includes(status)) {
-            return res.status(400).json({ message: 'Invalid status. Must be IDLE or ASSIGNED' });
+        // Only the statuses trip-service sets (maintenance ones come from its consistency check)
+        const allowedStatuses = ['IDLE', 'ASSIGNED', 'MAINTENANCE', 'SERVICE_SCHEDULED'];
+        if (!allowedStatuses.includes(status)) {
+            return res.status(400).json({ message: `Invalid status. Must be one of: ${allowedStatuses.join(', ')}` });
         }
 
         const vehicle = await Vehicle.findById(vehicleId);
@@ -480,9 +481,9 @@ exports.getAvailableVehicles = async (req, res) => {
 
             const activeTrips = tripResponse.data.trips || [];
 
-            // Filter trips that are scheduled or in-progress
+            // Filter trips that still hold the vehicle / driver (scheduled, dispatched, in-progress or paused)
             const relevantTrips = activeTrips.filter(trip =>
-                trip.status === 'scheduled' || trip.status === 'in-progress'
+                ['scheduled', 'dispatched', 'in-progress', 'paused'].includes(trip.status)
             );
 
             // If date range is provided, check for overlaps
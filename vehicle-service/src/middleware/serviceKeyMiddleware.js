@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Internal (service-to-service) routes: the shared INTERNAL_SERVICE_KEY in the x-service-key header
+module.exports = function (req, res, next) {
+    const expected = process.env.INTERNAL_SERVICE_KEY;
+
+    // Refuse everything rather than leave internal routes open
+    if (!expected) {
+        return res.status(503).json({ message: 'Internal service key not configured' });
+    }
+
+    const provided = Buffer.from(req.header('x-service-key') || '');
+    const key = Buffer.from(expected);
+    if (provided.length !== key.length || !crypto.timingSafeEqual(provided, key)) {
+        return res.status(401).json({ message: 'Invalid service key' });
+    }
+
+    next();
+};
@@ -9,7 +9,7 @@ const tripMinimalSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['scheduled', 'in-progress', 'completed', 'cancelled']
+        enum: ['scheduled', 'dispatched', 'in-progress', 'paused', 'completed', 'cancelled', 'aborted']
     },
     startDateTime: {
         type: Date,
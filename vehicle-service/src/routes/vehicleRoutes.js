@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const vehicleController = require('../controllers/vehicleController');
 const auth = require('../middleware/authMiddleware');
+const serviceKey = require('../middleware/serviceKeyMiddleware');
 const upload = require('../middleware/uploadMiddleware');
 
 // Route: POST /api/vehicles/extract-rc
@@ -46,8 +47,8 @@ router.put('/:id', auth, upload.fields([
 router.delete('/:id', auth, vehicleController.deleteVehicle);
 
 // Route: PATCH /api/vehicles/:id/status
-// Desc: Update vehicle status (IDLE/ASSIGNED)
-// Access: Internal (service-to-service)
-router.patch('/:id/status', vehicleController.updateVehicleStatus);
+// Desc: Update vehicle status (IDLE/ASSIGNED, or a maintenance status from the consistency check)
+// Access: Internal (service-to-service, x-service-key)
+router.patch('/:id/status', serviceKey, vehicleController.updateVehicleStatus);
 
 module.exports = router;
@@ -22,7 +22,7 @@ const validateTripConflict = async (vehicleId, startDate, endDate) => {
 
     const conflictingTrip = await TripMinimal.findOne({
         vehicleId,
-        status: { $in: ['scheduled', 'in-progress'] },
+        status: { $in: ['scheduled', 'dispatched', 'in-progress', 'paused'] },
         $or: [
             // New maintenance window starts during an existing trip
             { startDateTime: { $lte: start }, endDateTime: { $gte: start } },